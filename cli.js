@@ -23,17 +23,43 @@ import {
   DESC_FAIL_ON_DUP,
   DESC_FAIL_ON_MISSING,
   DESC_FAIL_ON_UNUSED,
+  DESC_FLAT_JSON,
+  DESC_EMPTY_MARKER,
   DESC_FORMAT,
+  DESC_GLOB,
+  DESC_HIGHLIGHT,
   DESC_INIT_LANGS,
   DESC_INIT_TEMPLATE,
+  DESC_JSON_COMMENTS,
   DESC_JSON_REPORT,
+  DESC_KEY_ORDER,
+  DESC_KEY_SEPARATOR,
+  DESC_LOCALE_FORMAT,
+  DESC_MARKUP_KEYS,
+  DESC_MERGE,
+  DESC_METADATA_COLUMNS,
   DESC_METADATA_KEYS,
   DESC_NO_REPORT,
+  DESC_ONLY_MISSING,
   DESC_OUTPUT_I18N_DIR,
+  DESC_PATH_TEMPLATE,
   DESC_PATTERNS,
+  DESC_PLATFORM,
+  DESC_PLATFORM_SOURCE_LANG,
+  DESC_PO_SOURCE_LANG,
+  DESC_PROTECT,
   DESC_PROVIDER,
   DESC_SHEET_NAME,
+  DESC_SINCE,
+  DESC_SOURCE_LANG,
+  DESC_SPLIT_BY,
+  DESC_STRICT_KEYS,
+  DESC_SUMMARY,
+  DESC_TYPED,
   DESC_WATCH,
+  DESC_XLIFF_SOURCE_LANG,
+  DESC_XLIFF_VERSION,
+  DESC_YAML_ROOT,
   OPT_CONFIG_FLAG,
   TOOL_DESCRIPTION,
   TOOL_NAME,
@@ -136,13 +162,33 @@ program
 program
   .command('i18n-to-excel')
   .description('Convert i18n JSON files to Excel')
-  .option('-i, --input <path>', 'path to directory containing i18n JSON files')
-  .option('-o, --output <file>', 'path for the output Excel file')
+  .option(
+    '-i, --input <path>',
+    'path to directory containing i18n JSON or YAML files',
+  )
+  .option(
+    '-o, --output <file>',
+    'path for the output Excel file (.xlsx), or an .ods, .csv or .tsv file',
+  )
   .option('-s, --sheet-name <name>', DESC_SHEET_NAME)
   .option('-d, --dry-run', DESC_DRY_RUN)
   .option('--format <type>', DESC_FORMAT)
   .option('--quiet', 'suppress non-error output')
   .option('--no-report', DESC_NO_REPORT)
+  .option('--metadata-columns <list>', DESC_METADATA_COLUMNS)
+  .option('--split-by <mode>', DESC_SPLIT_BY)
+  .option('--highlight', DESC_HIGHLIGHT)
+  .option('--summary', DESC_SUMMARY)
+  .option('--source-lang <code>', DESC_SOURCE_LANG)
+  .option('--only-missing', DESC_ONLY_MISSING)
+  .option('--since <ref>', DESC_SINCE)
+  .option('--protect', DESC_PROTECT)
+  .option('--empty-marker <text>', DESC_EMPTY_MARKER)
+  .option('--typed', DESC_TYPED)
+  .option('--key-separator <char>', DESC_KEY_SEPARATOR)
+  .option('--flat-json', DESC_FLAT_JSON)
+  .option('--path-template <template>', DESC_PATH_TEMPLATE)
+  .option('--glob', DESC_GLOB)
   .option(OPT_CONFIG_FLAG, DESC_CONFIG_FILE)
   .action((options) => {
     displayDeprecationWarning(options);
@@ -160,7 +206,10 @@ program
 program
   .command('excel-to-i18n')
   .description('Convert Excel file to i18n JSON files')
-  .option('-i, --input <file>', 'path to Excel file')
+  .option(
+    '-i, --input <file>',
+    'path to Excel (.xlsx), .ods, .csv or .tsv file',
+  )
   .option('-o, --output <path>', DESC_OUTPUT_I18N_DIR)
   .option('-s, --sheet-name <name>', DESC_SHEET_NAME)
   .option('-d, --dry-run', DESC_DRY_RUN)
@@ -168,6 +217,19 @@ program
   .option('--quiet', 'suppress non-error output')
   .option('--fail-on-duplicates', DESC_FAIL_ON_DUP)
   .option('--all-sheets', DESC_ALL_SHEETS)
+  .option('--merge', DESC_MERGE)
+  .option('--strict-keys', DESC_STRICT_KEYS)
+  .option('--markup-keys <list>', DESC_MARKUP_KEYS)
+  .option('--empty-marker <text>', DESC_EMPTY_MARKER)
+  .option('--typed', DESC_TYPED)
+  .option('--key-separator <char>', DESC_KEY_SEPARATOR)
+  .option('--flat-json', DESC_FLAT_JSON)
+  .option('--path-template <template>', DESC_PATH_TEMPLATE)
+  .option('--key-order <mode>', DESC_KEY_ORDER)
+  .option('--metadata-columns <list>', DESC_METADATA_COLUMNS)
+  .option('--locale-format <format>', DESC_LOCALE_FORMAT)
+  .option('--yaml-root', DESC_YAML_ROOT)
+  .option('--json-comments', DESC_JSON_COMMENTS)
   .option(OPT_CONFIG_FLAG, DESC_CONFIG_FILE)
   .action((options) => {
     displayDeprecationWarning(options);
@@ -181,6 +243,209 @@ program
     );
   });
 
+// Command for i18n to XLIFF
+program
+  .command('i18n-to-xliff')
+  .description('Convert i18n JSON files to XLIFF, one file per target language')
+  .option(
+    '-i, --input <path>',
+    'path to directory containing i18n JSON or YAML files',
+  )
+  .option('-o, --output <path>', 'directory for the output XLIFF files')
+  .option('-d, --dry-run', DESC_DRY_RUN)
+  .option('--format <type>', DESC_FORMAT)
+  .option('--quiet', 'suppress non-error output')
+  .option('--no-report', DESC_NO_REPORT)
+  .option('--xliff-version <version>', DESC_XLIFF_VERSION)
+  .option('--source-lang <code>', DESC_XLIFF_SOURCE_LANG)
+  .option('--typed', DESC_TYPED)
+  .option('--key-separator <char>', DESC_KEY_SEPARATOR)
+  .option('--flat-json', DESC_FLAT_JSON)
+  .option('--path-template <template>', DESC_PATH_TEMPLATE)
+  .option(OPT_CONFIG_FLAG, DESC_CONFIG_FILE)
+  .action((options) => {
+    displayDeprecationWarning(options);
+    if (shouldDisplayHeaderForOptions(options)) displayHeader();
+    options.i18nToXliff = true;
+    processCliOptions(
+      options,
+      defaultConfig,
+      LOCAL_CONFIG || {},
+      validateConfigObject,
+    );
+  });
+
+// Command for XLIFF to i18n
+program
+  .command('xliff-to-i18n')
+  .description('Convert XLIFF files to i18n JSON files')
+  .option(
+    '-i, --input <path>',
+    'path to an XLIFF file or a directory of XLIFF files',
+  )
+  .option('-o, --output <path>', DESC_OUTPUT_I18N_DIR)
+  .option('-d, --dry-run', DESC_DRY_RUN)
+  .option('--format <type>', DESC_FORMAT)
+  .option('--quiet', 'suppress non-error output')
+  .option('--no-report', DESC_NO_REPORT)
+  .option('--fail-on-duplicates', DESC_FAIL_ON_DUP)
+  .option('--typed', DESC_TYPED)
+  .option('--key-separator <char>', DESC_KEY_SEPARATOR)
+  .option('--flat-json', DESC_FLAT_JSON)
+  .option('--path-template <template>', DESC_PATH_TEMPLATE)
+  .option('--locale-format <format>', DESC_LOCALE_FORMAT)
+  .option('--yaml-root', DESC_YAML_ROOT)
+  .option(OPT_CONFIG_FLAG, DESC_CONFIG_FILE)
+  .action((options) => {
+    displayDeprecationWarning(options);
+    if (shouldDisplayHeaderForOptions(options)) displayHeader();
+    options.xliffToI18n = true;
+    processCliOptions(
+      options,
+      defaultConfig,
+      LOCAL_CONFIG || {},
+      validateConfigObject,
+    );
+  });
+
+// Command for i18n to gettext PO
+program
+  .command('i18n-to-po')
+  .description(
+    'Convert i18n JSON files to gettext messages.pot and one PO file per target language',
+  )
+  .option(
+    '-i, --input <path>',
+    'path to directory containing i18n JSON or YAML files',
+  )
+  .option('-o, --output <path>', 'directory for the output PO files')
+  .option('-d, --dry-run', DESC_DRY_RUN)
+  .option('--format <type>', DESC_FORMAT)
+  .option('--quiet', 'suppress non-error output')
+  .option('--no-report', DESC_NO_REPORT)
+  .option('--source-lang <code>', DESC_PO_SOURCE_LANG)
+  .option('--typed', DESC_TYPED)
+  .option('--key-separator <char>', DESC_KEY_SEPARATOR)
+  .option('--flat-json', DESC_FLAT_JSON)
+  .option('--path-template <template>', DESC_PATH_TEMPLATE)
+  .option(OPT_CONFIG_FLAG, DESC_CONFIG_FILE)
+  .action((options) => {
+    displayDeprecationWarning(options);
+    if (shouldDisplayHeaderForOptions(options)) displayHeader();
+    options.i18nToPo = true;
+    processCliOptions(
+      options,
+      defaultConfig,
+      LOCAL_CONFIG || {},
+      validateConfigObject,
+    );
+  });
+
+// Command for gettext PO to i18n
+program
+  .command('po-to-i18n')
+  .description('Convert gettext PO files to i18n JSON files')
+  .option('-i, --input <path>', 'path to a PO file or a directory of PO files')
+  .option('-o, --output <path>', DESC_OUTPUT_I18N_DIR)
+  .option('-d, --dry-run', DESC_DRY_RUN)
+  .option('--format <type>', DESC_FORMAT)
+  .option('--quiet', 'suppress non-error output')
+  .option('--no-report', DESC_NO_REPORT)
+  .option('--fail-on-duplicates', DESC_FAIL_ON_DUP)
+  .option('--source-lang <code>', DESC_PO_SOURCE_LANG)
+  .option('--typed', DESC_TYPED)
+  .option('--key-separator <char>', DESC_KEY_SEPARATOR)
+  .option('--flat-json', DESC_FLAT_JSON)
+  .option('--path-template <template>', DESC_PATH_TEMPLATE)
+  .option('--locale-format <format>', DESC_LOCALE_FORMAT)
+  .option('--yaml-root', DESC_YAML_ROOT)
+  .option(OPT_CONFIG_FLAG, DESC_CONFIG_FILE)
+  .action((options) => {
+    displayDeprecationWarning(options);
+    if (shouldDisplayHeaderForOptions(options)) displayHeader();
+    options.poToI18n = true;
+    processCliOptions(
+      options,
+      defaultConfig,
+      LOCAL_CONFIG || {},
+      validateConfigObject,
+    );
+  });
+
+// Command for i18n to platform string files
+program
+  .command('i18n-to-platform')
+  .description(
+    'Convert i18n JSON files to Android, iOS or Java properties string files',
+  )
+  .option(
+    '-i, --input <path>',
+    'path to directory containing i18n JSON or YAML files',
+  )
+  .option(
+    '-o, --output <path>',
+    'directory for the platform files, e.g. an Android res directory',
+  )
+  .option('-p, --platform <name>', DESC_PLATFORM)
+  .option('-d, --dry-run', DESC_DRY_RUN)
+  .option('--format <type>', DESC_FORMAT)
+  .option('--quiet', 'suppress non-error output')
+  .option('--no-report', DESC_NO_REPORT)
+  .option('--source-lang <code>', DESC_PLATFORM_SOURCE_LANG)
+  .option('--typed', DESC_TYPED)
+  .option('--key-separator <char>', DESC_KEY_SEPARATOR)
+  .option('--flat-json', DESC_FLAT_JSON)
+  .option('--path-template <template>', DESC_PATH_TEMPLATE)
+  .option(OPT_CONFIG_FLAG, DESC_CONFIG_FILE)
+  .action((options) => {
+    displayDeprecationWarning(options);
+    if (shouldDisplayHeaderForOptions(options)) displayHeader();
+    options.i18nToPlatform = true;
+    processCliOptions(
+      options,
+      defaultConfig,
+      LOCAL_CONFIG || {},
+      validateConfigObject,
+    );
+  });
+
+// Command for platform string files to i18n
+program
+  .command('platform-to-i18n')
+  .description(
+    'Convert Android, iOS or Java properties string files to i18n JSON files',
+  )
+  .option(
+    '-i, --input <path>',
+    'path to a platform file or a directory searched for platform files',
+  )
+  .option('-o, --output <path>', DESC_OUTPUT_I18N_DIR)
+  .option('-p, --platform <name>', DESC_PLATFORM)
+  .option('-d, --dry-run', DESC_DRY_RUN)
+  .option('--format <type>', DESC_FORMAT)
+  .option('--quiet', 'suppress non-error output')
+  .option('--no-report', DESC_NO_REPORT)
+  .option('--fail-on-duplicates', DESC_FAIL_ON_DUP)
+  .option('--source-lang <code>', DESC_PLATFORM_SOURCE_LANG)
+  .option('--typed', DESC_TYPED)
+  .option('--key-separator <char>', DESC_KEY_SEPARATOR)
+  .option('--flat-json', DESC_FLAT_JSON)
+  .option('--path-template <template>', DESC_PATH_TEMPLATE)
+  .option('--locale-format <format>', DESC_LOCALE_FORMAT)
+  .option('--yaml-root', DESC_YAML_ROOT)
+  .option(OPT_CONFIG_FLAG, DESC_CONFIG_FILE)
+  .action((options) => {
+    displayDeprecationWarning(options);
+    if (shouldDisplayHeaderForOptions(options)) displayHeader();
+    options.platformToI18n = true;
+    processCliOptions(
+      options,
+      defaultConfig,
+      LOCAL_CONFIG || {},
+      validateConfigObject,
+    );
+  });
+
 // Command for initializing i18n directory and files
 program
   .command('init')
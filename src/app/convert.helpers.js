@@ -4,21 +4,83 @@
  * @internal
  * @typedef {import('../types.js').Reporter} Reporter
  * @typedef {import('../types.js').IoAdapter} IoAdapter
+ * @typedef {import('../types.js').KeyFormat} KeyFormat
+ * @typedef {import('../types.js').JsonFormat} JsonFormat
  */
 
+import {
+  createWorksheetFromRows,
+  worksheetToRows,
+} from '../core/csv/delimitedSheet.js';
+import {
+  parseDelimited,
+  resolveDelimiter,
+  stringifyDelimited,
+} from '../core/csv/delimitedText.js';
+import {
+  readBaseSnapshot,
+  writeBaseSnapshot,
+} from '../core/excel/baseSnapshot.js';
+import {
+  SPLIT_BY_MODES,
+  createNamespaceSheetNames,
+  splitTranslationsByNamespace,
+  writeNamespaceIndex,
+} from '../core/excel/namespaceSheets.js';
+import { markPartialExport } from '../core/excel/partialExport.js';
+import { isReservedSheetName } from '../core/excel/reservedSheets.js';
+import {
+  createLegendWorksheet,
+  highlightTranslationIssues,
+} from '../core/excel/sheetHighlight.js';
 import { createTranslationWorksheet } from '../core/excel/sheetWrite.js';
+import {
+  createSourceLabels,
+  writeSourceIndex,
+} from '../core/excel/sourceSheets.js';
+import { createSummaryWorksheet } from '../core/excel/summarySheet.js';
+import { stringifyJson } from '../core/json/jsonFormat.js';
+import {
+  escapeKeySegment,
+  flattenTranslations,
+  keyToPath,
+  pathToKey,
+  resolveKeySeparator,
+  setNestedValue,
+} from '../core/json/structure.js';
+import { decodeTypedValue } from '../core/json/typedValues.js';
+import { diffKeySets } from '../core/model/keyDiff.js';
+import {
+  LOCALE_FILE_EXTENSIONS,
+  LOCALE_FORMATS,
+  localeFileFormat,
+  localeFileLanguage,
+} from '../core/model/localeFiles.js';
+import {
+  METADATA_FILE_NAME,
+  addCommentDescriptions,
+  metadataFromObject,
+  metadataToObject,
+} from '../core/model/metadata.js';
+import {
+  assembleTemplateFiles,
+  compilePathTemplate,
+  splitTemplateFiles,
+} from '../core/model/pathTemplate.js';
 import { buildTranslationTableFromJsonFiles } from '../core/model/translationTable.js';
 import { generateTranslationReport } from '../core/report/translationReport.js';
+import { summarizeTranslationReport } from '../core/report/translationSummary.js';
 import { validateLanguageCode } from '../core/validation.js';
 import { safeJoinWithin } from '../io/paths.js';
 
 /**
  * Build aggregate translation map and language list from file inputs.
  * @param {Array<{name:string,data:Object}>} files Parsed JSON file entries.
+ * @param {KeyFormat} [options={}] Key format, see {@link buildTranslationTableFromJsonFiles}.
  * @returns {{translations: Map<string, Object<string,string>>, languages: string[]}} Key-to-language map and sorted language codes.
  */
-export function collectTranslations(files) {
-  return buildTranslationTableFromJsonFiles(files);
+export function collectTranslations(files, options = {}) {
+  return buildTranslationTableFromJsonFiles(files, options);
 }
 
 /**
@@ -35,94 +97,912 @@ export function maybeReport(translations, languages, reporter, shouldReport) {
   reporter.print(r);
 }
 
+/**
+ * Re-key per-key entries (metadata, max lengths) of one namespace to keys without the namespace prefix.
+ * @template T
+ * @param {Map<string,T>} entries Translation key → value.
+ * @param {string} namespace Namespace ('' for root keys).
+ * @param {string} separator Key separator.
+ * @returns {Map<string,T>} Entries keyed like the namespace worksheet rows.
+ */
+export function entriesForNamespace(entries, namespace, separator) {
+  if (namespace === '') return entries;
+  const prefix = `${namespace}${separator}`;
+  return new Map(
+    [...entries]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, fields]) => [key.slice(prefix.length), fields]),
+  );
+}
+
+/**
+ * Plan the translation worksheets of a workbook, one per top-level namespace when splitting.
+ * @param {{sheetName:string,translations:Map<string,Object<string,string>>,metadata?:Map<string,Object>,maxLengths?:Map<string,number>,splitBy?:string,keySeparator?:string}} params Plan inputs.
+ * @returns {{sheets: Array<{name:string,translations:Map<string,Object<string,string>>,metadata?:Map<string,Object>,maxLengths?:Map<string,number>}>, sheetNames?: Map<string,string>}}
+ *   Worksheets to create and, when split, the namespace → sheet name index.
+ * @throws {Error} When splitBy is not a supported mode.
+ * @internal
+ */
+function planWorksheets({
+  sheetName,
+  translations,
+  metadata,
+  maxLengths,
+  splitBy,
+  keySeparator,
+}) {
+  if (splitBy === undefined) {
+    return {
+      sheets: [{ name: sheetName, translations, metadata, maxLengths }],
+    };
+  }
+  if (!SPLIT_BY_MODES.includes(splitBy)) {
+    throw new Error(
+      `Invalid split mode "${splitBy}". Expected one of: ${SPLIT_BY_MODES.join(', ')}`,
+    );
+  }
+  const separator = resolveKeySeparator({ keySeparator });
+  const groups = splitTranslationsByNamespace(translations, separator);
+  const namespaces = [...groups.keys()].toSorted();
+  const sheetNames = createNamespaceSheetNames(namespaces, sheetName);
+  const sheets = namespaces.map((namespace) => ({
+    name: sheetNames.get(namespace),
+    translations: groups.get(namespace),
+    metadata: metadata && entriesForNamespace(metadata, namespace, separator),
+    maxLengths:
+      maxLengths && entriesForNamespace(maxLengths, namespace, separator),
+  }));
+  return { sheets, sheetNames };
+}
+
 /**
  * Write an Excel workbook to disk using the provided IO adapter.
  * @param {IoAdapter} io IO abstraction.
  * @param {string} targetFile Destination file path.
- * @param {{sheetName:string,translations:Map<string,Object<string,string>>,languages:string[],languageMap:Object<string,string>}} params Composite parameters object.
+ * @param {{sheetName:string,translations:Map<string,Object<string,string>>,languages:string[],languageMap:Object<string,string>,metadataColumns?:string[],metadata?:Map<string,Object>,maxLengths?:Map<string,number>,splitBy?:string,highlight?:boolean,summary?:boolean,sourceLang?:string,partial?:string,protection?:{sourceLang?:string,password?:string},emptyMarker?:string,keySeparator?:string,sources?:Map<string,string>,snapshot?:Map<string,Object<string,string>>}} params Composite parameters object.
+ *   `partial` describes the delta filter of a partial export; such workbooks are merged on import.
+ *   `snapshot` is the full translation table stored as export snapshot, which later delta exports and
+ *   merges compare against; it defaults to `translations`.
+ *   `sources` maps the key prefixes of a multi-directory export to their directories.
  * @returns {Promise<void>} Resolves after write succeeds.
  */
 export async function writeExcel(
   io,
   targetFile,
-  { sheetName, translations, languages, languageMap },
+  {
+    sheetName,
+    translations,
+    languages,
+    languageMap,
+    metadataColumns,
+    metadata,
+    maxLengths,
+    splitBy,
+    highlight,
+    summary,
+    sourceLang,
+    partial,
+    protection,
+    emptyMarker,
+    keySeparator,
+    sources,
+    snapshot = translations,
+  },
 ) {
   const workbook = io.createWorkbook();
-  createTranslationWorksheet(
-    workbook,
+  const { sheets, sheetNames } = planWorksheets({
+    sheetName,
+    translations,
+    metadata,
+    maxLengths,
+    splitBy,
+    keySeparator,
+  });
+  for (const sheet of sheets) {
+    const worksheet = createTranslationWorksheet(
+      workbook,
+      sheet.name,
+      sheet.translations,
+      languages,
+      {
+        languageMap,
+        metadataColumns,
+        metadata: sheet.metadata,
+        maxLengths: sheet.maxLengths,
+        protection,
+        emptyMarker,
+      },
+    );
+    if (highlight) {
+      const report = generateTranslationReport(sheet.translations, languages);
+      highlightTranslationIssues(worksheet, report, languages);
+    }
+  }
+  if (highlight) createLegendWorksheet(workbook);
+  if (summary) {
+    const report = generateTranslationReport(translations, languages);
+    createSummaryWorksheet(
+      workbook,
+      summarizeTranslationReport(report, translations, languages, sourceLang),
+      languageMap,
+    );
+  }
+  if (sheetNames) writeNamespaceIndex(workbook, sheetNames);
+  if (sources) writeSourceIndex(workbook, sources);
+  if (partial) markPartialExport(workbook, partial);
+  writeBaseSnapshot(workbook, snapshot, languages);
+  await io.ensureDirectoryExists(io.dirname(targetFile));
+  await io.writeWorkbook(targetFile, workbook);
+}
+
+/**
+ * Options that need the Excel file format, keyed by option name.
+ * @constant {string[]}
+ * @internal
+ */
+const WORKBOOK_ONLY_OPTIONS = [
+  'glob',
+  'splitBy',
+  'highlight',
+  'summary',
+  'protect',
+  'onlyMissing',
+  'since',
+];
+
+/**
+ * Assert that an export to a CSV or TSV file uses no option that needs an Excel workbook.
+ * Other target files are not checked.
+ * Delimited files hold one unstyled worksheet and no export snapshot, so partial (delta)
+ * exports could not be recognized on import and would replace the JSON files.
+ * @param {string} targetFile Destination file path.
+ * @param {Object<string, unknown>} options Export options by name.
+ * @returns {void}
+ * @throws {Error} When a workbook-only option is set.
+ */
+export function assertDelimitedExport(targetFile, options) {
+  if (resolveDelimiter(targetFile) === undefined) return;
+  const unsupported = WORKBOOK_ONLY_OPTIONS.filter(
+    (name) => options[name] !== undefined && options[name] !== false,
+  );
+  if (unsupported.length > 0) {
+    throw new Error(
+      `Options not supported for ${targetFile}, use an .xlsx file instead: ${unsupported.join(', ')}`,
+    );
+  }
+}
+
+/**
+ * Write translations to a CSV or TSV file in the layout of the translation worksheet.
+ * @param {IoAdapter} io IO abstraction; requires `writeTextFile`.
+ * @param {string} targetFile Destination `.csv` or `.tsv` path.
+ * @param {{sheetName:string,translations:Map<string,Object<string,string>>,languages:string[],languageMap:Object<string,string>,metadataColumns?:string[],metadata?:Map<string,Object>,emptyMarker?:string}} params
+ *   Worksheet parameters, see {@link writeExcel}.
+ * @returns {Promise<void>} Resolves after write succeeds.
+ */
+export async function writeDelimited(
+  io,
+  targetFile,
+  {
     sheetName,
     translations,
     languages,
     languageMap,
+    metadataColumns,
+    metadata,
+    emptyMarker,
+  },
+) {
+  const worksheet = createTranslationWorksheet(
+    io.createWorkbook(),
+    sheetName,
+    translations,
+    languages,
+    { languageMap, metadataColumns, metadata, emptyMarker },
   );
   await io.ensureDirectoryExists(io.dirname(targetFile));
-  await io.writeWorkbook(targetFile, workbook);
+  await io.writeTextFile(
+    targetFile,
+    stringifyDelimited(
+      worksheetToRows(worksheet),
+      resolveDelimiter(targetFile),
+    ),
+  );
 }
 
 /**
- * Read a worksheet from an Excel file, throwing if missing.
+ * Load an Excel file into a fresh workbook instance.
  * @param {IoAdapter} io IO abstraction.
  * @param {string} sourceFile Excel source path.
- * @param {string} sheetName Worksheet name to retrieve.
- * @returns {Promise<Object>} ExcelJS Worksheet.
- * @throws {Error} If worksheet is not found.
+ * @returns {Promise<Object>} ExcelJS Workbook.
  */
-export async function readWorksheet(io, sourceFile, sheetName) {
+export async function loadWorkbook(io, sourceFile) {
   const workbook = io.createWorkbook();
   await io.readWorkbook(sourceFile, workbook);
+  return workbook;
+}
+
+/**
+ * Load a workbook or a CSV / TSV file, chosen by the file extension.
+ * A delimited file becomes a workbook with a single worksheet named `sheetName`.
+ * @param {IoAdapter} io IO abstraction; requires `readTextFiles` for delimited files.
+ * @param {string} sourceFile Excel, CSV or TSV source path.
+ * @param {string} sheetName Name of the worksheet created for delimited files.
+ * @returns {Promise<Object>} ExcelJS Workbook.
+ * @throws {Error} When a delimited file cannot be parsed.
+ */
+export async function loadSourceWorkbook(io, sourceFile, sheetName) {
+  const delimiter = resolveDelimiter(sourceFile);
+  if (delimiter === undefined) return loadWorkbook(io, sourceFile);
+  const [{ content }] = await io.readTextFiles(sourceFile, []);
+  let rows;
+  try {
+    rows = parseDelimited(content, delimiter);
+  } catch (error) {
+    throw new Error(`${error.message} (${sourceFile})`);
+  }
+  const workbook = io.createWorkbook();
+  createWorksheetFromRows(workbook, sheetName, rows);
+  return workbook;
+}
+
+/**
+ * Name of the source-language file compared at a git ref: the current `.json`, `.jsonc` or
+ * `.json5` file of the language, or `<lang>.json` when there is none.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} sourcePath Directory containing the language files.
+ * @param {string} sourceLang Source language code.
+ * @returns {Promise<string>} File name within the directory.
+ * @throws {Error} When the source language is kept in a YAML file.
+ * @internal
+ */
+async function sourceFileAtRef(io, sourcePath, sourceLang) {
+  const files = await readLocaleFiles(io, sourcePath);
+  const current = files.find(
+    ({ name }) => localeFileLanguage(name) === sourceLang,
+  );
+  const name = current?.name ?? `${sourceLang}.json`;
+  if (localeFileFormat(name) !== 'json') {
+    throw new Error(
+      `Git refs can only be compared for JSON source files, not ${name}; pass an earlier workbook to since`,
+    );
+  }
+  return name;
+}
+
+/**
+ * Load the source-language texts of an earlier version for delta exports.
+ * A path to an `.xlsx` or `.ods` file uses that workbook's export snapshot; anything else is
+ * treated as a git ref of the source language JSON (or JSONC / JSON5) file.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} since Earlier workbook path or git ref.
+ * @param {string} sourcePath Directory containing the language JSON files.
+ * @param {string} sourceLang Source language code.
+ * @param {KeyFormat} [keyFormat={}] Key format used to flatten the git version.
+ * @returns {Promise<Map<string,string>>} Translation key → earlier source text.
+ * @throws {Error} When the workbook has no snapshot, the adapter cannot read git refs, or a git ref is
+ *   compared with a path template layout or a YAML source file.
+ */
+export async function loadPreviousSource(
+  io,
+  since,
+  sourcePath,
+  sourceLang,
+  keyFormat = {},
+) {
+  const previous = new Map();
+  if (/\.(?:xlsx|ods)$/i.test(since)) {
+    await io.checkFileExists(since);
+    const snapshot = readBaseSnapshot(await loadWorkbook(io, since));
+    if (!snapshot) {
+      throw new Error(`Workbook ${since} contains no export snapshot`);
+    }
+    for (const [key, values] of snapshot) previous.set(key, values[sourceLang]);
+    return previous;
+  }
+  if (!io.readJsonFileAtRef) {
+    throw new Error('This IO adapter cannot read files at git refs');
+  }
+  if (keyFormat.pathTemplate !== undefined) {
+    throw new Error(
+      'Git refs cannot be compared with a path template layout; pass an earlier workbook to since',
+    );
+  }
+  const data = await io.readJsonFileAtRef(
+    since,
+    safeJoinWithin(
+      sourcePath,
+      await sourceFileAtRef(io, sourcePath, sourceLang),
+    ),
+  );
+  flattenTranslations(
+    data,
+    '',
+    (key, value) => previous.set(key, value),
+    keyFormat,
+  );
+  return previous;
+}
+
+/**
+ * Get a worksheet from a loaded workbook, throwing if missing.
+ * @param {Object} workbook ExcelJS Workbook.
+ * @param {string} sheetName Worksheet name to retrieve.
+ * @returns {Object} ExcelJS Worksheet.
+ * @throws {Error} If worksheet is not found.
+ */
+export function readWorksheet(workbook, sheetName) {
   const ws = workbook.getWorksheet(sheetName);
   if (!ws) throw new Error(`Worksheet "${sheetName}" not found`);
   return ws;
 }
 
 /**
- * Read all worksheets from an Excel file.
- * @param {IoAdapter} io IO abstraction.
- * @param {string} sourceFile Excel source path.
- * @returns {Promise<Object[]>} Array of ExcelJS Worksheet objects.
- * @throws {Error} If workbook has no worksheets.
+ * Get all translation worksheets from a loaded workbook.
+ * Internal sheets (e.g. the export snapshot) are skipped.
+ * @param {Object} workbook ExcelJS Workbook.
+ * @returns {Object[]} Array of ExcelJS Worksheet objects.
+ * @throws {Error} If workbook has no translation worksheets.
  */
-export async function readAllWorksheets(io, sourceFile) {
-  const workbook = io.createWorkbook();
-  await io.readWorkbook(sourceFile, workbook);
-  const sheets = workbook.worksheets;
-  if (!sheets || sheets.length === 0) {
+export function readAllWorksheets(workbook) {
+  const sheets = (workbook.worksheets ?? []).filter(
+    (ws) => !isReservedSheetName(ws.name),
+  );
+  if (sheets.length === 0) {
     throw new Error('Workbook contains no worksheets');
   }
   return sheets;
 }
 
 /**
- * Handle duplicate keys discovered during Excel -> JSON conversion flow.
+ * Read the JSON and YAML language files of a directory.
+ * YAML files are read only when the adapter supports them. With a `pathTemplate` the JSON files of
+ * the template layout are read instead and combined into one `<lang>.json` entry per language.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} dir Locale directory.
+ * @param {KeyFormat} [keyFormat={}] Key format of the files.
+ * @returns {Promise<Array<{name:string,data:Object}>>} Parsed language file entries.
+ * @throws {Error} When a language has more than one file (e.g. `en.json` and `en.yml`).
+ */
+export async function readLocaleFiles(io, dir, keyFormat = {}) {
+  if (keyFormat.pathTemplate !== undefined) {
+    return assembleTemplateFiles(
+      await io.readDirJsonFiles(dir, { recursive: true }),
+      keyFormat,
+    );
+  }
+  const files = [
+    ...(await io.readDirJsonFiles(dir)),
+    ...(io.readDirYamlFiles ? await io.readDirYamlFiles(dir) : []),
+  ];
+  const seen = new Map();
+  for (const { name } of files) {
+    const lang = localeFileLanguage(name);
+    if (seen.has(lang)) {
+      throw new Error(
+        `Multiple files for language "${lang}" in ${dir}: ${seen.get(lang)}, ${name}`,
+      );
+    }
+    seen.set(lang, name);
+  }
+  return files;
+}
+
+/**
+ * Read every locale directory matching a glob into one translation table. Keys are prefixed with a
+ * short label of their directory, so a namespace split writes one worksheet per directory, see
+ * {@link module:core/excel/sourceSheets}. Directories without language files are skipped.
+ * @param {IoAdapter} io IO abstraction; requires `findDirectories`.
+ * @param {string} pattern Glob pattern of locale directories.
+ * @param {{keyFormat: KeyFormat, sourceLang?: string}} options Key format of the files and the source language,
+ *   see {@link readLocaleMetadata}.
+ * @returns {Promise<{table: {translations: Map<string, Object<string,string>>, languages: string[]}, metadata: Map<string,Object>, commented: boolean, sources: Map<string,string>}>}
+ *   Combined translation table and metadata, whether any language file has comments, and the key prefix → directory index.
+ * @throws {Error} When the adapter cannot search directories or no matching directory holds language files.
+ */
+export async function readSourceDirectories(io, pattern, options) {
+  const { keyFormat } = options;
+  if (!io.findDirectories) {
+    throw new Error('This IO adapter cannot search directories');
+  }
+  const separator = resolveKeySeparator(keyFormat);
+  const translations = new Map();
+  const languages = new Set();
+  const metadata = new Map();
+  const sources = new Map();
+  let commented = false;
+  const labels = createSourceLabels(await io.findDirectories(pattern));
+  for (const [dir, label] of labels) {
+    const files = await readLocaleFiles(io, dir, keyFormat);
+    if (files.length === 0) continue;
+    const prefix = escapeKeySegment(label, separator);
+    const table = collectTranslations(files, keyFormat);
+    for (const [key, values] of table.translations) {
+      translations.set(`${prefix}${separator}${key}`, values);
+    }
+    for (const language of table.languages) languages.add(language);
+    const dirMetadata = await readLocaleMetadata(io, dir, files, options);
+    for (const [key, fields] of dirMetadata) {
+      metadata.set(`${prefix}${separator}${key}`, fields);
+    }
+    commented ||= files.some(({ comments }) => comments);
+    sources.set(prefix, dir);
+  }
+  if (sources.size === 0) {
+    throw new Error(
+      `No locale directories with language files match: ${pattern}`,
+    );
+  }
+  return {
+    table: { translations, languages: [...languages].toSorted() },
+    metadata,
+    commented,
+    sources,
+  };
+}
+
+/**
+ * Read the language files currently stored in the target directory.
+ * Returns an empty list when the directory does not exist yet.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} targetPath Target directory.
+ * @param {KeyFormat} [keyFormat={}] Key format of the files, see {@link readLocaleFiles}.
+ * @returns {Promise<Array<{name:string,data:Object}>>} Parsed language file entries.
+ */
+export async function readExistingFiles(io, targetPath, keyFormat = {}) {
+  try {
+    await io.checkFileExists(targetPath);
+  } catch {
+    return [];
+  }
+  return readLocaleFiles(io, targetPath, keyFormat);
+}
+
+/**
+ * Read the metadata sidecar file from a locale directory.
+ * Returns an empty table when the file is absent or the adapter cannot read single files.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} dir Locale directory.
+ * @returns {Promise<Map<string, Object>>} Translation key → metadata fields.
+ */
+export async function readMetadata(io, dir) {
+  if (!io.readJsonFile) return new Map();
+  const filePath = safeJoinWithin(dir, METADATA_FILE_NAME);
+  try {
+    await io.checkFileExists(filePath);
+  } catch {
+    return new Map();
+  }
+  return metadataFromObject(await io.readJsonFile(filePath));
+}
+
+/**
+ * Read the metadata of a locale directory for export: the sidecar file, plus descriptions taken from
+ * the comments of its JSON language files for keys the sidecar file does not describe.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} dir Locale directory.
+ * @param {Array<{name:string, comments?: Array<{path:string[], text:string}>}>} files Language files of the directory.
+ * @param {{keyFormat: KeyFormat, sourceLang?: string}} options Key format of the files and the language whose
+ *   comments are preferred.
+ * @returns {Promise<Map<string, Object>>} Translation key → metadata fields.
+ */
+export async function readLocaleMetadata(io, dir, files, options) {
+  return addCommentDescriptions(await readMetadata(io, dir), files, {
+    ...options.keyFormat,
+    sourceLang: options.sourceLang,
+  });
+}
+
+/**
+ * Write the metadata sidecar file into a locale directory.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} dir Locale directory.
+ * @param {Map<string, Object>} metadata Translation key → metadata fields.
+ * @param {JsonFormat} [jsonFormat] Output format of the file.
+ * @returns {Promise<void>} Resolves after the file is written.
+ */
+export async function writeMetadata(io, dir, metadata, jsonFormat) {
+  const filePath = safeJoinWithin(dir, METADATA_FILE_NAME);
+  await writeJsonOutput(io, filePath, metadataToObject(metadata), {
+    jsonFormat,
+  });
+}
+
+/**
+ * Report merge conflicts where both JSON and sheet changed a value since export.
+ * @param {Array<{key:string,lang:string}>} conflicts Detected conflicts.
+ * @param {Reporter} reporter Reporter for warning output.
+ * @returns {void}
+ */
+export function handleMergeConflicts(conflicts, reporter) {
+  if (conflicts.length === 0) return;
+  const list = conflicts.map(({ key, lang }) => `${key} (${lang})`).join(', ');
+  reporter.warn(
+    `Merge conflicts detected (sheet value kept, JSON changed since export): ${list}`,
+  );
+}
+
+/**
+ * Report translations exceeding their configured max length.
+ * @param {Array<{key:string,lang:string,length:number,maxLength:number}>} violations Detected violations.
+ * @param {Reporter} reporter Reporter for warning output.
+ * @returns {void}
+ */
+export function handleMaxLengthViolations(violations, reporter) {
+  if (violations.length === 0) return;
+  const list = violations
+    .map(
+      ({ key, lang, length, maxLength }) =>
+        `${key} (${lang}: ${length}/${maxLength})`,
+    )
+    .join(', ');
+  reporter.warn(`Max length exceeded: ${list}`);
+}
+
+/**
+ * Report keys that differ between the worksheet and the current JSON files.
+ * Sheet keys unknown to JSON are likely edited or renamed keys; JSON keys absent from the
+ * sheet were removed. Nothing is checked before the first import (no JSON files yet).
+ * @param {string[]} sheetKeys Keys read from the worksheet(s).
+ * @param {Array<{name:string,data:Object}>} existingFiles Current JSON files.
+ * @param {{strictKeys?:boolean, merge?:boolean} & KeyFormat} options `strictKeys` throws instead of warning;
+ *   `merge` skips removed keys because merging keeps JSON keys missing from the sheet. The key format
+ *   is used to flatten the JSON files.
+ * @param {Reporter} reporter Reporter for warning output.
+ * @returns {void}
+ * @throws {Error} When strictKeys is set and keys differ.
+ */
+export function handleKeyChanges(sheetKeys, existingFiles, options, reporter) {
+  if (existingFiles.length === 0) return;
+  const { translations } = collectTranslations(existingFiles, options);
+  const { unknown, removed } = diffKeySets(sheetKeys, translations.keys());
+  const messages = [];
+  if (unknown.length > 0) {
+    messages.push(
+      `Keys in sheet but not in JSON (edited or renamed?): ${unknown.join(', ')}`,
+    );
+  }
+  if (removed.length > 0 && !options.merge) {
+    messages.push(`Keys in JSON but missing from sheet: ${removed.join(', ')}`);
+  }
+  if (messages.length === 0) return;
+  if (options.strictKeys) throw new Error(messages.join('; '));
+  for (const msg of messages) reporter.warn(msg);
+}
+
+/**
+ * Handle keys that are both a value and the parent of other keys in the worksheet(s).
+ * Nesting such keys overwrites one of the values, so they are as fatal as duplicates.
+ * @param {string[]} collisions Colliding parent keys.
+ * @param {boolean} failOnDuplicates Whether to throw instead of warn.
+ * @param {Reporter} reporter Reporter for warning output.
+ * @returns {void}
+ */
+export function handleKeyCollisions(collisions, failOnDuplicates, reporter) {
+  if (collisions.length === 0) return;
+  const msg = `Keys used both as a value and as a parent of other keys: ${collisions.join(', ')}`;
+  if (failOnDuplicates) throw new Error(msg);
+  reporter.warn(msg);
+}
+
+/**
+ * Handle duplicate keys discovered during Excel (or XLIFF) -> JSON conversion flow.
  * @param {string[]} duplicates Duplicate key names.
  * @param {boolean} failOnDuplicates Whether to throw instead of warn.
  * @param {Reporter} reporter Reporter for warning output.
+ * @param {string} [origin='Excel'] Input format named in the message.
  * @returns {void}
  */
-export function handleDuplicates(duplicates, failOnDuplicates, reporter) {
+export function handleDuplicates(
+  duplicates,
+  failOnDuplicates,
+  reporter,
+  origin = 'Excel',
+) {
   if (duplicates.length === 0) return;
-  const msg = `Duplicate keys detected in Excel: ${duplicates.join(', ')}`;
+  const msg = `Duplicate keys detected in ${origin}: ${duplicates.join(', ')}`;
   if (failOnDuplicates) throw new Error(msg);
   reporter.warn(msg);
 }
 
 /**
- * Write per-language JSON files to target path.
+ * Comment lookup for JSON language files: the description of the key at an object path.
+ * @param {Map<string, Object> | undefined} descriptions Translation key → metadata fields with the `description`.
+ * @param {KeyFormat} [keyFormat] Key format of the file.
+ * @param {string[]} [prefix=[]] Object path of the file root, e.g. the namespace of a template file.
+ * @returns {((path: string[]) => (string | undefined)) | undefined} Comment by object path within the file,
+ *   undefined without descriptions.
+ * @internal
+ */
+function describeByPath(descriptions, keyFormat, prefix = []) {
+  if (!descriptions) return;
+  return (path) =>
+    descriptions.get(pathToKey([...prefix, ...path], keyFormat))?.description;
+}
+
+/**
+ * Write a JSON file in the output format of `jsonFormat`, with the descriptions of `describe` as `//`
+ * comments above their keys. Without either, the adapter's `writeJsonFile` serializes the data.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} filePath JSON file path.
+ * @param {unknown} data Data to write.
+ * @param {{jsonFormat?: JsonFormat, describe?: (path: string[]) => (string | undefined)}} [options]
+ *   Output format and the comment lookup.
+ * @returns {Promise<void>} Resolves after the file is written.
+ * @throws {Error} When the adapter cannot write text files, for invalid formats, or when the
+ *   `formatter` hook does not return a string.
+ */
+export async function writeJsonOutput(io, filePath, data, options = {}) {
+  const { jsonFormat, describe } = options;
+  if (!jsonFormat && !describe) {
+    await io.writeJsonFile(filePath, data);
+    return;
+  }
+  if (!io.writeTextFile) {
+    throw new Error(
+      'This IO adapter cannot write JSON files with comments or formatting',
+    );
+  }
+  const text = stringifyJson(data, jsonFormat, describe);
+  const output = jsonFormat?.formatter
+    ? await jsonFormat.formatter(text, { filePath })
+    : text;
+  if (typeof output !== 'string') {
+    throw new TypeError(`JSON formatter must return a string (${filePath})`);
+  }
+  await io.writeTextFile(filePath, output);
+}
+
+/**
+ * Write one language file as JSON or YAML, depending on its extension. JSON files are written
+ * by {@link writeJsonOutput}.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} filePath Language file path.
+ * @param {Object} data Translations of the language.
+ * @param {{yamlRoot?: boolean, jsonFormat?: JsonFormat, describe?: (path: string[]) => (string | undefined)}} [options]
+ *   Whether a new YAML file gets a language root key, the output format and the comment lookup for JSON files.
+ * @returns {Promise<void>} Resolves after the file is written.
+ * @throws {Error} For YAML, commented or formatted JSON files the adapter cannot write.
+ * @internal
+ */
+async function writeLocaleFile(io, filePath, data, options = {}) {
+  if (localeFileFormat(filePath) === 'json') {
+    await writeJsonOutput(io, filePath, data, options);
+  } else if (io.writeYamlFile) {
+    await io.writeYamlFile(filePath, data, { root: options.yamlRoot ?? false });
+  } else {
+    throw new Error('This IO adapter cannot write YAML files');
+  }
+}
+
+/**
+ * Write the namespace files of every language in a `pathTemplate` layout.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} targetPath Target directory.
+ * @param {string[]} languages Language codes.
+ * @param {Object<string,Object>} translationsByLanguage Nested translations keyed by language.
+ * @param {{localeFormat?: string, keyFormat: KeyFormat, descriptions?: Map<string, Object>, jsonFormat?: JsonFormat}} options
+ *   Locale format, the key format with the `pathTemplate`, the metadata written as comments and the JSON output
+ *   format, see {@link writeLanguages}.
+ * @returns {Promise<void>} Resolves after the files are written.
+ * @throws {Error} When another locale format than JSON is requested.
+ * @internal
+ */
+async function writeTemplateFiles(
+  io,
+  targetPath,
+  languages,
+  translationsByLanguage,
+  options,
+) {
+  const {
+    localeFormat = 'json',
+    keyFormat,
+    descriptions,
+    jsonFormat,
+  } = options;
+  if (localeFormat !== 'json') {
+    throw new Error('Path templates support JSON locale files only');
+  }
+  const template = compilePathTemplate(keyFormat.pathTemplate);
+  for (const lang of languages) {
+    validateLanguageCode(lang);
+    const data = translationsByLanguage[lang];
+    for (const file of splitTemplateFiles(lang, data, keyFormat)) {
+      const filePath = safeJoinWithin(targetPath, file.path);
+      const { ns } = template.match(file.path);
+      await io.ensureDirectoryExists(io.dirname(filePath));
+      await writeLocaleFile(io, filePath, file.data, {
+        jsonFormat,
+        describe: describeByPath(
+          descriptions,
+          keyFormat,
+          ns === undefined ? [] : [ns],
+        ),
+      });
+    }
+  }
+}
+
+/**
+ * Write per-language files to target path.
+ * Languages with an existing file keep its name and format; new files use `localeFormat`.
+ * With a `pathTemplate` every language is written as JSON namespace files of the template layout.
  * @param {IoAdapter} io IO abstraction.
  * @param {string} targetPath Target directory.
  * @param {string[]} languages Language codes.
  * @param {Object<string,Object>} translationsByLanguage Nested translations keyed by language.
+ * @param {{existingFiles?: Array<{name:string}>, localeFormat?: string, yamlRoot?: boolean, keyFormat?: KeyFormat,
+ *   descriptions?: Map<string, Object>, jsonFormat?: JsonFormat}} [options] Current language files, format of new files, whether new YAML
+ *   files get a language root key, the key format and the metadata whose `description` fields are written as
+ *   `//` comments into JSON files (plain JSON without), and the output format of JSON files.
  * @returns {Promise<void>} Resolves after all files written.
+ * @throws {Error} For unknown formats, YAML or commented JSON files the adapter cannot write, or YAML with a path template.
  */
 export async function writeLanguages(
   io,
   targetPath,
   languages,
   translationsByLanguage,
+  options = {},
 ) {
+  if (options.keyFormat?.pathTemplate !== undefined) {
+    await writeTemplateFiles(
+      io,
+      targetPath,
+      languages,
+      translationsByLanguage,
+      options,
+    );
+    return;
+  }
+  const {
+    existingFiles = [],
+    localeFormat = 'json',
+    yamlRoot = false,
+  } = options;
+  if (!LOCALE_FORMATS.includes(localeFormat)) {
+    throw new Error(
+      `Invalid locale format "${localeFormat}". Expected one of: ${LOCALE_FORMATS.join(', ')}`,
+    );
+  }
+  const existingNames = new Map(
+    existingFiles.map(({ name }) => [localeFileLanguage(name), name]),
+  );
   for (const lang of languages) {
     validateLanguageCode(lang);
-    const filePath = safeJoinWithin(targetPath, `${lang}.json`);
-    await io.writeJsonFile(filePath, translationsByLanguage[lang]);
+    const fileName =
+      existingNames.get(lang) ??
+      `${lang}${LOCALE_FILE_EXTENSIONS[localeFormat]}`;
+    await writeLocaleFile(
+      io,
+      safeJoinWithin(targetPath, fileName),
+      translationsByLanguage[lang],
+      {
+        yamlRoot,
+        jsonFormat: options.jsonFormat,
+        describe: describeByPath(options.descriptions, options.keyFormat),
+      },
+    );
+  }
+}
+
+/**
+ * Pick the key format from conversion options.
+ * @param {KeyFormat} opts Conversion options.
+ * @returns {KeyFormat} Key format.
+ */
+export function toKeyFormat(opts) {
+  return {
+    keySeparator: opts.keySeparator,
+    flatJson: opts.flatJson,
+    typed: opts.typed,
+    pathTemplate: opts.pathTemplate,
+  };
+}
+
+/**
+ * Read the JSON and YAML language files of a directory for export to a translation exchange format (XLIFF, PO).
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} sourcePath Directory containing the language files.
+ * @param {string} sourceLang Source language that must be present.
+ * @param {KeyFormat} keyFormat Key format of the JSON files.
+ * @returns {Promise<{translations: Map<string, Object<string,string>>, languages: string[]}>} Translation table.
+ * @throws {Error} When no JSON files are found or the source language is missing.
+ */
+export async function readSourceTable(io, sourcePath, sourceLang, keyFormat) {
+  await io.checkFileExists(sourcePath);
+  const files = await readLocaleFiles(io, sourcePath, keyFormat);
+  if (files.length === 0) {
+    throw new Error(`No JSON files found in directory: ${sourcePath}`);
+  }
+  const table = collectTranslations(files, keyFormat);
+  if (!table.languages.includes(sourceLang)) {
+    throw new Error(
+      `Source language "${sourceLang}" not found in: ${sourcePath}`,
+    );
+  }
+  return table;
+}
+
+/**
+ * Write the target values of an imported translation table into a nested language object.
+ * Keys without a target value are left untouched.
+ * @param {Object} data Language object, modified in place.
+ * @param {Map<string,Object<string,string>>} translations Imported translation table.
+ * @param {string} lang Target language.
+ * @param {KeyFormat} keyFormat Key format of the JSON files.
+ * @returns {Object} The updated language object.
+ * @internal
+ */
+function applyTargetValues(data, translations, lang, keyFormat) {
+  for (const [key, values] of translations) {
+    if (values[lang] === undefined) continue;
+    const value = keyFormat.typed
+      ? decodeTypedValue(values[lang], key)
+      : values[lang];
+    setNestedValue(data, keyToPath(key, keyFormat), value);
+  }
+  return data;
+}
+
+/**
+ * Write translation tables imported from an exchange format into the existing language files.
+ * Every table holds one source and one target language, or only the target language for formats
+ * with one file per language; only target values are written.
+ * Duplicates and the translation report are handled as for Excel imports, and comments of the existing
+ * JSONC / JSON5 files are kept.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} targetPath Directory of the language files.
+ * @param {Array<{translations: Map<string,Object<string,string>>, languages: string[], duplicates: string[]}>} tables
+ *   Imported tables; `languages` is `[sourceLang, targetLang]` or `[targetLang]`.
+ * @param {{origin: string, failOnDuplicates?: boolean, report?: boolean, dryRun?: boolean, keyFormat: KeyFormat,
+ *   localeFormat?: string, yamlRoot?: boolean, jsonFormat?: JsonFormat}} options `origin` names the format in
+ *   duplicate messages; `localeFormat` and `yamlRoot` apply to new language files, see {@link writeLanguages}.
+ * @param {Reporter} reporter Reporter for warnings and reports.
+ * @returns {Promise<void>} Resolves after all files are written.
+ */
+export async function importTranslationTables(
+  io,
+  targetPath,
+  tables,
+  options,
+  reporter,
+) {
+  const {
+    origin,
+    failOnDuplicates = false,
+    report = true,
+    keyFormat,
+  } = options;
+  const existingFiles = await readExistingFiles(io, targetPath, keyFormat);
+  const output = Object.fromEntries(
+    existingFiles.map(({ name, data }) => [localeFileLanguage(name), data]),
+  );
+  const languages = new Set();
+  for (const { translations, languages: pair, duplicates } of tables) {
+    const targetLang = pair.at(-1);
+    validateLanguageCode(targetLang);
+    handleDuplicates(duplicates, failOnDuplicates, reporter, origin);
+    maybeReport(translations, pair, reporter, report);
+    output[targetLang] = applyTargetValues(
+      output[targetLang] ?? {},
+      translations,
+      targetLang,
+      keyFormat,
+    );
+    languages.add(targetLang);
   }
+  if (options.dryRun) return;
+  // Comments of JSONC / JSON5 files are written back; files without comments stay plain JSON.
+  const comments = addCommentDescriptions(new Map(), existingFiles, keyFormat);
+  await io.ensureDirectoryExists(targetPath);
+  await writeLanguages(io, targetPath, [...languages], output, {
+    existingFiles,
+    localeFormat: options.localeFormat,
+    yamlRoot: options.yamlRoot,
+    jsonFormat: options.jsonFormat,
+    keyFormat,
+    descriptions: comments.size > 0 ? comments : undefined,
+  });
 }
@@ -7,20 +7,60 @@
  * @typedef {import('../types.js').Reporter} Reporter
  * @typedef {import('../types.js').ConvertToExcelOptions} ConvertToExcelOptions
  * @typedef {import('../types.js').ConvertToJsonOptions} ConvertToJsonOptions
+ * @typedef {import('../types.js').KeyFormat} KeyFormat
+ * @typedef {import('../types.js').JsonFormat} JsonFormat
  */
 
+import { resolveDelimiter } from '../core/csv/delimitedText.js';
+import { readBaseSnapshot } from '../core/excel/baseSnapshot.js';
+import { readNamespaceIndex } from '../core/excel/namespaceSheets.js';
+import { isPartialExport } from '../core/excel/partialExport.js';
 import { readTranslationsFromWorksheet } from '../core/excel/sheetRead.js';
+import { readSourceIndex } from '../core/excel/sourceSheets.js';
+import { applyKeyOrder } from '../core/json/keyOrder.js';
+import {
+  findKeyCollisions,
+  resolveKeySeparator,
+} from '../core/json/structure.js';
 import { generateDefaultLanguageMap } from '../core/languages/mapping.js';
+import { selectDeltaTranslations } from '../core/model/delta.js';
+import { localeFileLanguage } from '../core/model/localeFiles.js';
+import {
+  findMaxLengthViolations,
+  resolveMaxLengths,
+} from '../core/model/maxLength.js';
+import { mergeTranslations } from '../core/model/merge.js';
+import {
+  addCommentDescriptions,
+  applySheetMetadata,
+  metadataFieldFromHeader,
+} from '../core/model/metadata.js';
+import { safeJoinWithin } from '../io/paths.js';
 import { consoleReporter as defaultConsoleReporter } from '../reporters/console.js';
 
 import {
+  assertDelimitedExport,
   collectTranslations,
+  entriesForNamespace,
   handleDuplicates,
+  handleKeyChanges,
+  handleKeyCollisions,
+  handleMaxLengthViolations,
+  handleMergeConflicts,
+  loadPreviousSource,
+  loadSourceWorkbook,
   maybeReport,
   readAllWorksheets,
+  readExistingFiles,
+  readLocaleFiles,
+  readLocaleMetadata,
+  readMetadata,
+  readSourceDirectories,
   readWorksheet,
+  writeDelimited,
   writeExcel,
   writeLanguages,
+  writeMetadata,
 } from './convert.helpers.js';
 
 /**
@@ -37,11 +77,137 @@ function resolveReporter(deps) {
 }
 
 /**
- * Converts JSON localization files to an Excel workbook.
+ * Select the translations to export, applying the delta filters when requested.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} sourcePath Directory containing the language JSON files.
+ * @param {{translations: Map<string,Object<string,string>>, languages: string[]}} table Full translation table.
+ * @param {{onlyMissing?:boolean, since?:string, sourceLang:string, keyFormat?:KeyFormat}} delta Delta export options.
+ * @returns {Promise<{translations: Map<string,Object<string,string>>, partial?: string}>}
+ *   Translations to export and, for delta exports, a description of the applied filter.
+ */
+async function selectExport(io, sourcePath, table, delta) {
+  const { onlyMissing, since, sourceLang, keyFormat } = delta;
+  if (!onlyMissing && since === undefined) {
+    return { translations: table.translations };
+  }
+  const previousSource =
+    since === undefined
+      ? undefined
+      : await loadPreviousSource(io, since, sourcePath, sourceLang, keyFormat);
+  const filters = [];
+  if (onlyMissing) filters.push('only missing');
+  if (since !== undefined) filters.push(`changed since ${since}`);
+  return {
+    translations: selectDeltaTranslations(table.translations, table.languages, {
+      onlyMissing,
+      previousSource,
+      sourceLang,
+    }),
+    partial: filters.join(', '),
+  };
+}
+
+/**
+ * Normalize options for convertToExcelApp with defaults applied.
+ * @param {ConvertToExcelOptions} opts Raw options.
+ * @returns {{sheetName:string,dryRun:boolean,languageMap:Object,report:boolean,metadataColumns:string[],splitBy:string|undefined,highlight:boolean,maxLengths:Object<string,number>|undefined,summary:boolean,sourceLang:string,onlyMissing:boolean|undefined,since:string|undefined,protect:boolean|undefined,protectPassword:string|undefined,emptyMarker:string|undefined,glob:boolean,keyFormat:KeyFormat}}
+ */
+function normalizeExcelOpts(opts = {}) {
+  return {
+    sheetName: opts.sheetName ?? 'Translations',
+    dryRun: opts.dryRun ?? false,
+    languageMap: opts.languageMap ?? {},
+    report: opts.report ?? true,
+    metadataColumns: opts.metadataColumns ?? [],
+    splitBy: opts.splitBy,
+    highlight: opts.highlight ?? false,
+    maxLengths: opts.maxLengths,
+    summary: opts.summary ?? false,
+    sourceLang: opts.sourceLang ?? 'en',
+    onlyMissing: opts.onlyMissing,
+    since: opts.since,
+    protect: opts.protect,
+    protectPassword: opts.protectPassword,
+    emptyMarker: opts.emptyMarker,
+    glob: Boolean(opts.glob),
+    keyFormat: {
+      keySeparator: opts.keySeparator,
+      flatJson: opts.flatJson,
+      typed: opts.typed,
+      pathTemplate: opts.pathTemplate,
+    },
+  };
+}
+
+/**
+ * Assert that a multi-directory export uses no option relying on a single directory.
+ * @param {{glob:boolean, splitBy?:string, since?:string}} options Export options.
+ * @returns {void}
+ * @throws {Error} When `splitBy` or `since` is combined with `glob`.
+ */
+function assertGlobExport({ glob, splitBy, since }) {
+  if (!glob) return;
+  if (splitBy !== undefined) {
+    throw new Error(
+      'splitBy cannot be combined with glob: every locale directory gets its own worksheet',
+    );
+  }
+  if (since !== undefined) {
+    throw new Error('since cannot be combined with glob');
+  }
+}
+
+/**
+ * Read the translation table and metadata of the export input: one locale directory, or every
+ * directory matching a glob.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} sourcePath Locale directory, or glob pattern of locale directories.
+ * @param {{glob:boolean, keyFormat:KeyFormat, sourceLang:string}} options Input mode, key format and the
+ *   language whose comments are preferred as descriptions.
+ * @returns {Promise<{table: {translations: Map<string,Object<string,string>>, languages: string[]}, metadata: Map<string,Object>, commented: boolean, sources?: Map<string,string>}>}
+ *   Translation table, metadata, whether any language file has comments and, for globs, the key prefix → directory index.
+ * @throws {Error} When no language files are found.
+ */
+async function readExportSource(io, sourcePath, options) {
+  const { glob, keyFormat } = options;
+  if (glob) return readSourceDirectories(io, sourcePath, options);
+  await io.checkFileExists(sourcePath);
+  const files = await readLocaleFiles(io, sourcePath, keyFormat);
+  if (files.length === 0) {
+    throw new Error(`No JSON files found in directory: ${sourcePath}`);
+  }
+  return {
+    table: collectTranslations(files, keyFormat),
+    metadata: await readLocaleMetadata(io, sourcePath, files, options),
+    commented: files.some(({ comments }) => comments),
+  };
+}
+
+/**
+ * Metadata columns of an export: comments of the language files are shown in a `Description`
+ * column, added when not requested.
+ * @param {string[]} metadataColumns Requested metadata column headers.
+ * @param {boolean} commented Whether any language file has comments.
+ * @returns {string[]} Metadata column headers to write.
+ */
+function withCommentColumn(metadataColumns, commented) {
+  const listed = metadataColumns.some(
+    (header) => metadataFieldFromHeader(header) === 'description',
+  );
+  return commented && !listed
+    ? ['Description', ...metadataColumns]
+    : metadataColumns;
+}
+
+/**
+ * Converts JSON localization files to an Excel workbook, or to a CSV / TSV file when
+ * `targetFile` ends with `.csv` / `.tsv`. Delimited files hold the plain translation worksheet only.
+ * With `glob`, every locale directory matching `sourcePath` is exported to its own worksheet.
  *
  * @param {IoAdapter} io Abstraction layer for filesystem & Excel I/O.
- * @param {string} sourcePath Directory containing one or more language JSON files.
- * @param {string} targetFile Output Excel file path.
+ * @param {string} sourcePath Directory containing one or more language JSON files, or a glob of such
+ *   directories with `glob`.
+ * @param {string} targetFile Output `.xlsx`, `.ods`, `.csv` or `.tsv` file path.
  * @param {ConvertToExcelOptions} [opts] Conversion options.
  * @param {Reporter|{reporter?: Reporter}} [deps] Injectable dependencies.
  *   Accepts a reporter object directly (legacy) or `{ reporter }` object (new style).
@@ -56,18 +222,51 @@ export async function convertToExcelApp(
 ) {
   const reporter = resolveReporter(deps);
   const {
-    sheetName = 'Translations',
-    dryRun = false,
-    languageMap = {},
-    report = true,
-  } = opts;
+    sheetName,
+    dryRun,
+    languageMap,
+    report,
+    metadataColumns,
+    splitBy,
+    highlight,
+    maxLengths,
+    summary,
+    sourceLang,
+    onlyMissing,
+    since,
+    protect,
+    protectPassword,
+    emptyMarker,
+    glob,
+    keyFormat,
+  } = normalizeExcelOpts(opts);
+  assertDelimitedExport(targetFile, {
+    glob,
+    splitBy,
+    highlight,
+    summary,
+    protect,
+    onlyMissing,
+    since,
+  });
+  assertGlobExport({ glob, splitBy, since });
 
-  await io.checkFileExists(sourcePath);
-  const files = await io.readDirJsonFiles(sourcePath);
-  if (files.length === 0) {
-    throw new Error(`No JSON files found in directory: ${sourcePath}`);
+  const { table, metadata, commented, sources } = await readExportSource(
+    io,
+    sourcePath,
+    { glob, keyFormat, sourceLang },
+  );
+  const columns = withCommentColumn(metadataColumns, commented);
+  const { languages } = table;
+  const { translations, partial } = await selectExport(io, sourcePath, table, {
+    onlyMissing,
+    since,
+    sourceLang,
+    keyFormat,
+  });
+  if (partial && translations.size === 0) {
+    reporter.warn(`No keys match the delta export filter (${partial})`);
   }
-  const { translations, languages } = collectTranslations(files);
 
   const effectiveLanguageMap =
     Object.keys(languageMap).length > 0
@@ -78,30 +277,70 @@ export async function convertToExcelApp(
     maybeReport(translations, languages, reporter, report);
     return;
   }
+  if (resolveDelimiter(targetFile) !== undefined) {
+    await writeDelimited(io, targetFile, {
+      sheetName,
+      translations,
+      languages,
+      languageMap: effectiveLanguageMap,
+      metadataColumns: columns,
+      metadata,
+      emptyMarker,
+    });
+    return;
+  }
   await writeExcel(io, targetFile, {
     sheetName,
     translations,
     languages,
     languageMap: effectiveLanguageMap,
+    metadataColumns: columns,
+    metadata,
+    maxLengths: resolveMaxLengths(maxLengths, metadata),
+    splitBy: sources ? 'namespace' : splitBy,
+    highlight,
+    summary,
+    sourceLang,
+    partial,
+    protection: protect ? { sourceLang, password: protectPassword } : undefined,
+    emptyMarker,
+    keySeparator: keyFormat.keySeparator,
+    sources,
+    snapshot: table.translations,
   });
 }
 
 /**
  * Read and merge translations from every worksheet in a workbook.
- * @param {IoAdapter} io IO abstraction.
- * @param {string} sourceFile Path to Excel workbook.
+ * Worksheets created with `splitBy: 'namespace'` are reassembled using their key prefix.
+ * @param {Object} workbook Loaded ExcelJS workbook.
  * @param {Object} languageMap Language code → display name map.
- * @returns {Promise<{languages: string[], translationsByLanguage: Object, duplicates: string[]}>}
+ * @param {{metadataColumns?: string[], markupKeys?: string[], emptyMarker?: string} & KeyFormat} readOptions Worksheet read options.
+ * @returns {{languages: string[], translationsByLanguage: Object, keys: string[], duplicates: string[], collisions: string[], metadata: Map<string, Object>, metadataFields: string[]}}
+ *   Collisions are detected across worksheets.
  */
-async function mergeAllSheets(io, sourceFile, languageMap) {
-  const sheets = await readAllWorksheets(io, sourceFile);
+function mergeAllSheets(workbook, languageMap, readOptions) {
+  const sheets = readAllWorksheets(workbook);
+  const prefixes = readNamespaceIndex(workbook) ?? new Map();
   const mergedByLanguage = {};
   const allLanguages = new Set();
+  const allKeys = [];
   const allDuplicates = [];
+  const allMetadata = new Map();
+  const allMetadataFields = new Set();
 
   for (const ws of sheets) {
-    const { languages, translationsByLanguage, duplicates } =
-      readTranslationsFromWorksheet(ws, languageMap);
+    const {
+      languages,
+      translationsByLanguage,
+      keys,
+      duplicates,
+      metadata,
+      metadataFields,
+    } = readTranslationsFromWorksheet(ws, languageMap, {
+      ...readOptions,
+      keyPrefix: prefixes.get(ws.name),
+    });
     for (const lang of languages) {
       allLanguages.add(lang);
       mergedByLanguage[lang] = {
@@ -109,20 +348,71 @@ async function mergeAllSheets(io, sourceFile, languageMap) {
         ...translationsByLanguage[lang],
       };
     }
+    allKeys.push(...keys);
     allDuplicates.push(...duplicates);
+    for (const [key, fields] of metadata) allMetadata.set(key, fields);
+    for (const field of metadataFields) allMetadataFields.add(field);
   }
 
   return {
     languages: [...allLanguages],
     translationsByLanguage: mergedByLanguage,
+    keys: allKeys,
     duplicates: allDuplicates,
+    collisions: findKeyCollisions(allKeys, readOptions),
+    metadata: allMetadata,
+    metadataFields: [...allMetadataFields],
   };
 }
 
+/**
+ * Three-way merge sheet translations into the JSON files already present in the target directory.
+ * The workbook's export snapshot, when available, serves as the common ancestor.
+ * @param {Array<{name:string,data:Object}>} existingFiles JSON files currently in the target directory.
+ * @param {Map<string,Object<string,string>>|undefined} base Export snapshot of the workbook.
+ * @param {{languages: string[], translationsByLanguage: Object, keyFormat: KeyFormat}} sheetData Translations
+ *   read from the sheet and the key format of the JSON files.
+ * @param {Reporter} reporter Reporter for conflict warnings.
+ * @returns {Object<string,Object>} Merged nested translations keyed by language.
+ */
+function mergeWithExisting(existingFiles, base, sheetData, reporter) {
+  const { translations: current } = collectTranslations(
+    existingFiles,
+    sheetData.keyFormat,
+  );
+  const { translationsByLanguage, conflicts } = mergeTranslations({
+    ...sheetData,
+    current,
+    base,
+  });
+  handleMergeConflicts(conflicts, reporter);
+  return translationsByLanguage;
+}
+
+/**
+ * Apply the configured key order to every language object.
+ * @param {string[]} languages Language codes.
+ * @param {Object<string,Object>} byLanguage Nested translations keyed by language.
+ * @param {string} keyOrder Key ordering mode.
+ * @param {Array<{name:string,data:Object}>} existingFiles JSON files used as order reference.
+ * @returns {Object<string,Object>} Ordered translations keyed by language.
+ */
+function orderLanguages(languages, byLanguage, keyOrder, existingFiles) {
+  const referenceByLanguage = Object.fromEntries(
+    existingFiles.map(({ name, data }) => [localeFileLanguage(name), data]),
+  );
+  return Object.fromEntries(
+    languages.map((lang) => [
+      lang,
+      applyKeyOrder(byLanguage[lang], keyOrder, referenceByLanguage[lang]),
+    ]),
+  );
+}
+
 /**
  * Normalize options for convertToJsonApp with defaults applied.
  * @param {ConvertToJsonOptions} opts Raw options.
- * @returns {{sheetName:string,dryRun:boolean,languageMap:Object,failOnDuplicates:boolean,allSheets:boolean}}
+ * @returns {{sheetName:string,dryRun:boolean,languageMap:Object,failOnDuplicates:boolean,allSheets:boolean,merge:boolean,keyOrder:string,metadataColumns:string[],maxLengths:Object<string,number>|undefined,strictKeys:boolean|undefined,markupKeys:string[]|undefined,emptyMarker:string|undefined,localeFormat:string|undefined,yamlRoot:boolean|undefined,jsonComments:boolean|undefined,jsonFormat:JsonFormat|undefined,keyFormat:KeyFormat}}
  */
 function normalizeJsonOpts(opts = {}) {
   return {
@@ -131,15 +421,182 @@ function normalizeJsonOpts(opts = {}) {
     languageMap: opts.languageMap ?? {},
     failOnDuplicates: opts.failOnDuplicates ?? false,
     allSheets: opts.allSheets ?? false,
+    merge: opts.merge ?? false,
+    keyOrder: opts.keyOrder ?? 'sheet-order',
+    metadataColumns: opts.metadataColumns ?? [],
+    maxLengths: opts.maxLengths,
+    strictKeys: opts.strictKeys,
+    markupKeys: opts.markupKeys,
+    emptyMarker: opts.emptyMarker,
+    localeFormat: opts.localeFormat,
+    yamlRoot: opts.yamlRoot,
+    jsonComments: opts.jsonComments,
+    jsonFormat: opts.jsonFormat,
+    keyFormat: {
+      keySeparator: opts.keySeparator,
+      flatJson: opts.flatJson,
+      typed: opts.typed,
+      pathTemplate: opts.pathTemplate,
+    },
   };
 }
 
+/**
+ * Write the imported language files and the metadata sidecar file.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} targetPath Output directory for JSON files.
+ * @param {{languages: string[], output: Object<string,Object>, existingFiles: Array<{name:string,data:Object}>, metadataFields: string[], knownMetadata: Map<string,Object>}} result
+ *   Ordered translations keyed by language, the current language files, the sheet metadata columns and
+ *   the sidecar metadata updated with the sheet's metadata cells.
+ * @param {{mergeMode:boolean, localeFormat?:string, yamlRoot?:boolean, jsonComments?:boolean, jsonFormat?:JsonFormat,
+ *   keyFormat:KeyFormat}} options Write options.
+ * @returns {Promise<void>}
+ */
+async function writeImportedFiles(io, targetPath, result, options) {
+  const { languages, output, existingFiles, metadataFields } = result;
+  await io.ensureDirectoryExists(targetPath);
+  await writeLanguages(io, targetPath, languages, output, {
+    existingFiles,
+    localeFormat: options.localeFormat,
+    yamlRoot: options.yamlRoot,
+    jsonFormat: options.jsonFormat,
+    keyFormat: options.keyFormat,
+    // Comments of the current files are kept for keys without a description.
+    descriptions: options.jsonComments
+      ? addCommentDescriptions(
+          result.knownMetadata,
+          existingFiles,
+          options.keyFormat,
+        )
+      : undefined,
+  });
+  if (metadataFields.length > 0) {
+    await writeMetadata(
+      io,
+      targetPath,
+      result.knownMetadata,
+      options.jsonFormat,
+    );
+  }
+}
+
+/**
+ * Check the translations read from a workbook against the target directory and write them:
+ * duplicates, key changes and length limits are reported, then the translations replace or are
+ * merged into the language files.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} targetPath Output directory for JSON files.
+ * @param {ReturnType<typeof readTranslationsFromWorksheet>} sheetData Translations read from the workbook.
+ * @param {ReturnType<typeof normalizeJsonOpts> & {mergeMode:boolean, base?:Map<string,Object<string,string>>}} options
+ *   Normalized import options, whether to merge and the export snapshot used as merge ancestor.
+ * @param {Reporter} reporter Reporter for warnings.
+ * @returns {Promise<void>}
+ */
+async function writeSheetData(io, targetPath, sheetData, options, reporter) {
+  const {
+    languages,
+    translationsByLanguage,
+    keys,
+    duplicates,
+    collisions,
+    metadata,
+  } = sheetData;
+  const { failOnDuplicates, mergeMode, keyFormat } = options;
+  handleDuplicates(duplicates, failOnDuplicates, reporter);
+  handleKeyCollisions(collisions, failOnDuplicates, reporter);
+  const existingFiles = await readExistingFiles(io, targetPath, keyFormat);
+  handleKeyChanges(
+    keys,
+    existingFiles,
+    { strictKeys: options.strictKeys, merge: mergeMode, ...keyFormat },
+    reporter,
+  );
+  const knownMetadata = applySheetMetadata(
+    await readMetadata(io, targetPath),
+    metadata,
+    keys,
+    sheetData.metadataFields,
+  );
+  handleMaxLengthViolations(
+    findMaxLengthViolations(
+      translationsByLanguage,
+      resolveMaxLengths(options.maxLengths, knownMetadata),
+      keyFormat,
+    ),
+    reporter,
+  );
+
+  const merged = mergeMode
+    ? mergeWithExisting(
+        existingFiles,
+        options.base,
+        { languages, translationsByLanguage, keyFormat },
+        reporter,
+      )
+    : translationsByLanguage;
+  const output = orderLanguages(
+    languages,
+    merged,
+    options.keyOrder,
+    existingFiles,
+  );
+
+  if (!options.dryRun) {
+    await writeImportedFiles(
+      io,
+      targetPath,
+      { ...sheetData, output, existingFiles, knownMetadata },
+      options,
+    );
+  }
+}
+
+/**
+ * Import a workbook exported from several locale directories: every worksheet is written to the
+ * directory it was exported from, resolved within `targetPath`.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {Object} workbook Loaded ExcelJS workbook.
+ * @param {string} targetPath Directory the source directories are resolved against.
+ * @param {ReturnType<typeof normalizeJsonOpts> & {mergeMode:boolean, readOptions:Object, sources:Map<string,string>}} options
+ *   Normalized import options, worksheet read options and the key prefix → directory index.
+ * @param {Reporter} reporter Reporter for warnings.
+ * @returns {Promise<void>}
+ * @throws {Error} When a worksheet has no source directory.
+ */
+async function importSourceSheets(io, workbook, targetPath, options, reporter) {
+  const prefixes = readNamespaceIndex(workbook) ?? new Map();
+  const snapshot = readBaseSnapshot(workbook);
+  const separator = resolveKeySeparator(options.keyFormat);
+  for (const ws of readAllWorksheets(workbook)) {
+    const prefix = prefixes.get(ws.name);
+    const dir = options.sources.get(prefix);
+    if (dir === undefined) {
+      throw new Error(`Worksheet "${ws.name}" has no source directory`);
+    }
+    await writeSheetData(
+      io,
+      safeJoinWithin(targetPath, dir),
+      readTranslationsFromWorksheet(
+        ws,
+        options.languageMap,
+        options.readOptions,
+      ),
+      {
+        ...options,
+        base: snapshot && entriesForNamespace(snapshot, prefix, separator),
+      },
+      reporter,
+    );
+  }
+}
+
 /**
  * Converts an Excel workbook to JSON localization files.
  *
  * @param {IoAdapter} io Abstraction layer for filesystem & Excel I/O.
- * @param {string} sourceFile Path to Excel workbook.
- * @param {string} targetPath Output directory for JSON files.
+ * @param {string} sourceFile Path to the Excel workbook, or a `.csv` / `.tsv` file in the same layout.
+ * @param {string} targetPath Output directory for JSON files. Workbooks exported with `glob` write every
+ *   worksheet to its source directory, resolved within this directory.
  * @param {ConvertToJsonOptions} [opts] Conversion options.
  * @param {Reporter|{reporter?: Reporter}} [deps] Injectable dependencies.
  *   Accepts a reporter object directly (legacy) or `{ reporter }` object (new style).
@@ -147,23 +604,54 @@ function normalizeJsonOpts(opts = {}) {
  */
 export async function convertToJsonApp(io, sourceFile, targetPath, opts, deps) {
   const effectiveReporter = resolveReporter(deps);
-
-  const { sheetName, dryRun, languageMap, failOnDuplicates, allSheets } =
-    normalizeJsonOpts(opts);
+  const options = normalizeJsonOpts(opts);
+  const {
+    sheetName,
+    languageMap,
+    allSheets,
+    merge,
+    metadataColumns,
+    markupKeys,
+    emptyMarker,
+    keyFormat,
+  } = options;
 
   await io.checkFileExists(sourceFile);
 
-  const { languages, translationsByLanguage, duplicates } = allSheets
-    ? await mergeAllSheets(io, sourceFile, languageMap)
-    : readTranslationsFromWorksheet(
-        await readWorksheet(io, sourceFile, sheetName),
-        languageMap,
-      );
-
-  handleDuplicates(duplicates, failOnDuplicates, effectiveReporter);
-
-  if (!dryRun) {
-    await io.ensureDirectoryExists(targetPath);
-    await writeLanguages(io, targetPath, languages, translationsByLanguage);
+  const workbook = await loadSourceWorkbook(io, sourceFile, sheetName);
+  // Delta workbooks hold only a subset of keys and must never replace the JSON files.
+  const mergeMode = merge || isPartialExport(workbook);
+  const readOptions = {
+    metadataColumns,
+    markupKeys,
+    emptyMarker,
+    ...keyFormat,
+  };
+  const sources = readSourceIndex(workbook);
+  if (sources) {
+    await importSourceSheets(
+      io,
+      workbook,
+      targetPath,
+      { ...options, mergeMode, readOptions, sources },
+      effectiveReporter,
+    );
+    return;
   }
+  // Workbooks split by namespace are always reassembled, as one worksheet holds only part of the keys.
+  const sheetData =
+    allSheets || readNamespaceIndex(workbook)
+      ? mergeAllSheets(workbook, languageMap, readOptions)
+      : readTranslationsFromWorksheet(
+          readWorksheet(workbook, sheetName),
+          languageMap,
+          readOptions,
+        );
+  await writeSheetData(
+    io,
+    targetPath,
+    sheetData,
+    { ...options, mergeMode, base: readBaseSnapshot(workbook) },
+    effectiveReporter,
+  );
 }
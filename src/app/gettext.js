@@ -0,0 +1,157 @@
+/**
+ * @module app/gettext
+ * Application-level orchestrators converting between JSON localization files and gettext
+ * PO files: a `messages.pot` template plus one `<lang>.po` file per target language.
+ * @typedef {import('../types.js').IoAdapter} IoAdapter
+ * @typedef {import('../types.js').Reporter} Reporter
+ * @typedef {import('../types.js').ConvertToPoOptions} ConvertToPoOptions
+ * @typedef {import('../types.js').ConvertFromPoOptions} ConvertFromPoOptions
+ * @typedef {import('../types.js').KeyFormat} KeyFormat
+ */
+
+import {
+  buildTranslationTableFromPo,
+  parsePoDocument,
+} from '../core/gettext/poRead.js';
+import {
+  POT_FILE_NAME,
+  buildPoEntries,
+  createPoDocument,
+} from '../core/gettext/poWrite.js';
+import { validateLanguageCode } from '../core/validation.js';
+import { safeJoinWithin } from '../io/paths.js';
+import { consoleReporter } from '../reporters/console.js';
+
+import {
+  importTranslationTables,
+  maybeReport,
+  readMetadata,
+  readSourceTable,
+  toKeyFormat,
+} from './convert.helpers.js';
+
+/**
+ * File extensions read as PO files from an input directory. Templates (`.pot`) hold no translations.
+ * @constant {string[]}
+ */
+export const PO_EXTENSIONS = ['.po'];
+
+/**
+ * Converts JSON localization files to gettext files: `messages.pot` and one `<lang>.po` per target language.
+ * Descriptions from the `_meta.json` sidecar become extracted comments and context becomes translator comments;
+ * keys with status `fuzzy` are flagged.
+ *
+ * @param {IoAdapter} io Abstraction layer for filesystem I/O; requires `writeTextFile`.
+ * @param {string} sourcePath Directory containing the language JSON files.
+ * @param {string} targetDir Output directory for the PO files.
+ * @param {ConvertToPoOptions} [opts] Conversion options.
+ * @param {{reporter?: Reporter}} [deps] Injectable dependencies.
+ * @returns {Promise<void>}
+ * @throws {Error} When the source language is missing or no JSON files are found.
+ */
+export async function convertToPoApp(
+  io,
+  sourcePath,
+  targetDir,
+  opts = {},
+  deps = {},
+) {
+  const sourceLang = opts.sourceLang ?? 'en';
+  const { translations, languages } = await readSourceTable(
+    io,
+    sourcePath,
+    sourceLang,
+    toKeyFormat(opts),
+  );
+
+  if (opts.dryRun) {
+    const reporter = deps.reporter ?? consoleReporter;
+    maybeReport(translations, languages, reporter, opts.report ?? true);
+    return;
+  }
+  const metadata = await readMetadata(io, sourcePath);
+  await io.ensureDirectoryExists(targetDir);
+  await io.writeTextFile(
+    safeJoinWithin(targetDir, POT_FILE_NAME),
+    createPoDocument({
+      entries: buildPoEntries(translations, sourceLang, undefined, metadata),
+    }),
+  );
+  for (const language of languages.filter((lang) => lang !== sourceLang)) {
+    validateLanguageCode(language);
+    await io.writeTextFile(
+      safeJoinWithin(targetDir, `${language}.po`),
+      createPoDocument({
+        language,
+        entries: buildPoEntries(translations, sourceLang, language, metadata),
+      }),
+    );
+  }
+}
+
+/**
+ * Read the PO files of a file or directory into translation tables.
+ * The language is taken from the `Language` header, falling back to the file name.
+ * @param {IoAdapter} io IO abstraction; requires `readTextFiles`.
+ * @param {string} inputPath PO file or directory.
+ * @param {string} sourceLang Language of the `msgid` texts.
+ * @returns {Promise<Array<ReturnType<typeof buildTranslationTableFromPo>>>} One table per file.
+ * @throws {Error} When no file is found or a file is invalid.
+ * @internal
+ */
+async function readPoTables(io, inputPath, sourceLang) {
+  const files = await io.readTextFiles(inputPath, PO_EXTENSIONS);
+  if (files.length === 0) {
+    throw new Error(`No PO files found in: ${inputPath}`);
+  }
+  return files.map(({ name, content }) => {
+    let document;
+    try {
+      document = parsePoDocument(content);
+    } catch (error) {
+      throw new Error(`${error.message} (${name})`);
+    }
+    const language = document.language ?? name.replace(/\.po$/i, '');
+    return buildTranslationTableFromPo(document.entries, sourceLang, language);
+  });
+}
+
+/**
+ * Converts gettext PO files back into nested JSON localization files.
+ * Translations are written into the existing target language files; fuzzy and untranslated
+ * entries leave the current value untouched. Source texts are not written.
+ *
+ * @param {IoAdapter} io Abstraction layer for filesystem I/O; requires `readTextFiles`.
+ * @param {string} inputPath PO file or directory of `.po` files.
+ * @param {string} targetPath Output directory for JSON files.
+ * @param {ConvertFromPoOptions} [opts] Conversion options.
+ * @param {{reporter?: Reporter}} [deps] Injectable dependencies.
+ * @returns {Promise<void>}
+ * @throws {Error} On invalid files, or duplicate keys when `failOnDuplicates` is set.
+ */
+export async function convertFromPoApp(
+  io,
+  inputPath,
+  targetPath,
+  opts = {},
+  deps = {},
+) {
+  await io.checkFileExists(inputPath);
+  const tables = await readPoTables(io, inputPath, opts.sourceLang ?? 'en');
+  await importTranslationTables(
+    io,
+    targetPath,
+    tables,
+    {
+      origin: 'PO',
+      failOnDuplicates: opts.failOnDuplicates,
+      report: opts.report,
+      dryRun: opts.dryRun,
+      keyFormat: toKeyFormat(opts),
+      localeFormat: opts.localeFormat,
+      yamlRoot: opts.yamlRoot,
+      jsonFormat: opts.jsonFormat,
+    },
+    deps.reporter ?? consoleReporter,
+  );
+}
@@ -0,0 +1,269 @@
+/**
+ * @module app/platform
+ * Application-level orchestrators converting between JSON localization files and platform string files:
+ * Android `values-<lang>/strings.xml`, iOS `<lang>.lproj/Localizable.strings` and Java `messages_<lang>.properties`.
+ * @typedef {import('../types.js').IoAdapter} IoAdapter
+ * @typedef {import('../types.js').Reporter} Reporter
+ * @typedef {import('../types.js').PlatformFormat} PlatformFormat
+ * @typedef {import('../types.js').ConvertToPlatformOptions} ConvertToPlatformOptions
+ * @typedef {import('../types.js').ConvertFromPlatformOptions} ConvertFromPlatformOptions
+ */
+
+import {
+  PLATFORMS,
+  PLATFORM_FORMATS,
+  buildPlatformEntries,
+  buildTranslationTableFromPlatform,
+  mapPlatformKeys,
+} from '../core/platform/platforms.js';
+import { validateLanguageCode } from '../core/validation.js';
+import { safeJoinWithin } from '../io/paths.js';
+import { consoleReporter } from '../reporters/console.js';
+
+import {
+  collectTranslations,
+  importTranslationTables,
+  maybeReport,
+  readExistingFiles,
+  readSourceTable,
+  toKeyFormat,
+} from './convert.helpers.js';
+
+/**
+ * Look up a platform format by name.
+ * @param {string | undefined} platform Platform name.
+ * @returns {PlatformFormat} Platform format.
+ * @throws {Error} For unknown platforms.
+ * @internal
+ */
+function resolvePlatform(platform) {
+  if (!PLATFORMS.includes(platform)) {
+    throw new Error(
+      `Unknown platform "${platform}". Expected one of: ${PLATFORMS.join(', ')}`,
+    );
+  }
+  return PLATFORM_FORMATS[platform];
+}
+
+/**
+ * Report translation keys that could not be mapped to platform names and are left out of the files.
+ * @param {Array<{key: string, reason: string}>} unmapped Keys with the reason.
+ * @param {PlatformFormat} format Platform format.
+ * @param {Reporter} reporter Reporter for warning output.
+ * @returns {void}
+ * @internal
+ */
+function handleUnmappedKeys(unmapped, format, reporter) {
+  if (unmapped.length === 0) return;
+  const list = unmapped.map(({ key, reason }) => `${key} (${reason})`);
+  reporter.warn(
+    `Keys that could not be mapped to ${format.label} names: ${list.join(', ')}`,
+  );
+}
+
+/**
+ * Write one platform file, creating its directory.
+ * @param {IoAdapter} io IO abstraction.
+ * @param {string} targetDir Output directory.
+ * @param {string} relativePath File path within the output directory.
+ * @param {string} content File text.
+ * @returns {Promise<void>}
+ * @internal
+ */
+async function writePlatformFile(io, targetDir, relativePath, content) {
+  const filePath = safeJoinWithin(targetDir, relativePath);
+  await io.ensureDirectoryExists(io.dirname(filePath));
+  await io.writeTextFile(filePath, content);
+}
+
+/**
+ * Converts JSON localization files to platform string files, one file per language. The source
+ * language is also written to the platform's default file (`values/strings.xml`, `messages.properties`).
+ * Keys that cannot be mapped to platform names are reported and left out.
+ *
+ * @param {IoAdapter} io Abstraction layer for filesystem I/O; requires `writeTextFile`.
+ * @param {string} sourcePath Directory containing the language JSON files.
+ * @param {string} targetDir Output directory, e.g. an Android `res` directory.
+ * @param {ConvertToPlatformOptions} opts Conversion options.
+ * @param {{reporter?: Reporter}} [deps] Injectable dependencies.
+ * @returns {Promise<void>}
+ * @throws {Error} For unknown platforms, or when the source language is missing or no JSON files are found.
+ */
+export async function convertToPlatformApp(
+  io,
+  sourcePath,
+  targetDir,
+  opts,
+  deps = {},
+) {
+  const format = resolvePlatform(opts.platform);
+  const sourceLang = opts.sourceLang ?? 'en';
+  const reporter = deps.reporter ?? consoleReporter;
+  const { translations, languages } = await readSourceTable(
+    io,
+    sourcePath,
+    sourceLang,
+    toKeyFormat(opts),
+  );
+  const { names, unmapped } = mapPlatformKeys(translations.keys(), format);
+  handleUnmappedKeys(unmapped, format, reporter);
+
+  if (opts.dryRun) {
+    maybeReport(translations, languages, reporter, opts.report ?? true);
+    return;
+  }
+  const render = (language) =>
+    format.render(buildPlatformEntries(translations, language, names));
+  for (const language of languages) {
+    validateLanguageCode(language);
+    await writePlatformFile(
+      io,
+      targetDir,
+      format.filePath(language),
+      render(language),
+    );
+  }
+  if (format.defaultFile) {
+    await writePlatformFile(
+      io,
+      targetDir,
+      format.defaultFile,
+      render(sourceLang),
+    );
+  }
+}
+
+/**
+ * Pick the platform files of the read files and assign their languages. The default file counts
+ * as the source language unless there is a file for it.
+ * @param {Array<{name: string, content: string}>} files Files read from the input.
+ * @param {PlatformFormat} format Platform format.
+ * @param {string} sourceLang Source language.
+ * @returns {Array<{name: string, content: string, language: string}>} Language files.
+ * @internal
+ */
+function selectLanguageFiles(files, format, sourceLang) {
+  const selected = files
+    .map((file) => ({ ...file, language: format.fileLanguage(file.name) }))
+    .filter(({ language }) => language !== undefined);
+  const fallback = files.find(({ name }) => name === format.defaultFile);
+  if (fallback && !selected.some(({ language }) => language === sourceLang)) {
+    selected.push({ ...fallback, language: sourceLang });
+  }
+  return selected;
+}
+
+/**
+ * Name a single input file by its parent directory as well when its file name has no language, as
+ * Android and iOS keep the language in the directory name (`values-de/strings.xml`).
+ * @param {IoAdapter} io IO abstraction; requires `dirname`.
+ * @param {string} inputPath Platform file or directory.
+ * @param {Array<{name: string, content: string}>} files Files read from the input.
+ * @param {PlatformFormat} format Platform format.
+ * @returns {Array<{name: string, content: string}>} Files with the directory in the input file name.
+ * @internal
+ */
+function nameInputFile(io, inputPath, files, format) {
+  const [file] = files;
+  const isInputFile =
+    files.length === 1 && inputPath.split(/[/\\]/).at(-1) === file.name;
+  if (!isInputFile || format.fileLanguage(file.name) !== undefined) {
+    return files;
+  }
+  const directory = io.dirname(inputPath).split(/[/\\]/).at(-1);
+  return [{ ...file, name: `${directory}/${file.name}` }];
+}
+
+/**
+ * Read the platform files of a file or directory into single-language translation tables.
+ * @param {IoAdapter} io IO abstraction; requires `readTextFiles` and `dirname`.
+ * @param {string} inputPath Platform file or directory, searched recursively.
+ * @param {PlatformFormat} format Platform format.
+ * @param {string} sourceLang Language of the default file.
+ * @param {Map<string, string>} keysByName Platform name -> translation key of the existing JSON files.
+ * @returns {Promise<Array<ReturnType<typeof buildTranslationTableFromPlatform>>>} One table per file.
+ * @throws {Error} When no file is found or a file is invalid.
+ * @internal
+ */
+async function readPlatformTables(
+  io,
+  inputPath,
+  format,
+  sourceLang,
+  keysByName,
+) {
+  const files = await io.readTextFiles(inputPath, format.extensions, {
+    recursive: true,
+  });
+  const selected = selectLanguageFiles(
+    nameInputFile(io, inputPath, files, format),
+    format,
+    sourceLang,
+  );
+  if (selected.length === 0) {
+    throw new Error(`No ${format.label} files found in: ${inputPath}`);
+  }
+  return selected.map(({ name, content, language }) => {
+    let entries;
+    try {
+      entries = format.parse(content);
+    } catch (error) {
+      throw new Error(`${error.message} (${name})`);
+    }
+    return buildTranslationTableFromPlatform(entries, language, keysByName);
+  });
+}
+
+/**
+ * Converts platform string files back into nested JSON localization files.
+ * Platform names are mapped back to the keys of the existing JSON files they were exported from
+ * (Android names are sanitized); other names become new keys.
+ *
+ * @param {IoAdapter} io Abstraction layer for filesystem I/O; requires `readTextFiles`.
+ * @param {string} inputPath Platform file or directory, e.g. an Android `res` directory.
+ * @param {string} targetPath Output directory for JSON files.
+ * @param {ConvertFromPlatformOptions} opts Conversion options.
+ * @param {{reporter?: Reporter}} [deps] Injectable dependencies.
+ * @returns {Promise<void>}
+ * @throws {Error} On unknown platforms or invalid files, or duplicate keys when `failOnDuplicates` is set.
+ */
+export async function convertFromPlatformApp(
+  io,
+  inputPath,
+  targetPath,
+  opts,
+  deps = {},
+) {
+  const format = resolvePlatform(opts.platform);
+  await io.checkFileExists(inputPath);
+  const keyFormat = toKeyFormat(opts);
+  const { translations } = collectTranslations(
+    await readExistingFiles(io, targetPath, keyFormat),
+    keyFormat,
+  );
+  const { names } = mapPlatformKeys(translations.keys(), format);
+  const keysByName = new Map([...names].map(([key, name]) => [name, key]));
+  const tables = await readPlatformTables(
+    io,
+    inputPath,
+    format,
+    opts.sourceLang ?? 'en',
+    keysByName,
+  );
+  await importTranslationTables(
+    io,
+    targetPath,
+    tables,
+    {
+      origin: format.label,
+      failOnDuplicates: opts.failOnDuplicates,
+      report: opts.report,
+      dryRun: opts.dryRun,
+      keyFormat,
+      localeFormat: opts.localeFormat,
+      yamlRoot: opts.yamlRoot,
+      jsonFormat: opts.jsonFormat,
+    },
+    deps.reporter ?? consoleReporter,
+  );
+}
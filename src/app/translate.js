@@ -4,6 +4,8 @@
  * @module app/translate
  */
 
+import { normalizeCellValue } from '../core/excel/cellValue.js';
+import { buildMetadataHeaderLookup } from '../core/model/metadata.js';
 import { assertNonEmptyString } from '../core/validation.js';
 import { GeminiProvider } from '../providers/index.js';
 
@@ -11,13 +13,13 @@ import { GeminiProvider } from '../providers/index.js';
 const HEADER_ROW_INDEX = 1;
 
 /**
- * Converts a value to a trimmed string, handling null/undefined.
+ * Converts a cell value to a trimmed string, handling null/undefined and
+ * ExcelJS rich text, formula and hyperlink values.
  * @param {unknown} value - Value to convert.
  * @returns {string} Trimmed string or empty string.
  * @private
  */
-const toTrimmedString = (value) =>
-  value === undefined || value === null ? '' : String(value).trim();
+const toTrimmedString = (value) => (normalizeCellValue(value) ?? '').trim();
 
 /**
  * Collects header information from a worksheet.
@@ -87,16 +89,21 @@ const resolveColumn = (headers, langCode, languageMap = {}) => {
 };
 
 /**
- * Finds target columns (all language columns except key and source).
+ * Finds target columns (all language columns except key, source and reserved metadata columns).
  * @param {Array<{header: string, colNumber: number}>} headers - Header objects.
  * @param {number} sourceColNumber - Source language column number.
  * @returns {Array<{header: string, colNumber: number}>} Target column objects.
  * @private
  */
-const findTargetColumns = (headers, sourceColNumber) =>
-  headers.filter(
-    ({ colNumber }) => colNumber !== 1 && colNumber !== sourceColNumber,
+const findTargetColumns = (headers, sourceColNumber) => {
+  const metadataLookup = buildMetadataHeaderLookup();
+  return headers.filter(
+    ({ header, colNumber }) =>
+      colNumber !== 1 &&
+      colNumber !== sourceColNumber &&
+      !metadataLookup.has(header.toLowerCase()),
   );
+};
 
 /**
  * Collects rows with missing translations for a target column.
@@ -0,0 +1,173 @@
+/**
+ * @module app/xliff
+ * Application-level orchestrators converting between JSON localization files and XLIFF 1.2 / 2.0
+ * documents, one document per target language.
+ * @typedef {import('../types.js').IoAdapter} IoAdapter
+ * @typedef {import('../types.js').Reporter} Reporter
+ * @typedef {import('../types.js').ConvertToXliffOptions} ConvertToXliffOptions
+ * @typedef {import('../types.js').ConvertFromXliffOptions} ConvertFromXliffOptions
+ * @typedef {import('../types.js').KeyFormat} KeyFormat
+ */
+
+import { validateLanguageCode } from '../core/validation.js';
+import {
+  buildTranslationTableFromXliff,
+  parseXliffDocument,
+} from '../core/xliff/xliffRead.js';
+import {
+  XLIFF_VERSIONS,
+  buildXliffUnits,
+  createXliffDocument,
+} from '../core/xliff/xliffWrite.js';
+import { safeJoinWithin } from '../io/paths.js';
+import { consoleReporter } from '../reporters/console.js';
+
+import {
+  importTranslationTables,
+  maybeReport,
+  readMetadata,
+  readSourceTable,
+  toKeyFormat,
+} from './convert.helpers.js';
+
+/**
+ * File extensions read as XLIFF documents from an input directory.
+ * @constant {string[]}
+ */
+export const XLIFF_EXTENSIONS = ['.xlf', '.xliff'];
+
+/**
+ * Normalize options for convertToXliffApp with defaults applied.
+ * @param {ConvertToXliffOptions} opts Raw options.
+ * @returns {{sourceLang:string,version:string,dryRun:boolean,report:boolean,keyFormat:KeyFormat}}
+ * @throws {Error} When the XLIFF version is not supported.
+ * @internal
+ */
+function normalizeToXliffOpts(opts) {
+  const version = opts.xliffVersion ?? '1.2';
+  if (!XLIFF_VERSIONS.includes(version)) {
+    throw new Error(
+      `Invalid XLIFF version "${version}". Expected one of: ${XLIFF_VERSIONS.join(', ')}`,
+    );
+  }
+  return {
+    sourceLang: opts.sourceLang ?? 'en',
+    version,
+    dryRun: opts.dryRun ?? false,
+    report: opts.report ?? true,
+    keyFormat: toKeyFormat(opts),
+  };
+}
+
+/**
+ * Converts JSON localization files to XLIFF documents, one `<lang>.xlf` per target language.
+ * Descriptions and context from the `_meta.json` sidecar are written as notes.
+ *
+ * @param {IoAdapter} io Abstraction layer for filesystem I/O; requires `writeTextFile`.
+ * @param {string} sourcePath Directory containing the language JSON files.
+ * @param {string} targetDir Output directory for the XLIFF documents.
+ * @param {ConvertToXliffOptions} [opts] Conversion options.
+ * @param {{reporter?: Reporter}} [deps] Injectable dependencies.
+ * @returns {Promise<void>}
+ * @throws {Error} When the version or source language is invalid or no JSON files are found.
+ */
+export async function convertToXliffApp(
+  io,
+  sourcePath,
+  targetDir,
+  opts = {},
+  deps = {},
+) {
+  const reporter = deps.reporter ?? consoleReporter;
+  const { sourceLang, version, dryRun, report, keyFormat } =
+    normalizeToXliffOpts(opts);
+
+  const { translations, languages } = await readSourceTable(
+    io,
+    sourcePath,
+    sourceLang,
+    keyFormat,
+  );
+
+  if (dryRun) {
+    maybeReport(translations, languages, reporter, report);
+    return;
+  }
+  const metadata = await readMetadata(io, sourcePath);
+  await io.ensureDirectoryExists(targetDir);
+  for (const targetLang of languages.filter((lang) => lang !== sourceLang)) {
+    validateLanguageCode(targetLang);
+    const units = buildXliffUnits(
+      translations,
+      sourceLang,
+      targetLang,
+      metadata,
+    );
+    await io.writeTextFile(
+      safeJoinWithin(targetDir, `${targetLang}.xlf`),
+      createXliffDocument({ version, sourceLang, targetLang, units }),
+    );
+  }
+}
+
+/**
+ * Read and parse the XLIFF documents of a file or directory.
+ * @param {IoAdapter} io IO abstraction; requires `readTextFiles`.
+ * @param {string} inputPath XLIFF file or directory.
+ * @returns {Promise<Array<ReturnType<typeof parseXliffDocument>>>} Parsed documents.
+ * @throws {Error} When no document is found or a document is invalid.
+ * @internal
+ */
+async function readXliffDocuments(io, inputPath) {
+  const files = await io.readTextFiles(inputPath, XLIFF_EXTENSIONS);
+  if (files.length === 0) {
+    throw new Error(`No XLIFF files found in: ${inputPath}`);
+  }
+  return files.map(({ name, content }) => {
+    try {
+      return parseXliffDocument(content);
+    } catch (error) {
+      throw new Error(`${error.message} (${name})`);
+    }
+  });
+}
+
+/**
+ * Converts XLIFF documents back into JSON localization files.
+ * Translations are written into the existing target language files; units still in the
+ * `needs-translation` state leave the current value untouched. Source texts are not written.
+ *
+ * @param {IoAdapter} io Abstraction layer for filesystem I/O; requires `readTextFiles`.
+ * @param {string} inputPath XLIFF file or directory of `.xlf` / `.xliff` files.
+ * @param {string} targetPath Output directory for JSON files.
+ * @param {ConvertFromXliffOptions} [opts] Conversion options.
+ * @param {{reporter?: Reporter}} [deps] Injectable dependencies.
+ * @returns {Promise<void>}
+ * @throws {Error} On invalid documents, or duplicate keys when `failOnDuplicates` is set.
+ */
+export async function convertFromXliffApp(
+  io,
+  inputPath,
+  targetPath,
+  opts = {},
+  deps = {},
+) {
+  await io.checkFileExists(inputPath);
+  const documents = await readXliffDocuments(io, inputPath);
+  await importTranslationTables(
+    io,
+    targetPath,
+    documents.map((document) => buildTranslationTableFromXliff(document)),
+    {
+      origin: 'XLIFF',
+      failOnDuplicates: opts.failOnDuplicates,
+      report: opts.report,
+      dryRun: opts.dryRun,
+      keyFormat: toKeyFormat(opts),
+      localeFormat: opts.localeFormat,
+      yamlRoot: opts.yamlRoot,
+      jsonFormat: opts.jsonFormat,
+    },
+    deps.reporter ?? consoleReporter,
+  );
+}
@@ -5,6 +5,7 @@
  */
 
 import { convertToExcel, convertToJson } from '../../index.js';
+import { loadJsonFormat } from '../configLoader.js';
 import {
   logConversionCompleted,
   logConvertExcelToI18n,
@@ -35,7 +36,25 @@ export async function runI18nToExcel(options, runtime = defaultRuntime()) {
   );
   spinner.start();
   try {
-    await convertToExcel(sourcePath, targetFile, effectiveOptions.common);
+    await convertToExcel(sourcePath, targetFile, {
+      ...effectiveOptions.common,
+      metadataColumns: effectiveOptions.metadataColumns,
+      splitBy: effectiveOptions.splitBy,
+      highlight: effectiveOptions.highlight,
+      summary: effectiveOptions.summary,
+      sourceLang: effectiveOptions.sourceLang,
+      onlyMissing: effectiveOptions.onlyMissing,
+      since: effectiveOptions.since,
+      protect: effectiveOptions.protect,
+      protectPassword: effectiveOptions.protectPassword,
+      emptyMarker: effectiveOptions.emptyMarker,
+      typed: effectiveOptions.typed,
+      keySeparator: effectiveOptions.keySeparator,
+      flatJson: effectiveOptions.flatJson,
+      pathTemplate: effectiveOptions.pathTemplate,
+      glob: effectiveOptions.glob,
+      maxLengths: effectiveOptions.maxLengths,
+    });
     spinner.stop();
 
     if (effectiveOptions.common.dryRun) {
@@ -71,6 +90,22 @@ export async function runExcelToI18n(options, runtime = defaultRuntime()) {
     await convertToJson(sourceFile, targetPath, {
       ...effectiveOptions.common,
       failOnDuplicates: effectiveOptions.failOnDuplicates,
+      allSheets: effectiveOptions.allSheets,
+      merge: effectiveOptions.merge,
+      keyOrder: effectiveOptions.keyOrder,
+      localeFormat: effectiveOptions.localeFormat,
+      yamlRoot: effectiveOptions.yamlRoot,
+      jsonComments: effectiveOptions.jsonComments,
+      jsonFormat: await loadJsonFormat(effectiveOptions.jsonFormat),
+      metadataColumns: effectiveOptions.metadataColumns,
+      maxLengths: effectiveOptions.maxLengths,
+      strictKeys: effectiveOptions.strictKeys,
+      markupKeys: effectiveOptions.markupKeys,
+      emptyMarker: effectiveOptions.emptyMarker,
+      typed: effectiveOptions.typed,
+      keySeparator: effectiveOptions.keySeparator,
+      flatJson: effectiveOptions.flatJson,
+      pathTemplate: effectiveOptions.pathTemplate,
     });
     spinner.stop();
 
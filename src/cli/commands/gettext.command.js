@@ -0,0 +1,38 @@
+/**
+ * @module cli/commands/gettext.command
+ * Handlers for i18n→PO and PO→i18n CLI commands.
+ * Responsibilities: resolve paths → run conversion → log result.
+ */
+
+import { convertFromPo, convertToPo } from '../../index.js';
+import { logConvertI18nToPo, logConvertPoToI18n } from '../logging.js';
+
+import { createExchangeCommands } from './shared/exchange.js';
+
+/** PO handlers; imports also forward the source language, the language of the `msgid` texts. */
+const gettext = createExchangeCommands({
+  convertTo: convertToPo,
+  convertFrom: convertFromPo,
+  label: () => 'PO',
+  logExport: logConvertI18nToPo,
+  logImport: logConvertPoToI18n,
+  importOptions: ['sourceLang'],
+});
+
+/**
+ * Run i18n→PO conversion using resolved paths.
+ * @param {Object} options Normalized i18n->PO contract options.
+ * @param {import('../runtime.js').Runtime} [runtime=defaultRuntime()] Runtime abstraction.
+ * @returns {Promise<void>}
+ * @throws {Error} Propagates errors from conversion layer.
+ */
+export const runI18nToPo = gettext.runExport;
+
+/**
+ * Run PO→i18n conversion using resolved paths.
+ * @param {Object} options Normalized PO->i18n contract options.
+ * @param {import('../runtime.js').Runtime} [runtime=defaultRuntime()] Runtime abstraction.
+ * @returns {Promise<void>}
+ * @throws {Error} Propagates errors from conversion layer.
+ */
+export const runPoToI18n = gettext.runImport;
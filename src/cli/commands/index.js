@@ -19,12 +19,18 @@ import { defaultRuntime } from '../runtime.js';
 
 import { runAnalyze, runAnalyzeWatch } from './analyze.command.js';
 import { runExcelToI18n, runI18nToExcel } from './convert.command.js';
+import { runI18nToPo, runPoToI18n } from './gettext.command.js';
+import { runI18nToPlatform, runPlatformToI18n } from './platform.command.js';
 import { resolveAction } from './resolveAction.js';
 import { runTranslate } from './translate.command.js';
+import { runI18nToXliff, runXliffToI18n } from './xliff.command.js';
 
 export { runAnalyze, runAnalyzeWatch } from './analyze.command.js';
 export { runExcelToI18n, runI18nToExcel } from './convert.command.js';
+export { runI18nToPo, runPoToI18n } from './gettext.command.js';
+export { runI18nToPlatform, runPlatformToI18n } from './platform.command.js';
 export { runTranslate } from './translate.command.js';
+export { runI18nToXliff, runXliffToI18n } from './xliff.command.js';
 
 /**
  * Execute the composed analyze -> translate pipeline.
@@ -57,7 +63,7 @@ async function runAnalyzeThenTranslate(mergedOptions, runtime) {
  * Handlers are created lazily so command execution remains centralized while
  * keeping dispatcher branching shallow and testable.
  *
- * @param {'i18nToExcel'|'excelToI18n'|'init'|'analyze'|'analyzeThenTranslate'|'translate'|undefined} action Resolved action.
+ * @param {'i18nToExcel'|'excelToI18n'|'i18nToXliff'|'xliffToI18n'|'i18nToPo'|'poToI18n'|'i18nToPlatform'|'platformToI18n'|'init'|'analyze'|'analyzeThenTranslate'|'translate'|undefined} action Resolved action.
  * @param {Object} mergedOptions Normalized merged options.
  * @param {import('../runtime.js').Runtime} runtime Runtime abstraction.
  * @param {{config?: Object, defaultConfig?: Object}} context Dispatch context.
@@ -69,6 +75,12 @@ function getActionHandler(action, mergedOptions, runtime, context) {
   const handlers = {
     i18nToExcel: () => runI18nToExcel(mergedOptions, runtime),
     excelToI18n: () => runExcelToI18n(mergedOptions, runtime),
+    i18nToXliff: () => runI18nToXliff(mergedOptions, runtime),
+    xliffToI18n: () => runXliffToI18n(mergedOptions, runtime),
+    i18nToPo: () => runI18nToPo(mergedOptions, runtime),
+    poToI18n: () => runPoToI18n(mergedOptions, runtime),
+    i18nToPlatform: () => runI18nToPlatform(mergedOptions, runtime),
+    platformToI18n: () => runPlatformToI18n(mergedOptions, runtime),
     init: () => runInitCommand(mergedOptions, config, defaultConfig, runtime),
     analyze: () =>
       mergedOptions.watch
@@ -83,7 +95,7 @@ function getActionHandler(action, mergedOptions, runtime, context) {
 
 /**
  * Dispatch a command based on merged options.
- * @param {'i18nToExcel'|'excelToI18n'|'init'|'analyze'|'analyzeThenTranslate'|'translate'|undefined} action Resolved command action.
+ * @param {'i18nToExcel'|'excelToI18n'|'i18nToXliff'|'xliffToI18n'|'i18nToPo'|'poToI18n'|'i18nToPlatform'|'platformToI18n'|'init'|'analyze'|'analyzeThenTranslate'|'translate'|undefined} action Resolved command action.
  * @param {Object} mergedOptions Normalized CLI options.
  * @param {import('../runtime.js').Runtime} runtime Runtime abstraction.
  * @param {{config?: Object, defaultConfig?: Object}} [context] Dispatch context.
@@ -0,0 +1,42 @@
+/**
+ * @module cli/commands/platform.command
+ * Handlers for i18n→platform and platform→i18n CLI commands (Android, iOS, Java properties).
+ * Responsibilities: resolve paths → run conversion → log result.
+ */
+
+import { convertFromPlatform, convertToPlatform } from '../../index.js';
+import {
+  logConvertI18nToPlatform,
+  logConvertPlatformToI18n,
+} from '../logging.js';
+
+import { createExchangeCommands } from './shared/exchange.js';
+
+/** Platform handlers; both directions forward the platform, imports also the source language. */
+const platform = createExchangeCommands({
+  convertTo: convertToPlatform,
+  convertFrom: convertFromPlatform,
+  label: (options) => `${options.platform} files`,
+  logExport: logConvertI18nToPlatform,
+  logImport: logConvertPlatformToI18n,
+  exportOptions: ['platform'],
+  importOptions: ['platform', 'sourceLang'],
+});
+
+/**
+ * Run i18n→platform conversion using resolved paths.
+ * @param {Object} options Normalized i18n->platform contract options.
+ * @param {import('../runtime.js').Runtime} [runtime=defaultRuntime()] Runtime abstraction.
+ * @returns {Promise<void>}
+ * @throws {Error} Propagates errors from conversion layer.
+ */
+export const runI18nToPlatform = platform.runExport;
+
+/**
+ * Run platform→i18n conversion using resolved paths.
+ * @param {Object} options Normalized platform->i18n contract options.
+ * @param {import('../runtime.js').Runtime} [runtime=defaultRuntime()] Runtime abstraction.
+ * @returns {Promise<void>}
+ * @throws {Error} Propagates errors from conversion layer.
+ */
+export const runPlatformToI18n = platform.runImport;
@@ -13,18 +13,34 @@ function hasFlag(value) {
   return value === true;
 }
 
+/**
+ * Actions selected by a single command flag of the same name, in precedence order.
+ * @constant {string[]}
+ * @internal
+ */
+const FLAG_ACTIONS = [
+  'i18nToExcel',
+  'excelToI18n',
+  'i18nToXliff',
+  'xliffToI18n',
+  'i18nToPo',
+  'poToI18n',
+  'i18nToPlatform',
+  'platformToI18n',
+  'init',
+];
+
 /**
  * Resolve action name from merged options.
  * @param {Object} options Merged command options.
- * @returns {'i18nToExcel'|'excelToI18n'|'init'|'analyze'|'analyzeThenTranslate'|'translate'|undefined}
+ * @returns {'i18nToExcel'|'excelToI18n'|'i18nToXliff'|'xliffToI18n'|'i18nToPo'|'poToI18n'|'i18nToPlatform'|'platformToI18n'|'init'|'analyze'|'analyzeThenTranslate'|'translate'|undefined}
  */
 export function resolveAction(options) {
   const hasAnalyze = hasFlag(options.analyze);
   const hasTranslate = hasFlag(options.translate);
 
-  if (hasFlag(options.i18nToExcel)) return 'i18nToExcel';
-  if (hasFlag(options.excelToI18n)) return 'excelToI18n';
-  if (hasFlag(options.init)) return 'init';
+  const flagAction = FLAG_ACTIONS.find((action) => hasFlag(options[action]));
+  if (flagAction) return flagAction;
   if (hasAnalyze && hasTranslate) return 'analyzeThenTranslate';
   if (hasAnalyze) return 'analyze';
   if (hasTranslate) return 'translate';
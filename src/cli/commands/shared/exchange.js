@@ -0,0 +1,148 @@
+/**
+ * @module cli/commands/shared/exchange
+ * Builder of the export and import handlers of translation exchange formats such as XLIFF.
+ * Formats only configure their conversions, labels and own options, so option forwarding and
+ * result logging stay the same for all of them.
+ */
+
+import { loadJsonFormat } from '../../configLoader.js';
+import { logConversionCompleted, logDryRunPlural } from '../../logging.js';
+import { defaultRuntime } from '../../runtime.js';
+
+import { createSpinner } from './spinner.js';
+
+/**
+ * @typedef {Object} ExchangeFormat
+ * @property {(sourcePath: string, targetDir: string, options: Object) => Promise<unknown>} convertTo
+ *   Conversion of i18n files to the format.
+ * @property {(inputPath: string, targetPath: string, options: Object) => Promise<unknown>} convertFrom
+ *   Conversion of the format to i18n files.
+ * @property {(options: Object) => string} label Name of the files in progress messages, e.g. `XLIFF`.
+ * @property {(from: string, to: string, runtime: Object, options: Object) => void} logExport
+ *   Start message of exports.
+ * @property {(from: string, to: string, runtime: Object, options: Object) => void} logImport
+ *   Start message of imports.
+ * @property {string[]} [exportOptions=[]] Format options forwarded to `convertTo`, e.g. `xliffVersion`.
+ * @property {string[]} [importOptions=[]] Format options forwarded to `convertFrom`.
+ */
+
+/**
+ * Options forwarded to every export.
+ * @constant {string[]}
+ */
+const EXPORT_OPTIONS = [
+  'sourceLang',
+  'typed',
+  'keySeparator',
+  'flatJson',
+  'pathTemplate',
+];
+
+/**
+ * Options forwarded to every import; `jsonFormat` is resolved separately.
+ * @constant {string[]}
+ */
+const IMPORT_OPTIONS = [
+  'failOnDuplicates',
+  'typed',
+  'keySeparator',
+  'flatJson',
+  'pathTemplate',
+  'localeFormat',
+  'yamlRoot',
+];
+
+/**
+ * Picks the named options.
+ * @param {Object} options Normalized command options.
+ * @param {string[]} names Option names.
+ * @returns {Object} Selected options.
+ * @internal
+ */
+const pickOptions = (options, names) =>
+  Object.fromEntries(names.map((name) => [name, options[name]]));
+
+/**
+ * Runs a conversion behind a spinner and logs its result.
+ * @param {string} text Spinner text.
+ * @param {string} targetPath Written file or directory.
+ * @param {Object} options Normalized command options.
+ * @param {import('../../runtime.js').Runtime} runtime Runtime abstraction.
+ * @param {() => Promise<unknown>} convert Conversion to run.
+ * @returns {Promise<void>}
+ * @throws {Error} Propagates errors from conversion layer.
+ * @internal
+ */
+async function runConversion(text, targetPath, options, runtime, convert) {
+  const spinner = createSpinner(text, runtime, options);
+  spinner.start();
+  try {
+    await convert();
+    spinner.stop();
+
+    if (options.common.dryRun) {
+      logDryRunPlural(runtime, options);
+    } else {
+      logConversionCompleted(targetPath, runtime, options);
+    }
+  } catch (error) {
+    spinner.fail('Conversion failed');
+    throw error;
+  }
+}
+
+/**
+ * Create the export (i18n→format) and import (format→i18n) handlers of an exchange format.
+ * @param {ExchangeFormat} format Format configuration.
+ * @returns {{runExport: (options: Object, runtime?: import('../../runtime.js').Runtime) => Promise<void>,
+ *   runImport: (options: Object, runtime?: import('../../runtime.js').Runtime) => Promise<void>}} Handlers.
+ * @example
+ * const { runExport, runImport } = createExchangeCommands({
+ *   convertTo: convertToXliff,
+ *   convertFrom: convertFromXliff,
+ *   label: () => 'XLIFF',
+ *   logExport: logConvertI18nToXliff,
+ *   logImport: logConvertXliffToI18n,
+ *   exportOptions: ['xliffVersion'],
+ * });
+ */
+export function createExchangeCommands(format) {
+  const { exportOptions = [], importOptions = [] } = format;
+
+  const runExport = async (options, runtime = defaultRuntime()) => {
+    const { sourcePath, targetDir } = options;
+    format.logExport(sourcePath, targetDir, runtime, options);
+    await runConversion(
+      `Converting i18n files to ${format.label(options)}...`,
+      targetDir,
+      options,
+      runtime,
+      () =>
+        format.convertTo(sourcePath, targetDir, {
+          dryRun: options.common.dryRun,
+          report: options.common.report,
+          ...pickOptions(options, [...EXPORT_OPTIONS, ...exportOptions]),
+        }),
+    );
+  };
+
+  const runImport = async (options, runtime = defaultRuntime()) => {
+    const { inputPath, targetPath } = options;
+    format.logImport(inputPath, targetPath, runtime, options);
+    await runConversion(
+      `Converting ${format.label(options)} to i18n files...`,
+      targetPath,
+      options,
+      runtime,
+      async () =>
+        format.convertFrom(inputPath, targetPath, {
+          dryRun: options.common.dryRun,
+          report: options.common.report,
+          ...pickOptions(options, [...IMPORT_OPTIONS, ...importOptions]),
+          jsonFormat: await loadJsonFormat(options.jsonFormat),
+        }),
+    );
+  };
+
+  return { runExport, runImport };
+}
@@ -0,0 +1,38 @@
+/**
+ * @module cli/commands/xliff.command
+ * Handlers for i18n→XLIFF and XLIFF→i18n CLI commands.
+ * Responsibilities: resolve paths → run conversion → log result.
+ */
+
+import { convertFromXliff, convertToXliff } from '../../index.js';
+import { logConvertI18nToXliff, logConvertXliffToI18n } from '../logging.js';
+
+import { createExchangeCommands } from './shared/exchange.js';
+
+/** XLIFF handlers; exports also forward the XLIFF version. */
+const xliff = createExchangeCommands({
+  convertTo: convertToXliff,
+  convertFrom: convertFromXliff,
+  label: () => 'XLIFF',
+  logExport: logConvertI18nToXliff,
+  logImport: logConvertXliffToI18n,
+  exportOptions: ['xliffVersion'],
+});
+
+/**
+ * Run i18n→XLIFF conversion using resolved paths.
+ * @param {Object} options Normalized i18n->XLIFF contract options.
+ * @param {import('../runtime.js').Runtime} [runtime=defaultRuntime()] Runtime abstraction.
+ * @returns {Promise<void>}
+ * @throws {Error} Propagates errors from conversion layer.
+ */
+export const runI18nToXliff = xliff.runExport;
+
+/**
+ * Run XLIFF→i18n conversion using resolved paths.
+ * @param {Object} options Normalized XLIFF->i18n contract options.
+ * @param {import('../runtime.js').Runtime} [runtime=defaultRuntime()] Runtime abstraction.
+ * @returns {Promise<void>}
+ * @throws {Error} Propagates errors from conversion layer.
+ */
+export const runXliffToI18n = xliff.runImport;
@@ -5,6 +5,7 @@
 
 import fs from 'node:fs';
 import path from 'node:path';
+import { pathToFileURL } from 'node:url';
 
 import { assertNonEmptyString } from '../core/validation.js';
 
@@ -72,3 +73,32 @@ export function loadConfigOptions(options, validateConfigObject) {
   const configJson = JSON.parse(configRaw);
   return validateConfigObject ? validateConfigObject(configJson) : configJson;
 }
+
+/**
+ * Load the `formatter` hook of a configured JSON output format.
+ *
+ * Extension contract: the module must default-export a function `(text, {filePath})` returning
+ * the text to write (or a promise of it).
+ *
+ * @param {import('../types.js').JsonFormat & {formatter?: string}} [jsonFormat] Output format from the config
+ *   file; `formatter` is a module path.
+ * @returns {Promise<import('../types.js').JsonFormat | undefined>} Output format with the loaded hook.
+ * @throws {Error} When the module path is outside CWD or the module has no default-exported function.
+ * @example
+ * const jsonFormat = await loadJsonFormat({ indent: 2, formatter: './scripts/format-json.js' });
+ */
+export async function loadJsonFormat(jsonFormat) {
+  if (!jsonFormat?.formatter) return jsonFormat;
+  assertNonEmptyString(jsonFormat.formatter, 'formatter');
+  const modulePath = assertWithinCwd(
+    path.resolve(jsonFormat.formatter),
+    'JSON formatter path',
+  );
+  const { default: formatter } = await import(pathToFileURL(modulePath).href);
+  if (typeof formatter !== 'function') {
+    throw new TypeError(
+      `JSON formatter module must export a default function: ${jsonFormat.formatter}`,
+    );
+  }
+  return { ...jsonFormat, formatter };
+}
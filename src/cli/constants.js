@@ -31,7 +31,7 @@ export const DESC_NO_REPORT = 'skip generating translation report';
  * @constant {string}
  */
 export const DESC_FAIL_ON_DUP =
-  'fail if duplicate keys are detected in the Excel sheet';
+  'fail if duplicate or colliding keys (app.title and app.title.short) are detected in the Excel sheet';
 
 /**
  * Description for output i18n directory option.
@@ -190,6 +190,188 @@ export const DESC_PROVIDER =
 export const DESC_ALL_SHEETS =
   'process all worksheets instead of only the named one';
 
+/**
+ * Description for merge option on excel-to-i18n.
+ * @constant {string}
+ */
+export const DESC_MERGE =
+  'merge sheet values into existing JSON files, keeping keys not in the sheet';
+
+/**
+ * Description for key-order option on excel-to-i18n.
+ * @constant {string}
+ */
+export const DESC_KEY_ORDER =
+  'key order of written JSON files (sheet-order, sorted, preserve)';
+
+/**
+ * Description for metadata-columns option on conversion commands.
+ * @constant {string}
+ */
+export const DESC_METADATA_COLUMNS =
+  'comma-separated metadata column headers (e.g., Description,Context,Max Length)';
+
+/**
+ * Description for split-by option on i18n-to-excel.
+ * @constant {string}
+ */
+export const DESC_SPLIT_BY =
+  'split the workbook into one worksheet per top-level key (namespace)';
+
+/**
+ * Description for highlight option on i18n-to-excel.
+ * @constant {string}
+ */
+export const DESC_HIGHLIGHT =
+  'highlight missing translations and placeholder mismatches in the workbook';
+
+/**
+ * Description for summary option on i18n-to-excel.
+ * @constant {string}
+ */
+export const DESC_SUMMARY =
+  'add a Summary worksheet with per-language completion and word counts';
+
+/**
+ * Description for source-lang option on i18n-to-excel.
+ * @constant {string}
+ */
+export const DESC_SOURCE_LANG =
+  'source language for summary word counts and --since (default: en)';
+
+/**
+ * Description for only-missing option on i18n-to-excel.
+ * @constant {string}
+ */
+export const DESC_ONLY_MISSING =
+  'delta export: only keys with at least one empty language';
+
+/**
+ * Description for since option on i18n-to-excel.
+ * @constant {string}
+ */
+export const DESC_SINCE =
+  'delta export: only keys whose source text changed since a git ref or earlier .xlsx / .ods export';
+
+/**
+ * Description for protect option on i18n-to-excel.
+ * @constant {string}
+ */
+export const DESC_PROTECT =
+  'lock the Key and source-language columns (password: defaults.protectPassword)';
+
+/**
+ * Description for strict-keys option on excel-to-i18n.
+ * @constant {string}
+ */
+export const DESC_STRICT_KEYS =
+  'abort when sheet keys differ from the current JSON keys (edited, renamed or removed keys)';
+
+/**
+ * Description for markup-keys option on excel-to-i18n.
+ * @constant {string}
+ */
+export const DESC_MARKUP_KEYS =
+  'comma-separated key patterns (* wildcard) whose rich text is kept as inline HTML';
+
+/**
+ * Description for empty-marker option on conversion commands.
+ * @constant {string}
+ */
+export const DESC_EMPTY_MARKER =
+  'cell text representing an intentionally empty translation (default: "(empty)")';
+
+/**
+ * Description for typed option on conversion commands.
+ * @constant {string}
+ */
+export const DESC_TYPED =
+  'typed mode: convert arrays (steps[0]) and number, boolean and null values losslessly';
+
+/**
+ * Description for key-separator option on conversion commands.
+ * @constant {string}
+ */
+export const DESC_KEY_SEPARATOR =
+  'character separating nested key segments (default: "."); segments containing it are escaped with a backslash';
+
+/**
+ * Description for flat-json option on conversion commands.
+ * @constant {string}
+ */
+export const DESC_FLAT_JSON =
+  'read and write flat JSON files whose keys are used verbatim, without nesting';
+
+/**
+ * Description for path-template option on conversion commands.
+ * @constant {string}
+ */
+export const DESC_PATH_TEMPLATE =
+  'layout of per-language namespace files, e.g. "{lang}/{ns}.json"; each namespace file holds the keys below one prefix';
+
+/**
+ * Description for glob option on i18n-to-excel.
+ * @constant {string}
+ */
+export const DESC_GLOB =
+  'treat --input as a glob of locale directories, e.g. "libs/*/src/assets/i18n", with one worksheet per directory';
+
+/**
+ * Description for locale-format option on import commands.
+ * @constant {string}
+ */
+export const DESC_LOCALE_FORMAT =
+  'format of new language files (json, yaml); existing files keep their format';
+
+/**
+ * Description for yaml-root option on import commands.
+ * @constant {string}
+ */
+export const DESC_YAML_ROOT =
+  'wrap new YAML files in a root key naming the language (Rails style)';
+
+/**
+ * Description for json-comments option on excel-to-i18n.
+ * @constant {string}
+ */
+export const DESC_JSON_COMMENTS =
+  'write descriptions as // comments above their keys in JSON files';
+
+/**
+ * Description for xliff-version option on i18n-to-xliff.
+ * @constant {string}
+ */
+export const DESC_XLIFF_VERSION =
+  'XLIFF version to write: 1.2 or 2.0 (default: 1.2)';
+
+/**
+ * Description for source-lang option on i18n-to-xliff.
+ * @constant {string}
+ */
+export const DESC_XLIFF_SOURCE_LANG =
+  'source language of the XLIFF files; one file is written per other language (default: en)';
+
+/**
+ * Description for source-lang option on i18n-to-po and po-to-i18n.
+ * @constant {string}
+ */
+export const DESC_PO_SOURCE_LANG =
+  'language of the msgid texts; one PO file is written per other language (default: en)';
+
+/**
+ * Description for platform option on i18n-to-platform and platform-to-i18n.
+ * @constant {string}
+ */
+export const DESC_PLATFORM =
+  'platform file format: android (values-<lang>/strings.xml), ios (<lang>.lproj/Localizable.strings) or properties (messages_<lang>.properties)';
+
+/**
+ * Description for source-lang option on i18n-to-platform and platform-to-i18n.
+ * @constant {string}
+ */
+export const DESC_PLATFORM_SOURCE_LANG =
+  'language of the default values/strings.xml or messages.properties file (default: en)';
+
 /**
  * Description for watch option on analyze.
  * @constant {string}
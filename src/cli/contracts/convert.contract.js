@@ -3,6 +3,9 @@
  * Command contract normalization for conversion commands.
  */
 
+import { SPLIT_BY_MODES } from '../../core/excel/namespaceSheets.js';
+import { KEY_ORDER_MODES } from '../../core/json/keyOrder.js';
+import { LOCALE_FORMATS } from '../../core/model/localeFiles.js';
 import {
   buildCommonOptions,
   resolveExcelToI18nPaths,
@@ -24,6 +27,19 @@ function normalizeCommonOutput(options) {
   };
 }
 
+/**
+ * Parse a comma-separated list option (or config array) into unique trimmed entries.
+ * @param {unknown} value Raw option value.
+ * @returns {string[]} Normalized entries (empty when unset).
+ * @internal
+ */
+function parseList(value) {
+  let items = [];
+  if (Array.isArray(value)) items = value.map(String);
+  else if (typeof value === 'string') items = value.split(',');
+  return [...new Set(items.map((v) => v.trim()).filter((v) => v.length > 0))];
+}
+
 /**
  * Normalize i18n->Excel command options.
  * @param {Object} options Merged CLI options.
@@ -48,6 +64,7 @@ export function normalizeI18nToExcelContract(
     ...normalized,
     sourcePath,
     targetFile,
+    metadataColumns: parseList(normalized.metadataColumns),
     common: buildCommonOptions(
       normalized,
       defaultConfig,
@@ -69,6 +86,14 @@ export function assertI18nToExcelInvariants(options) {
   if (!options.targetFile) {
     throw new Error('Please provide an output file using --output');
   }
+  if (
+    options.splitBy !== undefined &&
+    !SPLIT_BY_MODES.includes(options.splitBy)
+  ) {
+    throw new Error(
+      `Invalid --split-by "${options.splitBy}". Expected one of: ${SPLIT_BY_MODES.join(', ')}`,
+    );
+  }
 }
 
 /**
@@ -101,6 +126,11 @@ export function normalizeExcelToI18nContract(
     sourceFile,
     targetPath,
     failOnDuplicates,
+    allSheets: normalized.allSheets === true,
+    merge: normalized.merge === true,
+    keyOrder: normalized.keyOrder ?? 'sheet-order',
+    metadataColumns: parseList(normalized.metadataColumns),
+    markupKeys: parseList(normalized.markupKeys),
     common: buildCommonOptions(
       normalized,
       defaultConfig,
@@ -122,4 +152,20 @@ export function assertExcelToI18nInvariants(options) {
   if (!options.targetPath) {
     throw new Error('Please provide an output path using --output');
   }
+  if (
+    options.keyOrder !== undefined &&
+    !KEY_ORDER_MODES.includes(options.keyOrder)
+  ) {
+    throw new Error(
+      `Invalid --key-order "${options.keyOrder}". Expected one of: ${KEY_ORDER_MODES.join(', ')}`,
+    );
+  }
+  if (
+    options.localeFormat !== undefined &&
+    !LOCALE_FORMATS.includes(options.localeFormat)
+  ) {
+    throw new Error(
+      `Invalid --locale-format "${options.localeFormat}". Expected one of: ${LOCALE_FORMATS.join(', ')}`,
+    );
+  }
 }
@@ -0,0 +1,245 @@
+/**
+ * @module cli/contracts/exchange.contract
+ * Command contract normalization for translation exchange formats (XLIFF, gettext PO, platform string files).
+ */
+
+import { LOCALE_FORMATS } from '../../core/model/localeFiles.js';
+import { PLATFORMS } from '../../core/platform/platforms.js';
+import { XLIFF_VERSIONS } from '../../core/xliff/xliffWrite.js';
+import {
+  buildCommonOptions,
+  resolveFailOnDuplicates,
+} from '../configResolution.js';
+import { FLAG_FAIL_ON_DUP } from '../constants.js';
+
+/**
+ * Normalize shared output flags used by CLI command handlers.
+ * @param {Object} options Raw merged options.
+ * @returns {Object} Options with explicit `format` and boolean `quiet` values.
+ * @internal
+ */
+function normalizeCommonOutput(options) {
+  return {
+    ...options,
+    format: options.format ?? 'text',
+    quiet: options.quiet === true,
+  };
+}
+
+/**
+ * Normalize export (i18n->XLIFF, i18n->PO) command options.
+ * The source directory falls back to the configured `sourcePath`; the output directory must be given.
+ * @param {Object} options Merged CLI options.
+ * @param {Object} defaultConfig Entry default config.
+ * @param {Object} runtimeConfig Runtime validated config.
+ * @param {boolean} isDryRun Dry-run flag.
+ * @returns {Object} Normalized options.
+ */
+export function normalizeExchangeExportContract(
+  options,
+  defaultConfig,
+  runtimeConfig,
+  isDryRun,
+) {
+  const normalized = normalizeCommonOutput(options);
+  return {
+    ...normalized,
+    sourcePath:
+      normalized.input ||
+      normalized.sourcePath ||
+      defaultConfig?.sourcePath ||
+      '',
+    targetDir: normalized.output || '',
+    common: buildCommonOptions(
+      normalized,
+      defaultConfig,
+      runtimeConfig,
+      isDryRun,
+    ),
+  };
+}
+
+/**
+ * Normalize import (XLIFF->i18n, PO->i18n) command options.
+ * The output directory falls back to the configured `targetPath`; the input must be given.
+ * @param {Object} options Merged CLI options.
+ * @param {Object} defaultConfig Entry default config.
+ * @param {Object} runtimeConfig Runtime validated config.
+ * @param {boolean} isDryRun Dry-run flag.
+ * @param {import('../runtime.js').Runtime} runtime Runtime abstraction.
+ * @returns {Object} Normalized options.
+ */
+export function normalizeExchangeImportContract(
+  options,
+  defaultConfig,
+  runtimeConfig,
+  isDryRun,
+  runtime,
+) {
+  const normalized = normalizeCommonOutput(options);
+  return {
+    ...normalized,
+    inputPath: normalized.input || '',
+    targetPath:
+      normalized.output ||
+      normalized.targetPath ||
+      defaultConfig?.targetPath ||
+      '',
+    failOnDuplicates: resolveFailOnDuplicates(
+      normalized,
+      runtime?.argv,
+      FLAG_FAIL_ON_DUP,
+    ),
+    common: buildCommonOptions(
+      normalized,
+      defaultConfig,
+      runtimeConfig,
+      isDryRun,
+    ),
+  };
+}
+
+/**
+ * Normalize i18n->XLIFF command options.
+ * @param {Object} options Merged CLI options.
+ * @param {Object} defaultConfig Entry default config.
+ * @param {Object} runtimeConfig Runtime validated config.
+ * @param {boolean} isDryRun Dry-run flag.
+ * @returns {Object} Normalized options, see {@link normalizeExchangeExportContract}.
+ */
+export function normalizeI18nToXliffContract(
+  options,
+  defaultConfig,
+  runtimeConfig,
+  isDryRun,
+) {
+  return {
+    ...normalizeExchangeExportContract(
+      options,
+      defaultConfig,
+      runtimeConfig,
+      isDryRun,
+    ),
+    xliffVersion: options.xliffVersion ?? '1.2',
+  };
+}
+
+/**
+ * Assert the paths of an export command.
+ * @param {Object} options Normalized command options.
+ * @returns {void}
+ */
+export function assertExchangeExportInvariants(options) {
+  if (!options.sourcePath) {
+    throw new Error('Please provide a source path using --input');
+  }
+  if (!options.targetDir) {
+    throw new Error('Please provide an output directory using --output');
+  }
+}
+
+/**
+ * Assert invariants for i18n->XLIFF conversion.
+ * @param {Object} options Normalized command options.
+ * @returns {void}
+ */
+export function assertI18nToXliffInvariants(options) {
+  assertExchangeExportInvariants(options);
+  if (!XLIFF_VERSIONS.includes(options.xliffVersion)) {
+    throw new Error(
+      `Invalid --xliff-version "${options.xliffVersion}". Expected one of: ${XLIFF_VERSIONS.join(', ')}`,
+    );
+  }
+}
+
+/**
+ * Assert that a supported platform is selected.
+ * @param {Object} options Normalized command options.
+ * @returns {void}
+ * @internal
+ */
+function assertPlatform(options) {
+  if (!options.platform) {
+    throw new Error(
+      `Please provide a platform using --platform (${PLATFORMS.join(', ')})`,
+    );
+  }
+  if (!PLATFORMS.includes(options.platform)) {
+    throw new Error(
+      `Invalid --platform "${options.platform}". Expected one of: ${PLATFORMS.join(', ')}`,
+    );
+  }
+}
+
+/**
+ * Assert invariants for i18n->platform conversion.
+ * @param {Object} options Normalized command options.
+ * @returns {void}
+ */
+export function assertI18nToPlatformInvariants(options) {
+  assertExchangeExportInvariants(options);
+  assertPlatform(options);
+}
+
+/**
+ * Create the invariant check of an import command.
+ * @param {string} inputDescription Expected input named in the error message, e.g. `XLIFF file or directory`.
+ * @returns {(options: Object) => void} Invariant check.
+ * @internal
+ */
+function createImportInvariants(inputDescription) {
+  return (options) => {
+    if (!options.inputPath) {
+      throw new Error(`Please provide the ${inputDescription} using --input`);
+    }
+    if (!options.targetPath) {
+      throw new Error('Please provide an output path using --output');
+    }
+    if (
+      options.localeFormat !== undefined &&
+      !LOCALE_FORMATS.includes(options.localeFormat)
+    ) {
+      throw new Error(
+        `Invalid --locale-format "${options.localeFormat}". Expected one of: ${LOCALE_FORMATS.join(', ')}`,
+      );
+    }
+  };
+}
+
+/**
+ * Assert invariants for XLIFF->i18n conversion.
+ * @param {Object} options Normalized command options.
+ * @returns {void}
+ */
+export const assertXliffToI18nInvariants = createImportInvariants(
+  'XLIFF file or directory',
+);
+
+/**
+ * Assert invariants for PO->i18n conversion.
+ * @param {Object} options Normalized command options.
+ * @returns {void}
+ */
+export const assertPoToI18nInvariants = createImportInvariants(
+  'PO file or directory',
+);
+
+/**
+ * Assert the paths and locale format of platform->i18n conversion.
+ * @param {Object} options Normalized command options.
+ * @returns {void}
+ * @internal
+ */
+const assertPlatformImportPaths = createImportInvariants(
+  'platform file or directory',
+);
+
+/**
+ * Assert invariants for platform->i18n conversion.
+ * @param {Object} options Normalized command options.
+ * @returns {void}
+ */
+export function assertPlatformToI18nInvariants(options) {
+  assertPlatformImportPaths(options);
+  assertPlatform(options);
+}
@@ -15,6 +15,17 @@ import {
   normalizeExcelToI18nContract,
   normalizeI18nToExcelContract,
 } from './convert.contract.js';
+import {
+  assertExchangeExportInvariants,
+  assertI18nToPlatformInvariants,
+  assertI18nToXliffInvariants,
+  assertPlatformToI18nInvariants,
+  assertPoToI18nInvariants,
+  assertXliffToI18nInvariants,
+  normalizeExchangeExportContract,
+  normalizeExchangeImportContract,
+  normalizeI18nToXliffContract,
+} from './exchange.contract.js';
 import {
   assertInitInvariants,
   normalizeInitContract,
@@ -26,11 +37,12 @@ import {
 
 /**
  * Assert invariants for the resolved command action.
- * @param {'i18nToExcel'|'excelToI18n'|'init'|'analyze'|'analyzeThenTranslate'|'translate'|undefined} action Resolved action.
+ * @param {'i18nToExcel'|'excelToI18n'|'i18nToXliff'|'xliffToI18n'|'i18nToPo'|'poToI18n'|'i18nToPlatform'|'platformToI18n'|'init'|'analyze'|'analyzeThenTranslate'|'translate'|undefined} action Resolved action.
  * @param {Object} options Normalized options.
  * @param {{runtime?: import('../runtime.js').Runtime}} [context] Validation context.
  * @returns {void}
  */
+// eslint-disable-next-line complexity -- one case per CLI command
 export function assertCommandInvariants(action, options, context = {}) {
   switch (action) {
     case 'i18nToExcel': {
@@ -39,6 +51,24 @@ export function assertCommandInvariants(action, options, context = {}) {
     case 'excelToI18n': {
       return assertExcelToI18nInvariants(options);
     }
+    case 'i18nToXliff': {
+      return assertI18nToXliffInvariants(options);
+    }
+    case 'xliffToI18n': {
+      return assertXliffToI18nInvariants(options);
+    }
+    case 'i18nToPo': {
+      return assertExchangeExportInvariants(options);
+    }
+    case 'poToI18n': {
+      return assertPoToI18nInvariants(options);
+    }
+    case 'i18nToPlatform': {
+      return assertI18nToPlatformInvariants(options);
+    }
+    case 'platformToI18n': {
+      return assertPlatformToI18nInvariants(options);
+    }
     case 'init': {
       return assertInitInvariants(options);
     }
@@ -59,11 +89,12 @@ export function assertCommandInvariants(action, options, context = {}) {
 
 /**
  * Normalize merged CLI options for the resolved action.
- * @param {'i18nToExcel'|'excelToI18n'|'init'|'analyze'|'analyzeThenTranslate'|'translate'|undefined} action Resolved action.
+ * @param {'i18nToExcel'|'excelToI18n'|'i18nToXliff'|'xliffToI18n'|'i18nToPo'|'poToI18n'|'i18nToPlatform'|'platformToI18n'|'init'|'analyze'|'analyzeThenTranslate'|'translate'|undefined} action Resolved action.
  * @param {Object} options Merged CLI options.
  * @param {{defaultConfig:Object, runtimeConfig:Object, runtime: import('../runtime.js').Runtime, isDryRun:boolean}} context Normalization context.
  * @returns {Object} Normalized options.
  */
+// eslint-disable-next-line complexity -- one case per CLI command
 export function normalizeCommandOptions(action, options, context) {
   const { defaultConfig, runtimeConfig, runtime, isDryRun } = context;
 
@@ -85,6 +116,34 @@ export function normalizeCommandOptions(action, options, context) {
         runtime,
       );
     }
+    case 'i18nToXliff': {
+      return normalizeI18nToXliffContract(
+        options,
+        defaultConfig,
+        runtimeConfig,
+        isDryRun,
+      );
+    }
+    case 'i18nToPo':
+    case 'i18nToPlatform': {
+      return normalizeExchangeExportContract(
+        options,
+        defaultConfig,
+        runtimeConfig,
+        isDryRun,
+      );
+    }
+    case 'xliffToI18n':
+    case 'poToI18n':
+    case 'platformToI18n': {
+      return normalizeExchangeImportContract(
+        options,
+        defaultConfig,
+        runtimeConfig,
+        isDryRun,
+        runtime,
+      );
+    }
     case 'init': {
       return normalizeInitContract(options, defaultConfig);
     }
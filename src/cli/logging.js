@@ -91,6 +91,114 @@ export function logConvertExcelToI18n(
   );
 }
 
+/**
+ * Log start of i18n->XLIFF conversion.
+ * @param {string} sourcePath Source JSON directory.
+ * @param {string} targetDir Destination directory for XLIFF files.
+ * @param {import('./runtime.js').Runtime} runtime Runtime abstraction.
+ * @param {{quiet?: boolean, format?: string}} [options] CLI options.
+ * @returns {void}
+ */
+export function logConvertI18nToXliff(sourcePath, targetDir, runtime, options) {
+  if (shouldSkipInfo(options)) return;
+  out(runtime, options).log(
+    chalk.blue(
+      `Converting i18n files from ${sourcePath} to XLIFF in ${targetDir}...`,
+    ),
+  );
+}
+
+/**
+ * Log start of XLIFF->i18n conversion.
+ * @param {string} inputPath Source XLIFF file or directory.
+ * @param {string} targetPath Target directory for JSON files.
+ * @param {import('./runtime.js').Runtime} runtime Runtime abstraction.
+ * @param {{quiet?: boolean, format?: string}} [options] CLI options.
+ * @returns {void}
+ */
+export function logConvertXliffToI18n(inputPath, targetPath, runtime, options) {
+  if (shouldSkipInfo(options)) return;
+  out(runtime, options).log(
+    chalk.blue(`Converting XLIFF from ${inputPath} to ${targetPath}...`),
+  );
+}
+
+/**
+ * Log start of i18n->PO conversion.
+ * @param {string} sourcePath Source JSON directory.
+ * @param {string} targetDir Destination directory for PO files.
+ * @param {import('./runtime.js').Runtime} runtime Runtime abstraction.
+ * @param {{quiet?: boolean, format?: string}} [options] CLI options.
+ * @returns {void}
+ */
+export function logConvertI18nToPo(sourcePath, targetDir, runtime, options) {
+  if (shouldSkipInfo(options)) return;
+  out(runtime, options).log(
+    chalk.blue(
+      `Converting i18n files from ${sourcePath} to PO in ${targetDir}...`,
+    ),
+  );
+}
+
+/**
+ * Log start of PO->i18n conversion.
+ * @param {string} inputPath Source PO file or directory.
+ * @param {string} targetPath Target directory for JSON files.
+ * @param {import('./runtime.js').Runtime} runtime Runtime abstraction.
+ * @param {{quiet?: boolean, format?: string}} [options] CLI options.
+ * @returns {void}
+ */
+export function logConvertPoToI18n(inputPath, targetPath, runtime, options) {
+  if (shouldSkipInfo(options)) return;
+  out(runtime, options).log(
+    chalk.blue(`Converting PO from ${inputPath} to ${targetPath}...`),
+  );
+}
+
+/**
+ * Log start of i18n->platform conversion.
+ * @param {string} sourcePath Source JSON directory.
+ * @param {string} targetDir Destination directory for platform files.
+ * @param {import('./runtime.js').Runtime} runtime Runtime abstraction.
+ * @param {{quiet?: boolean, format?: string, platform?: string}} [options] CLI options.
+ * @returns {void}
+ */
+export function logConvertI18nToPlatform(
+  sourcePath,
+  targetDir,
+  runtime,
+  options,
+) {
+  if (shouldSkipInfo(options)) return;
+  out(runtime, options).log(
+    chalk.blue(
+      `Converting i18n files from ${sourcePath} to ${options.platform} files in ${targetDir}...`,
+    ),
+  );
+}
+
+/**
+ * Log start of platform->i18n conversion.
+ * @param {string} inputPath Source platform file or directory.
+ * @param {string} targetPath Target directory for JSON files.
+ * @param {import('./runtime.js').Runtime} runtime Runtime abstraction.
+ * @param {{quiet?: boolean, format?: string, platform?: string}} [options] CLI options.
+ * @returns {void}
+ */
+export function logConvertPlatformToI18n(
+  inputPath,
+  targetPath,
+  runtime,
+  options,
+) {
+  if (shouldSkipInfo(options)) return;
+  out(runtime, options).log(
+    chalk.blue(
+      `Converting ${options.platform} files from ${inputPath} to ${targetPath}...`,
+    ),
+  );
+}
+
 /**
  * Log dry-run single-file message.
  * @param {import('./runtime.js').Runtime} runtime Runtime abstraction.
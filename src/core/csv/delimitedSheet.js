@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Conversion between translation worksheets and delimited (CSV, TSV) rows.
+ * Delimited files hold the plain cell texts of a single worksheet in the layout of
+ * {@link module:core/excel/sheetWrite}: a `Key,<language>...` header row followed by one row per key.
+ * @module core/csv/delimitedSheet
+ */
+
+import { normalizeCellValue } from '../excel/cellValue.js';
+
+/**
+ * Reads the cell texts of a worksheet. Styles, validations and protection are dropped.
+ *
+ * @param {Object} worksheet - ExcelJS Worksheet instance.
+ * @returns {string[][]} Rows of cell texts; blank cells become empty strings.
+ */
+export function worksheetToRows(worksheet) {
+  const rows = [];
+  const { columnCount } = worksheet;
+  for (let rowNumber = 1; rowNumber <= worksheet.rowCount; rowNumber += 1) {
+    const row = worksheet.getRow(rowNumber);
+    const cells = [];
+    for (let col = 1; col <= columnCount; col += 1) {
+      cells.push(normalizeCellValue(row.getCell(col).value) ?? '');
+    }
+    rows.push(cells);
+  }
+  return rows;
+}
+
+/**
+ * Adds a worksheet holding the given rows to a workbook, so that delimited files can be read
+ * like Excel worksheets. Empty fields become blank cells.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @param {string} sheetName - Name of the new worksheet.
+ * @param {string[][]} rows - Rows of cell texts.
+ * @returns {Object} The created ExcelJS Worksheet instance.
+ */
+export function createWorksheetFromRows(workbook, sheetName, rows) {
+  const worksheet = workbook.addWorksheet(sheetName);
+  for (const row of rows) {
+    worksheet.addRow(row.map((field) => (field === '' ? null : field)));
+  }
+  return worksheet;
+}
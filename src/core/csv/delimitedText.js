@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Reading and writing of delimiter-separated text (CSV, TSV).
+ * Fields are quoted as described in RFC 4180: fields containing the delimiter, a quote or a line
+ * break are enclosed in double quotes, and quotes inside them are doubled. TSV uses the same quoting.
+ * @module core/csv/delimitedText
+ */
+
+/**
+ * Byte order mark written at the start of delimited files so that Excel detects UTF-8.
+ * @constant {string}
+ */
+export const UTF8_BOM = '\uFEFF';
+
+/**
+ * Field delimiter by file extension.
+ * @constant {Object<string, string>}
+ */
+export const DELIMITERS = { '.csv': ',', '.tsv': '\t' };
+
+/**
+ * Resolves the field delimiter of a file from its extension.
+ *
+ * @param {string} filePath - File path.
+ * @returns {string | undefined} `,` for `.csv`, a tab for `.tsv`, otherwise undefined.
+ * @example
+ * resolveDelimiter('translations.tsv'); // => '\t'
+ */
+export function resolveDelimiter(filePath) {
+  const extension = /\.[^./\\]+$/.exec(String(filePath))?.[0].toLowerCase();
+  return Object.hasOwn(DELIMITERS, extension ?? '')
+    ? DELIMITERS[extension]
+    : undefined;
+}
+
+/**
+ * Quotes a field when it contains the delimiter, a quote or a line break.
+ *
+ * @param {string} field - Field text.
+ * @param {string} delimiter - Field delimiter.
+ * @returns {string} Field as written to the file.
+ * @private
+ */
+const quoteField = (field, delimiter) =>
+  field.includes(delimiter) || /["\r\n]/.test(field)
+    ? `"${field.replaceAll('"', '""')}"`
+    : field;
+
+/**
+ * Serializes rows into delimited text with a leading byte order mark.
+ * Every record ends with CRLF as in RFC 4180; line breaks inside quoted fields are kept as they are.
+ * `undefined` and `null` fields are written empty.
+ *
+ * @param {Array<Array<unknown>>} rows - Rows of fields.
+ * @param {string} delimiter - Field delimiter.
+ * @returns {string} Delimited text.
+ * @example
+ * stringifyDelimited([['Key', 'English'], ['app.title', 'Hello, "World"']], ',');
+ * // => '\uFEFFKey,English\r\napp.title,"Hello, ""World"""\r\n'
+ */
+export function stringifyDelimited(rows, delimiter) {
+  const records = rows.map((row) =>
+    row
+      .map((field) => quoteField(String(field ?? ''), delimiter))
+      .join(delimiter),
+  );
+  return `${UTF8_BOM}${records.map((record) => `${record}\r\n`).join('')}`;
+}
+
+/**
+ * Reads a quoted field starting at the opening quote.
+ *
+ * @param {string} source - Delimited text.
+ * @param {number} start - Index of the opening quote.
+ * @returns {{field: string, end: number}} Unquoted field and the index after the closing quote.
+ * @throws {Error} When the field is not closed.
+ * @private
+ */
+function readQuotedField(source, start) {
+  let field = '';
+  let index = start + 1;
+  for (;;) {
+    const close = source.indexOf('"', index);
+    if (close === -1) {
+      throw new Error('unterminated quoted field');
+    }
+    field += source.slice(index, close);
+    if (source[close + 1] !== '"') return { field, end: close + 1 };
+    field += '"';
+    index = close + 2;
+  }
+}
+
+/**
+ * Reads an unquoted field up to the next delimiter or line break.
+ *
+ * @param {string} source - Delimited text.
+ * @param {number} start - Index of the first character.
+ * @param {string} delimiter - Field delimiter.
+ * @returns {{field: string, end: number}} Field and the index of the character following it.
+ * @private
+ */
+function readPlainField(source, start, delimiter) {
+  let end = start;
+  while (
+    end < source.length &&
+    !['\r', '\n', delimiter].includes(source[end])
+  ) {
+    end += 1;
+  }
+  return { field: source.slice(start, end), end };
+}
+
+/**
+ * Counts the line breaks of a text.
+ *
+ * @param {string} text - Text.
+ * @returns {number} Number of line feeds.
+ * @private
+ */
+const countLines = (text) => text.split('\n').length - 1;
+
+/**
+ * Reads the character following a field.
+ *
+ * @param {string} source - Delimited text.
+ * @param {number} index - Index after the field.
+ * @param {string} delimiter - Field delimiter.
+ * @returns {{next: number, recordEnd: boolean}} Index of the next field and whether the record ended.
+ * @throws {Error} When a quoted field is followed by other characters.
+ * @private
+ */
+function readSeparator(source, index, delimiter) {
+  const char = source[index];
+  if (char === delimiter) return { next: index + 1, recordEnd: false };
+  if (char === '\r' && source[index + 1] === '\n') {
+    return { next: index + 2, recordEnd: true };
+  }
+  if (char === undefined || char === '\r' || char === '\n') {
+    return { next: index + 1, recordEnd: true };
+  }
+  throw new Error('unexpected character after quoted field');
+}
+
+/**
+ * Parses delimited text into rows. A leading byte order mark is ignored, records may end with
+ * CRLF or LF, and quoted fields may contain delimiters, doubled quotes and line breaks.
+ * Empty lines are skipped.
+ *
+ * @param {string} text - Delimited text.
+ * @param {string} delimiter - Field delimiter.
+ * @returns {string[][]} Rows of fields.
+ * @throws {Error} When a quoted field is not closed or is followed by other characters.
+ */
+export function parseDelimited(text, delimiter) {
+  const source = text.startsWith(UTF8_BOM) ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let index = 0;
+  let line = 1;
+
+  try {
+    while (index <= source.length) {
+      const { field, end } =
+        source[index] === '"'
+          ? readQuotedField(source, index)
+          : readPlainField(source, index, delimiter);
+      row.push(field);
+      line += countLines(source.slice(index, end));
+      const { next, recordEnd } = readSeparator(source, end, delimiter);
+      index = next;
+      if (recordEnd) {
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+        line += 1;
+      }
+    }
+  } catch (error) {
+    throw new Error(`Invalid delimited text at line ${line}: ${error.message}`);
+  }
+  return rows;
+}
@@ -0,0 +1,36 @@
+/**
+ * @fileoverview Decoding of backslash escapes in string formats (gettext PO, Android and iOS string
+ * tables, Java properties, JSON5).
+ * @module core/escapes
+ */
+
+/**
+ * Escapes understood by every supported format, by the character following the backslash.
+ * @constant {Object<string, string>}
+ */
+export const BACKSLASH_ESCAPES = Object.freeze({ n: '\n', t: '\t' });
+
+/**
+ * Creates the decoder of single-character escapes for a format.
+ *
+ * @param {Object<string, string>} [extra={}] - Escapes of the format on top of {@link BACKSLASH_ESCAPES}.
+ * @returns {(char: string) => string} Decodes the character following a backslash; characters
+ *   without an escape stand for themselves.
+ * @example
+ * const unescapeChar = createUnescape({ r: '\r' });
+ * unescapeChar('r'); // => '\r'
+ * unescapeChar('"'); // => '"'
+ */
+export function createUnescape(extra = {}) {
+  const escapes = { ...BACKSLASH_ESCAPES, ...extra };
+  return (char) => escapes[char] ?? char;
+}
+
+/**
+ * Decodes the hexadecimal code point of a `\uXXXX` or `\xXX` escape.
+ *
+ * @param {string} hex - Hexadecimal digits.
+ * @returns {string} Character.
+ */
+export const fromHexEscape = (hex) =>
+  String.fromCodePoint(Number.parseInt(hex, 16));
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Export-time snapshot of translation values embedded in a workbook.
+ * The snapshot acts as the common ancestor for three-way merges on import.
+ * @module core/excel/baseSnapshot
+ */
+
+import { BASE_SNAPSHOT_SHEET_NAME } from './reservedSheets.js';
+
+/**
+ * Writes a hidden worksheet containing the exported values keyed by language code.
+ *
+ * Unlike the visible translation sheet, headers always hold raw language codes so
+ * the snapshot can be read back without a language map.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @param {Map<string, Object<string, string>>} translations - Map of translation keys to language values.
+ * @param {string[]} languageCodes - Language codes to include as columns.
+ * @returns {Object} The created ExcelJS Worksheet instance.
+ */
+export function writeBaseSnapshot(workbook, translations, languageCodes) {
+  const worksheet = workbook.addWorksheet(BASE_SNAPSHOT_SHEET_NAME, {
+    state: 'veryHidden',
+  });
+  worksheet.addRow(['Key', ...languageCodes]);
+  for (const key of [...translations.keys()].toSorted()) {
+    const langValues = translations.get(key) ?? {};
+    worksheet.addRow([key, ...languageCodes.map((lang) => langValues[lang])]);
+  }
+  return worksheet;
+}
+
+/**
+ * Reads the export snapshot from a workbook.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @returns {Map<string, Object<string, string>> | undefined} Snapshot table, or undefined
+ *   when the workbook was not produced with a snapshot.
+ */
+export function readBaseSnapshot(workbook) {
+  const worksheet = workbook.getWorksheet(BASE_SNAPSHOT_SHEET_NAME);
+  if (!worksheet) return;
+
+  const languages = worksheet
+    .getRow(1)
+    .values.slice(2)
+    .map((h) => String(h ?? '').trim());
+  const snapshot = new Map();
+
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const key = row.getCell(1).value;
+    if (!key) return;
+    const langValues = {};
+    for (const [index, lang] of languages.entries()) {
+      const value = row.getCell(index + 2).value;
+      if (lang && value !== undefined && value !== null) {
+        langValues[lang] = value;
+      }
+    }
+    snapshot.set(String(key), langValues);
+  });
+
+  return snapshot;
+}
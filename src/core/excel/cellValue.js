@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Normalization of ExcelJS cell values into plain strings.
+ * Cells edited in Excel may hold rich text, formulas, hyperlinks, dates or error values
+ * instead of strings; these must never leak into translation JSON as objects.
+ * @module core/excel/cellValue
+ */
+
+/**
+ * Default cell text representing an intentionally empty translation (`""` in JSON).
+ * Blank cells represent absent translations.
+ * @constant {string}
+ */
+export const DEFAULT_EMPTY_MARKER = '(empty)';
+
+/**
+ * Rich-text font flags mapped to the inline HTML tags they produce, outermost first.
+ * @constant {Array<[string, string]>}
+ */
+const RICH_TEXT_TAGS = [
+  ['bold', 'b'],
+  ['italic', 'i'],
+  ['underline', 'u'],
+];
+
+/**
+ * Formats a date cell. Dates without a time component are written as `YYYY-MM-DD`.
+ *
+ * @param {Date} date - Date value.
+ * @returns {string} ISO 8601 representation.
+ * @private
+ */
+const formatDate = (date) => {
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+};
+
+/**
+ * Wraps a rich-text run in the HTML tags matching its font flags.
+ *
+ * @param {string} text - Run text.
+ * @param {Object} font - ExcelJS font of the run.
+ * @returns {string} Tagged text, e.g. `<b><i>text</i></b>`.
+ * @private
+ */
+const wrapInTags = (text, font) => {
+  const tags = RICH_TEXT_TAGS.filter(([flag]) => font[flag]).map(
+    ([, tag]) => tag,
+  );
+  const open = tags.map((tag) => `<${tag}>`).join('');
+  const close = tags
+    .toReversed()
+    .map((tag) => `</${tag}>`)
+    .join('');
+  return `${open}${text}${close}`;
+};
+
+/**
+ * Joins rich-text runs, optionally wrapping formatted runs in inline HTML tags.
+ *
+ * @param {Array<{text: string, font?: Object}>} runs - ExcelJS rich-text runs.
+ * @param {boolean} html - Whether to emit `<b>`, `<i>` and `<u>` tags.
+ * @returns {string} Joined text.
+ * @private
+ */
+const richTextToString = (runs, html) =>
+  runs
+    .map(({ text = '', font }) =>
+      html && font ? wrapInTags(text, font) : text,
+    )
+    .join('');
+
+/**
+ * Resolves an ExcelJS cell value into a primitive (string, number or boolean).
+ *
+ * - rich text (`{richText}`) → concatenated text, or inline HTML when `html` is set
+ * - formulas (`{formula|sharedFormula, result}`) → their cached result
+ * - hyperlinks (`{text, hyperlink}`) → the link text
+ * - errors (`{error}`) → the error code (e.g. `#N/A`)
+ * - dates → ISO 8601 string
+ *
+ * @param {unknown} value - Raw ExcelJS cell value.
+ * @param {{html?: boolean}} [options={}] - Conversion options.
+ * @returns {string | number | boolean | undefined} Primitive value, or undefined for empty cells
+ *   and formulas without a cached result.
+ */
+export function resolveCellValue(value, options = {}) {
+  if (value === undefined || value === null) return;
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value !== 'object') return value;
+  return resolveObjectValue(value, options);
+}
+
+/**
+ * Resolves the object-typed ExcelJS values (rich text, formulas, hyperlinks, errors).
+ *
+ * @param {Object} value - ExcelJS cell value object.
+ * @param {{html?: boolean}} options - Conversion options.
+ * @returns {string | number | boolean | undefined} Primitive value.
+ * @private
+ */
+function resolveObjectValue(value, options) {
+  if (Array.isArray(value.richText)) {
+    return richTextToString(value.richText, options.html ?? false);
+  }
+  if ('formula' in value || 'sharedFormula' in value) {
+    return resolveCellValue(value.result, options);
+  }
+  if ('hyperlink' in value) return resolveCellValue(value.text, options);
+  if ('error' in value) return String(value.error);
+  return String(value);
+}
+
+/**
+ * Normalizes an ExcelJS cell value into a string.
+ *
+ * @param {unknown} value - Raw ExcelJS cell value.
+ * @param {{html?: boolean}} [options={}] - Conversion options, see {@link resolveCellValue}.
+ * @returns {string | undefined} String value, or undefined for empty cells.
+ * @example
+ * normalizeCellValue({ richText: [{ text: 'Save ' }, { text: 'now', font: { bold: true } }] }, { html: true });
+ * // => 'Save <b>now</b>'
+ */
+export function normalizeCellValue(value, options = {}) {
+  const resolved = resolveCellValue(value, options);
+  return resolved === undefined ? undefined : String(resolved);
+}
+
+/**
+ * Encodes a translation value for a worksheet cell, keeping absent and empty values apart.
+ *
+ * @param {unknown} value - Translation value (undefined when the key is absent in a language).
+ * @param {string} [emptyMarker=DEFAULT_EMPTY_MARKER] - Cell text written for empty strings.
+ * @returns {unknown} Cell value: undefined (blank cell) for absent, the marker for `''`, otherwise the value.
+ */
+export function encodeTranslationCell(
+  value,
+  emptyMarker = DEFAULT_EMPTY_MARKER,
+) {
+  if (value === undefined || value === null) return;
+  return value === '' ? emptyMarker : value;
+}
+
+/**
+ * Decodes a worksheet cell into a translation value (tri-state: absent, empty, translated).
+ *
+ * @param {unknown} value - Raw ExcelJS cell value.
+ * @param {{html?: boolean, emptyMarker?: string}} [options={}] - Normalization options and the
+ *   cell text representing an empty string.
+ * @returns {string | undefined} undefined for blank cells (absent), `''` for the marker, otherwise the text.
+ */
+export function decodeTranslationCell(value, options = {}) {
+  const text = normalizeCellValue(value, options);
+  if (text === undefined || text === '') return;
+  return text === (options.emptyMarker ?? DEFAULT_EMPTY_MARKER) ? '' : text;
+}
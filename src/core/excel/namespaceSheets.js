@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Splitting translations into one worksheet per top-level namespace.
+ * A hidden index sheet maps each worksheet back to its key prefix so imports can
+ * reassemble the original keys even when namespaces are not valid sheet names.
+ * @module core/excel/namespaceSheets
+ */
+
+import {
+  DEFAULT_KEY_SEPARATOR,
+  indexOfKeySeparator,
+} from '../json/structure.js';
+
+import {
+  NAMESPACE_INDEX_SHEET_NAME,
+  VISIBLE_RESERVED_SHEET_NAMES,
+} from './reservedSheets.js';
+
+/**
+ * Supported values for the `splitBy` export option.
+ * @constant {string[]}
+ */
+export const SPLIT_BY_MODES = ['namespace'];
+
+/** @constant {number} Maximum worksheet name length allowed by Excel */
+const MAX_SHEET_NAME_LENGTH = 31;
+
+/** @constant {RegExp} Characters Excel forbids in worksheet names */
+const FORBIDDEN_SHEET_CHARS = /[*/:?[\\\]]/g;
+
+/**
+ * Groups translations by their first key segment.
+ * Keys without a namespace (no unescaped separator) are grouped under the empty string.
+ *
+ * @param {Map<string, Object<string, string>>} translations - Map of translation keys to language values.
+ * @param {string} [separator='.'] - Key separator.
+ * @returns {Map<string, Map<string, Object<string, string>>>} Namespace -> translations keyed without the prefix.
+ * @example
+ * splitTranslationsByNamespace(new Map([['auth.login', {}], ['title', {}]]));
+ * // => Map { 'auth' => Map { 'login' => {} }, '' => Map { 'title' => {} } }
+ */
+export function splitTranslationsByNamespace(
+  translations,
+  separator = DEFAULT_KEY_SEPARATOR,
+) {
+  const groups = new Map();
+  for (const [key, values] of translations) {
+    const at = indexOfKeySeparator(key, separator);
+    const namespace = at === -1 ? '' : key.slice(0, at);
+    const subKey = at === -1 ? key : key.slice(at + 1);
+    if (!groups.has(namespace)) groups.set(namespace, new Map());
+    groups.get(namespace).set(subKey, values);
+  }
+  return groups;
+}
+
+/**
+ * Derives a valid, unique worksheet name for every namespace.
+ * Forbidden characters are replaced, names are truncated to Excel's limit and
+ * case-insensitive collisions (including reserved sheet names) receive a numeric suffix.
+ *
+ * @param {string[]} namespaces - Namespaces in output order ('' for root keys).
+ * @param {string} rootSheetName - Worksheet name used for keys without a namespace.
+ * @returns {Map<string, string>} Namespace -> worksheet name.
+ */
+export function createNamespaceSheetNames(namespaces, rootSheetName) {
+  const names = new Map();
+  const used = new Set(
+    VISIBLE_RESERVED_SHEET_NAMES.map((n) => n.toLowerCase()),
+  );
+  for (const namespace of namespaces) {
+    const base = (namespace === '' ? rootSheetName : namespace)
+      .replaceAll(FORBIDDEN_SHEET_CHARS, '_')
+      .slice(0, MAX_SHEET_NAME_LENGTH);
+    let name = base || '_';
+    for (let i = 2; used.has(name.toLowerCase()); i += 1) {
+      const suffix = ` (${i})`;
+      name = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    used.add(name.toLowerCase());
+    names.set(namespace, name);
+  }
+  return names;
+}
+
+/**
+ * Writes the hidden worksheet that maps sheet names to key prefixes.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @param {Map<string, string>} sheetNames - Namespace -> worksheet name.
+ * @returns {Object} The created ExcelJS Worksheet instance.
+ */
+export function writeNamespaceIndex(workbook, sheetNames) {
+  const worksheet = workbook.addWorksheet(NAMESPACE_INDEX_SHEET_NAME, {
+    state: 'veryHidden',
+  });
+  worksheet.addRow(['Sheet', 'Prefix']);
+  for (const [namespace, sheetName] of sheetNames) {
+    worksheet.addRow([sheetName, namespace]);
+  }
+  return worksheet;
+}
+
+/**
+ * Reads the sheet name -> key prefix index from a workbook.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @returns {Map<string, string> | undefined} Sheet name -> prefix ('' for root), or undefined
+ *   when the workbook was not split by namespace.
+ */
+export function readNamespaceIndex(workbook) {
+  const worksheet = workbook.getWorksheet(NAMESPACE_INDEX_SHEET_NAME);
+  if (!worksheet) return;
+  const index = new Map();
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const sheetName = row.getCell(1).value;
+    if (sheetName) {
+      index.set(String(sheetName), String(row.getCell(2).value ?? ''));
+    }
+  });
+  return index;
+}
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Marker for workbooks that contain only a subset of the translation keys.
+ * Partial (delta) workbooks must be merged into the existing JSON on import instead of
+ * replacing it.
+ * @module core/excel/partialExport
+ */
+
+import { PARTIAL_EXPORT_SHEET_NAME } from './reservedSheets.js';
+
+/**
+ * Marks a workbook as a partial export by adding a hidden worksheet describing the filter.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @param {string} description - Human-readable description of the delta filter.
+ * @returns {Object} The created ExcelJS Worksheet instance.
+ */
+export function markPartialExport(workbook, description) {
+  const worksheet = workbook.addWorksheet(PARTIAL_EXPORT_SHEET_NAME, {
+    state: 'veryHidden',
+  });
+  worksheet.addRow(['Filter']);
+  worksheet.addRow([description]);
+  return worksheet;
+}
+
+/**
+ * Determines whether a workbook was produced by a delta export.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @returns {boolean} True when the workbook carries the partial export marker.
+ */
+export function isPartialExport(workbook) {
+  return workbook.getWorksheet(PARTIAL_EXPORT_SHEET_NAME) !== undefined;
+}
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Names of internal worksheets written alongside translation sheets.
+ * Reserved sheets are skipped when a workbook is read with `allSheets`.
+ * @module core/excel/reservedSheets
+ */
+
+/** @constant {string} Prefix shared by all hidden internal worksheets */
+export const RESERVED_SHEET_PREFIX = '_i18n_';
+
+/** @constant {string} Name of the hidden worksheet holding the export snapshot */
+export const BASE_SNAPSHOT_SHEET_NAME = `${RESERVED_SHEET_PREFIX}base`;
+
+/** @constant {string} Name of the hidden worksheet mapping sheet names to key prefixes */
+export const NAMESPACE_INDEX_SHEET_NAME = `${RESERVED_SHEET_PREFIX}sheets`;
+
+/** @constant {string} Name of the hidden worksheet mapping key prefixes to source directories */
+export const SOURCE_INDEX_SHEET_NAME = `${RESERVED_SHEET_PREFIX}sources`;
+
+/** @constant {string} Name of the hidden worksheet marking delta exports */
+export const PARTIAL_EXPORT_SHEET_NAME = `${RESERVED_SHEET_PREFIX}partial`;
+
+/** @constant {string} Name of the visible worksheet explaining cell highlight colors */
+export const LEGEND_SHEET_NAME = 'Legend';
+
+/** @constant {string} Name of the visible worksheet with per-language statistics */
+export const SUMMARY_SHEET_NAME = 'Summary';
+
+/**
+ * Visible worksheets generated for humans that never contain translations.
+ * @constant {string[]}
+ */
+export const VISIBLE_RESERVED_SHEET_NAMES = [
+  LEGEND_SHEET_NAME,
+  SUMMARY_SHEET_NAME,
+];
+
+/**
+ * Determines whether a worksheet is an internal sheet that must not be read as translations.
+ *
+ * @param {string} sheetName - Worksheet name.
+ * @returns {boolean} True when the sheet is reserved for internal use.
+ */
+export function isReservedSheetName(sheetName) {
+  const name = String(sheetName);
+  return (
+    name.startsWith(RESERVED_SHEET_PREFIX) ||
+    VISIBLE_RESERVED_SHEET_NAMES.includes(name)
+  );
+}
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Visual highlighting of translation issues in worksheets.
+ * Marks missing values and placeholder mismatches so translators can spot them in Excel.
+ * @module core/excel/sheetHighlight
+ * @typedef {import('../../types.js').TranslationReport} TranslationReport
+ */
+
+import { findMissingPlaceholders } from '../report/translationReport.js';
+
+import { LEGEND_SHEET_NAME } from './reservedSheets.js';
+
+/** @constant {string} Fill color for missing translations (light yellow) */
+export const MISSING_FILL_COLOR = 'FFFFEB9C';
+
+/** @constant {string} Fill color for placeholder mismatches (light red) */
+export const PLACEHOLDER_FILL_COLOR = 'FFFFC7CE';
+
+/**
+ * Builds a solid background fill definition.
+ *
+ * @param {string} argb - ARGB color value.
+ * @returns {Object} ExcelJS fill definition.
+ * @private
+ */
+const solidFill = (argb) => ({
+  type: 'pattern',
+  pattern: 'solid',
+  fgColor: { argb },
+});
+
+/**
+ * Maps translation keys in column 1 to their row numbers.
+ *
+ * @param {Object} worksheet - ExcelJS worksheet instance.
+ * @returns {Map<string, number>} Key -> row number.
+ * @private
+ */
+const indexRowsByKey = (worksheet) => {
+  const rows = new Map();
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const key = row.getCell(1).value;
+    if (key) rows.set(String(key), rowNumber);
+  });
+  return rows;
+};
+
+/**
+ * Highlights missing values and placeholder mismatches of a translation worksheet.
+ *
+ * Missing cells receive {@link MISSING_FILL_COLOR}. Non-empty cells lacking placeholders
+ * used by other languages receive {@link PLACEHOLDER_FILL_COLOR} and a cell comment naming
+ * the missing placeholders.
+ *
+ * @param {Object} worksheet - ExcelJS worksheet created by createTranslationWorksheet.
+ * @param {TranslationReport} report - Report computed for the worksheet's translations.
+ * @param {string[]} languageCodes - Language codes in column order (starting at column 2).
+ * @returns {void}
+ */
+export function highlightTranslationIssues(worksheet, report, languageCodes) {
+  const rows = indexRowsByKey(worksheet);
+  const columnOf = (lang) => languageCodes.indexOf(lang) + 2;
+  const missing = new Set();
+
+  for (const { key, lang } of report.missing) {
+    const rowNumber = rows.get(key);
+    if (rowNumber === undefined) continue;
+    missing.add(`${key}\u0000${lang}`);
+    const cell = worksheet.getCell(rowNumber, columnOf(lang));
+    cell.fill = solidFill(MISSING_FILL_COLOR);
+  }
+
+  for (const { key, placeholders } of report.placeholderInconsistencies ?? []) {
+    const rowNumber = rows.get(key);
+    if (rowNumber === undefined) continue;
+    for (const lang of languageCodes) {
+      if (missing.has(`${key}\u0000${lang}`)) continue;
+      const absent = findMissingPlaceholders(placeholders, lang);
+      if (absent.length === 0) continue;
+      const cell = worksheet.getCell(rowNumber, columnOf(lang));
+      cell.fill = solidFill(PLACEHOLDER_FILL_COLOR);
+      cell.note = `Missing placeholders: ${absent.map((ph) => `{${ph}}`).join(', ')}`;
+    }
+  }
+}
+
+/**
+ * Adds a worksheet explaining the highlight colors.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @returns {Object} The created ExcelJS Worksheet instance.
+ */
+export function createLegendWorksheet(workbook) {
+  const worksheet = workbook.addWorksheet(LEGEND_SHEET_NAME);
+  worksheet.addRow(['Color', 'Meaning']);
+  worksheet.addRow(['', 'Missing translation']);
+  worksheet.addRow([
+    '',
+    'Placeholder mismatch (hover the cell to see missing placeholders)',
+  ]);
+  worksheet.getCell('A2').fill = solidFill(MISSING_FILL_COLOR);
+  worksheet.getCell('A3').fill = solidFill(PLACEHOLDER_FILL_COLOR);
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getColumn(1).width = 12;
+  worksheet.getColumn(2).width = 70;
+  return worksheet;
+}
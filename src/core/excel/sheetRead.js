@@ -1,50 +1,91 @@
 /**
  * @fileoverview Core logic for reading translation data from Excel worksheets.
- * Handles header validation, language mapping, and duplicate key detection.
+ * Handles header validation, language mapping, metadata columns, and duplicate key detection.
  * @module core/excel/sheetRead
+ * @typedef {import('../../types.js').KeyFormat} KeyFormat
  */
 
 // Phase 1 FIX: import from core/validation.js (pure) — no longer violates core→io boundary.
-import { setNestedValue } from '../json/structure.js';
+import { compileKeyPatterns } from '../json/keyPatterns.js';
+import {
+  findKeyCollisions,
+  keyToPath,
+  resolveKeySeparator,
+  setNestedValue,
+} from '../json/structure.js';
+import { decodeTypedValue } from '../json/typedValues.js';
 import { createReverseLanguageMap } from '../languages/mapping.js';
+import { buildMetadataHeaderLookup } from '../model/metadata.js';
 import { validateLanguageCode } from '../validation.js';
 
+import {
+  decodeTranslationCell,
+  normalizeCellValue,
+  resolveCellValue,
+} from './cellValue.js';
+
 /**
  * Parses and validates the header row of a translation worksheet.
- * Maps display names to language codes and detects duplicate columns.
+ * Separates reserved metadata columns from language columns, maps display names
+ * to language codes and detects duplicate columns.
  *
  * @param {Array<string | null>} rawHeaders - Raw header values (starting from column 2).
  * @param {Object<string, string>} reverseLanguageMap - Reverse map (display name -> code).
- * @returns {string[]} Array of validated language codes.
+ * @param {Map<string, string>} metadataLookup - Lowercased metadata header -> field name.
+ * @returns {{languageColumns: Array<{code: string, col: number}>, metadataColumns: Array<{field: string, col: number}>}}
+ *   Validated language and metadata columns with their 1-based column numbers.
  * @throws {Error} If any header is empty or duplicate language columns are found.
  * @private
  */
-function parseHeaders(rawHeaders, reverseLanguageMap) {
-  const languageNames = rawHeaders.map((h, idx) => {
-    const v = h == null ? '' : String(h).trim();
+function parseHeaders(rawHeaders, reverseLanguageMap, metadataLookup) {
+  const languageColumns = [];
+  const metadataColumns = [];
+
+  for (const [idx, h] of rawHeaders.entries()) {
+    const col = idx + 2;
+    const v = (normalizeCellValue(h) ?? '').trim();
     if (!v) {
-      throw new Error(`Empty language header at column ${idx + 2}`);
+      throw new Error(`Empty language header at column ${col}`);
     }
-    return v;
-  });
-
-  const mappedCodes = languageNames.map(
-    (name) => reverseLanguageMap[name] ?? name,
-  );
+    const field = metadataLookup.get(v.toLowerCase());
+    if (field) {
+      metadataColumns.push({ field, col });
+    } else {
+      languageColumns.push({ code: reverseLanguageMap[v] ?? v, col });
+    }
+  }
 
   const seenCodes = new Map();
-  for (const [i, code] of mappedCodes.entries()) {
+  for (const { code, col } of languageColumns) {
     validateLanguageCode(code);
     if (seenCodes.has(code)) {
       const first = seenCodes.get(code);
       throw new Error(
-        `Duplicate language columns for code "${code}" at columns ${first} and ${i + 2}`,
+        `Duplicate language columns for code "${code}" at columns ${first} and ${col}`,
       );
     }
-    seenCodes.set(code, i + 2);
+    seenCodes.set(code, col);
   }
 
-  return mappedCodes;
+  return { languageColumns, metadataColumns };
+}
+
+/**
+ * Collects non-empty metadata cell values of a row.
+ * @param {Object} row - ExcelJS Row instance.
+ * @param {Array<{field: string, col: number}>} metadataColumns - Metadata columns.
+ * @returns {Object<string, unknown>} Field -> value map.
+ * @private
+ */
+function readRowMetadata(row, metadataColumns) {
+  const fields = {};
+  for (const { field, col } of metadataColumns) {
+    const value = resolveCellValue(row.getCell(col).value);
+    if (value !== undefined && value !== '') {
+      fields[field] = value;
+    }
+  }
+  return fields;
 }
 
 /**
@@ -55,16 +96,33 @@ function parseHeaders(rawHeaders, reverseLanguageMap) {
  * (e.g., 'app.title' becomes { app: { title: '...' } }).
  *
  * Expected worksheet format:
- * - Row 1: Headers with 'Key' in column 1, language codes/names in subsequent columns
- * - Row 2+: Translation data with key in column 1, values in language columns
+ * - Row 1: Headers with 'Key' in column 1, language codes/names or reserved metadata
+ *   headers (e.g. 'Description', 'Max Length') in subsequent columns
+ * - Row 2+: Translation data with key in column 1, values in language and metadata columns
  *
  * @param {Object} worksheet - ExcelJS Worksheet instance.
  * @param {Object<string, string>} [languageMap={}] - Map of language code to display name.
  *   Used to reverse-map display names in headers back to codes.
- * @returns {{languages: string[], translationsByLanguage: Object<string, Object>, duplicates: string[]}}
+ * Cell values are normalized to strings (see {@link module:core/excel/cellValue}); rich text
+ * becomes plain text unless the key matches one of `markupKeys`, in which case bold, italic and
+ * underlined runs are kept as inline HTML. Blank cells are treated as absent translations and
+ * cells containing `emptyMarker` as intentionally empty strings. In `typed` mode, indexed keys
+ * (`steps[0]`) are restored as arrays and tagged values (`[number] 3`) as their JSON type.
+ * Keys are split into nested objects on unescaped `keySeparator` characters, unless `flatJson` is set.
+ *
+ * @param {{metadataColumns?: string[], markupKeys?: string[], emptyMarker?: string, keyPrefix?: string} & KeyFormat} [options={}] - Additional
+ *   metadata column headers recognized besides the reserved defaults, key patterns (`*` wildcard) whose
+ *   rich text is converted to HTML, the cell text representing `''` (default `(empty)`), a key prefix
+ *   prepended to every row key (the namespace of split worksheets) and the key format.
+ * @returns {{languages: string[], translationsByLanguage: Object<string, Object>, keys: string[], duplicates: string[], collisions: string[], metadata: Map<string, Object>, metadataFields: string[]}}
  *   - languages: Array of language codes found in headers
  *   - translationsByLanguage: Object with language codes as keys and nested translation objects as values
+ *   - keys: Translation keys in row order, including rows without any value
  *   - duplicates: Array of translation keys that appear more than once
+ *   - collisions: Keys that are also the parent of other keys (`app.title` and `app.title.short`); only one
+ *     of them survives nesting
+ *   - metadata: Translation key -> metadata fields for rows with metadata values
+ *   - metadataFields: Metadata fields present as columns in the sheet
  * @throws {Error} If headers are empty, invalid, or duplicate language columns exist.
  * @example
  * const { languages, translationsByLanguage, duplicates } = readTranslationsFromWorksheet(
@@ -72,38 +130,71 @@ function parseHeaders(rawHeaders, reverseLanguageMap) {
  *   { en: 'English', de: 'German' }
  * );
  */
-export function readTranslationsFromWorksheet(worksheet, languageMap = {}) {
+export function readTranslationsFromWorksheet(
+  worksheet,
+  languageMap = {},
+  options = {},
+) {
   const reverseLanguageMap = createReverseLanguageMap(languageMap);
   const headerRow = worksheet.getRow(1).values;
   const rawHeaders = headerRow.slice(2);
 
-  const languages = parseHeaders(rawHeaders, reverseLanguageMap);
+  const { languageColumns, metadataColumns } = parseHeaders(
+    rawHeaders,
+    reverseLanguageMap,
+    buildMetadataHeaderLookup(options.metadataColumns),
+  );
+  const languages = languageColumns.map(({ code }) => code);
 
   const translationsByLanguage = Object.fromEntries(
     languages.map((l) => [l, {}]),
   );
+  const metadata = new Map();
+  const allowsMarkup = compileKeyPatterns(options.markupKeys);
   const seen = new Set();
   const duplicates = new Set();
+  const separator = resolveKeySeparator(options);
+  const toFullKey = options.keyPrefix
+    ? (key) => `${options.keyPrefix}${separator}${key}`
+    : (key) => key;
+  const decode = options.typed
+    ? (value, key) => decodeTypedValue(value, key)
+    : (value) => value;
 
   worksheet.eachRow((row, rowNumber) => {
     if (rowNumber === 1) return;
-    const key = row.getCell(1).value;
-    if (!key) return;
-    const keyStr = String(key);
+    const rowKey = normalizeCellValue(row.getCell(1).value);
+    if (!rowKey) return;
+    const keyStr = toFullKey(rowKey);
     if (seen.has(keyStr)) duplicates.add(keyStr);
     else seen.add(keyStr);
 
-    for (const [index, lang] of languages.entries()) {
-      const value = row.getCell(index + 2).value;
-      if (value !== undefined && value !== null) {
-        setNestedValue(translationsByLanguage[lang], keyStr.split('.'), value);
+    const html = allowsMarkup(keyStr);
+    for (const { code, col } of languageColumns) {
+      const value = decodeTranslationCell(row.getCell(col).value, {
+        html,
+        emptyMarker: options.emptyMarker,
+      });
+      if (value !== undefined) {
+        setNestedValue(
+          translationsByLanguage[code],
+          keyToPath(keyStr, options),
+          decode(value, keyStr),
+        );
       }
     }
+
+    const fields = readRowMetadata(row, metadataColumns);
+    if (Object.keys(fields).length > 0) metadata.set(keyStr, fields);
   });
 
   return {
     languages,
     translationsByLanguage,
+    keys: [...seen],
     duplicates: [...duplicates],
+    collisions: findKeyCollisions(seen, options),
+    metadata,
+    metadataFields: metadataColumns.map(({ field }) => field),
   };
 }
@@ -4,12 +4,47 @@
  * @module core/excel/sheetWrite
  */
 
+import { resolveMetadataColumns } from '../model/metadata.js';
+
+import { encodeTranslationCell } from './cellValue.js';
+
 /** @constant {number} Default column width for translation columns */
 const DEFAULT_COLUMN_WIDTH = 40;
 
 /** @constant {string} Header row fill color (light gray) */
 const HEADER_FILL_COLOR = 'FFD3D3D3';
 
+/** @constant {string} Background color of cells exceeding their max length (light red) */
+const MAX_LENGTH_FILL_COLOR = 'FFFFC7CE';
+
+/** @constant {string} Font color of cells exceeding their max length (dark red) */
+const MAX_LENGTH_FONT_COLOR = 'FF9C0006';
+
+/** @constant {string[]} Option names that tell worksheet options apart from a plain language map */
+const WORKSHEET_OPTION_NAMES = [
+  'languageMap',
+  'metadataColumns',
+  'metadata',
+  'maxLengths',
+  'emptyMarker',
+  'protection',
+];
+
+/**
+ * Reads the last argument of {@link createTranslationWorksheet}, which is either the worksheet
+ * options or, as in earlier versions, a plain language map.
+ *
+ * @param {Object} [optionsOrLanguageMap={}] - Worksheet options or language code -> display name map.
+ * @returns {Object} Worksheet options.
+ * @private
+ */
+const resolveWorksheetOptions = (optionsOrLanguageMap = {}) =>
+  WORKSHEET_OPTION_NAMES.some((name) =>
+    Object.hasOwn(optionsOrLanguageMap, name),
+  )
+    ? optionsOrLanguageMap
+    : { languageMap: optionsOrLanguageMap };
+
 /**
  * Applies styling to the worksheet header row.
  * Sets column widths and applies bold font with gray background.
@@ -30,6 +65,84 @@ const applyHeaderStyles = (worksheet) => {
   };
 };
 
+/**
+ * Restricts the language cells of a row to a maximum text length.
+ * Adds a text-length data validation to every cell and a conditional format
+ * that turns the cells red once the limit is exceeded.
+ *
+ * @param {Object} worksheet - ExcelJS worksheet instance.
+ * @param {number} rowNumber - Row to constrain.
+ * @param {number} languageCount - Number of language columns (starting at column 2).
+ * @param {number} maxLength - Maximum number of characters.
+ * @private
+ */
+const applyMaxLengthRules = (
+  worksheet,
+  rowNumber,
+  languageCount,
+  maxLength,
+) => {
+  if (languageCount === 0) return;
+  const first = worksheet.getCell(rowNumber, 2).address;
+  const last = worksheet.getCell(rowNumber, languageCount + 1).address;
+  for (let col = 2; col <= languageCount + 1; col += 1) {
+    const cell = worksheet.getCell(rowNumber, col);
+    cell.dataValidation = {
+      type: 'textLength',
+      operator: 'lessThanOrEqual',
+      allowBlank: true,
+      showErrorMessage: true,
+      errorTitle: 'Text too long',
+      error: `Maximum length is ${maxLength} characters`,
+      formulae: [maxLength],
+    };
+  }
+  worksheet.addConditionalFormatting({
+    ref: `${first}:${last}`,
+    rules: [
+      {
+        type: 'expression',
+        formulae: [`LEN(${first})>${maxLength}`],
+        style: {
+          fill: {
+            type: 'pattern',
+            pattern: 'solid',
+            bgColor: { argb: MAX_LENGTH_FILL_COLOR },
+          },
+          font: { color: { argb: MAX_LENGTH_FONT_COLOR } },
+        },
+      },
+    ],
+  });
+};
+
+/**
+ * Protects the worksheet so that only target-language cells remain editable.
+ * The Key column, the source language column, the header row and metadata columns stay locked.
+ *
+ * @param {Object} worksheet - ExcelJS worksheet instance.
+ * @param {string[]} languageCodes - Language codes in column order (starting at column 2).
+ * @param {{sourceLang?: string, password?: string}} protection - Protection settings.
+ * @private
+ */
+const applySheetProtection = (worksheet, languageCodes, protection) => {
+  const { sourceLang, password } = protection;
+  for (const [index, lang] of languageCodes.entries()) {
+    if (lang === sourceLang) continue;
+    for (let rowNumber = 2; rowNumber <= worksheet.rowCount; rowNumber += 1) {
+      const cell = worksheet.getCell(rowNumber, index + 2);
+      cell.protection = { locked: false };
+    }
+  }
+  // ExcelJS sets the protection synchronously; the returned promise carries no result.
+  worksheet.protect(password ?? '', {
+    selectLockedCells: true,
+    selectUnlockedCells: true,
+    formatColumns: true,
+    formatRows: true,
+  });
+};
+
 /**
  * Creates a translation worksheet in the given workbook.
  *
@@ -45,34 +158,73 @@ const applyHeaderStyles = (worksheet) => {
  * @param {string} sheetName - Name for the new worksheet.
  * @param {Map<string, Object<string, string>>} translations - Map of translation keys to language value objects.
  * @param {string[]} languageCodes - Array of language codes to include as columns.
- * @param {Object<string, string>} [languageMap] - Map of language codes to display names for headers.
+ * @param {Object} [optionsOrLanguageMap] - Worksheet options. A plain map of language codes to display names is
+ *   accepted as well and used as `languageMap`.
+ * @param {Object<string, string>} [optionsOrLanguageMap.languageMap] - Map of language codes to display names for headers.
+ * @param {string[]} [optionsOrLanguageMap.metadataColumns] - Metadata column headers appended after the language columns.
+ * @param {Map<string, Object>} [optionsOrLanguageMap.metadata] - Translation key -> metadata fields used to fill metadata columns.
+ * @param {Map<string, number>} [optionsOrLanguageMap.maxLengths] - Translation key -> max length enforced on the language cells.
+ * @param {string} [optionsOrLanguageMap.emptyMarker='(empty)'] - Cell text written for intentionally empty values (`''`).
+ *   Absent values are left blank.
+ * @param {{sourceLang?: string, password?: string}} [optionsOrLanguageMap.protection] - Protect the worksheet so that only
+ *   target-language cells are editable; the Key and `sourceLang` columns are locked. The password is optional.
  * @returns {Object} The created ExcelJS Worksheet instance.
  * @example
  * const translations = new Map([
  *   ['app.title', { en: 'My App', de: 'Meine App' }]
  * ]);
- * createTranslationWorksheet(workbook, 'Translations', translations, ['en', 'de'], { en: 'English', de: 'German' });
+ * createTranslationWorksheet(workbook, 'Translations', translations, ['en', 'de'], {
+ *   languageMap: { en: 'English', de: 'German' },
+ * });
  */
 export function createTranslationWorksheet(
   workbook,
   sheetName,
   translations,
   languageCodes,
-  languageMap,
+  optionsOrLanguageMap,
 ) {
+  const options = resolveWorksheetOptions(optionsOrLanguageMap);
   const worksheet = workbook.addWorksheet(sheetName);
   const sortedLangs = [...languageCodes];
-  const languageNames = sortedLangs.map((code) => languageMap?.[code] ?? code);
+  const languageNames = sortedLangs.map(
+    (code) => options.languageMap?.[code] ?? code,
+  );
+  const metadataColumns = resolveMetadataColumns(options.metadataColumns);
+  const metadata = options.metadata ?? new Map();
+  const maxLengths = options.maxLengths ?? new Map();
 
-  worksheet.addRow(['Key', ...languageNames]);
+  worksheet.addRow([
+    'Key',
+    ...languageNames,
+    ...metadataColumns.map(({ header }) => header),
+  ]);
 
   for (const key of [...translations.keys()].toSorted()) {
     const langValues = translations.get(key) ?? {};
-    const row = [key, ...sortedLangs.map((lang) => langValues[lang] ?? '')];
-    worksheet.addRow(row);
+    const fields = metadata.get(key) ?? {};
+    const row = [
+      key,
+      ...sortedLangs.map((lang) =>
+        encodeTranslationCell(langValues[lang], options.emptyMarker),
+      ),
+      ...metadataColumns.map(({ field }) => fields[field] ?? ''),
+    ];
+    const { number } = worksheet.addRow(row);
+    if (maxLengths.has(key)) {
+      applyMaxLengthRules(
+        worksheet,
+        number,
+        sortedLangs.length,
+        maxLengths.get(key),
+      );
+    }
   }
 
   applyHeaderStyles(worksheet);
+  if (options.protection) {
+    applySheetProtection(worksheet, sortedLangs, options.protection);
+  }
 
   return worksheet;
 }
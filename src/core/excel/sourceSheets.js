@@ -0,0 +1,78 @@
+/**
+ * @fileoverview One worksheet per locale directory for workbooks exported from several directories
+ * (e.g. every library of a monorepo). Keys are prefixed with a short label of their directory, so the
+ * namespace split writes one worksheet per directory; a hidden index maps each prefix back to its
+ * directory so imports can write every key to the directory it came from.
+ * @module core/excel/sourceSheets
+ */
+
+import { SOURCE_INDEX_SHEET_NAME } from './reservedSheets.js';
+
+/**
+ * Derives a short, unique label for every source directory by dropping the leading and trailing
+ * path segments all directories share.
+ *
+ * @param {string[]} dirs - Distinct source directories, `/`-separated.
+ * @returns {Map<string, string>} Directory -> label.
+ * @example
+ * createSourceLabels(['libs/auth/src/assets/i18n', 'libs/shop/src/assets/i18n']);
+ * // => Map { 'libs/auth/src/assets/i18n' => 'auth', 'libs/shop/src/assets/i18n' => 'shop' }
+ */
+export function createSourceLabels(dirs) {
+  if (dirs.length < 2) return new Map(dirs.map((dir) => [dir, dir]));
+  const segments = dirs.map((dir) => dir.split('/'));
+  const shortest = Math.min(...segments.map((parts) => parts.length));
+  const shared = (at) =>
+    segments.every((parts) => at(parts) === at(segments[0]));
+  let lead = 0;
+  while (lead < shortest - 1 && shared((parts) => parts[lead])) lead += 1;
+  let trail = 0;
+  while (
+    trail < shortest - lead - 1 &&
+    shared((parts) => parts.at(-1 - trail))
+  ) {
+    trail += 1;
+  }
+  return new Map(
+    dirs.map((dir, i) => [
+      dir,
+      segments[i].slice(lead, segments[i].length - trail).join('/'),
+    ]),
+  );
+}
+
+/**
+ * Writes the hidden worksheet that maps key prefixes to source directories.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @param {Map<string, string>} sources - Key prefix -> source directory.
+ * @returns {Object} The created ExcelJS Worksheet instance.
+ */
+export function writeSourceIndex(workbook, sources) {
+  const worksheet = workbook.addWorksheet(SOURCE_INDEX_SHEET_NAME, {
+    state: 'veryHidden',
+  });
+  worksheet.addRow(['Prefix', 'Source']);
+  for (const [prefix, dir] of sources) worksheet.addRow([prefix, dir]);
+  return worksheet;
+}
+
+/**
+ * Reads the key prefix -> source directory index from a workbook.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @returns {Map<string, string> | undefined} Key prefix -> source directory, or undefined when the
+ *   workbook was exported from a single directory.
+ */
+export function readSourceIndex(workbook) {
+  const worksheet = workbook.getWorksheet(SOURCE_INDEX_SHEET_NAME);
+  if (!worksheet) return;
+  const index = new Map();
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const prefix = row.getCell(1).value;
+    const dir = row.getCell(2).value;
+    if (prefix && dir) index.set(String(prefix), String(dir));
+  });
+  return index;
+}
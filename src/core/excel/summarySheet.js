@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Summary worksheet with per-language translation statistics.
+ * @module core/excel/summarySheet
+ */
+
+import { SUMMARY_SHEET_NAME } from './reservedSheets.js';
+
+/**
+ * Adds a worksheet listing completion, missing values, placeholder issues and
+ * untranslated source words per language.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @param {Array<{lang:string,total:number,missing:number,completion:number,placeholderIssues:number,untranslatedWords:number}>} summary
+ *   Per-language statistics from summarizeTranslationReport.
+ * @param {Object<string, string>} [languageMap] - Map of language codes to display names.
+ * @returns {Object} The created ExcelJS Worksheet instance.
+ */
+export function createSummaryWorksheet(workbook, summary, languageMap) {
+  const worksheet = workbook.addWorksheet(SUMMARY_SHEET_NAME);
+  worksheet.addRow([
+    'Language',
+    'Code',
+    'Completion',
+    'Translated',
+    'Missing',
+    'Placeholder Issues',
+    'Untranslated Words',
+  ]);
+  for (const entry of summary) {
+    worksheet.addRow([
+      languageMap?.[entry.lang] ?? entry.lang,
+      entry.lang,
+      entry.completion,
+      entry.total - entry.missing,
+      entry.missing,
+      entry.placeholderIssues,
+      entry.untranslatedWords,
+    ]);
+  }
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getColumn(3).numFmt = '0.0%';
+  for (const column of worksheet.columns) {
+    column.width = 20;
+  }
+  return worksheet;
+}
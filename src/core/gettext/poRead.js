@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Parsing of gettext PO files into translation entries.
+ * Entries are keyed by `msgctxt`, falling back to `msgid` for files without context.
+ * @module core/gettext/poRead
+ * @typedef {import('../../types.js').PoEntry} PoEntry
+ */
+
+import { createUnescape } from '../escapes.js';
+
+/** @constant {RegExp} Keyword line, e.g. `msgstr[0] "text"` */
+const KEYWORD_LINE =
+  /^(msgctxt|msgid_plural|msgid|msgstr\[\d+]|msgstr)\s+"(.*)"$/;
+
+/** @constant {RegExp} Continuation line of the preceding keyword */
+const STRING_LINE = /^"(.*)"$/;
+
+/** @constant {RegExp} `Language` field of the header entry */
+const HEADER_LANGUAGE = /^Language:[^\S\n]*(\S*)/m;
+
+/**
+ * Decodes the character following a backslash in PO strings.
+ * @constant {(char: string) => string}
+ */
+const unescapeChar = createUnescape({ r: '\r' });
+
+/**
+ * Unescapes the content of a PO string literal.
+ *
+ * @param {string} text - Escaped text without surrounding quotes.
+ * @returns {string} Unescaped text.
+ * @private
+ */
+const unescapePoString = (text) =>
+  text.replaceAll(/\\(.)/g, (_, char) => unescapeChar(char));
+
+/**
+ * Creates an empty raw entry.
+ *
+ * @returns {{comments: string[], translatorComments: string[], flags: string[], fields: Object<string, string>}} Raw entry.
+ * @private
+ */
+const createRawEntry = () => ({
+  comments: [],
+  translatorComments: [],
+  flags: [],
+  fields: {},
+});
+
+/**
+ * Checks whether a raw entry already has a translation, so that the next entry starts.
+ *
+ * @param {{fields: Object<string, string>}} raw - Raw entry.
+ * @returns {boolean} True when a `msgstr` was read.
+ * @private
+ */
+const hasTranslation = (raw) =>
+  Object.keys(raw.fields).some((keyword) => keyword.startsWith('msgstr'));
+
+/**
+ * Converts a raw entry into a PO entry. Plural entries keep their first form.
+ *
+ * @param {{comments: string[], translatorComments: string[], flags: string[], fields: Object<string, string>}} raw - Raw entry.
+ * @returns {PoEntry} PO entry.
+ * @private
+ */
+const toEntry = ({ comments, translatorComments, flags, fields }) => ({
+  key: fields.msgctxt ?? fields.msgid,
+  source: fields.msgid,
+  target: fields.msgstr ?? fields['msgstr[0]'] ?? '',
+  fuzzy: flags.includes('fuzzy'),
+  comments,
+  translatorComments,
+});
+
+/**
+ * Reads a comment line into the current raw entry. Only translator comments (`#`), extracted
+ * comments (`#.`) and flags (`#,`) are kept.
+ *
+ * @param {{comments: string[], translatorComments: string[], flags: string[]}} raw - Raw entry.
+ * @param {string} line - Trimmed comment line.
+ * @returns {void}
+ * @private
+ */
+const readComment = (raw, line) => {
+  if (line === '#' || line.startsWith('# ')) {
+    raw.translatorComments.push(line.slice(2).trim());
+  }
+  if (line.startsWith('#.')) raw.comments.push(line.slice(2).trim());
+  if (line.startsWith('#,')) {
+    raw.flags.push(
+      ...line
+        .slice(2)
+        .split(',')
+        .map((flag) => flag.trim()),
+    );
+  }
+};
+
+/**
+ * Parses a PO or POT file. The header entry (empty `msgid` without context) provides the
+ * language; obsolete entries (`#~`) are skipped.
+ *
+ * @param {string} text - PO file content.
+ * @returns {{language: string | undefined, entries: PoEntry[]}} Header language and entries.
+ * @throws {Error} When a line cannot be parsed.
+ */
+export function parsePoDocument(text) {
+  const entries = [];
+  let language;
+  let raw = createRawEntry();
+  let keyword;
+
+  const flush = () => {
+    const { fields } = raw;
+    if (fields.msgid === '' && fields.msgctxt === undefined) {
+      language = HEADER_LANGUAGE.exec(fields.msgstr ?? '')?.[1] || undefined;
+    } else if (fields.msgid !== undefined) {
+      entries.push(toEntry(raw));
+    }
+    raw = createRawEntry();
+    keyword = undefined;
+  };
+
+  const readLine = (line, match) => {
+    if (line.startsWith('#')) {
+      readComment(raw, line);
+    } else if (match) {
+      keyword = match[1];
+      raw.fields[keyword] = unescapePoString(match[2]);
+    } else if (keyword && STRING_LINE.test(line)) {
+      raw.fields[keyword] += unescapePoString(STRING_LINE.exec(line)[1]);
+    } else {
+      return false;
+    }
+    return true;
+  };
+
+  for (const [index, rawLine] of text.split(/\r?\n/).entries()) {
+    const line = rawLine.trim();
+    const match = KEYWORD_LINE.exec(line);
+    const startsEntry =
+      line.startsWith('#') || ['msgctxt', 'msgid'].includes(match?.[1]);
+    if (line === '' || (startsEntry && hasTranslation(raw))) flush();
+
+    if (line === '' || line.startsWith('#~')) continue;
+    if (!readLine(line, match)) {
+      throw new Error(`Invalid PO file at line ${index + 1}: ${line}`);
+    }
+  }
+  flush();
+  return { language, entries };
+}
+
+/**
+ * Builds a two-language translation table from parsed PO entries.
+ * Fuzzy and untranslated (empty `msgstr`) entries are treated as absent.
+ *
+ * @param {PoEntry[]} entries - Parsed PO entries.
+ * @param {string} sourceLang - Language of the `msgid` texts.
+ * @param {string} targetLang - Language of the `msgstr` texts.
+ * @returns {{translations: Map<string, Object<string, string>>, languages: string[], duplicates: string[]}}
+ *   Key -> language values, the source and target language, and keys occurring more than once.
+ */
+export function buildTranslationTableFromPo(entries, sourceLang, targetLang) {
+  const translations = new Map();
+  const duplicates = new Set();
+  for (const entry of entries) {
+    if (translations.has(entry.key)) duplicates.add(entry.key);
+    const values = { [sourceLang]: entry.source };
+    if (!entry.fuzzy && entry.target !== '') values[targetLang] = entry.target;
+    translations.set(entry.key, values);
+  }
+  return {
+    translations,
+    languages: [sourceLang, targetLang],
+    duplicates: [...duplicates],
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Serialization of translation tables into gettext PO and POT files.
+ * Every translation key becomes one entry whose `msgctxt` is the key, `msgid` the source text and
+ * `msgstr` the translation; descriptions are written as extracted comments (`#.`) and context as
+ * translator comments (`#`).
+ * @module core/gettext/poWrite
+ * @typedef {import('../../types.js').PoEntry} PoEntry
+ */
+
+/**
+ * File name of the translation template written next to the per-language PO files.
+ * @constant {string}
+ */
+export const POT_FILE_NAME = 'messages.pot';
+
+/**
+ * Metadata `status` value that marks translations as fuzzy.
+ * @constant {string}
+ */
+export const FUZZY_STATUS = 'fuzzy';
+
+/**
+ * Escapes text for a PO string literal.
+ *
+ * @param {string} text - Text to escape.
+ * @returns {string} Escaped text without surrounding quotes.
+ * @private
+ */
+const escapePoString = (text) =>
+  text
+    .replaceAll('\\', '\\\\')
+    .replaceAll('"', String.raw`\"`)
+    .replaceAll('\t', String.raw`\t`)
+    .replaceAll('\r', String.raw`\r`)
+    .replaceAll('\n', String.raw`\n`);
+
+/**
+ * Renders a keyword with its string; multi-line text is split after every newline.
+ *
+ * @param {string} keyword - PO keyword, e.g. `msgid`.
+ * @param {string} text - Unescaped text.
+ * @returns {string} PO lines.
+ * @private
+ */
+const renderString = (keyword, text) => {
+  const lines = text.split(/(?<=\n)(?=.)/s);
+  if (lines.length === 1) return `${keyword} "${escapePoString(text)}"`;
+  return [
+    `${keyword} ""`,
+    ...lines.map((line) => `"${escapePoString(line)}"`),
+  ].join('\n');
+};
+
+/**
+ * Splits a metadata field into comment lines.
+ *
+ * @param {unknown} value - Metadata field value.
+ * @returns {string[]} Lines, none for empty values.
+ * @private
+ */
+const commentLines = (value) => (value ? String(value).split('\n') : []);
+
+/**
+ * Builds the PO entries of one target language, or of the template when no target language is given.
+ * Keys without source text use the key as `msgid`, since an empty `msgid` is reserved for the header.
+ *
+ * @param {Map<string, Object<string, string>>} translations - Map of translation keys to language values.
+ * @param {string} sourceLang - Source language code.
+ * @param {string} [targetLang] - Target language code; omitted for the POT template.
+ * @param {Map<string, Object>} [metadata=new Map()] - Translation key -> metadata fields. `description` becomes
+ *   an extracted comment, `context` a translator comment, `status: 'fuzzy'` flags existing translations as fuzzy.
+ * @returns {PoEntry[]} Entries in key order.
+ */
+export function buildPoEntries(
+  translations,
+  sourceLang,
+  targetLang,
+  metadata = new Map(),
+) {
+  return [...translations].map(([key, values]) => {
+    const fields = metadata.get(key) ?? {};
+    const target = targetLang === undefined ? '' : (values[targetLang] ?? '');
+    return {
+      key,
+      source: values[sourceLang] || key,
+      target,
+      fuzzy:
+        target !== '' &&
+        String(fields.status ?? '').toLowerCase() === FUZZY_STATUS,
+      comments: commentLines(fields.description),
+      translatorComments: commentLines(fields.context),
+    };
+  });
+}
+
+/**
+ * Renders one PO entry.
+ *
+ * @param {PoEntry} entry - PO entry.
+ * @returns {string} PO lines.
+ * @private
+ */
+const renderEntry = (entry) =>
+  [
+    ...entry.translatorComments.map((comment) => `# ${comment}`),
+    ...entry.comments.map((comment) => `#. ${comment}`),
+    ...(entry.fuzzy ? ['#, fuzzy'] : []),
+    renderString('msgctxt', entry.key),
+    renderString('msgid', entry.source),
+    renderString('msgstr', entry.target),
+  ].join('\n');
+
+/**
+ * Serializes PO entries into a PO file, or a POT template when no language is given.
+ *
+ * @param {{language?: string, entries: PoEntry[]}} params - Language of the translations and entries.
+ * @returns {string} PO file content.
+ * @example
+ * createPoDocument({ language: 'de', entries });
+ */
+export function createPoDocument({ language = '', entries }) {
+  const header = [
+    'msgid ""',
+    'msgstr ""',
+    String.raw`"Language: ${escapePoString(language)}\n"`,
+    String.raw`"MIME-Version: 1.0\n"`,
+    String.raw`"Content-Type: text/plain; charset=UTF-8\n"`,
+    String.raw`"Content-Transfer-Encoding: 8bit\n"`,
+    String.raw`"X-Generator: i18n-excel-manager\n"`,
+  ].join('\n');
+  return `${[header, ...entries.map((entry) => renderEntry(entry))].join('\n\n')}\n`;
+}
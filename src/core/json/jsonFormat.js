@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Output formatting of written JSON files: indentation, key order, escaping of
+ * non-ASCII characters, line endings and the final newline.
+ * @module core/json/jsonFormat
+ * @typedef {import('../../types.js').JsonFormat} JsonFormat
+ */
+
+import { stringifyJsonc } from './jsonc.js';
+import { sortKeysDeep } from './keyOrder.js';
+
+/**
+ * Supported line endings of written JSON files.
+ * @constant {string[]}
+ */
+export const LINE_ENDINGS = ['lf', 'crlf'];
+
+/** @constant {Object<string, string>} Line break by line ending */
+const LINE_BREAKS = { lf: '\n', crlf: '\r\n' };
+
+/** @constant {RegExp} Characters outside of ASCII, as UTF-16 code units */
+const NON_ASCII = /[\u0080-\uFFFF]/g;
+
+/**
+ * Indentation unit of one nesting level.
+ * @param {number | 'tab'} [indent=2] Number of spaces, or `'tab'`.
+ * @returns {string} Indentation unit.
+ * @throws {Error} For other values than 1 to 10 spaces or `'tab'`.
+ * @internal
+ */
+function indentUnit(indent = 2) {
+  if (indent === 'tab') return '\t';
+  if (!Number.isInteger(indent) || indent < 1 || indent > 10) {
+    throw new Error(
+      `Invalid JSON indent "${indent}". Expected 1 to 10 spaces or "tab"`,
+    );
+  }
+  return ' '.repeat(indent);
+}
+
+/**
+ * Line break of a line ending.
+ * @param {string} [lineEnding='lf'] One of {@link LINE_ENDINGS}.
+ * @returns {string} Line break.
+ * @throws {Error} For unknown line endings.
+ * @internal
+ */
+function lineBreak(lineEnding = 'lf') {
+  if (!LINE_ENDINGS.includes(lineEnding)) {
+    throw new Error(
+      `Invalid line ending "${lineEnding}". Expected one of: ${LINE_ENDINGS.join(', ')}`,
+    );
+  }
+  return LINE_BREAKS[lineEnding];
+}
+
+/**
+ * Escape the non-ASCII characters of a line as `\uXXXX`. Comment lines are kept, as escapes
+ * are not read back in comments.
+ * @param {string} line Line of JSON text.
+ * @returns {string} Line with escaped characters.
+ * @internal
+ */
+function escapeNonAscii(line) {
+  if (line.trimStart().startsWith('//')) return line;
+  return line.replaceAll(
+    NON_ASCII,
+    (char) =>
+      String.raw`\u` + char.codePointAt(0).toString(16).padStart(4, '0'),
+  );
+}
+
+/**
+ * Serialize a value as JSON text in the given format. With `describe`, descriptions are written as
+ * `//` comments above object members (JSONC).
+ * @param {unknown} value Value to serialize.
+ * @param {JsonFormat} [format={}] Output format; the `formatter` hook is not applied here.
+ * @param {(path: string[]) => (string | undefined)} [describe] Comment of an object member by key path.
+ * @returns {string} JSON text. The default format equals `JSON.stringify(value, null, 2)`.
+ * @throws {Error} For invalid indents or line endings.
+ * @example
+ * stringifyJson({ b: 'Grüße', a: 1 }, { sortKeys: true, escapeNonAscii: true, finalNewline: true });
+ * // => '{\n  "a": 1,\n  "b": "Gr\\u00fc\\u00dfe"\n}\n'
+ */
+export function stringifyJson(value, format = {}, describe) {
+  const unit = indentUnit(format.indent);
+  const eol = lineBreak(format.lineEnding);
+  const data = format.sortKeys ? sortKeysDeep(value) : value;
+  const text = describe
+    ? stringifyJsonc(data, describe)
+    : JSON.stringify(data, null, 2);
+  const lines = text
+    .split('\n')
+    .map((line) =>
+      line.replace(/^ +/, (spaces) => unit.repeat(spaces.length / 2)),
+    )
+    .map((line) => (format.escapeNonAscii ? escapeNonAscii(line) : line));
+  return lines.join(eol) + (format.finalNewline ? eol : '');
+}
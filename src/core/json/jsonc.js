@@ -0,0 +1,385 @@
+/**
+ * @module core/json/jsonc
+ * JSON with comments (JSONC) and JSON5 locale files. Comments directly above an object member, or
+ * behind it on the same line, are kept as notes on that member's key path; comments separated from
+ * the member by a blank line and comments inside arrays are dropped.
+ */
+
+import { createUnescape, fromHexEscape } from '../escapes.js';
+
+/**
+ * Tokens of JSON5 text: whitespace, comments, strings, numbers, identifiers and punctuation.
+ * @constant {RegExp}
+ * @private
+ */
+const TOKEN =
+  /\s+|\/\*[\s\S]*?\*\/|\/\/.*|"(?:[^"\\\n\r]|\\(?:\r\n|[\s\S]))*"|'(?:[^'\\\n\r]|\\(?:\r\n|[\s\S]))*'|[+-]?(?:Infinity|NaN|[\d.](?:[Ee][+-]|[\w.])*)|[$_\p{ID_Start}][$\u200C\u200D\p{ID_Continue}]*|[,:[\]{}]/uy;
+
+/**
+ * Decodes the character after a backslash in a JSON5 string, which knows the escapes of JavaScript
+ * strings: `\b`, `\f`, `\r`, `\v` and `\0` besides the common ones.
+ * @private
+ */
+const unescapeChar = createUnescape({
+  b: '\b',
+  f: '\f',
+  r: '\r',
+  v: '\v',
+  0: '\0',
+});
+
+/**
+ * Values of the JSON5 literal words.
+ * @constant {Map<string, unknown>}
+ * @private
+ */
+const LITERALS = new Map([
+  ['true', true],
+  ['false', false],
+  ['null', null],
+]);
+
+/**
+ * Kind of a token by its first character.
+ *
+ * @param {string} text - Token text.
+ * @returns {'space'|'comment'|'string'|'number'|'word'|'punctuation'} Token kind.
+ * @private
+ */
+function tokenKind(text) {
+  if (/^\s/.test(text)) return 'space';
+  if (/^\/[*/]/.test(text)) return 'comment';
+  if (/^["']/.test(text)) return 'string';
+  if (/^[\d+.-]|^Infinity$|^NaN$/.test(text)) return 'number';
+  if (/^[,:[\]{}]$/.test(text)) return 'punctuation';
+  return 'word';
+}
+
+/**
+ * Creates the error for unexpected input at an offset, naming its line and column.
+ *
+ * @param {string} text - Parsed text.
+ * @param {number} index - Offset of the error.
+ * @returns {Error} Syntax error.
+ * @private
+ */
+function syntaxError(text, index) {
+  if (index >= text.length) return new Error('Unexpected end of input');
+  const lines = text.slice(0, index).split(/\r\n|\r|\n/);
+  return new Error(
+    `Unexpected "${text[index]}" at line ${lines.length}, column ${lines.at(-1).length + 1}`,
+  );
+}
+
+/**
+ * Splits JSON5 text into tokens, keeping whitespace and comments.
+ *
+ * @param {string} text - JSON5 text.
+ * @returns {Array<{kind: string, text: string, index: number}>} Tokens with their offsets.
+ * @throws {Error} On characters that start no token, such as an unterminated string.
+ * @private
+ */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    const index = TOKEN.lastIndex;
+    const match = TOKEN.exec(text);
+    if (!match) throw syntaxError(text, index);
+    tokens.push({ kind: tokenKind(match[0]), text: match[0], index });
+  }
+  return tokens;
+}
+
+/**
+ * Decodes a quoted string; line continuations are removed.
+ *
+ * @param {string} token - Quoted string token.
+ * @returns {string} Text.
+ * @private
+ */
+const unquote = (token) =>
+  token
+    .slice(1, -1)
+    .replaceAll(
+      /\\(?:(\r\n|[\n\r\u2028\u2029])|u([\dA-Fa-f]{4})|x([\dA-Fa-f]{2})|([\s\S]))/g,
+      (_, lineBreak, unicode, hex, char) => {
+        if (lineBreak) return '';
+        const code = unicode ?? hex;
+        return code ? fromHexEscape(code) : unescapeChar(char);
+      },
+    );
+
+/**
+ * Converts a number token, including hexadecimal numbers, `Infinity` and `NaN`.
+ *
+ * @param {string} token - Number token.
+ * @returns {number | undefined} Number, undefined when the token is no valid number.
+ * @private
+ */
+function parseNumber(token) {
+  const sign = token.startsWith('-') ? -1 : 1;
+  const digits = token.replace(/^[+-]/, '');
+  // Number() also reads binary, octal and leading-zero literals, which JSON5 does not allow.
+  if (/^0[\dBObo]/.test(digits)) return;
+  const number = Number(digits);
+  if (Number.isNaN(number) && digits !== 'NaN') return;
+  return sign * number;
+}
+
+/**
+ * Text of a comment without its markers; leading `*` of block comment lines are removed.
+ *
+ * @param {string} token - Comment token.
+ * @returns {string} Comment text.
+ * @private
+ */
+function commentText(token) {
+  if (token.startsWith('//')) return token.slice(2).trim();
+  return token
+    .slice(2, -2)
+    .split(/\r\n|\r|\n/)
+    .map((line) => line.replace(/^\s*\*?/, '').trim())
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Number of line breaks in a whitespace token.
+ *
+ * @param {string} text - Whitespace.
+ * @returns {number} Line break count.
+ * @private
+ */
+const lineBreaks = (text) => text.split(/\r\n|\r|\n/).length - 1;
+
+/**
+ * Scans the whitespace and comments before the next significant token.
+ *
+ * @param {Array<{kind: string, text: string}>} tokens - Tokens.
+ * @param {number} start - Index of the first token to scan.
+ * @returns {{end: number, notes: string[]}} Index of the next significant token and the comments
+ *   attached to it: those not followed by a blank line.
+ * @private
+ */
+function scanTrivia(tokens, start) {
+  let end = start;
+  let notes = [];
+  for (const token of tokens.slice(start)) {
+    if (token.kind === 'space' && lineBreaks(token.text) > 1) notes = [];
+    else if (token.kind === 'comment') notes.push(commentText(token.text));
+    else if (token.kind !== 'space') break;
+    end += 1;
+  }
+  return { end, notes: notes.filter(Boolean) };
+}
+
+/**
+ * Scans an optional comma and the comments behind a value on the same line.
+ *
+ * @param {Array<{kind: string, text: string}>} tokens - Tokens.
+ * @param {number} start - Index of the token following the value.
+ * @returns {{end: number, comma: boolean, notes: string[]}} Index of the next unscanned token,
+ *   whether a comma was read, and the comments.
+ * @private
+ */
+function scanLineEnd(tokens, start) {
+  let end = start;
+  let comma = false;
+  const notes = [];
+  for (const token of tokens.slice(start)) {
+    const isLineComment = token.text.startsWith('//');
+    if (token.text === ',' && !comma) comma = true;
+    else if (token.kind === 'comment') notes.push(commentText(token.text));
+    else if (token.kind !== 'space' || lineBreaks(token.text) > 0) break;
+    end += 1;
+    if (isLineComment) break;
+  }
+  return { end, comma, notes: notes.filter(Boolean) };
+}
+
+/**
+ * Parses tokenized JSON5 text by recursive descent, recording the comments of object members.
+ *
+ * @param {string} text - JSON5 text.
+ * @returns {{data: unknown, comments: Array<{path: string[], text: string}>}} Parsed value and comments.
+ * @throws {Error} When the text is not valid JSON5.
+ * @private
+ */
+function parseText(text) {
+  const tokens = tokenize(text);
+  const comments = [];
+  let position = 0;
+
+  const skipTrivia = () => {
+    const trivia = scanTrivia(tokens, position);
+    position = trivia.end;
+    return trivia.notes;
+  };
+  const skipLineEnd = () => {
+    const lineEnd = scanLineEnd(tokens, position);
+    position = lineEnd.end;
+    return lineEnd;
+  };
+
+  /**
+   * Returns the next significant token without consuming it.
+   * @returns {{kind: string, text: string, index: number} | undefined} Token, undefined at the end.
+   */
+  const peek = () => {
+    skipTrivia();
+    return tokens[position];
+  };
+
+  /**
+   * Consumes the next significant token, checking it against an expected punctuation.
+   * @param {string} [expected] - Expected token text.
+   * @returns {{kind: string, text: string, index: number}} Token.
+   * @throws {Error} At the end of input or on another token than expected.
+   */
+  const next = (expected) => {
+    const token = peek();
+    if (!token || (expected !== undefined && token.text !== expected)) {
+      throw syntaxError(text, token?.index ?? text.length);
+    }
+    position += 1;
+    return token;
+  };
+
+  /**
+   * Parses an object key: a quoted string or an identifier.
+   * @returns {string} Key.
+   */
+  const parseKey = () => {
+    const token = next();
+    if (token.kind === 'string') return unquote(token.text);
+    if (token.kind === 'word') return token.text;
+    throw syntaxError(text, token.index);
+  };
+
+  /**
+   * Parses the members of an object after its opening brace.
+   * @param {string[] | undefined} path - Key path of the object, undefined inside arrays.
+   * @returns {Object} Parsed object.
+   */
+  const parseObject = (path) => {
+    const entries = [];
+    let notes = skipTrivia();
+    while (peek()?.text !== '}') {
+      const key = parseKey();
+      next(':');
+      const memberPath = path && [...path, key];
+      entries.push([key, parseValue(memberPath)]);
+      const end = skipLineEnd();
+      notes.push(...end.notes);
+      if (memberPath && notes.length > 0) {
+        comments.push({ path: memberPath, text: notes.join('\n') });
+      }
+      notes = skipTrivia();
+      if (!end.comma && peek()?.text !== '}') {
+        next(',');
+        notes.push(...skipTrivia());
+      }
+    }
+    next('}');
+    return Object.fromEntries(entries);
+  };
+
+  /**
+   * Parses the items of an array after its opening bracket. Comments are not recorded.
+   * @returns {unknown[]} Parsed array.
+   */
+  const parseArray = () => {
+    const items = [];
+    while (peek()?.text !== ']') {
+      items.push(parseValue());
+      if (peek()?.text !== ']') next(',');
+    }
+    next(']');
+    return items;
+  };
+
+  /**
+   * Parses a value.
+   * @param {string[]} [path] - Key path of the value, undefined inside arrays.
+   * @returns {unknown} Parsed value.
+   */
+  function parseValue(path) {
+    const token = next();
+    if (token.text === '{') return parseObject(path);
+    if (token.text === '[') return parseArray();
+    if (token.kind === 'string') return unquote(token.text);
+    const value =
+      token.kind === 'number'
+        ? parseNumber(token.text)
+        : LITERALS.get(token.text);
+    if (value === undefined) throw syntaxError(text, token.index);
+    return value;
+  }
+
+  const data = parseValue([]);
+  const rest = peek();
+  if (rest) throw syntaxError(text, rest.index);
+  return { data, comments };
+}
+
+/**
+ * Parses JSON, JSONC or JSON5 text: comments, trailing commas, single-quoted strings, unquoted
+ * keys, hexadecimal numbers, `Infinity` and `NaN` are accepted. Plain JSON is parsed natively.
+ *
+ * @param {string} text - File text.
+ * @returns {{data: unknown, comments: Array<{path: string[], text: string}>}} Parsed value and the
+ *   comments of object members, by key path.
+ * @throws {Error} When the text is not valid JSON5.
+ * @example
+ * parseJsonc('{\n  // Shown on the login page\n  "login": "Log in",\n}');
+ * // => { data: { login: 'Log in' }, comments: [{ path: ['login'], text: 'Shown on the login page' }] }
+ */
+export function parseJsonc(text) {
+  try {
+    return { data: JSON.parse(text), comments: [] };
+  } catch {
+    // Not plain JSON: parse comments and JSON5 syntax below.
+  }
+  return parseText(text.replace(/^\uFEFF/, ''));
+}
+
+/**
+ * Serializes a value like `JSON.stringify(value, null, 2)`, with `//` comments above object members.
+ * Members inside arrays get no comments.
+ *
+ * @param {unknown} value - Value to serialize.
+ * @param {(path: string[]) => (string | undefined)} describe - Comment of an object member by key path.
+ * @param {string[]} [path=[]] - Key path of `value`.
+ * @param {string} [indent=''] - Indentation of `value`.
+ * @returns {string} JSONC text; plain JSON when no member has a comment.
+ * @example
+ * stringifyJsonc({ login: 'Log in' }, () => 'Shown on the login page');
+ * // => '{\n  // Shown on the login page\n  "login": "Log in"\n}'
+ */
+export function stringifyJsonc(value, describe, path = [], indent = '') {
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    const items = value.map(
+      (item) => `${inner}${stringifyJsonc(item, () => {}, [], inner)}`,
+    );
+    return `[\n${items.join(',\n')}\n${indent}]`;
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value) ?? 'null';
+  }
+  const members = Object.entries(value)
+    .filter(([, member]) => member !== undefined)
+    .map(([key, member]) => {
+      const memberPath = [...path, key];
+      const note = describe(memberPath);
+      const lines = note
+        ? note.split(/\r\n|\r|\n/).map((line) => `${inner}// ${line}`.trimEnd())
+        : [];
+      const text = stringifyJsonc(member, describe, memberPath, inner);
+      return [...lines, `${inner}${JSON.stringify(key)}: ${text}`].join('\n');
+    });
+  if (members.length === 0) return '{}';
+  return `{\n${members.join(',\n')}\n${indent}}`;
+}
@@ -0,0 +1,105 @@
+/**
+ * @module core/json/keyOrder
+ * Key ordering strategies applied to nested translation objects before they are written.
+ */
+
+/**
+ * Supported key ordering modes.
+ * - `sheet-order`: keep the order in which keys appear in the worksheet.
+ * - `sorted`: sort keys alphabetically at every nesting level.
+ * - `preserve`: keep the order of the existing JSON file; new keys are placed after their
+ *   preceding sibling in sheet order.
+ * @constant {string[]}
+ */
+export const KEY_ORDER_MODES = ['sheet-order', 'sorted', 'preserve'];
+
+/**
+ * Determines if a value is a plain object (not null, not an array).
+ * @param {unknown} value Value to test.
+ * @returns {boolean} True when value is a non-null object and not an array.
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Recursively sort object keys alphabetically, including objects inside arrays.
+ * @param {unknown} value Nested translations object or other JSON value.
+ * @returns {unknown} New value with sorted keys; other values are returned as is.
+ */
+export function sortKeysDeep(value) {
+  if (Array.isArray(value)) return value.map((item) => sortKeysDeep(item));
+  if (!isPlainObject(value)) return value;
+  return Object.fromEntries(
+    Object.keys(value)
+      .toSorted()
+      .map((key) => [key, sortKeysDeep(value[key])]),
+  );
+}
+
+/**
+ * Compute key order for one nesting level: reference order first, new keys
+ * inserted right after their preceding sibling from the source order.
+ * @param {string[]} sourceKeys Keys in source (sheet) order.
+ * @param {string[]} referenceKeys Keys in reference (existing file) order.
+ * @returns {string[]} Ordered keys.
+ * @internal
+ */
+function orderKeys(sourceKeys, referenceKeys) {
+  const present = new Set(sourceKeys);
+  const ordered = referenceKeys.filter((k) => present.has(k));
+  const placed = new Set(ordered);
+  let previous;
+  for (const key of sourceKeys) {
+    if (!placed.has(key)) {
+      const at = previous === undefined ? 0 : ordered.indexOf(previous) + 1;
+      ordered.splice(at, 0, key);
+      placed.add(key);
+    }
+    previous = key;
+  }
+  return ordered;
+}
+
+/**
+ * Recursively reorder an object to follow the key order of a reference object.
+ * @param {Object} obj Nested translations object to reorder.
+ * @param {Object} [reference] Existing object whose key order should be kept.
+ * @returns {Object} New object with reference key order.
+ */
+export function orderKeysLike(obj, reference) {
+  const ref = isPlainObject(reference) ? reference : {};
+  return Object.fromEntries(
+    orderKeys(Object.keys(obj), Object.keys(ref)).map((key) => [
+      key,
+      isPlainObject(obj[key]) ? orderKeysLike(obj[key], ref[key]) : obj[key],
+    ]),
+  );
+}
+
+/**
+ * Apply a key ordering mode to a nested translations object.
+ * @param {Object} obj Nested translations object.
+ * @param {string} mode One of {@link KEY_ORDER_MODES}.
+ * @param {Object} [reference] Existing object used by the `preserve` mode.
+ * @returns {Object} Ordered object.
+ * @throws {Error} When the mode is unknown.
+ */
+export function applyKeyOrder(obj, mode, reference) {
+  switch (mode) {
+    case 'sheet-order': {
+      return obj;
+    }
+    case 'sorted': {
+      return sortKeysDeep(obj);
+    }
+    case 'preserve': {
+      return orderKeysLike(obj, reference);
+    }
+    default: {
+      throw new Error(
+        `Invalid key order "${mode}". Expected one of: ${KEY_ORDER_MODES.join(', ')}`,
+      );
+    }
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * @module core/json/keyPatterns
+ * Matching of dotted translation keys against simple wildcard patterns.
+ */
+
+/**
+ * Compile key patterns into a predicate. `*` matches any sequence of characters
+ * (including dots); all other characters match literally.
+ * @param {string[]} [patterns=[]] Key patterns, e.g. `['legal.*', '*.html']`.
+ * @returns {(key: string) => boolean} Predicate returning true when any pattern matches.
+ * @example
+ * const isMarkup = compileKeyPatterns(['legal.*']);
+ * isMarkup('legal.terms'); // => true
+ */
+export function compileKeyPatterns(patterns = []) {
+  const regexes = patterns.map(
+    (pattern) =>
+      new RegExp(
+        `^${String(pattern)
+          .split('*')
+          .map((part) => part.replaceAll(/[$()+.?[\\\]^{|}]/g, String.raw`\$&`))
+          .join('.*')}$`,
+      ),
+  );
+  return (key) => regexes.some((re) => re.test(key));
+}
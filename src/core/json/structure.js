@@ -2,8 +2,93 @@
  * @module core/json/structure
  * Structural utilities for nested translation JSON objects.
  * @typedef {import('../../types.js').TranslationReport} TranslationReport
+ * @typedef {import('../../types.js').KeyFormat} KeyFormat
  */
 
+import { encodeTypedValue, parseIndexedSegment } from './typedValues.js';
+
+/**
+ * Default separator between nested key segments.
+ * @constant {string}
+ */
+export const DEFAULT_KEY_SEPARATOR = '.';
+
+/** @constant {string} Escape character for separators inside key segments */
+const KEY_ESCAPE = '\\';
+
+/**
+ * Resolve and validate the key separator of a key format.
+ * @param {KeyFormat} [options={}] Key format.
+ * @returns {string} Separator character.
+ * @throws {Error} When the separator is not a single character or is the escape character.
+ */
+export function resolveKeySeparator(options = {}) {
+  const separator = options.keySeparator ?? DEFAULT_KEY_SEPARATOR;
+  if (separator.length !== 1 || separator === KEY_ESCAPE) {
+    throw new Error(
+      `Invalid key separator "${separator}". Expected a single character other than "${KEY_ESCAPE}"`,
+    );
+  }
+  return separator;
+}
+
+/**
+ * Escape a key segment so it can be joined with the separator unambiguously.
+ * @param {string} segment Raw key segment.
+ * @param {string} [separator='.'] Key separator.
+ * @returns {string} Escaped segment.
+ * @example
+ * escapeKeySegment('404.title') // => '404\\.title'
+ */
+export function escapeKeySegment(segment, separator = DEFAULT_KEY_SEPARATOR) {
+  let escaped = '';
+  for (const char of segment) {
+    escaped +=
+      char === separator || char === KEY_ESCAPE ? KEY_ESCAPE + char : char;
+  }
+  return escaped;
+}
+
+/**
+ * Find the first separator in a flattened key that is not escaped.
+ * @param {string} key Flattened key.
+ * @param {string} [separator='.'] Key separator.
+ * @returns {number} Index of the separator, or -1 when the key has a single segment.
+ */
+export function indexOfKeySeparator(key, separator = DEFAULT_KEY_SEPARATOR) {
+  for (let i = 0; i < key.length; i += 1) {
+    if (key[i] === KEY_ESCAPE) i += 1;
+    else if (key[i] === separator) return i;
+  }
+  return -1;
+}
+
+/**
+ * Split a flattened key on unescaped separators and unescape the segments.
+ * @param {string} key Flattened key.
+ * @param {string} [separator='.'] Key separator.
+ * @returns {string[]} Raw key segments.
+ * @example
+ * splitKey('errors.404\\.title') // => ['errors', '404.title']
+ */
+export function splitKey(key, separator = DEFAULT_KEY_SEPARATOR) {
+  const segments = [];
+  let current = '';
+  for (let i = 0; i < key.length; i += 1) {
+    if (key[i] === KEY_ESCAPE && i + 1 < key.length) {
+      i += 1;
+      current += key[i];
+    } else if (key[i] === separator) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += key[i];
+    }
+  }
+  segments.push(current);
+  return segments;
+}
+
 /**
  * Determines if a value is a plain object (not null, not an array).
  * @param {unknown} value Value to test.
@@ -16,17 +101,20 @@ function isPlainObject(value) {
 /**
  * Validates translation JSON structure recursively.
  * Ensures every node is either a string leaf or a plain object whose children obey the same rule.
+ * In typed mode any JSON value is accepted below the root object.
  * @param {Object} obj Root object to validate.
  * @param {string} [path=''] Dot path used for error context.
- * @throws {Error} When a non-string leaf (array, number, etc.) is encountered.
+ * @param {{typed?: boolean}} [options={}] Validation options.
+ * @throws {Error} When a non-string leaf (array, number, etc.) is encountered outside typed mode.
  * @returns {void}
  */
-export function validateJsonStructure(obj, path = '') {
+export function validateJsonStructure(obj, path = '', options = {}) {
   if (!isPlainObject(obj)) {
     throw new Error(
       `Invalid structure at "${path || '<root>'}": Must be an object.`,
     );
   }
+  if (options.typed) return;
 
   for (const [key, value] of Object.entries(obj)) {
     const currentPath = path ? `${path}.${key}` : key;
@@ -35,13 +123,24 @@ export function validateJsonStructure(obj, path = '') {
       validateJsonStructure(value, currentPath);
       continue;
     }
-    const foundType = Array.isArray(value) ? 'Array' : typeof value;
-    throw new Error(
-      `Invalid value at "${currentPath}": Only strings and nested objects allowed, but found: ${foundType}`,
-    );
+    throw invalidValueError(currentPath, value);
   }
 }
 
+/**
+ * Build the error for a leaf that is neither a string nor a nested object.
+ * @param {string} path Dot path of the value.
+ * @param {unknown} value Offending value.
+ * @returns {Error} Error naming the path and the found type.
+ * @internal
+ */
+function invalidValueError(path, value) {
+  const foundType = Array.isArray(value) ? 'Array' : typeof value;
+  return new Error(
+    `Invalid value at "${path}": Only strings and nested objects allowed, but found: ${foundType}. Enable typed mode to convert non-string values.`,
+  );
+}
+
 /**
  * Guarantee an object branch for a given key, creating if absent.
  * @param {Object} obj Parent object.
@@ -54,8 +153,9 @@ export function ensureObjectBranch(obj, key) {
 
 /**
  * Set a nested value following path segments, creating intermediate objects.
+ * Numeric segments (typed-mode array indices) create arrays instead of objects.
  * @param {Object} obj Root object.
- * @param {string[]} pathParts Segments representing the nested path.
+ * @param {Array<string|number>} pathParts Segments representing the nested path.
  * @param {*} value Value to assign at leaf.
  * @returns {void}
  */
@@ -65,24 +165,137 @@ export function setNestedValue(obj, pathParts, value) {
     return;
   }
   const [head, ...tail] = pathParts;
-  ensureObjectBranch(obj, head);
+  if (typeof tail[0] === 'number') {
+    if (!Array.isArray(obj[head])) obj[head] = [];
+  } else {
+    ensureObjectBranch(obj, head);
+  }
   setNestedValue(obj[head], tail, value);
 }
 
 /**
- * Flatten nested translations into dotted paths.
+ * Build the flattened key of a child entry.
+ * Segments are escaped unless the file is flat, where keys are used verbatim.
+ * @param {string} prefix Flattened key of the parent ('' at the root).
+ * @param {string} key Child key.
+ * @param {KeyFormat} options Key format.
+ * @returns {string} Flattened child key.
+ * @internal
+ */
+function childKey(prefix, key, options) {
+  const separator = resolveKeySeparator(options);
+  const segment = options.flatJson ? key : escapeKeySegment(key, separator);
+  return prefix ? `${prefix}${separator}${segment}` : segment;
+}
+
+/**
+ * Visit the leaves below a typed-mode value. Array items are keyed `key[index]`, empty
+ * containers and non-string leaves are passed to `visit` as tagged text.
+ * @param {unknown} value Value at `key`.
+ * @param {string} key Key of the value.
+ * @param {(key:string,value:string)=>void} visit Callback invoked for each leaf entry.
+ * @param {KeyFormat} options Key format.
+ * @returns {void}
+ * @internal
+ */
+function flattenTypedValue(value, key, visit, options) {
+  if (Array.isArray(value) && value.length > 0) {
+    for (const [index, item] of value.entries()) {
+      flattenTypedValue(item, `${key}[${index}]`, visit, options);
+    }
+  } else if (isPlainObject(value) && Object.keys(value).length > 0) {
+    flattenTranslations(value, key, visit, options);
+  } else {
+    visit(key, encodeTypedValue(value));
+  }
+}
+
+/**
+ * Flatten nested translations into keys joined with the key separator (default `.`).
+ * Segments containing the separator are escaped (see {@link escapeKeySegment}). In typed mode
+ * array items are keyed with their index (`steps[0]`) and non-string values are encoded as
+ * tagged text (see {@link module:core/json/typedValues}).
  * @param {Object} obj Nested translations object.
  * @param {string} prefix Current path prefix.
  * @param {(key:string,value:any)=>void} visit Callback invoked for each leaf entry.
+ * @param {KeyFormat} [options={}] Key format.
  * @returns {void}
  */
-export function flattenTranslations(obj, prefix, visit) {
+export function flattenTranslations(obj, prefix, visit, options = {}) {
   for (const [key, value] of Object.entries(obj)) {
-    const newKey = prefix ? `${prefix}.${key}` : key;
-    if (typeof value === 'object' && value !== null) {
-      flattenTranslations(value, newKey, visit);
+    const newKey = childKey(prefix, key, options);
+    if (options.typed) {
+      flattenTypedValue(value, newKey, visit, options);
+    } else if (typeof value === 'object' && value !== null) {
+      flattenTranslations(value, newKey, visit, options);
     } else {
       visit(newKey, value);
     }
   }
 }
+
+/**
+ * Split a flattened key into the path segments used by {@link setNestedValue}.
+ * Keys of flat files form a single segment; typed mode parses array indices (`steps[0]`).
+ * @param {string} key Flattened key.
+ * @param {KeyFormat} [options={}] Key format.
+ * @returns {Array<string|number>} Path segments.
+ */
+export function keyToPath(key, options = {}) {
+  const segments = options.flatJson
+    ? [key]
+    : splitKey(key, resolveKeySeparator(options));
+  return options.typed
+    ? segments.flatMap((segment) => parseIndexedSegment(segment))
+    : segments;
+}
+
+/**
+ * Join the object keys leading to a value into its flattened key, as {@link flattenTranslations} does.
+ * @param {string[]} path Object keys from the file root; array items are not supported.
+ * @param {KeyFormat} [options={}] Key format.
+ * @returns {string} Flattened key.
+ * @example
+ * pathToKey(['errors', '404']) // => 'errors.404'
+ */
+export function pathToKey(path, options = {}) {
+  let key = '';
+  for (const segment of path) key = childKey(key, segment, options);
+  return key;
+}
+
+/**
+ * Serialize key path segments into a comparable identity.
+ * @param {Array<string|number>} path Path segments.
+ * @returns {string} Path identity.
+ * @internal
+ */
+const pathId = (path) => JSON.stringify(path.map(String));
+
+/**
+ * Find keys that hold a value and are also the parent of other keys (e.g. `app.title` next to
+ * `app.title.short`). Nesting such keys would replace one of the values.
+ * @param {Iterable<string>} keys Flattened keys.
+ * @param {KeyFormat} [options={}] Key format.
+ * @returns {string[]} Colliding parent keys in input order.
+ * @example
+ * findKeyCollisions(['app.title', 'app.title.short']) // => ['app.title']
+ */
+export function findKeyCollisions(keys, options = {}) {
+  const entries = [...keys].map((key) => ({
+    key,
+    path: keyToPath(key, options),
+  }));
+  const parents = new Set(
+    entries.flatMap(({ path }) =>
+      path.slice(0, -1).map((_, i) => pathId(path.slice(0, i + 1))),
+    ),
+  );
+  return [
+    ...new Set(
+      entries
+        .filter(({ path }) => parents.has(pathId(path)))
+        .map(({ key }) => key),
+    ),
+  ];
+}
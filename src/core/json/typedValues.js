@@ -0,0 +1,97 @@
+/**
+ * @module core/json/typedValues
+ * Lossless text encoding of non-string JSON leaves and array-aware key paths used by typed mode.
+ */
+
+/**
+ * Type tags prefixed to cell text in typed mode. `array` and `object` only tag empty containers,
+ * `string` escapes strings that would otherwise be read back as a tagged value.
+ * @constant {string[]}
+ */
+export const TYPE_TAGS = [
+  'string',
+  'number',
+  'boolean',
+  'null',
+  'array',
+  'object',
+];
+
+/** @constant {RegExp} Tagged cell text: `[type]` optionally followed by a space and the literal */
+const TAGGED_VALUE = new RegExp(
+  String.raw`^\[(${TYPE_TAGS.join('|')})\](?: ([\S\s]*))?$`,
+);
+
+/**
+ * Encodes a JSON leaf as cell text. Untagged strings stay as they are.
+ * @param {unknown} value JSON leaf (string, number, boolean, null, empty array or empty object).
+ * @returns {string} Cell text, e.g. `[number] 3`, `[boolean] true` or `[null]`.
+ * @example
+ * encodeTypedValue(3) // => '[number] 3'
+ * encodeTypedValue('[null]') // => '[string] [null]'
+ */
+export function encodeTypedValue(value) {
+  if (typeof value === 'string') {
+    return TAGGED_VALUE.test(value) ? `[string] ${value}` : value;
+  }
+  if (value === null) return '[null]';
+  if (Array.isArray(value)) return '[array] []';
+  if (typeof value === 'object') return '[object] {}';
+  return `[${typeof value}] ${JSON.stringify(value)}`;
+}
+
+/**
+ * Parsers for the literal following each type tag; they return undefined for invalid literals.
+ * @constant {Object<string, (literal: string) => unknown>}
+ */
+const LITERAL_PARSERS = {
+  string: (literal) => literal,
+  null: () => null,
+  array: () => [],
+  object: () => ({}),
+  boolean: (literal) =>
+    literal === 'true' || literal === 'false' ? literal === 'true' : undefined,
+  number: (literal) => {
+    const value = Number(literal);
+    return literal.trim() !== '' && Number.isFinite(value) ? value : undefined;
+  },
+};
+
+/**
+ * Decodes cell text written by {@link encodeTypedValue} back into its JSON value.
+ * @param {string} text Cell text.
+ * @param {string} [key] Translation key used in error messages.
+ * @returns {unknown} Original JSON value; untagged text is returned unchanged.
+ * @throws {Error} When a `[number]` or `[boolean]` literal cannot be parsed.
+ * @example
+ * decodeTypedValue('[boolean] false') // => false
+ */
+export function decodeTypedValue(text, key) {
+  const match = TAGGED_VALUE.exec(text);
+  if (!match) return text;
+  const [, tag, literal = ''] = match;
+  const value = LITERAL_PARSERS[tag](literal);
+  if (value === undefined) {
+    const location = key ? ` at "${key}"` : '';
+    throw new Error(`Invalid ${tag} value "${literal}"${location}`);
+  }
+  return value;
+}
+
+/** @constant {RegExp} Array index at the end of a key segment, e.g. `[0]` in `steps[0]` */
+const TRAILING_INDEX = /\[(\d+)\]$/;
+
+/**
+ * Splits one typed-mode key segment into its name and trailing array indices.
+ * @param {string} segment Key segment, e.g. `matrix[0][1]`.
+ * @returns {Array<string|number>} Name followed by indices, e.g. `['matrix', 0, 1]`.
+ */
+export function parseIndexedSegment(segment) {
+  const indices = [];
+  let name = segment;
+  for (let m = TRAILING_INDEX.exec(name); m; m = TRAILING_INDEX.exec(name)) {
+    indices.unshift(Number(m[1]));
+    name = name.slice(0, m.index);
+  }
+  return [name, ...indices];
+}
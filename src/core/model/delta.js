@@ -0,0 +1,64 @@
+/**
+ * @module core/model/delta
+ * Selection of the keys that still need translation work for incremental ("delta") exports.
+ */
+
+/**
+ * Supported delta export filters.
+ * - `onlyMissing`: keys with at least one empty or absent language value.
+ * - `since`: keys whose source-language text differs from an earlier version.
+ * @typedef {Object} DeltaFilter
+ * @property {boolean} [onlyMissing] Select incomplete keys.
+ * @property {Map<string,string>} [previousSource] Source texts of the earlier version (key → text).
+ * @property {string} [sourceLang='en'] Source language compared against `previousSource`.
+ */
+
+/**
+ * Determines whether a key lacks a value in any language.
+ * @param {Object<string,string>} langValues Language → value.
+ * @param {string[]} languages Language codes.
+ * @returns {boolean} True when a value is absent or empty.
+ * @internal
+ */
+function isIncomplete(langValues, languages) {
+  return languages.some(
+    (lang) => langValues[lang] === undefined || langValues[lang] === '',
+  );
+}
+
+/**
+ * Determines whether a key's source text changed compared to an earlier version.
+ * New keys count as changed unless their source text is empty.
+ * @param {string} key Translation key.
+ * @param {Object<string,string>} langValues Language → value.
+ * @param {Map<string,string>} previousSource Earlier source texts.
+ * @param {string} sourceLang Source language code.
+ * @returns {boolean} True when the source text differs.
+ * @internal
+ */
+function hasSourceChanged(key, langValues, previousSource, sourceLang) {
+  const now = String(langValues[sourceLang] ?? '');
+  const before = String(previousSource.get(key) ?? '');
+  return now !== before;
+}
+
+/**
+ * Select the translations matching a delta filter.
+ * When several filters are given, keys matching any of them are selected.
+ * @param {Map<string,Object<string,string>>} translations Key → language values.
+ * @param {string[]} languages Language codes.
+ * @param {DeltaFilter} filter Delta filter.
+ * @returns {Map<string,Object<string,string>>} Selected subset, in input order.
+ */
+export function selectDeltaTranslations(translations, languages, filter) {
+  const { onlyMissing = false, previousSource, sourceLang = 'en' } = filter;
+  const selected = new Map();
+  for (const [key, langValues] of translations) {
+    const missing = onlyMissing && isIncomplete(langValues, languages);
+    const changed =
+      previousSource !== undefined &&
+      hasSourceChanged(key, langValues, previousSource, sourceLang);
+    if (missing || changed) selected.set(key, langValues);
+  }
+  return selected;
+}
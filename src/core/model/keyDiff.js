@@ -0,0 +1,23 @@
+/**
+ * @module core/model/keyDiff
+ * Comparison of worksheet keys against the keys of the current JSON files.
+ */
+
+/**
+ * Compare the keys of a worksheet with the keys of the current JSON files.
+ * @param {Iterable<string>} sheetKeys Keys found in the worksheet.
+ * @param {Iterable<string>} jsonKeys Keys found in the JSON files.
+ * @returns {{unknown: string[], removed: string[]}} Keys only in the sheet (likely edited or renamed)
+ *   and keys only in JSON (removed from the sheet), each in input order.
+ * @example
+ * diffKeySets(['app.titel'], ['app.title'])
+ * // => { unknown: ['app.titel'], removed: ['app.title'] }
+ */
+export function diffKeySets(sheetKeys, jsonKeys) {
+  const sheet = new Set(sheetKeys);
+  const json = new Set(jsonKeys);
+  return {
+    unknown: [...sheet].filter((key) => !json.has(key)),
+    removed: [...json].filter((key) => !sheet.has(key)),
+  };
+}
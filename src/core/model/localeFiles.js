@@ -0,0 +1,49 @@
+/**
+ * @module core/model/localeFiles
+ * Naming of per-language locale files (`en.json`, `de.yml`).
+ */
+
+/**
+ * Supported locale file formats.
+ * @constant {string[]}
+ */
+export const LOCALE_FORMATS = ['json', 'yaml'];
+
+/**
+ * File extension of newly written locale files by format.
+ * @constant {Object<string, string>}
+ */
+export const LOCALE_FILE_EXTENSIONS = { json: '.json', yaml: '.yml' };
+
+/**
+ * File extensions read as JSON locale files; all accept comments and JSON5 syntax.
+ * @constant {string[]}
+ */
+export const JSON_EXTENSIONS = ['.json', '.jsonc', '.json5'];
+
+/**
+ * File extensions read as YAML locale files.
+ * @constant {string[]}
+ */
+export const YAML_EXTENSIONS = ['.yml', '.yaml'];
+
+/** @constant {RegExp} Extension of locale file names */
+const LOCALE_EXTENSION = /\.(?:json[5c]?|ya?ml)$/i;
+
+/**
+ * Derive the language code from a locale file name.
+ * @param {string} name File name, e.g. `en.json`, `fr.json5` or `de.yml`.
+ * @returns {string} Language code.
+ */
+export function localeFileLanguage(name) {
+  return name.replace(LOCALE_EXTENSION, '');
+}
+
+/**
+ * Determine the format of a locale file from its name.
+ * @param {string} name File name.
+ * @returns {'json'|'yaml'} Locale format.
+ */
+export function localeFileFormat(name) {
+  return /\.ya?ml$/i.test(name) ? 'yaml' : 'json';
+}
@@ -0,0 +1,70 @@
+/**
+ * @module core/model/maxLength
+ * Per-key maximum text lengths for UI strings with limited space (e.g. fixed-width buttons).
+ * @typedef {import('../../types.js').KeyFormat} KeyFormat
+ */
+
+import { flattenTranslations } from '../json/structure.js';
+
+/**
+ * Parse a max length setting into a positive integer.
+ * @param {unknown} value Configured value (number or numeric string from a cell).
+ * @returns {number|undefined} Positive integer limit, or undefined when not a valid limit.
+ * @internal
+ */
+function parseMaxLength(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : undefined;
+}
+
+/**
+ * Resolve the effective max length per translation key.
+ * Limits from metadata (`maxLength` field, e.g. the 'Max Length' column) override configured ones.
+ * Invalid or non-positive values are ignored.
+ * @param {Object<string, number>} [configured={}] Translation key → max length from config.
+ * @param {Map<string, Object>} [metadata=new Map()] Translation key → metadata fields.
+ * @returns {Map<string, number>} Translation key → max length.
+ */
+export function resolveMaxLengths(configured = {}, metadata = new Map()) {
+  const limits = new Map();
+  const entries = [
+    ...Object.entries(configured),
+    ...[...metadata].map(([key, fields]) => [key, fields?.maxLength]),
+  ];
+  for (const [key, value] of entries) {
+    const limit = parseMaxLength(value);
+    if (limit !== undefined) limits.set(key, limit);
+  }
+  return limits;
+}
+
+/**
+ * Find translations longer than their key's max length.
+ * @param {Object<string, Object>} translationsByLanguage Nested translations keyed by language.
+ * @param {Map<string, number>} maxLengths Translation key → max length.
+ * @param {KeyFormat} [options={}] Key format the `maxLengths` keys are written in.
+ * @returns {Array<{key:string, lang:string, length:number, maxLength:number}>} Violations.
+ */
+export function findMaxLengthViolations(
+  translationsByLanguage,
+  maxLengths,
+  options = {},
+) {
+  const violations = [];
+  if (maxLengths.size === 0) return violations;
+  for (const [lang, translations] of Object.entries(translationsByLanguage)) {
+    flattenTranslations(
+      translations,
+      '',
+      (key, value) => {
+        const maxLength = maxLengths.get(key);
+        const length = String(value ?? '').length;
+        if (maxLength !== undefined && length > maxLength) {
+          violations.push({ key, lang, length, maxLength });
+        }
+      },
+      options,
+    );
+  }
+  return violations;
+}
@@ -0,0 +1,147 @@
+/**
+ * @module core/model/merge
+ * Three-way merge of imported sheet values into existing translation files.
+ * @typedef {import('../../types.js').KeyFormat} KeyFormat
+ */
+
+import {
+  flattenTranslations,
+  keyToPath,
+  setNestedValue,
+} from '../json/structure.js';
+import { decodeTypedValue } from '../json/typedValues.js';
+
+/**
+ * @typedef {Object} MergeConflict
+ * @property {string} key Dotted translation key.
+ * @property {string} lang Language code.
+ * @property {*} base Value at export time (undefined when unknown).
+ * @property {*} current Value currently stored in JSON.
+ * @property {*} incoming Value found in the sheet.
+ */
+
+/**
+ * Compare two leaf values treating absent and empty values as equal.
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @returns {boolean} True when both values are equivalent.
+ * @internal
+ */
+const sameValue = (a, b) => (a ?? '') === (b ?? '');
+
+/**
+ * Convert a merged table value back into its JSON value.
+ * @param {*} value Merged value (tagged text in typed mode).
+ * @param {string} key Translation key used in error messages.
+ * @param {KeyFormat} [keyFormat] Key format; typed-mode values are decoded.
+ * @returns {*} JSON value.
+ * @internal
+ */
+const toJsonValue = (value, key, keyFormat) =>
+  keyFormat?.typed ? decodeTypedValue(value, key) : value;
+
+/**
+ * Resolve a single value from its base, current (JSON) and incoming (sheet) versions.
+ * The sheet wins whenever it changed; the JSON value is kept when only JSON changed.
+ * A conflict is flagged when both sides diverged from a known base.
+ * @param {*} base Value at export time (undefined when unknown).
+ * @param {*} current Value in JSON (undefined when absent).
+ * @param {*} incoming Value in the sheet (undefined when absent).
+ * @returns {{value:*, conflict:boolean}} Resolved value and conflict flag.
+ */
+export function resolveMergedValue(base, current, incoming) {
+  if (incoming === undefined || sameValue(incoming, current)) {
+    return { value: current, conflict: false };
+  }
+  if (base === undefined || sameValue(current, base)) {
+    return { value: incoming, conflict: false };
+  }
+  if (sameValue(incoming, base)) return { value: current, conflict: false };
+  return { value: incoming, conflict: true };
+}
+
+/**
+ * Flatten nested per-language objects into a key → language value table.
+ * @param {string[]} languages Language codes.
+ * @param {Object<string,Object>} byLanguage Nested translations keyed by language.
+ * @param {KeyFormat} [keyFormat] Key format.
+ * @returns {Map<string, Object<string,*>>} Flat translation table.
+ * @internal
+ */
+function toTable(languages, byLanguage, keyFormat) {
+  const table = new Map();
+  for (const lang of languages) {
+    flattenTranslations(
+      byLanguage[lang] ?? {},
+      '',
+      (key, value) => {
+        if (!table.has(key)) table.set(key, {});
+        table.get(key)[lang] = value;
+      },
+      keyFormat,
+    );
+  }
+  return table;
+}
+
+/**
+ * Merge sheet translations on top of existing JSON translations.
+ *
+ * Keys present only in JSON are preserved. When a base snapshot is available,
+ * values changed in both JSON and the sheet since export are reported as conflicts
+ * (the sheet value is kept).
+ *
+ * @param {Object} params Merge inputs.
+ * @param {string[]} params.languages Language codes found in the sheet.
+ * @param {Object<string,Object>} params.translationsByLanguage Nested sheet translations per language.
+ * @param {Map<string, Object<string,*>>} params.current Flat table of existing JSON translations.
+ * @param {Map<string, Object<string,*>>} [params.base] Flat table of values at export time.
+ * @param {KeyFormat} [params.keyFormat] Key format of the tables; typed-mode values are decoded
+ *   back into JSON values in the result.
+ * @returns {{translationsByLanguage: Object<string,Object>, conflicts: MergeConflict[]}}
+ */
+export function mergeTranslations({
+  languages,
+  translationsByLanguage,
+  current,
+  base,
+  keyFormat,
+}) {
+  const incoming = toTable(languages, translationsByLanguage, keyFormat);
+  const keys = new Set([...current.keys(), ...incoming.keys()]);
+  const merged = Object.fromEntries(languages.map((l) => [l, {}]));
+  const conflicts = [];
+
+  for (const key of keys) {
+    for (const lang of languages) {
+      const baseValue = base?.has(key)
+        ? (base.get(key)[lang] ?? '')
+        : undefined;
+      const currentValue = current.get(key)?.[lang];
+      const incomingValue = incoming.get(key)?.[lang];
+      const { value, conflict } = resolveMergedValue(
+        baseValue,
+        currentValue,
+        incomingValue,
+      );
+      if (conflict) {
+        conflicts.push({
+          key,
+          lang,
+          base: baseValue,
+          current: currentValue,
+          incoming: incomingValue,
+        });
+      }
+      if (value !== undefined) {
+        setNestedValue(
+          merged[lang],
+          keyToPath(key, keyFormat),
+          toJsonValue(value, key, keyFormat),
+        );
+      }
+    }
+  }
+
+  return { translationsByLanguage: merged, conflicts };
+}
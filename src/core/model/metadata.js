@@ -0,0 +1,160 @@
+/**
+ * @module core/model/metadata
+ * Per-key metadata (description, context, limits, status) carried alongside translations.
+ * @typedef {import('../../types.js').KeyFormat} KeyFormat
+ */
+
+import { pathToKey } from '../json/structure.js';
+
+import { localeFileLanguage } from './localeFiles.js';
+
+/**
+ * Reserved metadata column headers recognized in translation worksheets.
+ * @constant {string[]}
+ */
+export const DEFAULT_METADATA_COLUMNS = [
+  'Description',
+  'Context',
+  'Max Length',
+  'Screenshot',
+  'Status',
+];
+
+/**
+ * Sidecar file storing metadata between exports, next to the language JSON files.
+ * @constant {string}
+ */
+export const METADATA_FILE_NAME = '_meta.json';
+
+/**
+ * Derive the metadata field name stored in the sidecar file from a column header.
+ * @param {string} header Column header (e.g. 'Max Length').
+ * @returns {string} camelCase field name (e.g. 'maxLength').
+ * @example
+ * metadataFieldFromHeader('Max Length') // => 'maxLength'
+ */
+export function metadataFieldFromHeader(header) {
+  const words = String(header)
+    .trim()
+    .split(/[^\dA-Za-z]+/)
+    .filter(Boolean);
+  return words
+    .map((w, i) =>
+      i === 0 ? w.toLowerCase() : w[0].toUpperCase() + w.slice(1).toLowerCase(),
+    )
+    .join('');
+}
+
+/**
+ * Resolve metadata column definitions from header names.
+ * @param {string[]} [headers=[]] Column headers.
+ * @returns {Array<{header:string, field:string}>} Column definitions.
+ */
+export function resolveMetadataColumns(headers = []) {
+  return headers.map((header) => ({
+    header,
+    field: metadataFieldFromHeader(header),
+  }));
+}
+
+/**
+ * Build a case-insensitive lookup of metadata headers to field names.
+ * Always includes {@link DEFAULT_METADATA_COLUMNS} so reserved headers are never
+ * mistaken for languages.
+ * @param {string[]} [extraHeaders=[]] Additional configured headers.
+ * @returns {Map<string,string>} Lowercased header → field name.
+ */
+export function buildMetadataHeaderLookup(extraHeaders = []) {
+  return new Map(
+    [...DEFAULT_METADATA_COLUMNS, ...extraHeaders].map((header) => [
+      String(header).trim().toLowerCase(),
+      metadataFieldFromHeader(header),
+    ]),
+  );
+}
+
+/**
+ * Convert a sidecar object into a metadata table.
+ * @param {Object<string, Object>} [obj={}] Sidecar content keyed by translation key.
+ * @returns {Map<string, Object>} Translation key → metadata fields.
+ */
+export function metadataFromObject(obj = {}) {
+  return new Map(Object.entries(obj));
+}
+
+/**
+ * Convert a metadata table into a sidecar object with sorted keys.
+ * Entries without any field are omitted.
+ * @param {Map<string, Object>} metadata Translation key → metadata fields.
+ * @returns {Object<string, Object>} Serializable sidecar content.
+ */
+export function metadataToObject(metadata) {
+  return Object.fromEntries(
+    [...metadata.keys()]
+      .toSorted()
+      .filter((key) => Object.keys(metadata.get(key)).length > 0)
+      .map((key) => [key, metadata.get(key)]),
+  );
+}
+
+/**
+ * Apply the metadata columns of an imported sheet to the sidecar metadata. Only the imported fields of
+ * keys present in the sheet change: a filled cell sets the field and a blank cell removes it. Other
+ * fields and keys are kept.
+ * @param {Map<string, Object>} metadata Translation key → metadata fields, e.g. from `_meta.json`.
+ * @param {Map<string, Object>} sheetMetadata Translation key → non-empty metadata cells of the sheet.
+ * @param {string[]} keys Translation keys of the sheet rows.
+ * @param {string[]} fields Metadata fields present as columns in the sheet.
+ * @returns {Map<string, Object>} Updated metadata.
+ * @example
+ * applySheetMetadata(
+ *   new Map([['a', { description: 'Old', maxLength: 10 }]]),
+ *   new Map([['a', { description: 'New' }]]),
+ *   ['a'],
+ *   ['description'],
+ * );
+ * // => Map { 'a' => { description: 'New', maxLength: 10 } }
+ */
+export function applySheetMetadata(metadata, sheetMetadata, keys, fields) {
+  const imported = new Set(fields);
+  const result = new Map(metadata);
+  for (const key of keys) {
+    const kept = Object.entries(result.get(key) ?? {}).filter(
+      ([field]) => !imported.has(field),
+    );
+    result.set(key, {
+      ...Object.fromEntries(kept),
+      ...sheetMetadata.get(key),
+    });
+  }
+  return result;
+}
+
+/**
+ * Add descriptions taken from the comments of JSON language files (JSONC, JSON5) to keys without one.
+ * Comments of the source language file are preferred over those of other languages.
+ * @param {Map<string, Object>} metadata Translation key → metadata fields, e.g. from `_meta.json`.
+ * @param {Array<{name: string, comments?: Array<{path: string[], text: string}>}>} files Language files.
+ * @param {KeyFormat & {sourceLang?: string}} [options={}] Key format of the files and the source language.
+ * @returns {Map<string, Object>} Metadata with the comment descriptions added.
+ * @example
+ * addCommentDescriptions(new Map(), [{ name: 'en.json', comments: [{ path: ['app', 'save'], text: 'Button' }] }]);
+ * // => Map { 'app.save' => { description: 'Button' } }
+ */
+export function addCommentDescriptions(metadata, files, options = {}) {
+  const isSource = ({ name }) =>
+    Number(localeFileLanguage(name) === options.sourceLang);
+  const result = new Map(metadata);
+  for (const { comments = [] } of files.toSorted(
+    (a, b) => isSource(b) - isSource(a),
+  )) {
+    for (const { path, text } of comments) {
+      const key = pathToKey(path, options);
+      const fields = result.get(key) ?? {};
+      if (fields.description === undefined) {
+        result.set(key, { ...fields, description: text });
+      }
+    }
+  }
+  return result;
+}
@@ -0,0 +1,209 @@
+/**
+ * @module core/model/pathTemplate
+ * Locale directories laid out by a path template such as `{lang}/{ns}.json`
+ * (i18next and ngx-translate multi-loader layout). Each namespace file holds the keys
+ * below one top-level key: `en/auth.json` → `auth.*` of language `en`.
+ * @typedef {import('../../types.js').KeyFormat} KeyFormat
+ */
+
+import { resolveKeySeparator } from '../json/structure.js';
+
+/** @constant {RegExp} Placeholders of a path template, captured when splitting */
+const PLACEHOLDER = /(\{lang\}|\{ns\})/;
+
+/**
+ * A compiled path template.
+ * @typedef {Object} PathTemplate
+ * @property {string} template Template text.
+ * @property {boolean} hasNamespace Whether files hold one namespace each (`{ns}`).
+ * @property {(filePath: string) => ({lang: string, ns?: string} | undefined)} match Language and namespace
+ *   of a relative file path, undefined when the path does not fit the template.
+ * @property {(lang: string, ns?: string) => string} format Relative file path of a language and namespace.
+ */
+
+/**
+ * Compile a path template. `{lang}` is required, `{ns}` optional; both match one path segment
+ * or part of it, and the template names a JSON file.
+ * @param {string} template Template relative to the locale directory, e.g. `{lang}/{ns}.json`.
+ * @returns {PathTemplate} Compiled template.
+ * @throws {Error} For templates without `{lang}`, with repeated or unknown placeholders, or not ending in `.json`.
+ * @example
+ * compilePathTemplate('{lang}/{ns}.json').match('de/auth.json');
+ * // => { lang: 'de', ns: 'auth' }
+ */
+export function compilePathTemplate(template) {
+  const parts = String(template).split(PLACEHOLDER);
+  const placeholders = parts.filter((_, i) => i % 2 === 1);
+  const literal = parts.filter((_, i) => i % 2 === 0).join('');
+  const count = (name) => placeholders.filter((p) => p === name).length;
+  if (
+    count('{lang}') !== 1 ||
+    count('{ns}') > 1 ||
+    /[{}]/.test(literal) ||
+    !template.endsWith('.json')
+  ) {
+    throw new Error(
+      `Invalid path template "${template}". Expected {lang} once, {ns} at most once and a .json file name`,
+    );
+  }
+  const pattern = new RegExp(
+    `^${parts
+      .map((part, i) =>
+        i % 2 === 1
+          ? '([^/]+)'
+          : part.replaceAll(/[$()*+.?[\\\]^{|}]/g, String.raw`\$&`),
+      )
+      .join('')}$`,
+  );
+  return {
+    template,
+    hasNamespace: placeholders.includes('{ns}'),
+    match(filePath) {
+      const found = pattern.exec(filePath);
+      if (!found) return;
+      return Object.fromEntries(
+        placeholders.map((p, i) => [p.slice(1, -1), found[i + 1]]),
+      );
+    },
+    format(lang, ns) {
+      return template.replace('{lang}', () => lang).replace('{ns}', () => ns);
+    },
+  };
+}
+
+/**
+ * Check whether a value is a plain (non-array) object.
+ * @param {unknown} value Value to check.
+ * @returns {boolean} True for plain objects.
+ * @internal
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Combine the files of a template layout into one entry per language. Namespace files become a
+ * top-level key, or a key prefix for flat JSON files. Files not fitting the template are ignored.
+ * Comments of the files are kept, with key paths below their namespace.
+ * @param {Array<{name: string, data: Object, comments?: Array<{path: string[], text: string}>}>} files Parsed
+ *   files named by their path relative to the locale directory, using `/` as separator.
+ * @param {KeyFormat} keyFormat Key format with the `pathTemplate`.
+ * @returns {Array<{name: string, data: Object, comments?: Array<{path: string[], text: string}>}>} One
+ *   `<lang>.json` entry per language in file order.
+ * @throws {Error} For invalid templates.
+ * @example
+ * assembleTemplateFiles([{ name: 'en/auth.json', data: { login: 'Log in' } }], { pathTemplate: '{lang}/{ns}.json' });
+ * // => [{ name: 'en.json', data: { auth: { login: 'Log in' } } }]
+ */
+export function assembleTemplateFiles(files, keyFormat) {
+  const template = compilePathTemplate(keyFormat.pathTemplate);
+  const separator = resolveKeySeparator(keyFormat);
+  const languages = new Map();
+  for (const { name, data, comments = [] } of files) {
+    const found = template.match(name);
+    if (!found) continue;
+    const entry = languages.get(found.lang) ?? { data: {}, comments: [] };
+    const prefix = template.hasNamespace ? [found.ns] : [];
+    entry.comments.push(
+      ...comments.map((comment) => ({
+        path: [...prefix, ...comment.path],
+        text: comment.text,
+      })),
+    );
+    if (!template.hasNamespace) {
+      entry.data = data;
+    } else if (keyFormat.flatJson) {
+      for (const [key, value] of Object.entries(data)) {
+        entry.data[`${found.ns}${separator}${key}`] = value;
+      }
+    } else {
+      entry.data[found.ns] = data;
+    }
+    languages.set(found.lang, entry);
+  }
+  return [...languages].map(([lang, entry]) => ({
+    name: `${lang}.json`,
+    data: entry.data,
+    ...(entry.comments.length > 0 && { comments: entry.comments }),
+  }));
+}
+
+/**
+ * Ensure a namespace can be used as (part of) a file name.
+ * @param {string} ns Namespace.
+ * @param {string} key Key the namespace was taken from.
+ * @param {string} template Template text, for the error message.
+ * @returns {void}
+ * @throws {Error} When the namespace is missing, contains a path separator or is a relative path segment.
+ * @internal
+ */
+function assertNamespace(ns, key, template) {
+  if (ns === undefined) {
+    throw new Error(
+      `Key "${key}" has no namespace; path template "${template}" needs every key below a namespace`,
+    );
+  }
+  if (/[/\\]/.test(ns) || ns === '' || ns === '.' || ns === '..') {
+    throw new Error(`Namespace "${ns}" cannot be used as a file name`);
+  }
+}
+
+/**
+ * Group flat keys by their first segment, keyed without the prefix.
+ * @param {Object<string, unknown>} data Flat translations.
+ * @param {string} separator Key separator.
+ * @param {string} template Template text, for error messages.
+ * @returns {Map<string, Object>} Namespace -> flat translations.
+ * @internal
+ */
+function groupFlatKeys(data, separator, template) {
+  const namespaces = new Map();
+  for (const [key, value] of Object.entries(data)) {
+    const at = key.indexOf(separator);
+    const ns = at === -1 ? undefined : key.slice(0, at);
+    assertNamespace(ns, key, template);
+    if (!namespaces.has(ns)) namespaces.set(ns, {});
+    namespaces.get(ns)[key.slice(at + 1)] = value;
+  }
+  return namespaces;
+}
+
+/**
+ * Take the top-level keys of nested translations as namespaces.
+ * @param {Object<string, unknown>} data Nested translations.
+ * @param {string} template Template text, for error messages.
+ * @returns {Map<string, Object>} Namespace -> nested translations.
+ * @internal
+ */
+function groupNestedKeys(data, template) {
+  return new Map(
+    Object.entries(data).map(([key, value]) => {
+      assertNamespace(isPlainObject(value) ? key : undefined, key, template);
+      return [key, value];
+    }),
+  );
+}
+
+/**
+ * Split the data of one language into the files of a template layout: one file per top-level key,
+ * or per first key segment for flat JSON files.
+ * @param {string} lang Language code.
+ * @param {Object} data Nested (or flat) translations of the language.
+ * @param {KeyFormat} keyFormat Key format with the `pathTemplate`.
+ * @returns {Array<{path: string, data: Object}>} Files relative to the locale directory.
+ * @throws {Error} For invalid templates, or keys without a namespace when the template has `{ns}`.
+ * @example
+ * splitTemplateFiles('en', { auth: { login: 'Log in' } }, { pathTemplate: '{lang}/{ns}.json' });
+ * // => [{ path: 'en/auth.json', data: { login: 'Log in' } }]
+ */
+export function splitTemplateFiles(lang, data, keyFormat) {
+  const template = compilePathTemplate(keyFormat.pathTemplate);
+  if (!template.hasNamespace) return [{ path: template.format(lang), data }];
+  const namespaces = keyFormat.flatJson
+    ? groupFlatKeys(data, resolveKeySeparator(keyFormat), template.template)
+    : groupNestedKeys(data, template.template);
+  return [...namespaces].map(([ns, fileData]) => ({
+    path: template.format(lang, ns),
+    data: fileData,
+  }));
+}
@@ -1,6 +1,7 @@
 /**
  * @module core/model/translationTable
  * Intermediate translation table model shared by conversion adapters.
+ * @typedef {import('../../types.js').KeyFormat} KeyFormat
  */
 
 import {
@@ -8,26 +9,35 @@ import {
   validateJsonStructure,
 } from '../json/structure.js';
 
+import { localeFileLanguage } from './localeFiles.js';
+
 /**
  * Build a format-agnostic translation table from JSON language files.
  * @param {Array<{name:string,data:Object}>} files Parsed JSON file entries.
+ * @param {KeyFormat} [options={}] Key format; typed mode accepts non-string values and arrays,
+ *   flattened to indexed keys and tagged text (see {@link module:core/json/typedValues}).
  * @returns {{translations: Map<string, Object<string,string>>, languages: string[]}}
  */
-export function buildTranslationTableFromJsonFiles(files) {
+export function buildTranslationTableFromJsonFiles(files, options = {}) {
   const translations = new Map();
   const languageSet = new Set();
 
   for (const { name, data } of files) {
-    const language = name.replace(/\.json$/, '');
+    const language = localeFileLanguage(name);
     languageSet.add(language);
 
-    validateJsonStructure(data);
-    flattenTranslations(data, '', (key, value) => {
-      if (!translations.has(key)) {
-        translations.set(key, {});
-      }
-      translations.get(key)[language] = value;
-    });
+    validateJsonStructure(data, '', options);
+    flattenTranslations(
+      data,
+      '',
+      (key, value) => {
+        if (!translations.has(key)) {
+          translations.set(key, {});
+        }
+        translations.get(key)[language] = value;
+      },
+      options,
+    );
   }
 
   return {
@@ -0,0 +1,384 @@
+/**
+ * @fileoverview Parsing of OpenDocument Spreadsheet (ODS) `content.xml` documents into ExcelJS workbooks.
+ * Cell values, column widths, bold/italic fonts, font and fill colors, cell comments, hidden
+ * tables and table protection are read; other formatting is ignored.
+ * @module core/ods/odsRead
+ */
+
+import { SaxesParser } from 'saxes';
+
+import { attr } from '../xml.js';
+
+import { CM_PER_CHARACTER } from './odsWrite.js';
+
+/**
+ * Centimeters per unit of the lengths used for column widths.
+ * @constant {Object<string, number>}
+ */
+const CM_PER_UNIT = { cm: 1, mm: 0.1, in: 2.54, pt: 2.54 / 72, pc: 2.54 / 6 };
+
+/**
+ * Reads a `number-*-repeated` attribute.
+ *
+ * @param {Object} tag - saxes tag.
+ * @param {string} name - Attribute local name.
+ * @returns {number} Repeat count, at least 1.
+ * @private
+ */
+const repeatCount = (tag, name) =>
+  Math.max(Number.parseInt(attr(tag, name) ?? '1', 10) || 1, 1);
+
+/**
+ * Converts an OpenDocument length (`7.6cm`, `2in`) to an ExcelJS column width.
+ *
+ * @param {string | undefined} length - Length with unit.
+ * @returns {number | undefined} Width in characters, or undefined for unknown units.
+ * @private
+ */
+const toColumnWidth = (length) => {
+  const match = /^([\d.]+)(cm|mm|in|pt|pc)$/.exec(length ?? '');
+  if (!match) return;
+  const width = (Number(match[1]) * CM_PER_UNIT[match[2]]) / CM_PER_CHARACTER;
+  return Math.round(width * 100) / 100;
+};
+
+/**
+ * Converts a CSS hex color (`#d3d3d3`) to an ExcelJS ARGB color (`FFD3D3D3`).
+ *
+ * @param {string | undefined} color - Hex color.
+ * @returns {string | undefined} ARGB color, or undefined for other values (e.g. `transparent`).
+ * @private
+ */
+const toArgb = (color) =>
+  /^#[\da-f]{6}$/i.test(color ?? '')
+    ? `FF${color.slice(1).toUpperCase()}`
+    : undefined;
+
+/**
+ * Converts the typed value of a cell.
+ *
+ * @param {{type?: string, value?: string, booleanValue?: string, dateValue?: string, text: string}} cell - Raw cell.
+ * @returns {string | number | boolean | undefined} Cell value, or undefined for empty cells.
+ * @private
+ */
+const toCellValue = ({ type, value, booleanValue, dateValue, text }) => {
+  if (['float', 'percentage', 'currency'].includes(type)) return Number(value);
+  if (type === 'boolean') return booleanValue === 'true';
+  if (type === 'date') return dateValue;
+  if (type === undefined && text === '') return;
+  return text;
+};
+
+/**
+ * Readers of the style properties kept from automatic styles, by element local name.
+ * @constant {Object<string, (tag: Object) => Object>}
+ */
+const STYLE_PROPERTY_READERS = {
+  'table-properties': (tag) => ({ hidden: attr(tag, 'display') === 'false' }),
+  'table-column-properties': (tag) => ({
+    width: toColumnWidth(attr(tag, 'column-width')),
+  }),
+  'table-cell-properties': (tag) => ({
+    fill: toArgb(attr(tag, 'background-color')),
+    unlocked: attr(tag, 'cell-protect') === 'none',
+  }),
+  'text-properties': (tag) => ({
+    bold: attr(tag, 'font-weight') === 'bold',
+    italic: attr(tag, 'font-style') === 'italic',
+    color: toArgb(attr(tag, 'color')),
+  }),
+};
+
+/**
+ * Reads the attributes of a `table:table` element.
+ *
+ * @param {Object} tag - saxes tag.
+ * @returns {{name: string, style?: string, protected: boolean, columns: Object[], rows: Object[], rowCount: number}}
+ *   Collected table without columns and rows.
+ * @private
+ */
+const readTable = (tag) => ({
+  name: attr(tag, 'name'),
+  style: attr(tag, 'style-name'),
+  protected: attr(tag, 'protected') === 'true',
+  columns: [],
+  rows: [],
+  rowCount: 0,
+});
+
+/**
+ * Reads the attributes of a `table:table-cell` element.
+ *
+ * @param {Object} tag - saxes tag.
+ * @returns {Object} Raw cell without text.
+ * @private
+ */
+const readCell = (tag) => ({
+  repeat: repeatCount(tag, 'number-columns-repeated'),
+  style: attr(tag, 'style-name'),
+  type: attr(tag, 'value-type'),
+  value: attr(tag, 'value'),
+  booleanValue: attr(tag, 'boolean-value'),
+  dateValue: attr(tag, 'date-value') ?? attr(tag, 'time-value'),
+  lines: [],
+  noteLines: undefined,
+});
+
+/**
+ * Expands a raw cell into one entry per repeated column. Repeated empty cells (e.g. the
+ * remaining columns of a row) are skipped.
+ *
+ * @param {Object} cell - Raw cell.
+ * @param {number} firstColumn - Column number of the first repetition.
+ * @returns {Array<{col: number, value: unknown, note?: string, style?: string}>} Cell entries.
+ * @private
+ */
+function expandCell(cell, firstColumn) {
+  const value = toCellValue({ ...cell, text: cell.lines.join('\n') });
+  const note = cell.noteLines?.join('\n');
+  const keep =
+    value !== undefined ||
+    note !== undefined ||
+    (cell.style !== undefined && cell.repeat === 1);
+  if (!keep) return [];
+  return Array.from({ length: cell.repeat }, (_, index) => ({
+    col: firstColumn + index,
+    value,
+    note,
+    style: cell.style,
+  }));
+}
+
+/**
+ * Creates the element handlers that collect tables while `content.xml` is parsed.
+ *
+ * @returns {{open: (tag: Object) => void, close: (name: string) => void, text: (text: string) => void,
+ *   result: {styles: Map<string, Object>, tables: Object[]}}}
+ * @private
+ */
+function createCollector() {
+  const result = { styles: new Map(), tables: [] };
+  // Current style, table, row and cell, and the paragraphs of the cell value or its comment
+  const state = {
+    style: undefined,
+    table: undefined,
+    row: undefined,
+    cell: undefined,
+    paragraphs: undefined,
+    inParagraph: false,
+  };
+
+  const startCell = (tag) => {
+    state.cell = readCell(tag);
+    state.paragraphs = state.cell.lines;
+  };
+
+  const appendText = (value) => {
+    const lines = state.paragraphs;
+    if (lines && state.inParagraph) lines[lines.length - 1] += value;
+  };
+
+  /** @type {Object<string, (tag: Object) => void>} Opening tag handlers by element local name */
+  const openHandlers = {
+    style: (tag) => {
+      state.style = {};
+      result.styles.set(attr(tag, 'name'), state.style);
+    },
+    table: (tag) => {
+      state.table = readTable(tag);
+      result.tables.push(state.table);
+    },
+    'table-column': (tag) => {
+      state.table?.columns.push({
+        style: attr(tag, 'style-name'),
+        repeat: repeatCount(tag, 'number-columns-repeated'),
+      });
+    },
+    'table-row': (tag) => {
+      state.row = {
+        repeat: repeatCount(tag, 'number-rows-repeated'),
+        cells: [],
+        columnCount: 0,
+      };
+    },
+    'table-cell': startCell,
+    'covered-table-cell': startCell,
+    annotation: () => {
+      if (!state.cell) return;
+      state.cell.noteLines = [];
+      state.paragraphs = state.cell.noteLines;
+    },
+    p: () => {
+      if (!state.paragraphs) return;
+      state.paragraphs.push('');
+      state.inParagraph = true;
+    },
+    s: (tag) => appendText(' '.repeat(repeatCount(tag, 'c'))),
+    tab: () => appendText('\t'),
+    'line-break': () => appendText('\n'),
+  };
+
+  const finishCell = () => {
+    const { cell, row } = state;
+    row.cells.push(...expandCell(cell, row.columnCount + 1));
+    row.columnCount += cell.repeat;
+    state.cell = undefined;
+    state.paragraphs = undefined;
+  };
+
+  const finishRow = () => {
+    const { table, row } = state;
+    if (row.cells.length > 0) {
+      table.rows.push(
+        ...Array.from({ length: row.repeat }, (_, index) => ({
+          number: table.rowCount + index + 1,
+          cells: row.cells,
+        })),
+      );
+    }
+    table.rowCount += row.repeat;
+    state.row = undefined;
+  };
+
+  /** @type {Object<string, () => void>} Closing tag handlers by element local name */
+  const closeHandlers = {
+    style: () => {
+      state.style = undefined;
+    },
+    p: () => {
+      state.inParagraph = false;
+    },
+    annotation: () => {
+      if (state.cell) state.paragraphs = state.cell.lines;
+    },
+    'table-cell': () => state.cell && finishCell(),
+    'covered-table-cell': () => state.cell && finishCell(),
+    'table-row': () => state.row && finishRow(),
+    table: () => {
+      state.table = undefined;
+    },
+  };
+
+  const open = (tag) => {
+    const readStyleProperties = STYLE_PROPERTY_READERS[tag.local];
+    if (readStyleProperties && state.style) {
+      Object.assign(state.style, readStyleProperties(tag));
+      return;
+    }
+    openHandlers[tag.local]?.(tag);
+  };
+
+  return {
+    open,
+    close: (name) => closeHandlers[name]?.(),
+    text: appendText,
+    result,
+  };
+}
+
+/**
+ * Converts a collected cell style to ExcelJS cell properties.
+ *
+ * @param {Object | undefined} style - Collected cell style.
+ * @returns {{font?: Object, fill?: Object, protection?: Object}} ExcelJS cell properties.
+ * @private
+ */
+function toCellStyle(style = {}) {
+  const { bold, italic, color, fill, unlocked } = style;
+  return {
+    ...((bold || italic || color) && {
+      font: {
+        ...(bold && { bold: true }),
+        ...(italic && { italic: true }),
+        ...(color && { color: { argb: color } }),
+      },
+    }),
+    ...(fill && {
+      fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: fill } },
+    }),
+    ...(unlocked && { protection: { locked: false } }),
+  };
+}
+
+/**
+ * Sets the widths of the used columns of a worksheet from the collected column styles.
+ *
+ * @param {Object} worksheet - ExcelJS worksheet.
+ * @param {Object} table - Collected table.
+ * @param {Map<string, Object>} styles - Collected automatic styles by name.
+ * @returns {void}
+ * @private
+ */
+function applyColumnWidths(worksheet, table, styles) {
+  const lastColumn = Math.max(
+    0,
+    ...table.rows.flatMap(({ cells }) => cells.map((cell) => cell.col)),
+  );
+  let col = 1;
+  for (const { style, repeat } of table.columns) {
+    const width = styles.get(style)?.width;
+    for (let index = 0; index < repeat && col <= lastColumn; index += 1) {
+      const column = worksheet.getColumn(col);
+      if (width !== undefined) column.width = width;
+      col += 1;
+    }
+  }
+}
+
+/**
+ * Adds one collected table to the workbook.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @param {Object} table - Collected table.
+ * @param {Map<string, Object>} styles - Collected automatic styles by name.
+ * @returns {void}
+ * @private
+ */
+function addTable(workbook, table, styles) {
+  const worksheet = workbook.addWorksheet(table.name, {
+    state: styles.get(table.style)?.hidden ? 'hidden' : 'visible',
+  });
+  applyColumnWidths(worksheet, table, styles);
+  for (const { number, cells } of table.rows) {
+    for (const { col, value, note, style } of cells) {
+      Object.assign(worksheet.getCell(number, col), {
+        ...(value !== undefined && { value }),
+        ...(note !== undefined && { note }),
+        ...toCellStyle(styles.get(style)),
+      });
+    }
+  }
+  if (table.protected) {
+    // ExcelJS sets the protection synchronously; the returned promise carries no result.
+    worksheet.protect('', {
+      selectLockedCells: true,
+      selectUnlockedCells: true,
+      formatColumns: true,
+      formatRows: true,
+    });
+  }
+}
+
+/**
+ * Reads the tables of an ODS `content.xml` document into worksheets of the given workbook.
+ * Hidden tables become hidden worksheets; dates are read as ISO 8601 strings.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance to populate.
+ * @param {string} xml - `content.xml` document.
+ * @returns {void}
+ * @throws {Error} When the document is not well-formed XML.
+ */
+export function readOdsContent(workbook, xml) {
+  const parser = new SaxesParser({ xmlns: true });
+  const collector = createCollector();
+  parser.on('opentag', collector.open);
+  parser.on('closetag', (tag) => collector.close(tag.local));
+  parser.on('text', collector.text);
+  try {
+    parser.write(xml).close();
+  } catch (error) {
+    throw new Error(`Invalid ODS document: ${error.message}`);
+  }
+  const { styles, tables } = collector.result;
+  for (const table of tables) addTable(workbook, table, styles);
+}
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Serialization of ExcelJS workbooks into OpenDocument Spreadsheet (ODS) documents.
+ * Cell values, column widths, bold/italic fonts, font and fill colors, cell comments, hidden
+ * worksheets and sheet protection are kept; data validations and conditional formats are dropped.
+ * @module core/ods/odsWrite
+ */
+
+import { resolveCellValue } from '../excel/cellValue.js';
+import { escapeXml, renderAttributes } from '../xml.js';
+
+/**
+ * Media type of ODS packages, stored uncompressed as the first `mimetype` entry.
+ * @constant {string}
+ */
+export const ODS_MIME_TYPE = 'application/vnd.oasis.opendocument.spreadsheet';
+
+/**
+ * Column width in centimeters per ExcelJS width unit (one character of the default font).
+ * @constant {number}
+ */
+export const CM_PER_CHARACTER = 0.19;
+
+/** @constant {string} OpenDocument namespace declarations of `content.xml` */
+const CONTENT_NAMESPACES = renderAttributes({
+  'xmlns:office': 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+  'xmlns:style': 'urn:oasis:names:tc:opendocument:xmlns:style:1.0',
+  'xmlns:text': 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+  'xmlns:table': 'urn:oasis:names:tc:opendocument:xmlns:table:1.0',
+  'xmlns:fo': 'urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0',
+  'office:version': '1.2',
+});
+
+/**
+ * Converts an ExcelJS ARGB color (`FFD3D3D3`) to a CSS hex color (`#d3d3d3`).
+ *
+ * @param {string | undefined} argb - ARGB color.
+ * @returns {string | undefined} Hex color, or undefined when no color is given.
+ * @private
+ */
+const toHexColor = (argb) =>
+  typeof argb === 'string' && /^[\da-f]{8}$/i.test(argb)
+    ? `#${argb.slice(2).toLowerCase()}`
+    : undefined;
+
+/**
+ * Encodes one line of text as paragraph content. Tabs and runs of spaces are written as
+ * `text:tab` and `text:s` elements, since OpenDocument collapses white space.
+ *
+ * @param {string} line - Line of text.
+ * @returns {string} Paragraph content.
+ * @private
+ */
+const encodeLine = (line) =>
+  escapeXml(line)
+    .replaceAll('\t', '<text:tab/>')
+    .replaceAll(/(^ +| {2,}| +$)/g, (spaces) =>
+      spaces.length === 1 ? '<text:s/>' : `<text:s text:c="${spaces.length}"/>`,
+    );
+
+/**
+ * Renders text as one `text:p` element per line.
+ *
+ * @param {string} text - Text.
+ * @returns {string} Paragraph elements.
+ * @private
+ */
+const renderParagraphs = (text) =>
+  text
+    .split(/\r?\n/)
+    .map((line) => `<text:p>${encodeLine(line)}</text:p>`)
+    .join('');
+
+/**
+ * Reads the text of an ExcelJS cell note.
+ *
+ * @param {string | {texts?: Array<{text: string}>} | undefined} note - ExcelJS note.
+ * @returns {string | undefined} Note text.
+ * @private
+ */
+const noteText = (note) =>
+  typeof note === 'string'
+    ? note
+    : note?.texts?.map(({ text }) => text).join('');
+
+/**
+ * Renders the value attributes and paragraphs of a cell value.
+ *
+ * @param {string | number | boolean | undefined} value - Resolved cell value.
+ * @returns {{attributes: Object<string, unknown>, content: string}} Cell attributes and content.
+ * @private
+ */
+function renderValue(value) {
+  if (value === undefined) return { attributes: {}, content: '' };
+  if (typeof value === 'number') {
+    return {
+      attributes: { 'office:value-type': 'float', 'office:value': value },
+      content: renderParagraphs(String(value)),
+    };
+  }
+  if (typeof value === 'boolean') {
+    return {
+      attributes: {
+        'office:value-type': 'boolean',
+        'office:boolean-value': value,
+      },
+      content: renderParagraphs(value ? 'TRUE' : 'FALSE'),
+    };
+  }
+  return {
+    attributes: { 'office:value-type': 'string' },
+    content: renderParagraphs(String(value)),
+  };
+}
+
+/**
+ * Creates a registry of automatic styles that hands out one style name per distinct definition.
+ *
+ * @returns {{name: (family: string, prefix: string, properties: string) => string, render: () => string}}
+ *   Style name lookup and the rendered `office:automatic-styles` content.
+ * @private
+ */
+function createStyleRegistry() {
+  const styles = new Map();
+  return {
+    name(family, prefix, properties) {
+      const id = `${family}|${properties}`;
+      if (!styles.has(id)) {
+        const count = [...styles.values()].filter(
+          (style) => style.prefix === prefix,
+        ).length;
+        styles.set(id, {
+          family,
+          prefix,
+          properties,
+          name: `${prefix}${count + 1}`,
+        });
+      }
+      return styles.get(id).name;
+    },
+    render() {
+      return [...styles.values()]
+        .map(
+          ({ family, properties, name }) =>
+            `<style:style${renderAttributes({ 'style:name': name, 'style:family': family })}>${properties}</style:style>`,
+        )
+        .join('');
+    },
+  };
+}
+
+/**
+ * Renders the `style:table-cell-properties` element of a cell, or an empty string.
+ *
+ * @param {Object} cell - ExcelJS cell.
+ * @param {boolean} isProtected - Whether the worksheet is protected.
+ * @returns {string} Cell properties element.
+ * @private
+ */
+function cellProperties(cell, isProtected) {
+  const fill = cell.style?.fill;
+  const attributes = renderAttributes({
+    'fo:background-color':
+      fill?.type === 'pattern' ? toHexColor(fill.fgColor?.argb) : undefined,
+    'style:cell-protect':
+      isProtected && cell.protection?.locked === false ? 'none' : undefined,
+  });
+  return attributes && `<style:table-cell-properties${attributes}/>`;
+}
+
+/**
+ * Renders the `style:text-properties` element of a cell font, or an empty string.
+ *
+ * @param {Object} [font] - ExcelJS font.
+ * @returns {string} Text properties element.
+ * @private
+ */
+function textProperties(font = {}) {
+  const attributes = renderAttributes({
+    'fo:font-weight': font.bold ? 'bold' : undefined,
+    'fo:font-style': font.italic ? 'italic' : undefined,
+    'fo:color': toHexColor(font.color?.argb),
+  });
+  return attributes && `<style:text-properties${attributes}/>`;
+}
+
+/**
+ * Renders the style properties of a cell, or an empty string for unstyled cells.
+ *
+ * @param {Object} cell - ExcelJS cell.
+ * @param {boolean} isProtected - Whether the worksheet is protected.
+ * @returns {string} `style:table-cell-properties` and `style:text-properties` elements.
+ * @private
+ */
+const cellStyleProperties = (cell, isProtected) =>
+  cellProperties(cell, isProtected) + textProperties(cell.style?.font);
+
+/**
+ * Renders one worksheet as a `table:table` element.
+ *
+ * @param {Object} worksheet - ExcelJS worksheet.
+ * @param {ReturnType<typeof createStyleRegistry>} styles - Automatic style registry.
+ * @returns {string} Table element.
+ * @private
+ */
+function renderTable(worksheet, styles) {
+  const isProtected = worksheet.sheetProtection?.sheet === true;
+  const tableStyle = styles.name(
+    'table',
+    'ta',
+    `<style:table-properties${renderAttributes({ 'table:display': worksheet.state === 'visible' })}/>`,
+  );
+  const columns = [];
+  for (let col = 1; col <= worksheet.columnCount; col += 1) {
+    const { width } = worksheet.getColumn(col);
+    const style =
+      width === undefined
+        ? undefined
+        : styles.name(
+            'table-column',
+            'co',
+            `<style:table-column-properties style:column-width="${(width * CM_PER_CHARACTER).toFixed(3)}cm"/>`,
+          );
+    columns.push(
+      `<table:table-column${renderAttributes({ 'table:style-name': style })}/>`,
+    );
+  }
+
+  const rows = [];
+  for (let rowNumber = 1; rowNumber <= worksheet.rowCount; rowNumber += 1) {
+    const row = worksheet.getRow(rowNumber);
+    const cells = [];
+    for (let col = 1; col <= Math.max(row.cellCount, 1); col += 1) {
+      const cell = row.getCell(col);
+      const properties = cellStyleProperties(cell, isProtected);
+      const { attributes, content } = renderValue(resolveCellValue(cell.value));
+      const note = noteText(cell.note);
+      const annotation =
+        note === undefined
+          ? ''
+          : `<office:annotation>${renderParagraphs(note)}</office:annotation>`;
+      cells.push(
+        `<table:table-cell${renderAttributes({
+          'table:style-name': properties
+            ? styles.name('table-cell', 'ce', properties)
+            : undefined,
+          ...attributes,
+        })}>${annotation}${content}</table:table-cell>`,
+      );
+    }
+    rows.push(`<table:table-row>${cells.join('')}</table:table-row>`);
+  }
+
+  return `<table:table${renderAttributes({
+    'table:name': worksheet.name,
+    'table:style-name': tableStyle,
+    'table:protected': isProtected ? 'true' : undefined,
+  })}>${columns.join('')}${rows.join('')}</table:table>`;
+}
+
+/**
+ * Serializes the worksheets of a workbook into the `content.xml` document of an ODS package.
+ * Worksheets that are not visible are written as hidden tables.
+ *
+ * @param {Object} workbook - ExcelJS Workbook instance.
+ * @returns {string} `content.xml` document.
+ */
+export function createOdsContent(workbook) {
+  const styles = createStyleRegistry();
+  const tables = workbook.worksheets.map((worksheet) =>
+    renderTable(worksheet, styles),
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<office:document-content${CONTENT_NAMESPACES}>`,
+    `<office:automatic-styles>${styles.render()}</office:automatic-styles>`,
+    `<office:body><office:spreadsheet>${tables.join('')}</office:spreadsheet></office:body>`,
+    '</office:document-content>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Renders a `manifest:file-entry` element.
+ *
+ * @param {string} fullPath - Path of the entry within the package.
+ * @param {string} mediaType - Media type of the entry.
+ * @returns {string} File entry element.
+ * @private
+ */
+const manifestEntry = (fullPath, mediaType) =>
+  `<manifest:file-entry${renderAttributes({ 'manifest:full-path': fullPath, 'manifest:media-type': mediaType })}/>`;
+
+/**
+ * Creates the `META-INF/manifest.xml` document of an ODS package holding `content.xml`.
+ *
+ * @returns {string} Manifest document.
+ */
+export function createOdsManifest() {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">',
+    manifestEntry('/', ODS_MIME_TYPE),
+    manifestEntry('content.xml', 'text/xml'),
+    '</manifest:manifest>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Android string resources: `res/values-<qualifier>/strings.xml`.
+ * Resource names must be Java identifiers, so translation keys are sanitized; texts are escaped
+ * the way the Android resource compiler expects (quotes, apostrophes, leading `@` and `?`, whitespace).
+ * @module core/platform/android
+ * @typedef {import('../../types.js').PlatformEntry} PlatformEntry
+ */
+
+import { SaxesParser } from 'saxes';
+
+import { createUnescape, fromHexEscape } from '../escapes.js';
+
+/**
+ * Resource file holding the texts of the default (source) language.
+ * @constant {string}
+ */
+export const ANDROID_DEFAULT_FILE = 'values/strings.xml';
+
+/**
+ * Java keywords and literals, which cannot be used as resource names.
+ * @constant {Set<string>}
+ * @private
+ */
+const JAVA_RESERVED = new Set(
+  [
+    'abstract assert boolean break byte case catch char class const continue default do double',
+    'else enum extends false final finally float for goto if implements import instanceof int',
+    'interface long native new null package private protected public return short static strictfp',
+    'super switch synchronized this throw throws transient true try void volatile while',
+  ]
+    .join(' ')
+    .split(' '),
+);
+
+/**
+ * Sanitizes a translation key into a resource name: characters other than letters, digits and
+ * underscores become underscores, and a leading digit is prefixed with one.
+ *
+ * @param {string} key - Translation key.
+ * @returns {string | undefined} Resource name, or undefined for keys that map to a Java keyword.
+ * @example
+ * toAndroidName('checkout.total-price'); // 'checkout_total_price'
+ */
+export function toAndroidName(key) {
+  const name = key.replaceAll(/\W/g, '_').replace(/^(?=\d)/, '_');
+  return JAVA_RESERVED.has(name) ? undefined : name;
+}
+
+/**
+ * Resource directory of a language: `de` → `values-de`, `pt-BR` → `values-pt-rBR`,
+ * other tags use the BCP 47 form (`zh-Hans` → `values-b+zh+Hans`).
+ *
+ * @param {string} language - Language code.
+ * @returns {string} Path of the language's `strings.xml`, relative to `res/`.
+ */
+export function androidFilePath(language) {
+  const [lang, region, ...rest] = language.split('-');
+  let qualifier = `b+${language.split('-').join('+')}`;
+  if (region === undefined) {
+    qualifier = lang;
+  } else if (rest.length === 0 && /^(?:[A-Z]{2}|\d{3})$/.test(region)) {
+    qualifier = `${lang}-r${region}`;
+  }
+  return `values-${qualifier}/strings.xml`;
+}
+
+/**
+ * Derives the language of a `<lang>` or `<lang>-r<REGION>` qualifier.
+ *
+ * @param {string} qualifier - Qualifier without the `values-` prefix.
+ * @returns {string | undefined} Language code, or undefined for other qualifiers.
+ * @private
+ */
+function legacyQualifierLanguage(qualifier) {
+  const [lang, region, ...rest] = qualifier.split('-');
+  const valid =
+    rest.length === 0 &&
+    /^[a-z]{2,3}$/.test(lang) &&
+    (region === undefined || /^r(?:[A-Z]{2}|\d{3})$/.test(region));
+  if (!valid) return;
+  return region === undefined ? lang : `${lang}-${region.slice(1)}`;
+}
+
+/**
+ * Derives the language of a `strings.xml` path relative to `res/`. Directories with other
+ * qualifiers (`values-night`, `values-v21`) and the default `values` directory have none.
+ *
+ * @param {string} filePath - Relative file path using `/` separators.
+ * @returns {string | undefined} Language code.
+ */
+export function androidFileLanguage(filePath) {
+  const qualifier = /^values-([^/]+)\/strings\.xml$/.exec(filePath)?.[1];
+  if (qualifier === undefined) return;
+  return qualifier.startsWith('b+')
+    ? qualifier.slice(2).split('+').join('-')
+    : legacyQualifierLanguage(qualifier);
+}
+
+/**
+ * Escape sequences written for special characters in resource texts.
+ * @constant {Object<string, string>}
+ * @private
+ */
+const ESCAPES = {
+  '\\': String.raw`\\`,
+  '"': String.raw`\"`,
+  "'": String.raw`\'`,
+  '\n': String.raw`\n`,
+  '\t': String.raw`\t`,
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+};
+
+/**
+ * Escapes a text for a `<string>` element. Texts with leading, trailing or repeated spaces are
+ * quoted, since the resource compiler collapses whitespace outside quotes.
+ *
+ * @param {string} value - Text.
+ * @returns {string} Element content.
+ * @private
+ */
+const escapeAndroidText = (value) => {
+  const text = value
+    .replaceAll(/[\\"'\n\t&<>]/g, (char) => ESCAPES[char])
+    .replace(/^[@?]/, String.raw`\$&`);
+  return /^ | $| {2}/.test(value) ? `"${text}"` : text;
+};
+
+/**
+ * Renders an Android `strings.xml` resource file.
+ *
+ * @param {PlatformEntry[]} entries - Resource names and texts.
+ * @returns {string} XML text.
+ */
+export function createAndroidStrings(entries) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<resources>',
+    ...entries.map(
+      ({ name, value }) =>
+        `    <string name="${name}">${escapeAndroidText(value)}</string>`,
+    ),
+    '</resources>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Decodes the character after a backslash in resource text. Only `\n` and `\t` stand for control
+ * characters; `\'`, `\"`, `\@` and `\?` are the escaped characters themselves.
+ * @private
+ */
+const unescapeChar = createUnescape();
+
+/**
+ * Tokens of a resource text: escapes, quotes, whitespace runs and other text.
+ * @constant {RegExp}
+ * @private
+ */
+const TEXT_TOKEN = /\\u[\dA-Fa-f]{4}|\\[\s\S]?|"|\s+|[^\s"\\]+/g;
+
+/**
+ * Decodes one escape sequence.
+ *
+ * @param {string} token - Escape sequence including the backslash.
+ * @returns {string} Decoded character.
+ * @private
+ */
+const decodeEscape = (token) =>
+  token[1] === 'u'
+    ? fromHexEscape(token.slice(2))
+    : unescapeChar(token.slice(1));
+
+/**
+ * Decodes the content of a `<string>` element the way the resource compiler does: whitespace outside
+ * quotes is collapsed into single spaces and trimmed, quotes are removed and escapes are decoded.
+ *
+ * @param {string} raw - Element text.
+ * @returns {string} Text.
+ * @private
+ */
+function unescapeAndroidText(raw) {
+  let text = '';
+  let quoted = false;
+  let space = false;
+  for (const [part] of raw.matchAll(TEXT_TOKEN)) {
+    if (part === '"') {
+      quoted = !quoted;
+    } else if (!quoted && /^\s/.test(part)) {
+      space = text !== '';
+    } else {
+      text +=
+        (space ? ' ' : '') + (part[0] === '\\' ? decodeEscape(part) : part);
+      space = false;
+    }
+  }
+  return text;
+}
+
+/**
+ * Parses an Android `strings.xml` resource file. Only `<string>` elements are read; strings marked
+ * `translatable="false"` are skipped and inline markup is reduced to its text.
+ *
+ * @param {string} xml - XML text.
+ * @returns {PlatformEntry[]} Resource names and texts in document order.
+ * @throws {Error} When the XML is malformed.
+ */
+export function parseAndroidStrings(xml) {
+  const entries = [];
+  let current;
+  const parser = new SaxesParser();
+  parser.on('opentag', (tag) => {
+    if (tag.name === 'string' && tag.attributes.translatable !== 'false') {
+      current = { name: tag.attributes.name, raw: '' };
+    }
+  });
+  const append = (text) => {
+    if (current) current.raw += text;
+  };
+  parser.on('text', append);
+  parser.on('cdata', append);
+  parser.on('closetag', (tag) => {
+    if (tag.name !== 'string' || !current) return;
+    entries.push({
+      name: current.name,
+      value: unescapeAndroidText(current.raw),
+    });
+    current = undefined;
+  });
+  try {
+    parser.write(xml).close();
+  } catch (error) {
+    throw new Error(`Invalid Android resource file: ${error.message}`);
+  }
+  return entries;
+}
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview iOS and macOS string tables: `<lang>.lproj/Localizable.strings`.
+ * Keys are quoted strings, so translation keys are used unchanged.
+ * @module core/platform/ios
+ * @typedef {import('../../types.js').PlatformEntry} PlatformEntry
+ */
+
+import { createUnescape, fromHexEscape } from '../escapes.js';
+
+/**
+ * Name of the string table file in every `.lproj` directory.
+ * @constant {string}
+ */
+export const IOS_STRINGS_FILE = 'Localizable.strings';
+
+/**
+ * Path of a language's string table: `de` → `de.lproj/Localizable.strings`.
+ *
+ * @param {string} language - Language code.
+ * @returns {string} Relative file path.
+ */
+export const iosFilePath = (language) =>
+  `${language}.lproj/${IOS_STRINGS_FILE}`;
+
+/**
+ * Derives the language of a string table path. `Base.lproj` holds no language.
+ *
+ * @param {string} filePath - Relative file path using `/` separators.
+ * @returns {string | undefined} Language code.
+ */
+export function iosFileLanguage(filePath) {
+  const match = /^([\w-]+)\.lproj\/Localizable\.strings$/.exec(filePath);
+  return match && match[1] !== 'Base' ? match[1] : undefined;
+}
+
+/**
+ * Escape sequences written for special characters in quoted strings.
+ * @constant {Object<string, string>}
+ * @private
+ */
+const ESCAPES = {
+  '\\': String.raw`\\`,
+  '"': String.raw`\"`,
+  '\n': String.raw`\n`,
+  '\r': String.raw`\r`,
+  '\t': String.raw`\t`,
+};
+
+/**
+ * Quotes and escapes a string.
+ *
+ * @param {string} text - Text.
+ * @returns {string} Quoted string.
+ * @private
+ */
+const quote = (text) =>
+  `"${text.replaceAll(/[\\"\n\r\t]/g, (char) => ESCAPES[char])}"`;
+
+/**
+ * Renders a `Localizable.strings` file.
+ *
+ * @param {PlatformEntry[]} entries - Keys and texts.
+ * @returns {string} File text.
+ */
+export function createIosStrings(entries) {
+  return entries
+    .map(({ name, value }) => `${quote(name)} = ${quote(value)};\n`)
+    .join('');
+}
+
+/**
+ * Tokens of a string table: whitespace, comments, quoted strings, unquoted words and punctuation.
+ * @constant {RegExp}
+ * @private
+ */
+const TOKEN =
+  /\s+|\/\*[\s\S]*?\*\/|\/\/.*|"(?:[^"\\]|\\[\s\S])*"|[\w.-]+|[=;]/y;
+
+/**
+ * Decodes the character after a backslash in a quoted string; string tables also know `\r`.
+ * @private
+ */
+const unescapeChar = createUnescape({ r: '\r' });
+
+/**
+ * Decodes a quoted string or returns an unquoted word.
+ *
+ * @param {string} token - String token.
+ * @returns {string} Text.
+ * @private
+ */
+const unquote = (token) =>
+  token.startsWith('"')
+    ? token
+        .slice(1, -1)
+        .replaceAll(/\\(?:[Uu]([\dA-Fa-f]{4})|([\s\S]))/g, (_, hex, char) =>
+          hex ? fromHexEscape(hex) : unescapeChar(char),
+        )
+    : token;
+
+/**
+ * Creates the error for a syntax error at an offset, naming its line.
+ *
+ * @param {string} text - File text.
+ * @param {number} index - Offset of the error.
+ * @returns {Error} Syntax error.
+ * @private
+ */
+const syntaxError = (text, index) =>
+  new Error(
+    `Invalid .strings file: unexpected input at line ${text.slice(0, index).split('\n').length}`,
+  );
+
+/**
+ * Splits a string table into significant tokens, skipping whitespace and comments.
+ *
+ * @param {string} text - File text.
+ * @returns {Array<{token: string, index: number}>} Tokens with their offsets.
+ * @throws {Error} On characters that start no token, such as an unterminated string.
+ * @private
+ */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    const index = TOKEN.lastIndex;
+    const match = TOKEN.exec(text);
+    if (!match) throw syntaxError(text, index);
+    if (!/^(?:\s|\/[*/])/.test(match[0])) {
+      tokens.push({ token: match[0], index });
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Checks whether a token is a key or text: a quoted string or an unquoted word.
+ *
+ * @param {string} token - Token.
+ * @returns {boolean} True for strings.
+ * @private
+ */
+const isString = (token) => token !== '=' && token !== ';';
+
+/**
+ * Token checks of one `key = text;` entry.
+ * @constant {Array<(token: string) => boolean>}
+ * @private
+ */
+const ENTRY_GRAMMAR = [
+  isString,
+  (token) => token === '=',
+  isString,
+  (token) => token === ';',
+];
+
+/**
+ * Parses a `Localizable.strings` file of `"key" = "text";` entries. Comments are skipped.
+ *
+ * @param {string} text - File text (a leading byte order mark is ignored).
+ * @returns {PlatformEntry[]} Keys and texts in file order.
+ * @throws {Error} When the text is not a valid string table.
+ */
+export function parseIosStrings(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const tokens = tokenize(source);
+  const entries = [];
+  for (let i = 0; i < tokens.length; i += ENTRY_GRAMMAR.length) {
+    const entry = tokens.slice(i, i + ENTRY_GRAMMAR.length);
+    const bad = ENTRY_GRAMMAR.findIndex(
+      (test, n) => !entry[n] || !test(entry[n].token),
+    );
+    if (bad !== -1) {
+      throw syntaxError(source, entry[bad]?.index ?? source.length);
+    }
+    const [key, , value] = entry;
+    entries.push({ name: unquote(key.token), value: unquote(value.token) });
+  }
+  return entries;
+}
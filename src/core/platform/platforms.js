@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Mobile and JVM platform string formats: Android `strings.xml`, iOS `Localizable.strings`
+ * and Java `.properties` bundles. Each format maps translation keys to its own key names, lays out one
+ * file per language and renders and parses the files.
+ * @module core/platform/platforms
+ * @typedef {import('../../types.js').PlatformEntry} PlatformEntry
+ * @typedef {import('../../types.js').PlatformFormat} PlatformFormat
+ */
+
+import {
+  ANDROID_DEFAULT_FILE,
+  androidFileLanguage,
+  androidFilePath,
+  createAndroidStrings,
+  parseAndroidStrings,
+  toAndroidName,
+} from './android.js';
+import {
+  createIosStrings,
+  iosFileLanguage,
+  iosFilePath,
+  parseIosStrings,
+} from './ios.js';
+import {
+  PROPERTIES_DEFAULT_FILE,
+  createProperties,
+  parseProperties,
+  propertiesFileLanguage,
+  propertiesFilePath,
+} from './properties.js';
+
+/**
+ * Supported platform formats by name.
+ * @constant {Object<string, PlatformFormat>}
+ */
+export const PLATFORM_FORMATS = {
+  android: {
+    label: 'Android',
+    extensions: ['.xml'],
+    defaultFile: ANDROID_DEFAULT_FILE,
+    filePath: androidFilePath,
+    fileLanguage: androidFileLanguage,
+    toName: toAndroidName,
+    render: createAndroidStrings,
+    parse: parseAndroidStrings,
+  },
+  ios: {
+    label: 'iOS',
+    extensions: ['.strings'],
+    filePath: iosFilePath,
+    fileLanguage: iosFileLanguage,
+    toName: (key) => key,
+    render: createIosStrings,
+    parse: parseIosStrings,
+  },
+  properties: {
+    label: 'Java properties',
+    extensions: ['.properties'],
+    defaultFile: PROPERTIES_DEFAULT_FILE,
+    filePath: propertiesFilePath,
+    fileLanguage: propertiesFileLanguage,
+    toName: (key) => key,
+    render: createProperties,
+    parse: parseProperties,
+  },
+};
+
+/**
+ * Names of the supported platform formats.
+ * @constant {string[]}
+ */
+export const PLATFORMS = Object.keys(PLATFORM_FORMATS);
+
+/**
+ * Maps translation keys to platform key names. Keys without a valid name, and keys whose name is
+ * already taken by an earlier key, cannot be mapped.
+ *
+ * @param {Iterable<string>} keys - Translation keys in table order.
+ * @param {PlatformFormat} format - Platform format.
+ * @returns {{names: Map<string, string>, unmapped: Array<{key: string, reason: string}>}} Translation key ->
+ *   platform name, and the keys that could not be mapped with the reason.
+ * @example
+ * mapPlatformKeys(['app.title', 'app_title'], PLATFORM_FORMATS.android).unmapped;
+ * // [{ key: 'app_title', reason: 'name "app_title" already used by app.title' }]
+ */
+export function mapPlatformKeys(keys, format) {
+  const names = new Map();
+  const owners = new Map();
+  const unmapped = [];
+  for (const key of keys) {
+    const name = format.toName(key);
+    if (name === undefined) {
+      unmapped.push({ key, reason: 'no valid name' });
+    } else if (owners.has(name)) {
+      unmapped.push({
+        key,
+        reason: `name "${name}" already used by ${owners.get(name)}`,
+      });
+    } else {
+      owners.set(name, key);
+      names.set(key, name);
+    }
+  }
+  return { names, unmapped };
+}
+
+/**
+ * Builds the entries of one language file. Keys without a text in the language are left out,
+ * so the platform falls back to its default language.
+ *
+ * @param {Map<string, Object<string, string>>} translations - Map of translation keys to language values.
+ * @param {string} language - Language code.
+ * @param {Map<string, string>} names - Translation key -> platform name, see {@link mapPlatformKeys}.
+ * @returns {PlatformEntry[]} Entries in key order.
+ */
+export function buildPlatformEntries(translations, language, names) {
+  const entries = [];
+  for (const [key, name] of names) {
+    const value = translations.get(key)?.[language];
+    if (value !== undefined && value !== '') entries.push({ name, value });
+  }
+  return entries;
+}
+
+/**
+ * Builds a single-language translation table from the entries of a platform file.
+ * Names are mapped back to the translation keys they were exported from; unknown names are
+ * used as keys.
+ *
+ * @param {PlatformEntry[]} entries - Parsed entries.
+ * @param {string} language - Language of the file.
+ * @param {Map<string, string>} [keysByName=new Map()] - Platform name -> translation key.
+ * @returns {{translations: Map<string, Object<string, string>>, languages: string[], duplicates: string[]}}
+ *   Translation table of the language.
+ */
+export function buildTranslationTableFromPlatform(
+  entries,
+  language,
+  keysByName = new Map(),
+) {
+  const translations = new Map();
+  const duplicates = new Set();
+  for (const { name, value } of entries) {
+    const key = keysByName.get(name) ?? name;
+    if (translations.has(key)) duplicates.add(key);
+    translations.set(key, { [language]: value });
+  }
+  return { translations, languages: [language], duplicates: [...duplicates] };
+}
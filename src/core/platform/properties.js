@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Java resource bundles: `messages_<locale>.properties`.
+ * Files are written in the ISO-8859-1 safe form read by `Properties.load`: characters outside
+ * printable ASCII are written as `\uXXXX` escapes.
+ * @module core/platform/properties
+ * @typedef {import('../../types.js').PlatformEntry} PlatformEntry
+ */
+
+import { createUnescape, fromHexEscape } from '../escapes.js';
+
+/**
+ * Base name of the resource bundle.
+ * @constant {string}
+ */
+export const PROPERTIES_BUNDLE = 'messages';
+
+/**
+ * Bundle file holding the texts of the default (source) language.
+ * @constant {string}
+ */
+export const PROPERTIES_DEFAULT_FILE = `${PROPERTIES_BUNDLE}.properties`;
+
+/**
+ * Path of a language's bundle file: `pt-BR` → `messages_pt_BR.properties`.
+ *
+ * @param {string} language - Language code.
+ * @returns {string} File name.
+ */
+export const propertiesFilePath = (language) =>
+  `${PROPERTIES_BUNDLE}_${language.replaceAll('-', '_')}.properties`;
+
+/**
+ * Derives the language of a bundle file name.
+ *
+ * @param {string} filePath - File name.
+ * @returns {string | undefined} Language code.
+ */
+export function propertiesFileLanguage(filePath) {
+  const match = /^messages_(\w+)\.properties$/.exec(filePath);
+  return match?.[1].replaceAll('_', '-');
+}
+
+/**
+ * Escape sequences written for special characters.
+ * @constant {Object<string, string>}
+ * @private
+ */
+const ESCAPES = {
+  '\\': String.raw`\\`,
+  '\n': String.raw`\n`,
+  '\r': String.raw`\r`,
+  '\t': String.raw`\t`,
+  '\f': String.raw`\f`,
+};
+
+/**
+ * Escapes one character.
+ *
+ * @param {string} char - Character (UTF-16 code unit).
+ * @returns {string} Escape sequence.
+ * @private
+ */
+const escapeChar = (char) => {
+  if (ESCAPES[char]) return ESCAPES[char];
+  if (char >= ' ' && char <= '~') return `\\${char}`;
+  return String.raw`\u` + char.codePointAt(0).toString(16).padStart(4, '0');
+};
+
+/**
+ * Escapes a key: separators, comment markers and whitespace are escaped as well.
+ *
+ * @param {string} key - Key.
+ * @returns {string} Escaped key.
+ * @private
+ */
+const escapeKey = (key) => key.replaceAll(/[\\\s:=#!]|[^ -~]/g, escapeChar);
+
+/**
+ * Escapes a value; a leading space is escaped so it is not taken as part of the separator.
+ *
+ * @param {string} value - Text.
+ * @returns {string} Escaped text.
+ * @private
+ */
+const escapeValue = (value) =>
+  value.replaceAll(/^ |[\\\t\n\r\f]|[^ -~]/g, escapeChar);
+
+/**
+ * Renders a `.properties` file.
+ *
+ * @param {PlatformEntry[]} entries - Keys and texts.
+ * @returns {string} File text.
+ */
+export function createProperties(entries) {
+  return entries
+    .map(({ name, value }) => `${escapeKey(name)}=${escapeValue(value)}\n`)
+    .join('');
+}
+
+/**
+ * Decodes the character after a backslash as `Properties.load` does, which adds `\r` and `\f`.
+ * @private
+ */
+const unescapeChar = createUnescape({ r: '\r', f: '\f' });
+
+/**
+ * Decodes the escapes of a key or value.
+ *
+ * @param {string} text - Escaped text.
+ * @returns {string} Text.
+ * @private
+ */
+const unescapeText = (text) =>
+  text.replaceAll(/\\(?:u([\dA-Fa-f]{4})|([\s\S]))/g, (_, hex, char) =>
+    hex ? fromHexEscape(hex) : unescapeChar(char),
+  );
+
+/**
+ * Joins continued lines (ending in an odd number of backslashes) and drops comments and blank lines.
+ *
+ * @param {string} text - File text.
+ * @returns {string[]} Logical lines without leading whitespace.
+ * @private
+ */
+function logicalLines(text) {
+  const lines = [];
+  let pending;
+  for (const raw of text.split(/\r\n|\r|\n/)) {
+    const line = raw.trimStart();
+    const comment = pending === undefined && /^(?:[#!]|$)/.test(line);
+    const continued = !comment && /(?:^|[^\\])(?:\\\\)*\\$/.test(line);
+    if (comment) continue;
+    const joined = (pending ?? '') + (continued ? line.slice(0, -1) : line);
+    pending = continued ? joined : undefined;
+    if (!continued) lines.push(joined);
+  }
+  if (pending !== undefined) lines.push(pending);
+  return lines;
+}
+
+/**
+ * Key and value of a logical line: the key ends at the first unescaped `=`, `:` or whitespace.
+ * @constant {RegExp}
+ * @private
+ */
+const ENTRY = /^((?:\\[\s\S]|[^\\\s:=])*)\s*[:=]?\s*([\s\S]*)$/;
+
+/**
+ * Parses a `.properties` file.
+ *
+ * @param {string} text - File text.
+ * @returns {PlatformEntry[]} Keys and texts in file order.
+ */
+export function parseProperties(text) {
+  return logicalLines(text).map((line) => {
+    const [, key, value] = ENTRY.exec(line);
+    return { name: unescapeText(key), value: unescapeText(value) };
+  });
+}
@@ -66,6 +66,17 @@ const hasPlaceholderInconsistency = (
     [...allPlaceholders].some((ph) => !placeholderMap[lang].has(ph)),
   );
 
+/**
+ * Lists placeholders a language is missing compared to all other languages.
+ * @param {Object<string,Set<string>>} placeholderMap - Map of language->Set.
+ * @param {string} lang - Language code to check.
+ * @returns {string[]} Placeholders used by other languages but absent in `lang`.
+ */
+export const findMissingPlaceholders = (placeholderMap, lang) =>
+  [...collectAllPlaceholders(placeholderMap)].filter(
+    (ph) => !placeholderMap[lang]?.has(ph),
+  );
+
 /**
  * Generates a comprehensive report on translation data, covering
  * missing values, duplicate keys, and placeholder inconsistencies.
@@ -0,0 +1,77 @@
+/**
+ * Per-language statistics derived from a translation report.
+ * Used to budget translation work (completion, missing values, words left to translate).
+ * @module core/report/translationSummary
+ * @typedef {import('../../types.js').TranslationReport} TranslationReport
+ */
+
+import { findMissingPlaceholders } from './translationReport.js';
+
+/**
+ * Counts whitespace-separated words in a text.
+ * @param {unknown} text - Text to count.
+ * @returns {number} Number of words.
+ */
+export const countWords = (text) =>
+  String(text ?? '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean).length;
+
+/**
+ * Summarizes a translation report per language.
+ *
+ * Untranslated words are counted in the source language text of every key missing
+ * in the given language; they are 0 when the source language is not part of the table.
+ *
+ * @param {TranslationReport} report - Report from generateTranslationReport.
+ * @param {Map<string,Object<string,string>>} translations - Map of key->language values.
+ * @param {string[]} languages - Language codes.
+ * @param {string} [sourceLang='en'] - Language whose text translators work from.
+ * @returns {Array<{lang:string,total:number,missing:number,completion:number,placeholderIssues:number,untranslatedWords:number}>}
+ *   One entry per language; `completion` is a fraction between 0 and 1.
+ */
+export function summarizeTranslationReport(
+  report,
+  translations,
+  languages,
+  sourceLang = 'en',
+) {
+  const total = translations.size;
+  const stats = new Map(
+    languages.map((lang) => [
+      lang,
+      { missing: 0, placeholderIssues: 0, untranslatedWords: 0 },
+    ]),
+  );
+  const missingPairs = new Set();
+
+  for (const { key, lang } of report.missing) {
+    const entry = stats.get(lang);
+    if (!entry) continue;
+    missingPairs.add(`${key}\u0000${lang}`);
+    entry.missing += 1;
+    entry.untranslatedWords += countWords(translations.get(key)?.[sourceLang]);
+  }
+
+  for (const { key, placeholders } of report.placeholderInconsistencies) {
+    for (const [lang, entry] of stats) {
+      if (missingPairs.has(`${key}\u0000${lang}`)) continue;
+      if (findMissingPlaceholders(placeholders, lang).length > 0) {
+        entry.placeholderIssues += 1;
+      }
+    }
+  }
+
+  return languages.map((lang) => {
+    const entry = stats.get(lang);
+    return {
+      lang,
+      total,
+      missing: entry.missing,
+      completion: total === 0 ? 1 : (total - entry.missing) / total,
+      placeholderIssues: entry.placeholderIssues,
+      untranslatedWords: entry.untranslatedWords,
+    };
+  });
+}
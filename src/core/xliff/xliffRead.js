@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Parsing of XLIFF 1.2 and 2.0 documents into translation units.
+ * Inline markup inside `source` and `target` is reduced to its text content.
+ * @module core/xliff/xliffRead
+ * @typedef {import('../../types.js').XliffUnit} XliffUnit
+ */
+
+import { SaxesParser } from 'saxes';
+
+import { attr } from '../xml.js';
+
+/**
+ * Normalized unit states, from least to most complete.
+ * @constant {string[]}
+ */
+export const XLIFF_STATES = ['needs-translation', 'translated', 'final'];
+
+/**
+ * XLIFF 1.2 `target@state` and XLIFF 2.0 `segment@state` values mapped to normalized states.
+ * Unlisted 1.2 `needs-*` values count as `needs-translation`.
+ * @constant {Object<string, string>}
+ */
+const STATE_MAP = {
+  new: 'needs-translation',
+  initial: 'needs-translation',
+  translated: 'translated',
+  reviewed: 'translated',
+  'needs-review-translation': 'translated',
+  'needs-review-adaptation': 'translated',
+  'needs-review-l10n': 'translated',
+  'signed-off': 'translated',
+  final: 'final',
+};
+
+/**
+ * Normalizes a raw state attribute.
+ *
+ * @param {string | undefined} state - Raw state value.
+ * @param {boolean} hasTarget - Whether the unit carries a non-empty target.
+ * @returns {string} One of {@link XLIFF_STATES}.
+ * @private
+ */
+const normalizeState = (state, hasTarget) => {
+  if (state === undefined) {
+    return hasTarget ? 'translated' : 'needs-translation';
+  }
+  return STATE_MAP[state] ?? 'needs-translation';
+};
+
+/**
+ * Returns the less complete of two normalized states.
+ *
+ * @param {string | undefined} a - Current state.
+ * @param {string} b - Other state.
+ * @returns {string} Least complete state.
+ * @private
+ */
+const leastComplete = (a, b) =>
+  a === undefined || XLIFF_STATES.indexOf(b) < XLIFF_STATES.indexOf(a) ? b : a;
+
+/**
+ * Creates the element handlers that collect units while the document is parsed.
+ *
+ * @returns {{open: (tag: Object) => void, close: (name: string) => void, text: (text: string) => void,
+ *   result: {version?: string, sourceLang?: string, targetLang?: string, units: XliffUnit[]}}}
+ * @private
+ */
+function createCollector() {
+  const result = { units: [] };
+  // Current unit, element whose text is captured and raw state of the current segment
+  const state = { unit: undefined, capture: undefined, buffer: '' };
+  let rawState;
+  let skipping = false;
+
+  const startUnit = (tag) => {
+    const key = attr(tag, 'resname') ?? attr(tag, 'name') ?? attr(tag, 'id');
+    state.unit = { key, source: '', notes: [] };
+  };
+
+  const startCapture = (tag) => {
+    if (!state.unit || state.capture) return;
+    state.capture = {
+      name: tag.local,
+      category: attr(tag, 'from') ?? attr(tag, 'category'),
+    };
+    state.buffer = '';
+  };
+
+  /** @type {Object<string, (tag: Object) => void>} Opening tag handlers by element local name */
+  const openHandlers = {
+    xliff: (tag) => {
+      result.version = attr(tag, 'version');
+      result.sourceLang = attr(tag, 'srcLang');
+      result.targetLang = attr(tag, 'trgLang');
+    },
+    file: (tag) => {
+      result.sourceLang ??= attr(tag, 'source-language');
+      result.targetLang ??= attr(tag, 'target-language');
+    },
+    'trans-unit': startUnit,
+    unit: startUnit,
+    // XLIFF 1.2 alternative translations carry their own source and target
+    'alt-trans': () => {
+      skipping = true;
+    },
+    segment: (tag) => {
+      rawState = attr(tag, 'state');
+    },
+    source: startCapture,
+    note: startCapture,
+    target: (tag) => {
+      startCapture(tag);
+      rawState = attr(tag, 'state') ?? rawState;
+    },
+  };
+
+  const finishCapture = () => {
+    const { unit, capture, buffer } = state;
+    if (capture.name === 'note') {
+      unit.notes.push({ category: capture.category, text: buffer });
+    } else {
+      unit[capture.name] = (unit[capture.name] ?? '') + buffer;
+    }
+    state.capture = undefined;
+  };
+
+  const finishSegment = () => {
+    const { unit } = state;
+    unit.state = leastComplete(
+      unit.state,
+      normalizeState(rawState, Boolean(unit.target)),
+    );
+    rawState = undefined;
+  };
+
+  const open = (tag) => {
+    if (!skipping) openHandlers[tag.local]?.(tag);
+  };
+
+  const close = (name) => {
+    if (name === 'alt-trans') skipping = false;
+    if (!state.unit || skipping) return;
+    if (state.capture?.name === name) finishCapture();
+    if (name === 'segment' || name === 'trans-unit') finishSegment();
+    if (name === 'trans-unit' || name === 'unit') {
+      result.units.push(state.unit);
+      state.unit = undefined;
+    }
+  };
+
+  const text = (value) => {
+    if (state.capture) state.buffer += value;
+  };
+
+  return { open, close, text, result };
+}
+
+/**
+ * Parses an XLIFF 1.2 or 2.0 document.
+ *
+ * @param {string} xml - XLIFF document.
+ * @returns {{version: string, sourceLang: string, targetLang: string, units: XliffUnit[]}} Parsed document.
+ *   Unit keys are taken from `resname` (1.2) or `name` (2.0), falling back to `id`.
+ * @throws {Error} When the document is not well-formed XML or lacks its source or target language.
+ */
+export function parseXliffDocument(xml) {
+  const parser = new SaxesParser({ xmlns: true });
+  const collector = createCollector();
+  parser.on('opentag', collector.open);
+  parser.on('closetag', (tag) => collector.close(tag.local));
+  parser.on('text', collector.text);
+  parser.on('cdata', collector.text);
+  try {
+    parser.write(xml).close();
+  } catch (error) {
+    throw new Error(`Invalid XLIFF document: ${error.message}`);
+  }
+  const { result } = collector;
+  if (!result.sourceLang || !result.targetLang) {
+    throw new Error(
+      'Invalid XLIFF document: source or target language is missing',
+    );
+  }
+  return result;
+}
+
+/**
+ * Builds a two-language translation table from a parsed XLIFF document.
+ * Targets of units in the `needs-translation` state are treated as absent.
+ *
+ * @param {{sourceLang: string, targetLang: string, units: XliffUnit[]}} document - Parsed XLIFF document.
+ * @returns {{translations: Map<string, Object<string, string>>, languages: string[], duplicates: string[]}}
+ *   Key -> language values, the source and target language, and keys occurring more than once.
+ */
+export function buildTranslationTableFromXliff(document) {
+  const { sourceLang, targetLang, units } = document;
+  const translations = new Map();
+  const duplicates = new Set();
+  for (const unit of units) {
+    if (translations.has(unit.key)) duplicates.add(unit.key);
+    const values = { [sourceLang]: unit.source };
+    if (unit.state !== 'needs-translation') {
+      values[targetLang] = unit.target ?? '';
+    }
+    translations.set(unit.key, values);
+  }
+  return {
+    translations,
+    languages: [sourceLang, targetLang],
+    duplicates: [...duplicates],
+  };
+}
@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Serialization of translation tables into XLIFF 1.2 and 2.0 documents.
+ * One document holds the source texts of one source language and the translations of one
+ * target language; metadata descriptions and context are carried as notes.
+ * @module core/xliff/xliffWrite
+ * @typedef {import('../../types.js').XliffUnit} XliffUnit
+ */
+
+import { escapeXml, renderAttributes } from '../xml.js';
+
+/**
+ * Supported XLIFF versions.
+ * @constant {string[]}
+ */
+export const XLIFF_VERSIONS = ['1.2', '2.0'];
+
+/**
+ * Metadata fields written as notes, in output order.
+ * @constant {string[]}
+ */
+export const XLIFF_NOTE_FIELDS = ['description', 'context'];
+
+/** @constant {RegExp} XML name token allowed as XLIFF 2.0 unit id */
+const NMTOKEN = /^[\w.:-]+$/;
+
+/**
+ * Builds the translation units of one target language.
+ * Absent target values produce units in the `needs-translation` state.
+ *
+ * @param {Map<string, Object<string, string>>} translations - Map of translation keys to language values.
+ * @param {string} sourceLang - Source language code.
+ * @param {string} targetLang - Target language code.
+ * @param {Map<string, Object>} [metadata=new Map()] - Translation key -> metadata fields used for notes.
+ * @returns {XliffUnit[]} Units in key order.
+ */
+export function buildXliffUnits(
+  translations,
+  sourceLang,
+  targetLang,
+  metadata = new Map(),
+) {
+  return [...translations].map(([key, values]) => {
+    const fields = metadata.get(key) ?? {};
+    const hasTarget = values[targetLang] !== undefined;
+    return {
+      key,
+      source: values[sourceLang] ?? '',
+      target: hasTarget ? values[targetLang] : undefined,
+      state: hasTarget ? 'translated' : 'needs-translation',
+      notes: XLIFF_NOTE_FIELDS.filter((field) => fields[field]).map(
+        (field) => ({ category: field, text: String(fields[field]) }),
+      ),
+    };
+  });
+}
+
+/**
+ * Renders one XLIFF 1.2 `trans-unit`.
+ *
+ * @param {XliffUnit} unit - Translation unit.
+ * @returns {string} XML fragment.
+ * @private
+ */
+const renderUnit12 = (unit) => {
+  const target =
+    unit.target === undefined
+      ? '        <target state="needs-translation"/>'
+      : `        <target${renderAttributes({ state: unit.state })}>${escapeXml(unit.target)}</target>`;
+  return [
+    `      <trans-unit${renderAttributes({ id: unit.key })}>`,
+    `        <source>${escapeXml(unit.source)}</source>`,
+    target,
+    ...unit.notes.map(
+      (note) =>
+        `        <note${renderAttributes({ from: note.category })}>${escapeXml(note.text)}</note>`,
+    ),
+    '      </trans-unit>',
+  ].join('\n');
+};
+
+/**
+ * Renders one XLIFF 2.0 `unit`. Keys that are not valid XML name tokens get a generated id
+ * and are kept in the `name` attribute.
+ *
+ * @param {XliffUnit} unit - Translation unit.
+ * @param {number} index - Unit position, used for generated ids.
+ * @returns {string} XML fragment.
+ * @private
+ */
+const renderUnit20 = (unit, index) => {
+  const validId = NMTOKEN.test(unit.key);
+  const attributes = {
+    id: validId ? unit.key : `u${index + 1}`,
+    name: validId ? undefined : unit.key,
+  };
+  const state = unit.target === undefined ? 'initial' : unit.state;
+  const notes =
+    unit.notes.length === 0
+      ? []
+      : [
+          '      <notes>',
+          ...unit.notes.map(
+            (note) =>
+              `        <note${renderAttributes({ category: note.category })}>${escapeXml(note.text)}</note>`,
+          ),
+          '      </notes>',
+        ];
+  return [
+    `    <unit${renderAttributes(attributes)}>`,
+    ...notes,
+    `      <segment${renderAttributes({ state })}>`,
+    `        <source>${escapeXml(unit.source)}</source>`,
+    ...(unit.target === undefined
+      ? []
+      : [`        <target>${escapeXml(unit.target)}</target>`]),
+    '      </segment>',
+    '    </unit>',
+  ].join('\n');
+};
+
+/**
+ * Serializes translation units into an XLIFF document.
+ *
+ * @param {{version?: string, sourceLang: string, targetLang: string, units: XliffUnit[], original?: string}} params
+ *   Document parameters. `version` defaults to `1.2`; `original` names the file element (default `i18n`).
+ * @returns {string} XLIFF document.
+ * @throws {Error} When the version is not supported.
+ * @example
+ * createXliffDocument({ sourceLang: 'en', targetLang: 'de', units });
+ */
+export function createXliffDocument({
+  version = '1.2',
+  sourceLang,
+  targetLang,
+  units,
+  original = 'i18n',
+}) {
+  const header = '<?xml version="1.0" encoding="UTF-8"?>';
+  if (version === '1.2') {
+    return [
+      header,
+      '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+      `  <file${renderAttributes({ 'source-language': sourceLang, 'target-language': targetLang, datatype: 'plaintext', original })}>`,
+      '    <body>',
+      ...units.map((unit) => renderUnit12(unit)),
+      '    </body>',
+      '  </file>',
+      '</xliff>',
+      '',
+    ].join('\n');
+  }
+  if (version === '2.0') {
+    return [
+      header,
+      `<xliff${renderAttributes({ xmlns: 'urn:oasis:names:tc:xliff:document:2.0', version: '2.0', srcLang: sourceLang, trgLang: targetLang })}>`,
+      `  <file${renderAttributes({ id: original })}>`,
+      ...units.map((unit, index) => renderUnit20(unit, index)),
+      '  </file>',
+      '</xliff>',
+      '',
+    ].join('\n');
+  }
+  throw new Error(
+    `Invalid XLIFF version "${version}". Expected one of: ${XLIFF_VERSIONS.join(', ')}`,
+  );
+}
@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Helpers for reading and writing XML documents (XLIFF, OpenDocument).
+ * @module core/xml
+ */
+
+/**
+ * Escapes text for use in XML element content and attribute values.
+ *
+ * @param {unknown} value - Value to escape.
+ * @returns {string} Escaped text.
+ */
+export const escapeXml = (value) =>
+  String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+    .replaceAll('\r', '&#13;');
+
+/**
+ * Renders XML attributes, skipping undefined values.
+ *
+ * @param {Object<string, unknown>} attributes - Attribute name -> value.
+ * @returns {string} Attribute list with a leading space per attribute.
+ */
+export const renderAttributes = (attributes) =>
+  Object.entries(attributes)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+
+/**
+ * Reads an attribute value of a namespace-aware saxes tag by local name.
+ *
+ * @param {{attributes: Object<string, {local: string, value: string}>}} tag - saxes tag.
+ * @param {string} name - Attribute local name.
+ * @returns {string | undefined} Attribute value.
+ */
+export const attr = (tag, name) =>
+  Object.values(tag.attributes).find((a) => a.local === name)?.value;
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Parsing and serialization of YAML locale files.
+ * Files may wrap their translations in a root key naming the language, as Rails does (`en:` in `en.yml`).
+ * When an existing file is rewritten, its document is updated in place so that the root key and the
+ * comments and quoting of remaining entries are kept.
+ * @module core/yaml/localeYaml
+ */
+
+import { Document, Pair, isMap, isScalar, parseDocument } from 'yaml';
+
+/**
+ * Serialization options: long texts are not folded across lines.
+ * @constant {Object}
+ */
+const TO_STRING_OPTIONS = { lineWidth: 0 };
+
+/**
+ * Checks whether a value is a plain object (not null, not an array).
+ *
+ * @param {unknown} value - Value to check.
+ * @returns {boolean} True for plain objects.
+ * @private
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parses a YAML document, throwing on the first syntax error.
+ *
+ * @param {string} text - YAML text.
+ * @returns {Object} yaml Document.
+ * @throws {Error} When the text is not valid YAML.
+ * @private
+ */
+function parseYaml(text) {
+  const doc = parseDocument(text);
+  if (doc.errors.length > 0) throw new Error(doc.errors[0].message);
+  return doc;
+}
+
+/**
+ * Checks whether parsed YAML data holds a single root key naming the language.
+ *
+ * @param {unknown} data - Parsed YAML data.
+ * @param {string} language - Language code of the file.
+ * @returns {boolean} True for Rails-style files.
+ * @private
+ */
+const hasLanguageRoot = (data, language) =>
+  isPlainObject(data) &&
+  Object.keys(data).length === 1 &&
+  isPlainObject(data[language]);
+
+/**
+ * Parses a YAML locale file. A single root key naming the language is unwrapped.
+ *
+ * @param {string} text - YAML text.
+ * @param {string} language - Language code of the file (its base name).
+ * @returns {{data: Object, rooted: boolean}} Translations and whether they were wrapped in a root key.
+ * @throws {Error} When the text is not valid YAML or holds no mapping.
+ */
+export function parseLocaleYaml(text, language) {
+  const data = parseYaml(text).toJS() ?? {};
+  if (!isPlainObject(data)) {
+    throw new Error('Locale file must contain a mapping of keys');
+  }
+  return hasLanguageRoot(data, language)
+    ? { data: data[language], rooted: true }
+    : { data, rooted: false };
+}
+
+/**
+ * Reads the key of a mapping entry.
+ *
+ * @param {Object} pair - yaml Pair.
+ * @returns {string} Key text.
+ * @private
+ */
+const pairKey = (pair) =>
+  String(isScalar(pair.key) ? pair.key.value : pair.key);
+
+/**
+ * Picks the comments and blank lines attached to a node, so they survive replacing it.
+ *
+ * @param {Object} node - yaml node.
+ * @returns {{commentBefore?: string, comment?: string, spaceBefore?: boolean}} Node decoration.
+ * @private
+ */
+const decorationOf = (node) => ({
+  commentBefore: node?.commentBefore,
+  comment: node?.comment,
+  spaceBefore: node?.spaceBefore,
+});
+
+/**
+ * Builds the mapping node for an object from the mapping it replaces, reusing the key nodes
+ * (and their comments) of entries that still exist, in the order of the new value.
+ *
+ * The parser attaches a comment above the first entry of a nested mapping to the mapping itself;
+ * it moves with that entry when the order changes.
+ *
+ * @param {Object} doc - yaml Document creating new nodes.
+ * @param {Object} node - Current mapping node.
+ * @param {Object} value - New value.
+ * @returns {Object} Updated mapping node.
+ * @private
+ */
+function syncMap(doc, node, value) {
+  const [firstPair] = node.items;
+  const movesComment =
+    node.commentBefore !== undefined &&
+    firstPair !== undefined &&
+    pairKey(firstPair) !== Object.keys(value)[0];
+  if (movesComment) {
+    const { key } = firstPair;
+    key.commentBefore = [node.commentBefore, key.commentBefore]
+      .filter(Boolean)
+      .join('\n');
+  }
+  const map = Object.assign(doc.createNode({}), decorationOf(node), {
+    flow: node.flow,
+    ...(movesComment && { commentBefore: undefined }),
+  });
+  map.items = Object.entries(value).map(([key, child]) => {
+    const pair = node.items.find((item) => pairKey(item) === key);
+    return pair
+      ? new Pair(pair.key, syncNode(doc, pair.value, child))
+      : doc.createPair(key, child);
+  });
+  return map;
+}
+
+/**
+ * Builds the node for a value from the node it replaces. Unchanged scalars are reused;
+ * replaced nodes keep their comments and, for texts, their quoting.
+ *
+ * @param {Object} doc - yaml Document creating new nodes.
+ * @param {Object | null | undefined} node - Current node.
+ * @param {unknown} value - New value.
+ * @returns {Object} Updated node.
+ * @private
+ */
+function syncNode(doc, node, value) {
+  if (isPlainObject(value) && isMap(node)) return syncMap(doc, node, value);
+  if (isScalar(node) && node.value === value) return node;
+  const created = Object.assign(doc.createNode(value), decorationOf(node));
+  if (isScalar(node) && isScalar(created) && typeof value === 'string') {
+    created.type = node.type;
+  }
+  return created;
+}
+
+/**
+ * Serializes translations as a YAML locale file.
+ *
+ * Without a previous version, the translations are wrapped in a root key naming the language
+ * when `root` is set. A previous version keeps its root key (or lack thereof), comments and quoting.
+ *
+ * @param {Object} data - Nested translations.
+ * @param {{language: string, root?: boolean, previous?: string}} options - Language code of the file,
+ *   root key for new files and the text of the file being replaced.
+ * @returns {string} YAML text.
+ * @throws {Error} When the previous version is not valid YAML.
+ */
+export function stringifyLocaleYaml(
+  data,
+  { language, root = false, previous },
+) {
+  if (previous === undefined || previous.trim() === '') {
+    const doc = new Document(root ? { [language]: data } : data);
+    return doc.toString(TO_STRING_OPTIONS);
+  }
+  const doc = parseYaml(previous);
+  const rooted = hasLanguageRoot(doc.toJS(), language);
+  doc.contents = syncNode(
+    doc,
+    doc.contents,
+    rooted ? { [language]: data } : data,
+  );
+  return doc.toString(TO_STRING_OPTIONS);
+}
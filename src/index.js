@@ -12,6 +12,12 @@
  * @typedef {import('./types.js').Reporter} Reporter
  * @typedef {import('./types.js').ConvertToExcelOptions} ConvertToExcelOptions
  * @typedef {import('./types.js').ConvertToJsonOptions} ConvertToJsonOptions
+ * @typedef {import('./types.js').ConvertToXliffOptions} ConvertToXliffOptions
+ * @typedef {import('./types.js').ConvertFromXliffOptions} ConvertFromXliffOptions
+ * @typedef {import('./types.js').ConvertToPoOptions} ConvertToPoOptions
+ * @typedef {import('./types.js').ConvertFromPoOptions} ConvertFromPoOptions
+ * @typedef {import('./types.js').ConvertToPlatformOptions} ConvertToPlatformOptions
+ * @typedef {import('./types.js').ConvertFromPlatformOptions} ConvertFromPlatformOptions
  */
 
 import fs from 'node:fs/promises';
@@ -19,16 +25,30 @@ import path from 'node:path';
 
 import { analyzeApp } from './app/analyze.js';
 import { convertToExcelApp, convertToJsonApp } from './app/convert.js';
+import { convertFromPoApp, convertToPoApp } from './app/gettext.js';
+import {
+  convertFromPlatformApp,
+  convertToPlatformApp,
+} from './app/platform.js';
 import { translateApp } from './app/translate.js';
+import { convertFromXliffApp, convertToXliffApp } from './app/xliff.js';
 import * as ioExcel from './io/excel.js';
 import * as ioFs from './io/fs.js';
+import * as ioGit from './io/git.js';
 import { consoleReporter } from './reporters/console.js';
 
 const defaultIo = {
   checkFileExists: ioFs.checkFileExists,
   ensureDirectoryExists: ioFs.ensureDirectoryExists,
   readDirJsonFiles: ioFs.readDirJsonFiles,
+  readDirYamlFiles: ioFs.readDirYamlFiles,
+  readJsonFile: ioFs.loadJsonFile,
+  readJsonFileAtRef: ioGit.loadJsonFileAtRef,
   writeJsonFile: ioFs.writeJsonFile,
+  writeYamlFile: ioFs.writeYamlFile,
+  readTextFiles: ioFs.readTextFiles,
+  findDirectories: ioFs.findDirectories,
+  writeTextFile: ioFs.writeTextFile,
   readWorkbook: ioExcel.readWorkbook,
   writeWorkbook: ioExcel.writeWorkbook,
   createWorkbook: ioExcel.createWorkbook,
@@ -38,9 +58,9 @@ const defaultIo = {
 };
 
 /**
- * Converts JSON localization files to an Excel workbook.
- * @param {string} sourcePath Path to directory containing JSON files (or a single JSON file).
- * @param {string} targetFile Destination Excel file path.
+ * Converts JSON localization files to an Excel or OpenDocument workbook, or a CSV / TSV file.
+ * @param {string} sourcePath Path to directory containing JSON or YAML files (or a single JSON file).
+ * @param {string} targetFile Destination `.xlsx`, `.ods`, `.csv` or `.tsv` file path.
  * @param {ConvertToExcelOptions} [options] Conversion options.
  * @returns {Promise<void>} Resolves when conversion completes.
  */
@@ -51,9 +71,9 @@ export async function convertToExcel(sourcePath, targetFile, options = {}) {
 }
 
 /**
- * Converts an Excel workbook to JSON localization files.
- * @param {string} sourceFile Path to the Excel file.
- * @param {string} targetPath Directory path where JSON files will be written.
+ * Converts an Excel or OpenDocument workbook, or a CSV / TSV file, to JSON localization files.
+ * @param {string} sourceFile Path to the `.xlsx`, `.ods`, `.csv` or `.tsv` file.
+ * @param {string} targetPath Directory path where the language files will be written.
  * @param {ConvertToJsonOptions} [options] Conversion options.
  * @returns {Promise<void>} Resolves when conversion completes.
  */
@@ -63,6 +83,85 @@ export async function convertToJson(sourceFile, targetPath, options = {}) {
   });
 }
 
+/**
+ * Converts JSON localization files to XLIFF documents, one `<lang>.xlf` per target language.
+ * @param {string} sourcePath Path to directory containing JSON or YAML files.
+ * @param {string} targetDir Directory where XLIFF files will be written.
+ * @param {ConvertToXliffOptions} [options] Conversion options.
+ * @returns {Promise<void>} Resolves when conversion completes.
+ */
+export async function convertToXliff(sourcePath, targetDir, options = {}) {
+  return convertToXliffApp(defaultIo, sourcePath, targetDir, options, {
+    reporter: consoleReporter,
+  });
+}
+
+/**
+ * Converts XLIFF documents back into JSON localization files.
+ * @param {string} inputPath XLIFF file or directory containing `.xlf` / `.xliff` files.
+ * @param {string} targetPath Directory path where JSON files will be written.
+ * @param {ConvertFromXliffOptions} [options] Conversion options.
+ * @returns {Promise<void>} Resolves when conversion completes.
+ */
+export async function convertFromXliff(inputPath, targetPath, options = {}) {
+  return convertFromXliffApp(defaultIo, inputPath, targetPath, options, {
+    reporter: consoleReporter,
+  });
+}
+
+/**
+ * Converts JSON localization files to gettext files: `messages.pot` and one `<lang>.po` per target language.
+ * @param {string} sourcePath Path to directory containing JSON or YAML files.
+ * @param {string} targetDir Directory where PO files will be written.
+ * @param {ConvertToPoOptions} [options] Conversion options.
+ * @returns {Promise<void>} Resolves when conversion completes.
+ */
+export async function convertToPo(sourcePath, targetDir, options = {}) {
+  return convertToPoApp(defaultIo, sourcePath, targetDir, options, {
+    reporter: consoleReporter,
+  });
+}
+
+/**
+ * Converts gettext PO files back into JSON localization files.
+ * @param {string} inputPath PO file or directory containing `.po` files.
+ * @param {string} targetPath Directory path where JSON files will be written.
+ * @param {ConvertFromPoOptions} [options] Conversion options.
+ * @returns {Promise<void>} Resolves when conversion completes.
+ */
+export async function convertFromPo(inputPath, targetPath, options = {}) {
+  return convertFromPoApp(defaultIo, inputPath, targetPath, options, {
+    reporter: consoleReporter,
+  });
+}
+
+/**
+ * Converts JSON localization files to platform string files: Android `values-<lang>/strings.xml`,
+ * iOS `<lang>.lproj/Localizable.strings` or Java `messages_<lang>.properties`.
+ * @param {string} sourcePath Path to directory containing JSON or YAML files.
+ * @param {string} targetDir Directory where the platform files will be written, e.g. an Android `res` directory.
+ * @param {ConvertToPlatformOptions} options Conversion options; `platform` is required.
+ * @returns {Promise<void>} Resolves when conversion completes.
+ */
+export async function convertToPlatform(sourcePath, targetDir, options) {
+  return convertToPlatformApp(defaultIo, sourcePath, targetDir, options, {
+    reporter: consoleReporter,
+  });
+}
+
+/**
+ * Converts platform string files back into JSON localization files.
+ * @param {string} inputPath Platform file or directory, searched recursively.
+ * @param {string} targetPath Directory path where JSON files will be written.
+ * @param {ConvertFromPlatformOptions} options Conversion options; `platform` is required.
+ * @returns {Promise<void>} Resolves when conversion completes.
+ */
+export async function convertFromPlatform(inputPath, targetPath, options) {
+  return convertFromPlatformApp(defaultIo, inputPath, targetPath, options, {
+    reporter: consoleReporter,
+  });
+}
+
 /**
  * Analyzes the codebase for missing and unused translation keys.
  *
@@ -106,6 +205,12 @@ export async function translate(options, deps) {
 }
 
 export { convertToExcelApp, convertToJsonApp } from './app/convert.js';
+export { convertFromXliffApp, convertToXliffApp } from './app/xliff.js';
+export { convertFromPoApp, convertToPoApp } from './app/gettext.js';
+export {
+  convertFromPlatformApp,
+  convertToPlatformApp,
+} from './app/platform.js';
 export { analyzeApp } from './app/analyze.js';
 export {
   createReverseLanguageMap,
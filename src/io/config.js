@@ -7,6 +7,13 @@ import fs from 'node:fs/promises';
 
 import Joi from 'joi';
 
+import { SPLIT_BY_MODES } from '../core/excel/namespaceSheets.js';
+import { LINE_ENDINGS } from '../core/json/jsonFormat.js';
+import { KEY_ORDER_MODES } from '../core/json/keyOrder.js';
+import { LOCALE_FORMATS } from '../core/model/localeFiles.js';
+import { PLATFORMS } from '../core/platform/platforms.js';
+import { XLIFF_VERSIONS } from '../core/xliff/xliffWrite.js';
+
 /**
  * Joi schema for validating configuration objects.
  * Defines the structure for languages mapping and default paths.
@@ -25,6 +32,53 @@ export const configSchema = Joi.object({
     targetFile: Joi.string().min(1).required(),
     targetPath: Joi.string().min(1).required(),
     sheetName: Joi.string().min(1).default('Translations'),
+    metadataColumns: Joi.array().items(Joi.string().min(1)).optional(),
+    splitBy: Joi.string()
+      .valid(...SPLIT_BY_MODES)
+      .optional(),
+    highlight: Joi.boolean().optional(),
+    summary: Joi.boolean().optional(),
+    protect: Joi.boolean().optional(),
+    strictKeys: Joi.boolean().optional(),
+    emptyMarker: Joi.string().min(1).optional(),
+    typed: Joi.boolean().optional(),
+    keySeparator: Joi.string().length(1).invalid('\\').optional(),
+    flatJson: Joi.boolean().optional(),
+    pathTemplate: Joi.string().min(1).optional(),
+    glob: Joi.boolean().optional(),
+    xliffVersion: Joi.string()
+      .valid(...XLIFF_VERSIONS)
+      .optional(),
+    markupKeys: Joi.array().items(Joi.string().min(1)).optional(),
+    protectPassword: Joi.string().min(1).optional(),
+    sourceLang: Joi.string().min(1).optional(),
+    maxLengths: Joi.object()
+      .pattern(Joi.string().min(1), Joi.number().integer().min(1))
+      .optional(),
+    keyOrder: Joi.string()
+      .valid(...KEY_ORDER_MODES)
+      .optional(),
+    localeFormat: Joi.string()
+      .valid(...LOCALE_FORMATS)
+      .optional(),
+    yamlRoot: Joi.boolean().optional(),
+    jsonComments: Joi.boolean().optional(),
+    jsonFormat: Joi.object({
+      indent: Joi.alternatives(
+        Joi.number().integer().min(1).max(10),
+        Joi.string().valid('tab'),
+      ).optional(),
+      finalNewline: Joi.boolean().optional(),
+      lineEnding: Joi.string()
+        .valid(...LINE_ENDINGS)
+        .optional(),
+      escapeNonAscii: Joi.boolean().optional(),
+      sortKeys: Joi.boolean().optional(),
+      formatter: Joi.string().min(1).optional(),
+    }).optional(),
+    platform: Joi.string()
+      .valid(...PLATFORMS)
+      .optional(),
   })
     .required()
     .messages({ 'any.required': 'defaults is required' }),
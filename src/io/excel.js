@@ -1,10 +1,13 @@
 /**
  * @module io/excel
  * Excel workbook read/write helpers wrapping ExcelJS.
+ * `.ods` paths are read and written as OpenDocument Spreadsheets, see {@link module:io/ods}.
  */
 
 import ExcelJS from 'exceljs';
 
+import { isOdsFile, readOdsWorkbook, writeOdsWorkbook } from './ods.js';
+
 /**
  * Creates a new ExcelJS Workbook instance.
  * Exposed via IoAdapter so app/ layer never imports exceljs directly.
@@ -15,23 +18,25 @@ export function createWorkbook() {
 }
 
 /**
- * Reads an Excel file into the provided workbook object.
- * @param {string} filePath - Path to the Excel file to read.
+ * Reads an Excel or ODS file into the provided workbook object.
+ * @param {string} filePath - Path to the `.xlsx` or `.ods` file to read.
  * @param {Object} workbook - ExcelJS workbook object to populate.
  * @returns {Promise<void>} Resolves when the file is read.
  * @throws {Error} If file reading fails.
  */
 export async function readWorkbook(filePath, workbook) {
+  if (isOdsFile(filePath)) return readOdsWorkbook(filePath, workbook);
   await workbook.xlsx.readFile(filePath);
 }
 
 /**
- * Write an Excel workbook to disk.
+ * Write an Excel workbook to disk, as ODS when the path ends with `.ods`.
  * @param {string} filePath Destination file path.
  * @param {Object} workbook ExcelJS Workbook instance.
  * @returns {Promise<void>}
  */
 export async function writeWorkbook(filePath, workbook) {
+  if (isOdsFile(filePath)) return writeOdsWorkbook(filePath, workbook);
   await workbook.xlsx.writeFile(filePath);
 }
 
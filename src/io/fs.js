@@ -1,5 +1,5 @@
 /**
- * @fileoverview Filesystem utility functions for JSON translation file operations.
+ * @fileoverview Filesystem utility functions for JSON and YAML translation file operations.
  * Provides promise-based functions for reading, writing, and managing translation assets.
  * @module io/fs
  */
@@ -7,7 +7,19 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
+import { glob } from 'glob';
+
+import { parseJsonc } from '../core/json/jsonc.js';
+import {
+  JSON_EXTENSIONS,
+  YAML_EXTENSIONS,
+  localeFileLanguage,
+} from '../core/model/localeFiles.js';
 import { assertStringPath } from '../core/validation.js';
+import {
+  parseLocaleYaml,
+  stringifyLocaleYaml,
+} from '../core/yaml/localeYaml.js';
 
 /**
  * Ensures a directory exists, creating it recursively if necessary.
@@ -45,7 +57,25 @@ export async function checkFileExists(filePath) {
 }
 
 /**
- * Reads and parses a JSON file.
+ * Reads and parses a JSON file with its comments; JSONC and JSON5 syntax is accepted.
+ *
+ * @param {string} filePath - Path to JSON file.
+ * @returns {Promise<{data: Object, comments: Array<{path: string[], text: string}>}>} Parsed content
+ *   and the comments of object members.
+ * @throws {Error} If file reading or parsing fails.
+ * @internal
+ */
+async function parseJsonFile(filePath) {
+  const content = await fs.readFile(path.resolve(filePath), 'utf8');
+  try {
+    return parseJsonc(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads and parses a JSON file. Comments, trailing commas and other JSON5 syntax are accepted.
  *
  * @param {string} filePath - Path to JSON file.
  * @returns {Promise<Object>} Parsed JSON object.
@@ -56,15 +86,35 @@ export async function checkFileExists(filePath) {
  */
 export async function loadJsonFile(filePath) {
   assertStringPath(filePath, 'filePath');
-  const resolved = path.resolve(filePath);
-  const content = await fs.readFile(resolved, 'utf8');
-  try {
-    return JSON.parse(content);
-  } catch (error) {
-    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
-  }
+  const { data } = await parseJsonFile(filePath);
+  return data;
+}
+
+/**
+ * Reads a JSON locale file into a directory listing entry; comments are only included when present.
+ *
+ * @param {string} filePath - Path to JSON file.
+ * @param {string} name - Entry name.
+ * @returns {Promise<{name: string, data: Object, comments?: Array<{path: string[], text: string}>}>} Entry.
+ * @throws {Error} If file reading or parsing fails.
+ * @internal
+ */
+async function readJsonEntry(filePath, name) {
+  const { data, comments } = await parseJsonFile(filePath);
+  return comments.length > 0 ? { name, data, comments } : { name, data };
 }
 
+/**
+ * Checks whether a file name is a JSON locale file and not a reserved sidecar file (`_meta.json`).
+ *
+ * @param {string} name - File name.
+ * @returns {boolean} True for `.json`, `.jsonc` and `.json5` files not starting with `_`.
+ * @internal
+ */
+const isJsonLocaleFile = (name) =>
+  JSON_EXTENSIONS.includes(path.extname(name).toLowerCase()) &&
+  !name.startsWith('_');
+
 /**
  * Writes data to a JSON file with pretty formatting.
  *
@@ -82,26 +132,214 @@ export async function writeJsonFile(filePath, data) {
 }
 
 /**
- * Reads all JSON files in a directory and returns their parsed contents.
+ * Reads all JSON files (`.json`, `.jsonc`, `.json5`) in a directory and returns their parsed contents.
+ * Files whose name starts with an underscore (e.g. `_meta.json`) are reserved
+ * sidecar files and are skipped. Comments of object members are returned by key path.
  *
  * @param {string} dir - Directory path containing JSON files.
- * @returns {Promise<Array<{name: string, data: Object}>>} Array of objects with filename and parsed data.
+ * @param {{recursive?: boolean}} [options] - `recursive` also reads subdirectories; names are then
+ *   paths relative to the directory, separated by `/`.
+ * @returns {Promise<Array<{name: string, data: Object, comments?: Array<{path: string[], text: string}>}>>}
+ *   Array of objects with filename, parsed data and, for files with comments, the comments.
  * @throws {TypeError} If dir is not a valid string.
  * @throws {Error} If directory reading or JSON parsing fails.
  * @example
  * const files = await readDirJsonFiles('./locales');
  * // Returns: [{ name: 'en', data: { ... } }, { name: 'de', data: { ... } }]
+ * const namespaces = await readDirJsonFiles('./i18n', { recursive: true });
+ * // Returns: [{ name: 'de/auth.json', data: { ... } }, ...]
  */
-export async function readDirJsonFiles(dir) {
+export async function readDirJsonFiles(dir, options = {}) {
   assertStringPath(dir, 'dir');
   const resolvedDir = path.resolve(dir);
+  if (options.recursive === true) {
+    return readJsonFilesRecursive(resolvedDir);
+  }
   const files = await fs.readdir(resolvedDir);
-  const jsonFiles = files.filter((f) => f.endsWith('.json'));
   const results = [];
-  for (const file of jsonFiles) {
+  for (const file of files.filter((f) => isJsonLocaleFile(f))) {
+    results.push(await readJsonEntry(path.join(resolvedDir, file), file));
+  }
+  return results;
+}
+
+/**
+ * Reads the JSON files of a directory and its subdirectories, skipping underscore files.
+ *
+ * @param {string} resolvedDir - Absolute directory path.
+ * @returns {Promise<Array<{name: string, data: Object, comments?: Array<{path: string[], text: string}>}>>}
+ *   Files named by their relative `/`-separated path, sorted.
+ * @internal
+ */
+async function readJsonFilesRecursive(resolvedDir) {
+  const entries = await fs.readdir(resolvedDir, {
+    withFileTypes: true,
+    recursive: true,
+  });
+  const files = entries
+    .filter((entry) => !entry.isDirectory() && isJsonLocaleFile(entry.name))
+    .map((entry) => path.join(entry.parentPath, entry.name))
+    .toSorted();
+  const results = [];
+  for (const file of files) {
+    const name = path.relative(resolvedDir, file).split(path.sep).join('/');
+    results.push(await readJsonEntry(file, name));
+  }
+  return results;
+}
+
+/**
+ * Reads all YAML locale files (`.yml`, `.yaml`) in a directory and returns their parsed contents.
+ * A single root key naming the language (Rails style, `en:` in `en.yml`) is unwrapped.
+ * Files whose name starts with an underscore are skipped, as for JSON files.
+ *
+ * @param {string} dir - Directory path containing YAML files.
+ * @returns {Promise<Array<{name: string, data: Object}>>} Array of objects with filename and parsed data.
+ * @throws {TypeError} If dir is not a valid string.
+ * @throws {Error} If directory reading or YAML parsing fails.
+ * @example
+ * const files = await readDirYamlFiles('./config/locales');
+ * // Returns: [{ name: 'en.yml', data: { ... } }]
+ */
+export async function readDirYamlFiles(dir) {
+  assertStringPath(dir, 'dir');
+  const resolvedDir = path.resolve(dir);
+  const files = await fs.readdir(resolvedDir);
+  const yamlFiles = files.filter(
+    (f) =>
+      YAML_EXTENSIONS.includes(path.extname(f).toLowerCase()) &&
+      !f.startsWith('_'),
+  );
+  const results = [];
+  for (const file of yamlFiles) {
     const full = path.join(resolvedDir, file);
-    const data = await loadJsonFile(full);
-    results.push({ name: file, data });
+    const content = await fs.readFile(full, 'utf8');
+    try {
+      const { data } = parseLocaleYaml(content, localeFileLanguage(file));
+      results.push({ name: file, data });
+    } catch (error) {
+      throw new Error(`Invalid YAML in ${full}: ${error.message}`);
+    }
+  }
+  return results;
+}
+
+/**
+ * Writes translations to a YAML locale file.
+ * An existing file is updated in place, keeping its comments and its root key (or lack thereof);
+ * new files are wrapped in a root key naming the language when `root` is set.
+ *
+ * @param {string} filePath - Output file path; its base name is the language code.
+ * @param {Object} data - Nested translations.
+ * @param {{root?: boolean}} [options] - Wrap new files in a language root key (Rails style).
+ * @returns {Promise<void>} Resolves when file is written.
+ * @throws {TypeError} If filePath is not a valid string.
+ * @throws {Error} If the existing file is not valid YAML.
+ * @example
+ * await writeYamlFile('./config/locales/de.yml', { greeting: 'Hallo' }, { root: true });
+ */
+export async function writeYamlFile(filePath, data, options = {}) {
+  assertStringPath(filePath, 'filePath');
+  const resolved = path.resolve(filePath);
+  let previous;
+  try {
+    previous = await fs.readFile(resolved, 'utf8');
+  } catch {
+    previous = undefined;
+  }
+  let content;
+  try {
+    content = stringifyLocaleYaml(data, {
+      language: localeFileLanguage(path.basename(resolved)),
+      root: options.root,
+      previous,
+    });
+  } catch (error) {
+    throw new Error(`Invalid YAML in ${filePath}: ${error.message}`);
+  }
+  await fs.writeFile(resolved, content, 'utf8');
+}
+
+/**
+ * Writes text content to a file.
+ *
+ * @param {string} filePath - Output file path.
+ * @param {string} content - Text to write.
+ * @returns {Promise<void>} Resolves when file is written.
+ * @throws {TypeError} If filePath is not a valid string.
+ * @example
+ * await writeTextFile('./xliff/de.xlf', xml);
+ */
+export async function writeTextFile(filePath, content) {
+  assertStringPath(filePath, 'filePath');
+  const resolved = path.resolve(filePath);
+  await fs.writeFile(resolved, content, 'utf8');
+}
+
+/**
+ * Reads a single text file, or every file with one of the given extensions in a directory.
+ *
+ * @param {string} inputPath - File or directory path.
+ * @param {string[]} extensions - File extensions (including the dot) read from directories.
+ * @param {{recursive?: boolean}} [options] - `recursive` also reads subdirectories; names are then
+ *   paths relative to the directory, separated by `/`.
+ * @returns {Promise<Array<{name: string, content: string}>>} Array of objects with filename and text content.
+ * @throws {TypeError} If inputPath is not a valid string.
+ * @throws {Error} If the path cannot be read.
+ * @example
+ * const files = await readTextFiles('./xliff', ['.xlf', '.xliff']);
+ * // Returns: [{ name: 'de.xlf', content: '<?xml ...' }]
+ * const strings = await readTextFiles('./res', ['.xml'], { recursive: true });
+ * // Returns: [{ name: 'values-de/strings.xml', content: '<?xml ...' }]
+ */
+export async function readTextFiles(inputPath, extensions, options = {}) {
+  assertStringPath(inputPath, 'inputPath');
+  const resolved = path.resolve(inputPath);
+  const stat = await fs.stat(resolved);
+  if (!stat.isDirectory()) {
+    const content = await fs.readFile(resolved, 'utf8');
+    return [{ name: path.basename(resolved), content }];
+  }
+  const entries = await fs.readdir(resolved, {
+    withFileTypes: true,
+    recursive: options.recursive === true,
+  });
+  const files = entries
+    .filter(
+      (entry) =>
+        !entry.isDirectory() &&
+        extensions.includes(path.extname(entry.name).toLowerCase()),
+    )
+    .map((entry) => path.join(entry.parentPath, entry.name))
+    .toSorted();
+  const results = [];
+  for (const file of files) {
+    const content = await fs.readFile(file, 'utf8');
+    const name = path.relative(resolved, file).split(path.sep).join('/');
+    results.push({ name, content });
   }
   return results;
 }
+
+/**
+ * Finds the directories matching a glob pattern; `node_modules` directories are skipped.
+ *
+ * @param {string} pattern - Glob pattern, e.g. `libs/*\/src/assets/i18n`.
+ * @returns {Promise<string[]>} Sorted directory paths separated by `/`, relative when the pattern is relative.
+ * @throws {TypeError} If pattern is not a valid string.
+ * @example
+ * const dirs = await findDirectories('libs/*\/src/assets/i18n');
+ * // Returns: ['libs/auth/src/assets/i18n', 'libs/shop/src/assets/i18n']
+ */
+export async function findDirectories(pattern) {
+  assertStringPath(pattern, 'pattern');
+  const matches = await glob(pattern, {
+    ignore: '**/node_modules/**',
+    mark: true,
+    posix: true,
+  });
+  return matches
+    .filter((match) => match.endsWith('/'))
+    .map((match) => match.slice(0, -1))
+    .toSorted();
+}
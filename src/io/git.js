@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Read-only access to files as they were at a git revision.
+ * Used by delta exports to compare source texts against an earlier commit.
+ * @module io/git
+ */
+
+import { execFile } from 'node:child_process';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+import { parseJsonc } from '../core/json/jsonc.js';
+import { assertNonEmptyString, assertStringPath } from '../core/validation.js';
+
+const execFileAsync = promisify(execFile);
+
+/** @constant {number} Maximum size of `git show` output in bytes */
+const MAX_GIT_OUTPUT = 64 * 1024 * 1024;
+
+/**
+ * Reads and parses a JSON file as it was at the given git revision. Comments and JSON5 syntax are accepted.
+ *
+ * The revision is resolved in the repository containing the file, so the current
+ * working directory does not need to be inside that repository.
+ *
+ * @param {string} ref - Git revision (branch, tag, commit, e.g. `HEAD~3`).
+ * @param {string} filePath - Path of the file in the working tree.
+ * @returns {Promise<Object>} Parsed JSON object.
+ * @throws {TypeError} If ref or filePath is not a valid string.
+ * @throws {Error} If the ref starts with '-', git fails or the content is not valid JSON.
+ * @example
+ * const previous = await loadJsonFileAtRef('v1.2.0', './locales/en.json');
+ */
+export async function loadJsonFileAtRef(ref, filePath) {
+  assertNonEmptyString(ref, 'ref');
+  assertStringPath(filePath, 'filePath');
+  if (ref.startsWith('-')) {
+    throw new Error(`Invalid git ref "${ref}"`);
+  }
+  const resolved = path.resolve(filePath);
+  let content;
+  try {
+    const { stdout } = await execFileAsync(
+      'git',
+      [
+        '-C',
+        path.dirname(resolved),
+        'show',
+        `${ref}:./${path.basename(resolved)}`,
+      ],
+      { maxBuffer: MAX_GIT_OUTPUT },
+    );
+    content = stdout;
+  } catch (error) {
+    throw new Error(
+      `Cannot read ${filePath} at git ref "${ref}": ${String(error.stderr || error.message).trim()}`,
+    );
+  }
+  try {
+    return parseJsonc(content).data;
+  } catch (error) {
+    throw new Error(
+      `Invalid JSON in ${filePath} at git ref "${ref}": ${error.message}`,
+    );
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * @module io/ods
+ * OpenDocument Spreadsheet (.ods) read/write helpers packaging ExcelJS workbooks with JSZip.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import JSZip from 'jszip';
+
+import { readOdsContent } from '../core/ods/odsRead.js';
+import {
+  ODS_MIME_TYPE,
+  createOdsContent,
+  createOdsManifest,
+} from '../core/ods/odsWrite.js';
+
+/**
+ * Checks whether a path names an OpenDocument Spreadsheet.
+ * @param {string} filePath File path.
+ * @returns {boolean} True for `.ods` files.
+ */
+export function isOdsFile(filePath) {
+  return path.extname(String(filePath)).toLowerCase() === '.ods';
+}
+
+/**
+ * Reads an ODS file into the provided workbook object.
+ * @param {string} filePath Path to the ODS file.
+ * @param {Object} workbook ExcelJS workbook object to populate.
+ * @returns {Promise<void>} Resolves when the file is read.
+ * @throws {Error} If the file is not an ODS package.
+ */
+export async function readOdsWorkbook(filePath, workbook) {
+  const zip = await JSZip.loadAsync(await fs.readFile(filePath));
+  const content = zip.file('content.xml');
+  if (!content) {
+    throw new Error(`Invalid ODS file, content.xml is missing: ${filePath}`);
+  }
+  const xml = await content.async('string');
+  readOdsContent(workbook, xml);
+}
+
+/**
+ * Write a workbook to disk as an ODS file.
+ * The uncompressed `mimetype` entry comes first, as required by OpenDocument.
+ * @param {string} filePath Destination file path.
+ * @param {Object} workbook ExcelJS Workbook instance.
+ * @returns {Promise<void>}
+ */
+export async function writeOdsWorkbook(filePath, workbook) {
+  const zip = new JSZip();
+  zip.file('mimetype', ODS_MIME_TYPE, { compression: 'STORE' });
+  zip.file('META-INF/manifest.xml', createOdsManifest());
+  zip.file('content.xml', createOdsContent(workbook));
+  const buffer = await zip.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+  });
+  await fs.writeFile(filePath, buffer);
+}
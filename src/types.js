@@ -13,13 +13,30 @@
  * @typedef {Object} IoAdapter
  * @property {(filePath: string) => Promise<void>} checkFileExists - Ensures a file exists or rejects with an error.
  * @property {(dirPath: string) => Promise<void>} ensureDirectoryExists - Creates directory recursively if it doesn't exist.
- * @property {(dir: string) => Promise<Array<{name: string, data: Object}>>} readDirJsonFiles - Reads and parses all JSON files from a directory.
+ * @property {(dir: string, options?: {recursive?: boolean}) => Promise<Array<{name: string, data: Object, comments?: Array<{path: string[], text: string}>}>>} readDirJsonFiles - Reads and parses
+ *   all JSON files (`.json`, `.jsonc`, `.json5`, comments and JSON5 syntax allowed) from a directory; `recursive` also reads
+ *   subdirectories (used by `pathTemplate` layouts) and names files by relative path. `comments` holds the comments above
+ *   or behind object members by key path.
+ * @property {(filePath: string) => Promise<Object>} [readJsonFile] - Optional: reads and parses a single JSON file. Used for sidecar files such as `_meta.json`.
+ * @property {(ref: string, filePath: string) => Promise<Object>} [readJsonFileAtRef] - Optional: reads and parses a JSON file as it was at a git ref.
+ *   Used by delta exports with `since`.
  * @property {(filePath: string, workbook: Object) => Promise<void>} readWorkbook - Reads an Excel workbook from disk into the provided workbook object.
  * @property {(filePath: string, workbook: Object) => Promise<void>} writeWorkbook - Writes an Excel workbook to disk.
  * @property {(filePath: string, data: unknown) => Promise<void>} writeJsonFile - Serializes and writes JSON data to a file.
  * @property {(p: string) => string} dirname - Derives directory name from a path (path.dirname).
  * @property {() => Object} createWorkbook - Creates a new ExcelJS Workbook instance. Used by app/ to avoid direct exceljs dependency.
  * @property {(src: string, dest: string) => Promise<void>} [copyFile] - Optional: copies a file. Used by translateApp for backup before in-place write.
+ * @property {(inputPath: string, extensions: string[], options?: {recursive?: boolean}) => Promise<Array<{name: string, content: string}>>} [readTextFiles] - Optional:
+ *   reads a text file, or the files with the given extensions in a directory. With `recursive`, subdirectories are read
+ *   too and names are relative paths using `/`. Required for XLIFF, PO, CSV, TSV and platform file import.
+ * @property {(filePath: string, content: string) => Promise<void>} [writeTextFile] - Optional: writes a text file.
+ *   Required for XLIFF, PO, CSV, TSV and platform file export, and for JSON files with `jsonComments` or `jsonFormat`.
+ * @property {(dir: string) => Promise<Array<{name: string, data: Object}>>} [readDirYamlFiles] - Optional: reads and parses
+ *   all YAML locale files (`.yml`, `.yaml`) from a directory, unwrapping a language root key. Read alongside the JSON files.
+ * @property {(filePath: string, data: Object, options?: {root?: boolean}) => Promise<void>} [writeYamlFile] - Optional:
+ *   writes a YAML locale file, keeping the comments and root key of an existing file. Required to write YAML locale files.
+ * @property {(pattern: string) => Promise<string[]>} [findDirectories] - Optional: lists the directories matching a glob
+ *   pattern, `/`-separated. Required to export several locale directories with `glob`.
  */
 
 /**
@@ -40,6 +57,35 @@
  * @property {Array<{key: string, placeholders: Object<string, Set<string>>}>} placeholderInconsistencies - Keys with mismatched placeholders across languages.
  */
 
+/**
+ * How translation files map to the flattened keys used in worksheets.
+ *
+ * @typedef {Object} KeyFormat
+ * @property {string} [keySeparator='.'] - Single character joining nested key segments. Segments containing
+ *   the separator or a backslash are escaped with a backslash (`errors\.404`).
+ * @property {boolean} [flatJson=false] - Files are flat objects whose keys are used verbatim; they are
+ *   read and written without nesting.
+ * @property {boolean} [typed=false] - Typed mode, see {@link module:core/json/typedValues}.
+ * @property {string} [pathTemplate] - Locale files laid out by a template such as `{lang}/{ns}.json`; each
+ *   namespace file holds the keys below one top-level key. See {@link module:core/model/pathTemplate}.
+ */
+
+/**
+ * Output format of written JSON files (language files and `_meta.json`). Without it, files are
+ * written as `JSON.stringify(data, null, 2)`.
+ *
+ * @typedef {Object} JsonFormat
+ * @property {number|'tab'} [indent=2] - Spaces per nesting level (1 to 10), or `'tab'`.
+ * @property {boolean} [finalNewline=false] - End the file with a line break.
+ * @property {'lf'|'crlf'} [lineEnding='lf'] - Line breaks of the file.
+ * @property {boolean} [escapeNonAscii=false] - Write non-ASCII characters as `\uXXXX` escapes.
+ * @property {boolean} [sortKeys=false] - Sort the keys of every object alphabetically (code unit order),
+ *   after `keyOrder` was applied.
+ * @property {(text: string, context: {filePath: string}) => (string|Promise<string>)} [formatter] - Hook
+ *   receiving the formatted text of every file and returning the text to write, e.g. to run Prettier.
+ *   In `config.json`, a module path within the working directory whose default export is the hook.
+ */
+
 /**
  * Options for converting JSON files to Excel format.
  *
@@ -48,6 +94,35 @@
  * @property {boolean} [dryRun=false] - If true, simulates conversion without writing files.
  * @property {Object<string, string>} [languageMap] - Maps language codes to display names for headers.
  * @property {boolean} [report=true] - Whether to generate a translation report in dry-run mode.
+ * @property {string[]} [metadataColumns] - Metadata column headers (e.g. 'Description', 'Max Length') to add
+ *   after the language columns. Values are taken from the `_meta.json` sidecar in the source directory.
+ * @property {'namespace'} [splitBy] - Split the workbook into one worksheet per top-level key segment.
+ *   Keys without a namespace are written to `sheetName`. Read back with `allSheets: true`.
+ * @property {boolean} [highlight=false] - Fill missing cells and placeholder mismatches with warning colors,
+ *   annotate mismatches with a cell comment and add a `Legend` worksheet.
+ * @property {Object<string, number>} [maxLengths] - Translation key -> maximum text length. Language cells of
+ *   these keys get a data validation and turn red when too long. `maxLength` in `_meta.json` takes precedence.
+ * @property {boolean} [summary=false] - Add a `Summary` worksheet with per-language completion, missing values,
+ *   placeholder issues and word counts of untranslated source text.
+ * @property {string} [sourceLang='en'] - Source language whose words are counted in the summary and whose
+ *   changes are detected by `since`.
+ * @property {boolean} [onlyMissing=false] - Delta export: only keys with at least one empty language.
+ * @property {string} [since] - Delta export: only keys whose source text changed since a git ref or since the
+ *   export snapshot of an earlier workbook (`.xlsx` or `.ods` path). Combined with `onlyMissing`, keys matching
+ *   either are exported. Delta workbooks are always merged into the existing JSON on import.
+ * @property {string} [emptyMarker='(empty)'] - Cell text written for intentionally empty values (`""`).
+ *   Translations absent from a language file are left blank.
+ * @property {boolean} [typed=false] - Typed mode: array items are exported as indexed keys (`steps[0]`) and
+ *   number, boolean and null values as tagged text (`[number] 3`), instead of being rejected.
+ * @property {string} [keySeparator='.'] - Separator of nested key segments, see {@link KeyFormat}.
+ * @property {boolean} [flatJson=false] - Read flat JSON files whose keys are used verbatim.
+ * @property {string} [pathTemplate] - Read locale files laid out by a template such as `{lang}/{ns}.json`, see {@link KeyFormat}.
+ * @property {boolean} [protect=false] - Protect translation worksheets: only target-language cells are editable,
+ *   the Key and `sourceLang` columns are locked.
+ * @property {string} [protectPassword] - Optional password required to unprotect the worksheets.
+ * @property {boolean} [glob=false] - Treat the source path as a glob of locale directories (e.g. the
+ *   `src/assets/i18n` directory of every monorepo library) and write one worksheet per directory.
+ *   Importing the workbook writes each worksheet back to its directory. Not combinable with `splitBy` or `since`.
  * @example
  * {
  *   sheetName: 'MyTranslations',
@@ -63,7 +138,37 @@
  * @property {string} [sheetName='Translations'] - Name of the worksheet to read from.
  * @property {boolean} [dryRun=false] - If true, simulates conversion without writing files.
  * @property {Object<string, string>} [languageMap] - Maps language codes to display names for header resolution.
- * @property {boolean} [failOnDuplicates=false] - If true, throws an error when duplicate keys are detected.
+ * @property {boolean} [failOnDuplicates=false] - If true, throws an error when duplicate keys or colliding keys
+ *   (a key that is also the parent of other keys, e.g. `app.title` and `app.title.short`) are detected.
+ * @property {boolean} [allSheets=false] - If true, reads every worksheet instead of only `sheetName`.
+ *   Workbooks split by namespace are reassembled with the sheet's namespace as key prefix.
+ * @property {boolean} [merge=false] - If true, merges sheet values into the existing JSON files instead of
+ *   overwriting them. Keys missing from the sheet are kept; values changed in both JSON and sheet since
+ *   export are reported as conflicts. Workbooks from delta exports (`onlyMissing`, `since`) are always merged.
+ * @property {string[]} [metadataColumns] - Additional metadata column headers besides the reserved defaults
+ *   (Description, Context, Max Length, Screenshot, Status). Metadata values are written to `_meta.json`.
+ * @property {'sheet-order'|'sorted'|'preserve'} [keyOrder='sheet-order'] - Key order of written JSON files:
+ *   worksheet row order, alphabetical, or the order of the existing JSON file (new keys are placed after
+ *   their preceding sibling).
+ * @property {Object<string, number>} [maxLengths] - Translation key -> maximum text length. Longer values are
+ *   reported as warnings. A 'Max Length' column or `maxLength` in the target `_meta.json` takes precedence.
+ * @property {string} [emptyMarker='(empty)'] - Cell text read as an intentionally empty value (`""`).
+ *   Blank cells are treated as absent and omitted from the language file.
+ * @property {boolean} [typed=false] - Typed mode: indexed keys (`steps[0]`) are restored as arrays and tagged
+ *   text (`[number] 3`, `[boolean] true`, `[null]`) as the original JSON types.
+ * @property {string} [keySeparator='.'] - Separator of nested key segments, see {@link KeyFormat}.
+ * @property {boolean} [flatJson=false] - Write flat JSON files with the sheet keys verbatim instead of nesting.
+ * @property {string} [pathTemplate] - Write locale files laid out by a template such as `{lang}/{ns}.json`, see {@link KeyFormat}.
+ * @property {string[]} [markupKeys] - Key patterns (`*` wildcard, e.g. `legal.*`) whose rich-text cells are
+ *   converted to inline HTML (`<b>`, `<i>`, `<u>`). Rich text of other keys becomes plain text.
+ * @property {boolean} [strictKeys=false] - Abort instead of warning when sheet keys are not in the current JSON
+ *   files (edited or renamed keys) or JSON keys are missing from the sheet.
+ * @property {'json'|'yaml'} [localeFormat='json'] - Format of language files that do not exist yet. Existing
+ *   `.json`, `.yml` and `.yaml` files keep their format.
+ * @property {boolean} [yamlRoot=false] - Wrap new YAML files in a root key naming the language (Rails style).
+ * @property {boolean} [jsonComments=false] - Write descriptions as `//` comments above their keys into every JSON
+ *   language file. Without it, files read with comments are rewritten as plain JSON.
+ * @property {JsonFormat} [jsonFormat] - Output format of the written JSON files.
  * @example
  * {
  *   sheetName: 'Translations',
@@ -72,5 +177,144 @@
  * }
  */
 
+/**
+ * Translation unit of an XLIFF document.
+ *
+ * @typedef {Object} XliffUnit
+ * @property {string} key - Translation key.
+ * @property {string} source - Source language text.
+ * @property {string} [target] - Target language text; absent when not translated yet.
+ * @property {'needs-translation'|'translated'|'final'} [state] - Normalized translation state.
+ * @property {Array<{category?: string, text: string}>} notes - Notes, e.g. `description` and `context` metadata.
+ */
+
+/**
+ * Options for converting JSON files to XLIFF documents.
+ *
+ * @typedef {Object} ConvertToXliffOptions
+ * @property {string} [sourceLang='en'] - Source language; one document is written for every other language.
+ * @property {'1.2'|'2.0'} [xliffVersion='1.2'] - XLIFF version of the written documents.
+ * @property {boolean} [dryRun=false] - If true, simulates conversion without writing files.
+ * @property {boolean} [report=true] - Whether to generate a translation report in dry-run mode.
+ * @property {boolean} [typed=false] - Typed mode, see {@link ConvertToExcelOptions}.
+ * @property {string} [keySeparator='.'] - Separator of nested key segments, see {@link KeyFormat}.
+ * @property {boolean} [flatJson=false] - Read flat JSON files whose keys are used verbatim.
+ * @property {string} [pathTemplate] - Read locale files laid out by a template such as `{lang}/{ns}.json`, see {@link KeyFormat}.
+ */
+
+/**
+ * Options for converting XLIFF documents to JSON files.
+ *
+ * @typedef {Object} ConvertFromXliffOptions
+ * @property {boolean} [dryRun=false] - If true, simulates conversion without writing files.
+ * @property {boolean} [report=true] - Whether to print a translation report (missing values, placeholder
+ *   mismatches between source and target) for every document.
+ * @property {boolean} [failOnDuplicates=false] - If true, throws an error when a document contains a key twice.
+ * @property {boolean} [typed=false] - Typed mode, see {@link ConvertToJsonOptions}.
+ * @property {string} [keySeparator='.'] - Separator of nested key segments, see {@link KeyFormat}.
+ * @property {boolean} [flatJson=false] - Write flat JSON files with the unit keys verbatim instead of nesting.
+ * @property {string} [pathTemplate] - Write locale files laid out by a template such as `{lang}/{ns}.json`, see {@link KeyFormat}.
+ * @property {'json'|'yaml'} [localeFormat='json'] - Format of new language files, see {@link ConvertToJsonOptions}.
+ * @property {boolean} [yamlRoot=false] - Wrap new YAML files in a language root key, see {@link ConvertToJsonOptions}.
+ * @property {JsonFormat} [jsonFormat] - Output format of the written JSON files, see {@link ConvertToJsonOptions}.
+ */
+
+/**
+ * Entry of a gettext PO file.
+ *
+ * @typedef {Object} PoEntry
+ * @property {string} key - Translation key, written as `msgctxt`.
+ * @property {string} source - Source language text (`msgid`).
+ * @property {string} target - Translated text (`msgstr`); empty when not translated yet.
+ * @property {boolean} fuzzy - Whether the entry carries the `fuzzy` flag.
+ * @property {string[]} comments - Extracted comments (`#.`), e.g. the `description` metadata.
+ * @property {string[]} translatorComments - Translator comments (`#`), e.g. the `context` metadata.
+ */
+
+/**
+ * Options for converting JSON files to gettext PO files.
+ *
+ * @typedef {Object} ConvertToPoOptions
+ * @property {string} [sourceLang='en'] - Source language; its texts become the `msgid` of every entry.
+ * @property {boolean} [dryRun=false] - If true, simulates conversion without writing files.
+ * @property {boolean} [report=true] - Whether to generate a translation report in dry-run mode.
+ * @property {boolean} [typed=false] - Typed mode, see {@link ConvertToExcelOptions}.
+ * @property {string} [keySeparator='.'] - Separator of nested key segments, see {@link KeyFormat}.
+ * @property {boolean} [flatJson=false] - Read flat JSON files whose keys are used verbatim.
+ * @property {string} [pathTemplate] - Read locale files laid out by a template such as `{lang}/{ns}.json`, see {@link KeyFormat}.
+ */
+
+/**
+ * Options for converting gettext PO files to JSON files.
+ *
+ * @typedef {Object} ConvertFromPoOptions
+ * @property {string} [sourceLang='en'] - Language of the `msgid` texts, used for the translation report.
+ * @property {boolean} [dryRun=false] - If true, simulates conversion without writing files.
+ * @property {boolean} [report=true] - Whether to print a translation report for every file.
+ * @property {boolean} [failOnDuplicates=false] - If true, throws an error when a file contains a key twice.
+ * @property {boolean} [typed=false] - Typed mode, see {@link ConvertToJsonOptions}.
+ * @property {string} [keySeparator='.'] - Separator of nested key segments, see {@link KeyFormat}.
+ * @property {boolean} [flatJson=false] - Write flat JSON files with the entry keys verbatim instead of nesting.
+ * @property {string} [pathTemplate] - Write locale files laid out by a template such as `{lang}/{ns}.json`, see {@link KeyFormat}.
+ * @property {'json'|'yaml'} [localeFormat='json'] - Format of new language files, see {@link ConvertToJsonOptions}.
+ * @property {boolean} [yamlRoot=false] - Wrap new YAML files in a language root key, see {@link ConvertToJsonOptions}.
+ * @property {JsonFormat} [jsonFormat] - Output format of the written JSON files, see {@link ConvertToJsonOptions}.
+ */
+
+/**
+ * Entry of a platform string file.
+ *
+ * @typedef {Object} PlatformEntry
+ * @property {string} name - Platform key name: an Android resource name, or the key of a `.strings` or `.properties` file.
+ * @property {string} value - Text.
+ */
+
+/**
+ * Platform string format (Android, iOS, Java properties).
+ *
+ * @typedef {Object} PlatformFormat
+ * @property {string} label - Display name used in messages.
+ * @property {string[]} extensions - File extensions read from input directories.
+ * @property {string} [defaultFile] - Relative path of the file holding the default (source) language, if the platform has one.
+ * @property {(language: string) => string} filePath - Relative path of a language's file.
+ * @property {(filePath: string) => string | undefined} fileLanguage - Language of a relative file path; undefined for other files.
+ * @property {(key: string) => string | undefined} toName - Platform name of a translation key; undefined when it has none.
+ * @property {(entries: PlatformEntry[]) => string} render - Renders a file.
+ * @property {(text: string) => PlatformEntry[]} parse - Parses a file.
+ */
+
+/**
+ * Options for converting JSON files to platform string files.
+ *
+ * @typedef {Object} ConvertToPlatformOptions
+ * @property {'android'|'ios'|'properties'} platform - Platform format to write.
+ * @property {string} [sourceLang='en'] - Source language; also written to the platform's default file
+ *   (`values/strings.xml`, `messages.properties`).
+ * @property {boolean} [dryRun=false] - If true, simulates conversion without writing files.
+ * @property {boolean} [report=true] - Whether to generate a translation report in dry-run mode.
+ * @property {boolean} [typed=false] - Typed mode, see {@link ConvertToExcelOptions}.
+ * @property {string} [keySeparator='.'] - Separator of nested key segments, see {@link KeyFormat}.
+ * @property {boolean} [flatJson=false] - Read flat JSON files whose keys are used verbatim.
+ * @property {string} [pathTemplate] - Read locale files laid out by a template such as `{lang}/{ns}.json`, see {@link KeyFormat}.
+ */
+
+/**
+ * Options for converting platform string files to JSON files.
+ *
+ * @typedef {Object} ConvertFromPlatformOptions
+ * @property {'android'|'ios'|'properties'} platform - Platform format to read.
+ * @property {string} [sourceLang='en'] - Language of the platform's default file, when there is no file for it.
+ * @property {boolean} [dryRun=false] - If true, simulates conversion without writing files.
+ * @property {boolean} [report=true] - Whether to print a translation report for every file.
+ * @property {boolean} [failOnDuplicates=false] - If true, throws an error when a file contains a key twice.
+ * @property {boolean} [typed=false] - Typed mode, see {@link ConvertToJsonOptions}.
+ * @property {string} [keySeparator='.'] - Separator of nested key segments, see {@link KeyFormat}.
+ * @property {boolean} [flatJson=false] - Write flat JSON files with the entry keys verbatim instead of nesting.
+ * @property {string} [pathTemplate] - Write locale files laid out by a template such as `{lang}/{ns}.json`, see {@link KeyFormat}.
+ * @property {'json'|'yaml'} [localeFormat='json'] - Format of new language files, see {@link ConvertToJsonOptions}.
+ * @property {boolean} [yamlRoot=false] - Wrap new YAML files in a language root key, see {@link ConvertToJsonOptions}.
+ * @property {JsonFormat} [jsonFormat] - Output format of the written JSON files, see {@link ConvertToJsonOptions}.
+ */
+
 // Ensure this is treated as an ES module
 export const TYPE_DEFINITIONS = true;
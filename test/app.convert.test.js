@@ -4,6 +4,11 @@ import { describe, it } from 'node:test';
 import ExcelJS from 'exceljs';
 
 import { convertToExcelApp, convertToJsonApp } from '../src/app/convert.js';
+import {
+  readBaseSnapshot,
+  writeBaseSnapshot,
+} from '../src/core/excel/baseSnapshot.js';
+import { BASE_SNAPSHOT_SHEET_NAME } from '../src/core/excel/reservedSheets.js';
 
 function makeFakeIo() {
   const calls = { ensureDir: [], writeWorkbook: [], writeJson: [] };
@@ -144,4 +149,165 @@ describe('app.convert', () => {
     }
     assert.equal(threw, true);
   });
+
+  it('convertToJsonApp: merge mode keeps JSON-only keys and warns on conflicts', async () => {
+    const io = makeFakeIo();
+    io.readDirJsonFiles = async () => [
+      { name: 'en.json', data: { a: { b: 'Changed by dev' }, extra: 'Dev' } },
+    ];
+    io.readWorkbook = async (_p, workbook) => {
+      const ws = workbook.addWorksheet('Translations');
+      ws.addRow(['Key', 'en']);
+      ws.addRow(['a.b', 'Changed by translator']);
+      writeBaseSnapshot(workbook, new Map([['a.b', { en: 'Value' }]]), ['en']);
+    };
+    const warnings = [];
+    const reporter = { print: () => {}, warn: (m) => warnings.push(m) };
+
+    await convertToJsonApp(io, '/in.xlsx', '/out', { merge: true }, reporter);
+
+    assert.equal(io.calls.writeJson.length, 1);
+    assert.deepEqual(io.calls.writeJson[0].data, {
+      a: { b: 'Changed by translator' },
+      extra: 'Dev',
+    });
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Merge conflicts detected.*a\.b \(en\)/);
+  });
+
+  it('convertToExcelApp: embeds a hidden export snapshot', async () => {
+    const io = makeFakeIo();
+    await convertToExcelApp(io, '/in', '/out/x.xlsx', {}, { reporter: {} });
+    const wb = io.calls.writeWorkbook[0].workbook;
+    const snapshot = readBaseSnapshot(wb);
+    assert.deepEqual(snapshot.get('a.b'), { de: 'Wert', en: 'Value' });
+    assert.equal(wb.getWorksheet(BASE_SNAPSHOT_SHEET_NAME).state, 'veryHidden');
+  });
+
+  it('convertToJsonApp: preserve key order follows the existing JSON file', async () => {
+    const io = makeFakeIo();
+    io.readDirJsonFiles = async () => [
+      { name: 'en.json', data: { c: 'Yes', a: { b: 'Value' } } },
+    ];
+    await convertToJsonApp(
+      io,
+      '/in.xlsx',
+      '/out',
+      { keyOrder: 'preserve' },
+      { reporter: { print: () => {}, warn: () => {} } },
+    );
+
+    const en = io.calls.writeJson.find((c) => c.filePath.endsWith('en.json'));
+    assert.deepEqual(Object.keys(en.data), ['c', 'a']);
+  });
+
+  it('convertToJsonApp: warns about renamed and removed keys', async () => {
+    const io = makeFakeIo();
+    io.readWorkbook = async (_p, workbook) => {
+      const ws = workbook.addWorksheet('Translations');
+      ws.addRow(['Key', 'de', 'en']);
+      ws.addRow(['a.bb', 'Wert', 'Value']);
+    };
+    const warnings = [];
+    await convertToJsonApp(
+      io,
+      '/in.xlsx',
+      '/out',
+      {},
+      { reporter: { print: () => {}, warn: (m) => warnings.push(m) } },
+    );
+    assert.deepEqual(warnings, [
+      'Keys in sheet but not in JSON (edited or renamed?): a.bb',
+      'Keys in JSON but missing from sheet: a.b, c',
+    ]);
+    assert.equal(io.calls.writeJson.length, 2);
+  });
+
+  it('convertToJsonApp: strictKeys aborts before writing', async () => {
+    const io = makeFakeIo();
+    io.readWorkbook = async (_p, workbook) => {
+      const ws = workbook.addWorksheet('Translations');
+      ws.addRow(['Key', 'de', 'en']);
+      ws.addRow(['a.b', 'Wert', 'Value']);
+      ws.addRow(['cc', 'Ja', 'Yes']);
+    };
+    await assert.rejects(
+      convertToJsonApp(io, '/in.xlsx', '/out', { strictKeys: true }, {}),
+      /Keys in sheet but not in JSON \(edited or renamed\?\): cc/,
+    );
+    assert.equal(io.calls.writeJson.length, 0);
+  });
+
+  it('convertToExcelApp: adds max length validation for configured keys', async () => {
+    const io = makeFakeIo();
+    await convertToExcelApp(
+      io,
+      '/in',
+      '/out/x.xlsx',
+      { maxLengths: { c: 3 } },
+      { reporter: {} },
+    );
+    const ws = io.calls.writeWorkbook[0].workbook.getWorksheet('Translations');
+    assert.equal(ws.getCell('B3').dataValidation.type, 'textLength');
+    assert.deepEqual(ws.getCell('C3').dataValidation.formulae, [3]);
+    assert.equal(ws.getCell('B2').dataValidation?.type, undefined);
+  });
+
+  it('convertToExcelApp: compares the JSONC source file at a git ref', async () => {
+    const io = makeFakeIo();
+    const refs = [];
+    io.readDirJsonFiles = async () => [
+      { name: 'de.json', data: { a: { b: 'Wert' }, c: 'Ja' } },
+      { name: 'en.jsonc', data: { a: { b: 'Value' }, c: 'Yes' } },
+    ];
+    io.readJsonFileAtRef = async (ref, filePath) => {
+      refs.push([ref, filePath]);
+      return { a: { b: 'Value' }, c: 'No' };
+    };
+    await convertToExcelApp(
+      io,
+      '/in',
+      '/out/x.xlsx',
+      { sourceLang: 'en', since: 'HEAD~1' },
+      { reporter: { print: () => {}, warn: () => {} } },
+    );
+    assert.deepEqual(refs, [['HEAD~1', '/in/en.jsonc']]);
+    const ws = io.calls.writeWorkbook[0].workbook.getWorksheet('Translations');
+    assert.equal(ws.getCell('A2').value, 'c');
+    assert.equal(ws.rowCount, 2);
+  });
+
+  it('convertToExcelApp: rejects git refs for a YAML source file', async () => {
+    const io = makeFakeIo();
+    io.readDirJsonFiles = async () => [
+      { name: 'de.json', data: { a: { b: 'Wert' }, c: 'Ja' } },
+    ];
+    io.readDirYamlFiles = async () => [
+      { name: 'en.yml', data: { a: { b: 'Value' }, c: 'Yes' } },
+    ];
+    io.readJsonFileAtRef = async () => ({});
+    await assert.rejects(
+      convertToExcelApp(
+        io,
+        '/in',
+        '/out/x.xlsx',
+        { sourceLang: 'en', since: 'HEAD~1' },
+        { reporter: {} },
+      ),
+      /Git refs can only be compared for JSON source files, not en\.yml/,
+    );
+  });
+
+  it('convertToJsonApp: warns about values exceeding their max length', async () => {
+    const io = makeFakeIo();
+    const warnings = [];
+    await convertToJsonApp(
+      io,
+      '/in.xlsx',
+      '/out',
+      { maxLengths: { 'a.b': 4 } },
+      { reporter: { print: () => {}, warn: (m) => warnings.push(m) } },
+    );
+    assert.deepEqual(warnings, ['Max length exceeded: a.b (en: 5/4)']);
+  });
 });
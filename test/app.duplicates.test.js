@@ -9,6 +9,7 @@ function makeFakeIoFromWorkbook(build) {
   return {
     checkFileExists: async () => {},
     ensureDirectoryExists: async () => {},
+    readDirJsonFiles: async () => [],
     createWorkbook: () => new ExcelJS.Workbook(),
     readWorkbook: async (_path, workbook) => {
       build(workbook);
@@ -65,4 +66,42 @@ describe('Duplicate handling in convertToJsonApp', () => {
       /Duplicate keys detected/,
     );
   });
+
+  it('warns about keys that are also the parent of other keys', async () => {
+    const io = makeFakeIoFromWorkbook((wb) => {
+      const ws = wb.addWorksheet('Translations');
+      ws.addRow(['Key', 'en']);
+      ws.addRow(['app.title', 'Title']);
+      ws.addRow(['app.title.short', 'T']);
+      ws.addRow(['app.subtitle', 'Sub']);
+    });
+    const warnings = [];
+    const reporter = { print: () => {}, warn: (m) => warnings.push(m) };
+    await convertToJsonApp(io, 'in.xlsx', 'out', {}, reporter);
+    assert.deepEqual(warnings, [
+      'Keys used both as a value and as a parent of other keys: app.title',
+    ]);
+  });
+
+  it('throws on key collisions across sheets when failOnDuplicates is true', async () => {
+    const io = makeFakeIoFromWorkbook((wb) => {
+      const root = wb.addWorksheet('Translations');
+      root.addRow(['Key', 'en']);
+      root.addRow(['auth', 'Sign in']);
+      const auth = wb.addWorksheet('auth');
+      auth.addRow(['Key', 'en']);
+      auth.addRow(['auth.login', 'Log in']);
+    });
+    await assert.rejects(
+      () =>
+        convertToJsonApp(
+          io,
+          'in.xlsx',
+          'out',
+          { failOnDuplicates: true, allSheets: true },
+          { print: () => {}, warn: () => {} },
+        ),
+      /parent of other keys: auth/,
+    );
+  });
 });
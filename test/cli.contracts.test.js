@@ -146,4 +146,123 @@ describe('CLI contracts', () => {
       'apps/web/src/**/*.ts,packages/shared/src/**/*.ts',
     );
   });
+
+  it('excelToI18n contract rejects unknown key order modes', () => {
+    const runtime = silentRuntime();
+    const options = normalizeCommandOptions(
+      'excelToI18n',
+      { input: 'in.xlsx', output: 'out', keyOrder: 'random' },
+      {
+        defaultConfig: {},
+        runtime,
+        runtimeConfig: {},
+        isDryRun: false,
+      },
+    );
+
+    assert.throws(
+      () => assertCommandInvariants('excelToI18n', options, { runtime }),
+      /Invalid --key-order "random"/,
+    );
+  });
+
+  it('xliff contracts require paths and a supported version', () => {
+    const runtime = silentRuntime();
+    const context = {
+      defaultConfig: { sourcePath: 'i18n', targetPath: 'i18n' },
+      runtime,
+      runtimeConfig: {},
+      isDryRun: false,
+    };
+    const toXliff = normalizeCommandOptions(
+      'i18nToXliff',
+      { output: 'xliff', xliffVersion: '2.1' },
+      context,
+    );
+    assert.equal(toXliff.sourcePath, 'i18n');
+    assert.throws(
+      () => assertCommandInvariants('i18nToXliff', toXliff, { runtime }),
+      /Invalid --xliff-version "2\.1"/,
+    );
+
+    const fromXliff = normalizeCommandOptions('xliffToI18n', {}, context);
+    assert.equal(fromXliff.targetPath, 'i18n');
+    assert.throws(
+      () => assertCommandInvariants('xliffToI18n', fromXliff, { runtime }),
+      /Please provide the XLIFF file or directory using --input/,
+    );
+  });
+
+  it('po contracts require input and output paths', () => {
+    const runtime = silentRuntime();
+    const context = {
+      defaultConfig: { sourcePath: 'i18n', targetPath: 'i18n' },
+      runtime,
+      runtimeConfig: {},
+      isDryRun: false,
+    };
+    const toPo = normalizeCommandOptions('i18nToPo', {}, context);
+    assert.equal(toPo.sourcePath, 'i18n');
+    assert.throws(
+      () => assertCommandInvariants('i18nToPo', toPo, { runtime }),
+      /Please provide an output directory using --output/,
+    );
+
+    const fromPo = normalizeCommandOptions('poToI18n', {}, context);
+    assert.equal(fromPo.targetPath, 'i18n');
+    assert.throws(
+      () => assertCommandInvariants('poToI18n', fromPo, { runtime }),
+      /Please provide the PO file or directory using --input/,
+    );
+  });
+
+  it('import contracts reject unknown locale formats', () => {
+    const runtime = silentRuntime();
+    const context = {
+      defaultConfig: {},
+      runtime,
+      runtimeConfig: {},
+      isDryRun: false,
+    };
+    for (const action of ['excelToI18n', 'xliffToI18n', 'poToI18n']) {
+      const options = normalizeCommandOptions(
+        action,
+        { input: 'in', output: 'out', localeFormat: 'toml' },
+        context,
+      );
+      assert.throws(
+        () => assertCommandInvariants(action, options, { runtime }),
+        /Invalid --locale-format "toml"\. Expected one of: json, yaml/,
+      );
+    }
+  });
+
+  it('platform contracts require a known platform', () => {
+    const runtime = silentRuntime();
+    const context = {
+      defaultConfig: {},
+      runtime,
+      runtimeConfig: {},
+      isDryRun: false,
+    };
+    for (const action of ['i18nToPlatform', 'platformToI18n']) {
+      const check = (platform) => {
+        const options = normalizeCommandOptions(
+          action,
+          { input: 'in', output: 'out', platform },
+          context,
+        );
+        assertCommandInvariants(action, options, { runtime });
+      };
+      assert.throws(
+        () => check(),
+        /Please provide a platform using --platform \(android, ios, properties\)/,
+      );
+      assert.throws(
+        () => check('windows'),
+        /Invalid --platform "windows"\. Expected one of: android, ios, properties/,
+      );
+      assert.doesNotThrow(() => check('ios'));
+    }
+  });
 });
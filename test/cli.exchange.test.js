@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { createExchangeCommands } from '../src/cli/commands/shared/exchange.js';
+
+const runtime = { env: {}, isTTY: false, log: () => {}, error: () => {} };
+
+function makeFormat(calls) {
+  return {
+    convertTo: async (...args) => calls.push(['to', ...args]),
+    convertFrom: async (...args) => calls.push(['from', ...args]),
+    label: () => 'TEST',
+    logExport: (...args) => calls.push(['logExport', args[0], args[1]]),
+    logImport: (...args) => calls.push(['logImport', args[0], args[1]]),
+    exportOptions: ['version'],
+    importOptions: ['sourceLang'],
+  };
+}
+
+describe('cli/commands/shared/exchange', () => {
+  it('forwards the shared and format options of exports and imports', async () => {
+    const calls = [];
+    const { runExport, runImport } = createExchangeCommands(makeFormat(calls));
+    const common = { dryRun: true, report: false };
+    await runExport(
+      {
+        sourcePath: 'in',
+        targetDir: 'out',
+        quiet: true,
+        common,
+        sourceLang: 'en',
+        version: '2.0',
+        yamlRoot: true,
+      },
+      runtime,
+    );
+    await runImport(
+      {
+        inputPath: 'in.test',
+        targetPath: 'locales',
+        quiet: true,
+        common,
+        sourceLang: 'en',
+        version: '2.0',
+        failOnDuplicates: true,
+        localeFormat: 'yaml',
+      },
+      runtime,
+    );
+    assert.deepEqual(calls[0], ['logExport', 'in', 'out']);
+    assert.deepEqual(calls[1], [
+      'to',
+      'in',
+      'out',
+      {
+        dryRun: true,
+        report: false,
+        sourceLang: 'en',
+        typed: undefined,
+        keySeparator: undefined,
+        flatJson: undefined,
+        pathTemplate: undefined,
+        version: '2.0',
+      },
+    ]);
+    assert.deepEqual(calls[2], ['logImport', 'in.test', 'locales']);
+    assert.equal(calls[3][0], 'from');
+    assert.equal(calls[3][3].failOnDuplicates, true);
+    assert.equal(calls[3][3].localeFormat, 'yaml');
+    assert.equal(calls[3][3].sourceLang, 'en');
+    assert.equal('version' in calls[3][3], false);
+    assert.equal(calls[3][3].jsonFormat, undefined);
+  });
+
+  it('propagates conversion errors', async () => {
+    const { runImport } = createExchangeCommands({
+      ...makeFormat([]),
+      convertFrom: async () => {
+        throw new Error('broken file');
+      },
+    });
+    await assert.rejects(
+      runImport(
+        { inputPath: 'a', targetPath: 'b', quiet: true, common: {} },
+        runtime,
+      ),
+      /broken file/,
+    );
+  });
+});
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import ExcelJS from 'exceljs';
+
+import {
+  createWorksheetFromRows,
+  worksheetToRows,
+} from '../src/core/csv/delimitedSheet.js';
+import {
+  UTF8_BOM,
+  parseDelimited,
+  resolveDelimiter,
+  stringifyDelimited,
+} from '../src/core/csv/delimitedText.js';
+
+const rows = [
+  ['Key', 'English', 'German'],
+  ['app.quote', 'Say "hi", please', 'Sag "hallo"'],
+  ['app.lines', 'Line 1\nLine 2', 'Zeile 1\r\nZeile 2'],
+  ['app.tab', 'a\tb', ''],
+];
+
+describe('core/csv', () => {
+  it('resolves the delimiter from the file extension', () => {
+    assert.equal(resolveDelimiter('out/translations.CSV'), ',');
+    assert.equal(resolveDelimiter('translations.tsv'), '\t');
+    assert.equal(resolveDelimiter('translations.xlsx'), undefined);
+    assert.equal(resolveDelimiter('csv'), undefined);
+  });
+
+  it('quotes fields as described in RFC 4180', () => {
+    const text = stringifyDelimited(rows, ',');
+    assert.ok(text.startsWith(UTF8_BOM));
+    assert.equal(
+      text.slice(1),
+      [
+        'Key,English,German',
+        'app.quote,"Say ""hi"", please","Sag ""hallo"""',
+        'app.lines,"Line 1\nLine 2","Zeile 1\r\nZeile 2"',
+        'app.tab,a\tb,',
+        '',
+      ].join('\r\n'),
+    );
+    assert.match(stringifyDelimited(rows, '\t'), /app\.tab\t"a\tb"\t\r\n/);
+  });
+
+  for (const delimiter of [',', '\t']) {
+    it(`round-trips rows with delimiter ${JSON.stringify(delimiter)}`, () => {
+      assert.deepEqual(
+        parseDelimited(stringifyDelimited(rows, delimiter), delimiter),
+        rows,
+      );
+    });
+  }
+
+  it('reads files without byte order mark, with CRLF and blank lines', () => {
+    assert.deepEqual(parseDelimited('Key,en\r\n\r\n"a",""\r\nb,B', ','), [
+      ['Key', 'en'],
+      ['a', ''],
+      ['b', 'B'],
+    ]);
+  });
+
+  it('rejects malformed quoted fields', () => {
+    assert.throws(
+      () => parseDelimited('Key,en\na,"open\n', ','),
+      /Invalid delimited text at line 2: unterminated quoted field/,
+    );
+    assert.throws(
+      () => parseDelimited('Key,en\n"a\nb"x,c', ','),
+      /Invalid delimited text at line 3: unexpected character/,
+    );
+  });
+
+  it('converts between worksheets and rows', () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = createWorksheetFromRows(workbook, 'Translations', rows);
+    assert.equal(worksheet.getRow(4).getCell(3).value, null);
+    assert.deepEqual(worksheetToRows(worksheet), rows);
+  });
+});
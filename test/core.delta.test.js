@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { selectDeltaTranslations } from '../src/core/model/delta.js';
+
+describe('core/model/delta', () => {
+  const translations = new Map([
+    ['app.save', { en: 'Save', de: 'Speichern' }],
+    ['app.cancel', { en: 'Cancel', de: '' }],
+    ['app.quit', { en: 'Quit' }],
+    ['app.title', { en: 'New title', de: 'Titel' }],
+  ]);
+  const languages = ['de', 'en'];
+
+  it('selects keys with an empty or absent language', () => {
+    const selected = selectDeltaTranslations(translations, languages, {
+      onlyMissing: true,
+    });
+    assert.deepEqual([...selected.keys()], ['app.cancel', 'app.quit']);
+  });
+
+  it('selects keys whose source text changed or is new', () => {
+    const selected = selectDeltaTranslations(translations, languages, {
+      previousSource: new Map([
+        ['app.save', 'Save'],
+        ['app.cancel', 'Cancel'],
+        ['app.title', 'Old title'],
+      ]),
+    });
+    assert.deepEqual([...selected.keys()], ['app.quit', 'app.title']);
+  });
+
+  it('combines filters as a union', () => {
+    const selected = selectDeltaTranslations(translations, languages, {
+      onlyMissing: true,
+      previousSource: new Map([
+        ['app.save', 'Save'],
+        ['app.cancel', 'Cancel'],
+        ['app.quit', 'Quit'],
+        ['app.title', 'Old title'],
+      ]),
+    });
+    assert.deepEqual(
+      [...selected.keys()],
+      ['app.cancel', 'app.quit', 'app.title'],
+    );
+  });
+
+  it('compares against a non-default source language', () => {
+    const selected = selectDeltaTranslations(translations, languages, {
+      previousSource: new Map([
+        ['app.save', 'Speichern'],
+        ['app.cancel', ''],
+        ['app.title', 'Titel'],
+      ]),
+      sourceLang: 'de',
+    });
+    assert.deepEqual([...selected.keys()], []);
+  });
+});
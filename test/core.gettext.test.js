@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  buildTranslationTableFromPo,
+  parsePoDocument,
+} from '../src/core/gettext/poRead.js';
+import {
+  buildPoEntries,
+  createPoDocument,
+} from '../src/core/gettext/poWrite.js';
+
+const translations = new Map([
+  ['app.title', { en: 'Say "hi"', de: 'Sag "hallo"' }],
+  ['app.body', { en: 'Line 1\nLine 2', de: 'Zeile 1\nZeile 2' }],
+  ['app.new', { en: '' }],
+]);
+const metadata = new Map([
+  ['app.title', { description: 'Greeting\nshown on start', status: 'Fuzzy' }],
+  ['app.body', { context: 'Dialog text' }],
+]);
+
+describe('core/gettext', () => {
+  it('builds entries with comments, fuzzy flags and key fallbacks', () => {
+    const entries = buildPoEntries(translations, 'en', 'de', metadata);
+    assert.deepEqual(entries[0], {
+      key: 'app.title',
+      source: 'Say "hi"',
+      target: 'Sag "hallo"',
+      fuzzy: true,
+      comments: ['Greeting', 'shown on start'],
+      translatorComments: [],
+    });
+    assert.deepEqual(entries[1].translatorComments, ['Dialog text']);
+    assert.equal(entries[2].source, 'app.new');
+    assert.equal(entries[2].target, '');
+
+    const template = buildPoEntries(translations, 'en', undefined, metadata);
+    assert.equal(template[0].target, '');
+    assert.equal(template[0].fuzzy, false);
+  });
+
+  it('writes multi-line strings and escapes quotes', () => {
+    const po = createPoDocument({
+      language: 'de',
+      entries: buildPoEntries(translations, 'en', 'de', metadata),
+    });
+    assert.match(po, /^msgid ""\nmsgstr ""\n"Language: de\\n"/);
+    assert.match(po, /msgid "Say \\"hi\\""/);
+    assert.match(po, /\n# Dialog text\nmsgctxt "app.body"\n/);
+    assert.match(po, /msgid ""\n"Line 1\\n"\n"Line 2"/);
+  });
+
+  it('round-trips entries through a PO document', () => {
+    const entries = buildPoEntries(translations, 'en', 'de', metadata);
+    const document = parsePoDocument(
+      createPoDocument({ language: 'de', entries }),
+    );
+    assert.equal(document.language, 'de');
+    assert.deepEqual(document.entries, entries);
+  });
+
+  it('reads files without context, plural and obsolete entries', () => {
+    const { language, entries } =
+      parsePoDocument(String.raw`# translator comment
+msgid ""
+msgstr ""
+"Language: \n"
+
+#: src/app.js:1
+msgid "Apple"
+msgstr "Apfel"
+
+msgid "One file"
+msgid_plural "%d files"
+msgstr[0] "Eine Datei"
+msgstr[1] "%d Dateien"
+
+#~ msgid "Old"
+#~ msgstr "Alt"
+`);
+    assert.equal(language, undefined);
+    assert.deepEqual(
+      entries.map(({ key, source, target }) => [key, source, target]),
+      [
+        ['Apple', 'Apple', 'Apfel'],
+        ['One file', 'One file', 'Eine Datei'],
+      ],
+    );
+  });
+
+  it('rejects invalid lines', () => {
+    assert.throws(
+      () => parsePoDocument('msgid "a"\nmsgstr "b"\nnonsense'),
+      /Invalid PO file at line 3: nonsense/,
+    );
+  });
+
+  it('builds a translation table without fuzzy or empty translations', () => {
+    const table = buildTranslationTableFromPo(
+      [
+        { key: 'a', source: 'A', target: 'Ä', fuzzy: false, comments: [] },
+        { key: 'b', source: 'B', target: 'Bé', fuzzy: true, comments: [] },
+        { key: 'c', source: 'C', target: '', fuzzy: false, comments: [] },
+        { key: 'a', source: 'A', target: 'Ä', fuzzy: false, comments: [] },
+      ],
+      'en',
+      'de',
+    );
+    assert.deepEqual(table.languages, ['en', 'de']);
+    assert.deepEqual(table.duplicates, ['a']);
+    assert.deepEqual(table.translations.get('a'), { en: 'A', de: 'Ä' });
+    assert.deepEqual(table.translations.get('b'), { en: 'B' });
+    assert.deepEqual(table.translations.get('c'), { en: 'C' });
+  });
+});
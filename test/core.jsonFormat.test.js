@@ -0,0 +1,55 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { stringifyJson } from '../src/core/json/jsonFormat.js';
+
+const data = { title: 'Grüße 😀', app: { b: 'B', a: ['x', { d: 1, c: 2 }] } };
+
+describe('core/json/jsonFormat', () => {
+  it('writes JSON.stringify output by default', () => {
+    assert.equal(stringifyJson(data), JSON.stringify(data, null, 2));
+    assert.equal(stringifyJson(data, {}), JSON.stringify(data, null, 2));
+  });
+
+  it('applies indentation, line endings and the final newline', () => {
+    const value = { app: { title: 'Home' } };
+    assert.equal(
+      stringifyJson(value, { indent: 4, finalNewline: true }),
+      '{\n    "app": {\n        "title": "Home"\n    }\n}\n',
+    );
+    assert.equal(
+      stringifyJson(value, { indent: 'tab', lineEnding: 'crlf' }),
+      '{\r\n\t"app": {\r\n\t\t"title": "Home"\r\n\t}\r\n}',
+    );
+  });
+
+  it('sorts keys at every level and escapes non-ASCII characters', () => {
+    const text = stringifyJson(data, { sortKeys: true, escapeNonAscii: true });
+    assert.deepEqual(Object.keys(JSON.parse(text)), ['app', 'title']);
+    assert.match(text, /"a": \[\n {6}"x",\n {6}\{\n {8}"c": 2,\n {8}"d": 1/);
+    assert.match(text, /"title": "Gr\\u00fc\\u00dfe \\ud83d\\ude00"/);
+    assert.deepEqual(JSON.parse(text), data);
+  });
+
+  it('keeps comments unescaped', () => {
+    assert.equal(
+      stringifyJson(
+        { title: 'Größe' },
+        { escapeNonAscii: true, indent: 'tab' },
+        () => 'Größe',
+      ),
+      '{\n\t// Größe\n\t"title": "Gr\\u00f6\\u00dfe"\n}',
+    );
+  });
+
+  it('rejects invalid indents and line endings', () => {
+    assert.throws(
+      () => stringifyJson({}, { indent: 0 }),
+      /Invalid JSON indent "0"/,
+    );
+    assert.throws(
+      () => stringifyJson({}, { lineEnding: 'cr' }),
+      /Invalid line ending "cr". Expected one of: lf, crlf/,
+    );
+  });
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { parseJsonc, stringifyJsonc } from '../src/core/json/jsonc.js';
+import { addCommentDescriptions } from '../src/core/model/metadata.js';
+
+const commented = [
+  '{',
+  '  // Page title',
+  '  "title": "Home", // shown in the tab',
+  '  /* Buttons',
+  '   * of the toolbar */',
+  '  nav: {',
+  "    'save': 'Save',",
+  '',
+  '    // Unrelated note',
+  '',
+  '    count: 0x10,',
+  '    list: [1, /* two */ 2,],',
+  '  },',
+  '}',
+].join('\n');
+
+describe('core/json/jsonc', () => {
+  it('reads comments, trailing commas and JSON5 syntax', () => {
+    assert.deepEqual(parseJsonc(commented), {
+      data: {
+        title: 'Home',
+        nav: { save: 'Save', count: 16, list: [1, 2] },
+      },
+      comments: [
+        { path: ['title'], text: 'Page title\nshown in the tab' },
+        { path: ['nav'], text: 'Buttons\nof the toolbar' },
+      ],
+    });
+    assert.deepEqual(parseJsonc('\uFEFF{"a": "b"}'), {
+      data: { a: 'b' },
+      comments: [],
+    });
+    assert.deepEqual(parseJsonc(String.raw`{a: 'it\'s \x41é', b: +.5}`), {
+      data: { a: "it's Aé", b: 0.5 },
+      comments: [],
+    });
+  });
+
+  it('reports the position of invalid input', () => {
+    assert.throws(
+      () => parseJsonc('{\n  "a": }'),
+      /Unexpected "}" at line 2, column 8/,
+    );
+    assert.throws(() => parseJsonc('{"a": 1'), /Unexpected end of input/);
+    assert.throws(() => parseJsonc('[01]'), /Unexpected "0"/);
+  });
+
+  it('writes comments above members and plain JSON without them', () => {
+    const data = { title: 'Home', nav: { save: 'Save', list: [1, 2] } };
+    assert.equal(
+      stringifyJsonc(data, () => {}),
+      JSON.stringify(data, null, 2),
+    );
+    const descriptions = { title: 'Page title', 'nav.save': 'Line 1\nLine 2' };
+    const text = stringifyJsonc(data, (path) => descriptions[path.join('.')]);
+    assert.equal(
+      text,
+      [
+        '{',
+        '  // Page title',
+        '  "title": "Home",',
+        '  "nav": {',
+        '    // Line 1',
+        '    // Line 2',
+        '    "save": "Save",',
+        '    "list": [',
+        '      1,',
+        '      2',
+        '    ]',
+        '  }',
+        '}',
+      ].join('\n'),
+    );
+    assert.deepEqual(parseJsonc(text).data, data);
+  });
+
+  it('turns comments into descriptions, preferring the source language', () => {
+    const files = [
+      {
+        name: 'de.json',
+        comments: [
+          { path: ['app', 'save'], text: 'Knopf' },
+          { path: ['app', 'title'], text: 'Titel' },
+        ],
+      },
+      {
+        name: 'en.json',
+        comments: [{ path: ['app', 'save'], text: 'Button' }],
+      },
+    ];
+    const metadata = new Map([['app.title', { description: 'Kept' }]]);
+    const result = addCommentDescriptions(metadata, files, {
+      sourceLang: 'en',
+    });
+    assert.deepEqual(
+      [...result],
+      [
+        ['app.title', { description: 'Kept' }],
+        ['app.save', { description: 'Button' }],
+      ],
+    );
+    assert.equal(metadata.size, 1);
+  });
+});
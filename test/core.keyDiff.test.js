@@ -0,0 +1,20 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { diffKeySets } from '../src/core/model/keyDiff.js';
+
+describe('core/model/keyDiff', () => {
+  it('reports keys only in the sheet and keys only in JSON', () => {
+    assert.deepEqual(
+      diffKeySets(['app.titel', 'app.save'], ['app.title', 'app.save']),
+      { unknown: ['app.titel'], removed: ['app.title'] },
+    );
+  });
+
+  it('returns empty lists for identical key sets', () => {
+    assert.deepEqual(diffKeySets(['a', 'b'], new Set(['b', 'a'])), {
+      unknown: [],
+      removed: [],
+    });
+  });
+});
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  applyKeyOrder,
+  orderKeysLike,
+  sortKeysDeep,
+} from '../src/core/json/keyOrder.js';
+
+describe('core/json/keyOrder', () => {
+  it('sortKeysDeep sorts every nesting level', () => {
+    const sorted = sortKeysDeep({ b: { y: '1', x: '2' }, a: '3' });
+    assert.deepEqual(Object.keys(sorted), ['a', 'b']);
+    assert.deepEqual(Object.keys(sorted.b), ['x', 'y']);
+    const list = sortKeysDeep({ list: [{ b: 1, a: 2 }, 'x'] }).list;
+    assert.deepEqual(Object.keys(list[0]), ['a', 'b']);
+    assert.equal(list[1], 'x');
+  });
+
+  it('orderKeysLike keeps reference order and places new keys after their sibling', () => {
+    const sheet = {
+      app: { a: '1', new: '2', title: '3' },
+      footer: '4',
+      zebra: '5',
+    };
+    const reference = { zebra: 'z', app: { title: 't', a: 'a' }, footer: 'f' };
+    const ordered = orderKeysLike(sheet, reference);
+
+    assert.deepEqual(Object.keys(ordered), ['zebra', 'app', 'footer']);
+    assert.deepEqual(Object.keys(ordered.app), ['title', 'a', 'new']);
+  });
+
+  it('orderKeysLike places a leading new key first', () => {
+    const ordered = orderKeysLike({ aaa: '0', b: '1' }, { b: 'x' });
+    assert.deepEqual(Object.keys(ordered), ['aaa', 'b']);
+  });
+
+  it('applyKeyOrder keeps sheet order and rejects unknown modes', () => {
+    const obj = { b: '1', a: '2' };
+    assert.equal(applyKeyOrder(obj, 'sheet-order'), obj);
+    assert.deepEqual(Object.keys(applyKeyOrder(obj, 'sorted')), ['a', 'b']);
+    assert.throws(() => applyKeyOrder(obj, 'random'), /Invalid key order/);
+  });
+});
@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { splitTranslationsByNamespace } from '../src/core/excel/namespaceSheets.js';
+import {
+  escapeKeySegment,
+  findKeyCollisions,
+  flattenTranslations,
+  keyToPath,
+  resolveKeySeparator,
+  setNestedValue,
+  splitKey,
+} from '../src/core/json/structure.js';
+
+const flatten = (obj, options) => {
+  const entries = [];
+  flattenTranslations(
+    obj,
+    '',
+    (key, value) => entries.push([key, value]),
+    options,
+  );
+  return entries;
+};
+
+const nest = (entries, options) => {
+  const obj = {};
+  for (const [key, value] of entries) {
+    setNestedValue(obj, keyToPath(key, options), value);
+  }
+  return obj;
+};
+
+describe('core/json key separator', () => {
+  it('escapes segments containing the separator or backslash', () => {
+    assert.equal(escapeKeySegment('404.title'), String.raw`404\.title`);
+    assert.equal(escapeKeySegment(String.raw`a\b`), String.raw`a\\b`);
+    assert.deepEqual(splitKey(String.raw`errors.404\.title`), [
+      'errors',
+      '404.title',
+    ]);
+    assert.deepEqual(splitKey(String.raw`a\\.b`), ['a\\', 'b']);
+  });
+
+  it('round-trips keys containing literal dots next to nested objects', () => {
+    const data = {
+      'errors.404': 'Not found',
+      errors: { 500: 'Server error' },
+    };
+    const entries = flatten(data);
+    assert.deepEqual(entries, [
+      [String.raw`errors\.404`, 'Not found'],
+      ['errors.500', 'Server error'],
+    ]);
+    assert.deepEqual(nest(entries), data);
+  });
+
+  it('uses a custom separator', () => {
+    const data = { app: { 'v1.2': 'Release', title: 'Home' } };
+    const options = { keySeparator: ':' };
+    const entries = flatten(data, options);
+    assert.deepEqual(entries, [
+      ['app:v1.2', 'Release'],
+      ['app:title', 'Home'],
+    ]);
+    assert.deepEqual(nest(entries, options), data);
+    assert.throws(
+      () => resolveKeySeparator({ keySeparator: '::' }),
+      /Invalid key separator/,
+    );
+  });
+
+  it('keeps keys of flat files verbatim', () => {
+    const data = { 'errors.404': 'Not found', 'app.title': 'Home' };
+    const options = { flatJson: true };
+    const entries = flatten(data, options);
+    assert.deepEqual(entries, Object.entries(data));
+    assert.deepEqual(nest(entries, options), data);
+  });
+
+  it('splits namespaces on the first unescaped separator', () => {
+    const groups = splitTranslationsByNamespace(
+      new Map([
+        [String.raw`errors\.404`, {}],
+        ['auth:login', {}],
+      ]),
+      ':',
+    );
+    assert.deepEqual([...groups.keys()], ['', 'auth']);
+    assert.deepEqual([...groups.get('').keys()], [String.raw`errors\.404`]);
+  });
+
+  it('finds keys that collide with nested keys', () => {
+    assert.deepEqual(
+      findKeyCollisions(['app.title', 'app.title.short', 'app.titles']),
+      ['app.title'],
+    );
+    assert.deepEqual(
+      findKeyCollisions([String.raw`app\.title`, 'app.title.short']),
+      [],
+    );
+    assert.deepEqual(
+      findKeyCollisions(['steps', 'steps[0]'], { typed: true }),
+      ['steps'],
+    );
+    assert.deepEqual(
+      findKeyCollisions(['app.title', 'app.title.short'], { flatJson: true }),
+      [],
+    );
+  });
+});
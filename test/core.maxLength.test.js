@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  findMaxLengthViolations,
+  resolveMaxLengths,
+} from '../src/core/model/maxLength.js';
+
+describe('core/model/maxLength', () => {
+  it('combines configured limits with metadata, metadata winning', () => {
+    const limits = resolveMaxLengths(
+      { 'app.save': 10, 'app.cancel': 8 },
+      new Map([
+        ['app.save', { maxLength: 12 }],
+        ['app.title', { description: 'Title' }],
+      ]),
+    );
+    assert.deepEqual(
+      [...limits],
+      [
+        ['app.save', 12],
+        ['app.cancel', 8],
+      ],
+    );
+  });
+
+  it('ignores invalid limits and accepts numeric strings', () => {
+    const limits = resolveMaxLengths(
+      { a: 0, b: 'x', c: 2.5 },
+      new Map([['d', { maxLength: '7' }]]),
+    );
+    assert.deepEqual([...limits], [['d', 7]]);
+  });
+
+  it('finds values longer than their limit per language', () => {
+    const violations = findMaxLengthViolations(
+      {
+        en: { app: { save: 'Save' } },
+        de: { app: { save: 'Speichern' } },
+      },
+      new Map([['app.save', 5]]),
+    );
+    assert.deepEqual(violations, [
+      { key: 'app.save', lang: 'de', length: 9, maxLength: 5 },
+    ]);
+  });
+
+  it('returns no violations without limits', () => {
+    assert.deepEqual(
+      findMaxLengthViolations({ en: { a: 'long text' } }, new Map()),
+      [],
+    );
+  });
+});
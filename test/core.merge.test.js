@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  mergeTranslations,
+  resolveMergedValue,
+} from '../src/core/model/merge.js';
+
+describe('core/model/merge', () => {
+  it('resolveMergedValue: keeps JSON when the sheet did not change', () => {
+    assert.deepEqual(resolveMergedValue('A', 'B', 'A'), {
+      value: 'B',
+      conflict: false,
+    });
+  });
+
+  it('resolveMergedValue: takes sheet when JSON did not change', () => {
+    assert.deepEqual(resolveMergedValue('A', 'A', 'C'), {
+      value: 'C',
+      conflict: false,
+    });
+  });
+
+  it('resolveMergedValue: flags conflict when both sides changed', () => {
+    assert.deepEqual(resolveMergedValue('A', 'B', 'C'), {
+      value: 'C',
+      conflict: true,
+    });
+  });
+
+  it('resolveMergedValue: sheet wins without conflict when base is unknown', () => {
+    assert.deepEqual(resolveMergedValue(undefined, 'B', 'C'), {
+      value: 'C',
+      conflict: false,
+    });
+  });
+
+  it('resolveMergedValue: treats missing and empty values as equal', () => {
+    assert.deepEqual(resolveMergedValue('', undefined, 'Neu'), {
+      value: 'Neu',
+      conflict: false,
+    });
+    assert.deepEqual(resolveMergedValue('A', undefined, 'A'), {
+      value: undefined,
+      conflict: false,
+    });
+  });
+
+  it('mergeTranslations: preserves keys unknown to the sheet and reports conflicts', () => {
+    const current = new Map([
+      ['app.title', { en: 'Title (dev)' }],
+      ['app.subtitle', { en: 'Sub' }],
+      ['app.added', { en: 'Added by dev' }],
+    ]);
+    const base = new Map([
+      ['app.title', { en: 'Title' }],
+      ['app.subtitle', { en: 'Sub' }],
+    ]);
+    const { translationsByLanguage, conflicts } = mergeTranslations({
+      languages: ['en'],
+      translationsByLanguage: {
+        en: { app: { title: 'Title (translator)', subtitle: 'Subtitle' } },
+      },
+      current,
+      base,
+    });
+
+    assert.deepEqual(translationsByLanguage.en, {
+      app: {
+        title: 'Title (translator)',
+        subtitle: 'Subtitle',
+        added: 'Added by dev',
+      },
+    });
+    assert.deepEqual(conflicts, [
+      {
+        key: 'app.title',
+        lang: 'en',
+        base: 'Title',
+        current: 'Title (dev)',
+        incoming: 'Title (translator)',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import ExcelJS from 'exceljs';
+
+import { readOdsContent } from '../src/core/ods/odsRead.js';
+import { createOdsContent } from '../src/core/ods/odsWrite.js';
+
+const NAMESPACES = [
+  'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+  'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"',
+  'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+].join(' ');
+
+const document = (body) =>
+  `<office:document-content ${NAMESPACES}><office:body><office:spreadsheet>${body}</office:spreadsheet></office:body></office:document-content>`;
+
+const roundTrip = (workbook) => {
+  const copy = new ExcelJS.Workbook();
+  readOdsContent(copy, createOdsContent(workbook));
+  return copy;
+};
+
+describe('core/ods', () => {
+  it('round-trips cell values, line breaks and white space', () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Translations');
+    worksheet.addRow(['Key', 'English']);
+    worksheet.addRow(['app.lines', 'Line 1\nLine 2']);
+    worksheet.addRow(['app.spaces', '  two  spaces\tand tab ']);
+    worksheet.addRow(['app.markup', '<b>Tom & "Jerry"</b>']);
+    worksheet.addRow(['app.count', 3, true]);
+
+    const copy = roundTrip(workbook).getWorksheet('Translations');
+    assert.equal(copy.getCell('B2').value, 'Line 1\nLine 2');
+    assert.equal(copy.getCell('B3').value, '  two  spaces\tand tab ');
+    assert.equal(copy.getCell('B4').value, '<b>Tom & "Jerry"</b>');
+    assert.equal(copy.getCell('B5').value, 3);
+    assert.equal(copy.getCell('C5').value, true);
+    assert.equal(copy.getCell('C4').value, null);
+  });
+
+  it('round-trips styles, widths, comments, hidden sheets and protection', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Translations');
+    worksheet.addRow(['Key', 'German']);
+    worksheet.addRow(['app.title', 'Titel']);
+    worksheet.getColumn(2).width = 40;
+    worksheet.getRow(1).font = { bold: true, color: { argb: 'FF112233' } };
+    worksheet.getCell('B2').fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FFFFEB9C' },
+    };
+    worksheet.getCell('B2').note = 'Missing placeholders: {name}';
+    worksheet.getCell('B2').protection = { locked: false };
+    await worksheet.protect('', {});
+    workbook.addWorksheet('_i18n_base', { state: 'veryHidden' }).addRow(['x']);
+
+    const copy = roundTrip(workbook);
+    const sheet = copy.getWorksheet('Translations');
+    assert.deepEqual(sheet.getCell('A1').font, {
+      bold: true,
+      color: { argb: 'FF112233' },
+    });
+    assert.equal(sheet.getCell('B2').fill.fgColor.argb, 'FFFFEB9C');
+    assert.equal(sheet.getCell('B2').note, 'Missing placeholders: {name}');
+    assert.equal(sheet.getCell('B2').protection.locked, false);
+    assert.equal(sheet.getCell('A2').protection, undefined);
+    assert.equal(sheet.getColumn(2).width, 40);
+    assert.equal(sheet.sheetProtection.sheet, true);
+    assert.equal(copy.getWorksheet('_i18n_base').state, 'hidden');
+  });
+
+  it('expands repeated rows and cells', () => {
+    const workbook = new ExcelJS.Workbook();
+    readOdsContent(
+      workbook,
+      document(
+        '<table:table table:name="Sheet1">' +
+          '<table:table-row><table:table-cell office:value-type="string"><text:p>Key</text:p></table:table-cell>' +
+          '<table:table-cell table:number-columns-repeated="2"/>' +
+          '<table:table-cell office:value-type="string"><text:p>en</text:p></table:table-cell>' +
+          '<table:table-cell table:number-columns-repeated="16380"/></table:table-row>' +
+          '<table:table-row table:number-rows-repeated="2"><table:table-cell office:value-type="string"><text:p>same</text:p></table:table-cell></table:table-row>' +
+          '<table:table-row table:number-rows-repeated="1048570"><table:table-cell table:number-columns-repeated="16384"/></table:table-row>' +
+          '</table:table>',
+      ),
+    );
+    const worksheet = workbook.getWorksheet('Sheet1');
+    assert.equal(worksheet.getCell('D1').value, 'en');
+    assert.equal(worksheet.getCell('A2').value, 'same');
+    assert.equal(worksheet.getCell('A3').value, 'same');
+    assert.equal(worksheet.rowCount, 3);
+    assert.equal(worksheet.columnCount, 4);
+  });
+
+  it('rejects malformed documents', () => {
+    assert.throws(
+      () => readOdsContent(new ExcelJS.Workbook(), document('<table:table>')),
+      /Invalid ODS document/,
+    );
+  });
+});
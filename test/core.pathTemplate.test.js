@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  assembleTemplateFiles,
+  compilePathTemplate,
+  splitTemplateFiles,
+} from '../src/core/model/pathTemplate.js';
+
+const pathTemplate = '{lang}/{ns}.json';
+
+describe('core/model/pathTemplate', () => {
+  it('matches and formats file paths', () => {
+    const template = compilePathTemplate(pathTemplate);
+    assert.equal(template.hasNamespace, true);
+    assert.deepEqual(template.match('pt-BR/auth.json'), {
+      lang: 'pt-BR',
+      ns: 'auth',
+    });
+    assert.equal(template.match('en.json'), undefined);
+    assert.equal(template.match('en/nested/auth.json'), undefined);
+    assert.equal(template.format('de', 'common'), 'de/common.json');
+
+    const single = compilePathTemplate('locales/{lang}/messages.json');
+    assert.equal(single.hasNamespace, false);
+    assert.deepEqual(single.match('locales/de/messages.json'), { lang: 'de' });
+
+    for (const invalid of [
+      '{ns}.json',
+      '{lang}/{lang}.json',
+      '{lang}/{x}.json',
+      '{lang}.yml',
+    ]) {
+      assert.throws(
+        () => compilePathTemplate(invalid),
+        /Invalid path template/,
+      );
+    }
+  });
+
+  it('combines namespace files into one entry per language', () => {
+    const files = [
+      { name: 'de/auth.json', data: { login: 'Anmelden' } },
+      { name: 'en/auth.json', data: { login: 'Log in' } },
+      { name: 'en/common.json', data: { ok: 'OK' } },
+      { name: 'README.json', data: { ignored: true } },
+    ];
+    assert.deepEqual(assembleTemplateFiles(files, { pathTemplate }), [
+      { name: 'de.json', data: { auth: { login: 'Anmelden' } } },
+      {
+        name: 'en.json',
+        data: { auth: { login: 'Log in' }, common: { ok: 'OK' } },
+      },
+    ]);
+    assert.deepEqual(
+      assembleTemplateFiles(files.slice(1, 3), {
+        pathTemplate,
+        flatJson: true,
+        keySeparator: ':',
+      }),
+      [
+        {
+          name: 'en.json',
+          data: { 'auth:login': 'Log in', 'common:ok': 'OK' },
+        },
+      ],
+    );
+  });
+
+  it('splits languages into namespace files', () => {
+    assert.deepEqual(
+      splitTemplateFiles(
+        'en',
+        { auth: { login: 'Log in' }, common: { ok: 'OK' } },
+        { pathTemplate },
+      ),
+      [
+        { path: 'en/auth.json', data: { login: 'Log in' } },
+        { path: 'en/common.json', data: { ok: 'OK' } },
+      ],
+    );
+    assert.deepEqual(
+      splitTemplateFiles(
+        'en',
+        { 'auth.login': 'Log in', 'auth.form.user': 'User' },
+        { pathTemplate, flatJson: true },
+      ),
+      [
+        {
+          path: 'en/auth.json',
+          data: { login: 'Log in', 'form.user': 'User' },
+        },
+      ],
+    );
+    assert.deepEqual(
+      splitTemplateFiles(
+        'en',
+        { title: 'Shop' },
+        { pathTemplate: '{lang}/all.json' },
+      ),
+      [{ path: 'en/all.json', data: { title: 'Shop' } }],
+    );
+    assert.throws(
+      () => splitTemplateFiles('en', { title: 'Shop' }, { pathTemplate }),
+      /Key "title" has no namespace/,
+    );
+    assert.throws(
+      () =>
+        splitTemplateFiles(
+          'en',
+          { 'a/b.c': 'x' },
+          { pathTemplate, flatJson: true },
+        ),
+      /Namespace "a\/b" cannot be used as a file name/,
+    );
+  });
+});
@@ -0,0 +1,186 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  androidFileLanguage,
+  androidFilePath,
+  createAndroidStrings,
+  parseAndroidStrings,
+  toAndroidName,
+} from '../src/core/platform/android.js';
+import { createIosStrings, parseIosStrings } from '../src/core/platform/ios.js';
+import {
+  PLATFORM_FORMATS,
+  buildPlatformEntries,
+  buildTranslationTableFromPlatform,
+  mapPlatformKeys,
+} from '../src/core/platform/platforms.js';
+import {
+  createProperties,
+  parseProperties,
+  propertiesFileLanguage,
+  propertiesFilePath,
+} from '../src/core/platform/properties.js';
+
+const texts = [
+  'Don\'t "quote"',
+  '  spaced  out ',
+  '@string/other',
+  'Line 1\nLine 2\tTab \\ slash',
+  'Grüße 😀 <b>&',
+  '#! key = value: x',
+];
+
+describe('core/platform', () => {
+  it('maps keys to Android names and reports unmappable keys', () => {
+    assert.equal(toAndroidName('checkout.total-price'), 'checkout_total_price');
+    assert.equal(toAndroidName('404.title'), '_404_title');
+    assert.equal(toAndroidName('class'), undefined);
+
+    const { names, unmapped } = mapPlatformKeys(
+      ['app.title', 'app_title', 'class'],
+      PLATFORM_FORMATS.android,
+    );
+    assert.deepEqual([...names], [['app.title', 'app_title']]);
+    assert.deepEqual(unmapped, [
+      {
+        key: 'app_title',
+        reason: 'name "app_title" already used by app.title',
+      },
+      { key: 'class', reason: 'no valid name' },
+    ]);
+    assert.deepEqual(
+      mapPlatformKeys(['app.title', 'app_title'], PLATFORM_FORMATS.ios)
+        .unmapped,
+      [],
+    );
+  });
+
+  it('lays out one file per language', () => {
+    const layout = {
+      de: ['values-de/strings.xml', 'messages_de.properties'],
+      'pt-BR': ['values-pt-rBR/strings.xml', 'messages_pt_BR.properties'],
+      'zh-Hans': [
+        'values-b+zh+Hans/strings.xml',
+        'messages_zh_Hans.properties',
+      ],
+    };
+    for (const [language, [android, properties]] of Object.entries(layout)) {
+      assert.equal(androidFilePath(language), android);
+      assert.equal(androidFileLanguage(android), language);
+      assert.equal(propertiesFilePath(language), properties);
+      assert.equal(propertiesFileLanguage(properties), language);
+    }
+    assert.equal(androidFileLanguage('values/strings.xml'), undefined);
+    assert.equal(androidFileLanguage('values-night/strings.xml'), undefined);
+    assert.equal(androidFileLanguage('values-de/colors.xml'), undefined);
+    assert.equal(
+      PLATFORM_FORMATS.ios.fileLanguage('Base.lproj/Localizable.strings'),
+      undefined,
+    );
+  });
+
+  it('escapes Android texts and reads them back', () => {
+    const entries = texts.map((value, i) => ({ name: `text_${i}`, value }));
+    const xml = createAndroidStrings(entries);
+    assert.match(xml, /<string name="text_0">Don\\'t \\"quote\\"<\/string>/);
+    assert.match(xml, /<string name="text_1">" {2}spaced {2}out "<\/string>/);
+    assert.match(xml, /<string name="text_2">\\@string\/other<\/string>/);
+    assert.match(xml, /&lt;b&gt;&amp;/);
+    assert.deepEqual(parseAndroidStrings(xml), entries);
+  });
+
+  it('reads Android resources the way the resource compiler does', () => {
+    const xml = [
+      '<resources xmlns:xliff="urn:oasis:names:tc:xliff:document:1.2">',
+      '  <string name="app_name" translatable="false">Shop</string>',
+      '  <string name="greeting">Hello, <xliff:g id="name">%1$s</xliff:g>!</string>',
+      '  <string name="wrapped">',
+      '    Two   lines',
+      '    "  kept  "',
+      '  </string>',
+      '  <plurals name="items"><item quantity="one">One</item></plurals>',
+      '</resources>',
+    ].join('\n');
+    assert.deepEqual(parseAndroidStrings(xml), [
+      { name: 'greeting', value: 'Hello, %1$s!' },
+      { name: 'wrapped', value: 'Two lines   kept  ' },
+    ]);
+    assert.throws(
+      () => parseAndroidStrings('<resources><string>'),
+      /Invalid Android resource file/,
+    );
+  });
+
+  it('escapes iOS strings and reads commented files', () => {
+    const entries = texts.map((value, i) => ({ name: `text.${i}`, value }));
+    const text = createIosStrings(entries);
+    assert.match(text, /^"text\.0" = "Don't \\"quote\\"";\n/);
+    assert.deepEqual(parseIosStrings(text), entries);
+
+    const commented = [
+      '\uFEFF/* Start page */',
+      '"welcome" = "Willkommen"; // short',
+      String.raw`plain_key = "\U00DCbersicht";`,
+    ].join('\n');
+    assert.deepEqual(parseIosStrings(commented), [
+      { name: 'welcome', value: 'Willkommen' },
+      { name: 'plain_key', value: 'Übersicht' },
+    ]);
+    assert.throws(
+      () => parseIosStrings('"a" = "b"\n"c" = "d";'),
+      /Invalid \.strings file: unexpected input at line 2/,
+    );
+  });
+
+  it('escapes properties and reads continued lines and comments', () => {
+    const entries = texts.map((value, i) => ({ name: `text ${i}`, value }));
+    const text = createProperties(entries);
+    assert.match(text, /^text\\ 1=\\ {2}spaced {2}out $/m);
+    assert.match(text, /^text\\ 4=Gr\\u00fc\\u00dfe \\ud83d\\ude00 <b>&$/m);
+    assert.deepEqual(parseProperties(text), entries);
+
+    const java = [
+      '# Comment',
+      '! Other comment',
+      'greeting = Hello \\',
+      '    world',
+      String.raw`path:C:\\temp`,
+      'empty',
+    ].join('\r\n');
+    assert.deepEqual(parseProperties(java), [
+      { name: 'greeting', value: 'Hello world' },
+      { name: 'path', value: String.raw`C:\temp` },
+      { name: 'empty', value: '' },
+    ]);
+  });
+
+  it('builds file entries and reads files back into tables', () => {
+    const translations = new Map([
+      ['app.title', { en: 'Title', de: 'Titel' }],
+      ['app.body', { en: 'Body', de: '' }],
+    ]);
+    const { names } = mapPlatformKeys(
+      translations.keys(),
+      PLATFORM_FORMATS.android,
+    );
+    const entries = buildPlatformEntries(translations, 'de', names);
+    assert.deepEqual(entries, [{ name: 'app_title', value: 'Titel' }]);
+
+    const keysByName = new Map([['app_title', 'app.title']]);
+    const table = buildTranslationTableFromPlatform(
+      [...entries, { name: 'new_key', value: 'Neu' }, entries[0]],
+      'de',
+      keysByName,
+    );
+    assert.deepEqual(table.languages, ['de']);
+    assert.deepEqual(
+      [...table.translations],
+      [
+        ['app.title', { de: 'Titel' }],
+        ['new_key', { de: 'Neu' }],
+      ],
+    );
+    assert.deepEqual(table.duplicates, ['app.title']);
+  });
+});
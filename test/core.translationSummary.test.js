@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import ExcelJS from 'exceljs';
+
+import { readAllWorksheets } from '../src/app/convert.helpers.js';
+import { createTranslationWorksheet } from '../src/core/excel/sheetWrite.js';
+import { createSummaryWorksheet } from '../src/core/excel/summarySheet.js';
+import { generateTranslationReport } from '../src/core/report/translationReport.js';
+import {
+  countWords,
+  summarizeTranslationReport,
+} from '../src/core/report/translationSummary.js';
+
+describe('core/report/translationSummary', () => {
+  const translations = new Map([
+    ['app.greet', { en: 'Hello {name}', de: 'Hallo', fr: 'Bonjour {name}' }],
+    ['app.save', { en: 'Save the document', de: '', fr: 'Enregistrer' }],
+    ['app.title', { en: 'My title', de: 'Titel' }],
+    ['app.quit', { en: 'Quit', de: 'Beenden', fr: 'Quitter' }],
+  ]);
+  const languages = ['de', 'en', 'fr'];
+  const summarize = () =>
+    summarizeTranslationReport(
+      generateTranslationReport(translations, languages),
+      translations,
+      languages,
+      'en',
+    );
+
+  it('counts words separated by whitespace', () => {
+    assert.equal(countWords('  Save the\tdocument '), 3);
+    assert.equal(countWords(''), 0);
+    assert.equal(countWords(null), 0);
+  });
+
+  it('computes completion, missing and untranslated words per language', () => {
+    const [de, en, fr] = summarize();
+    assert.deepEqual(
+      { missing: de.missing, words: de.untranslatedWords },
+      { missing: 1, words: 3 },
+    );
+    assert.equal(de.completion, 0.75);
+    assert.equal(en.completion, 1);
+    assert.deepEqual(
+      { missing: fr.missing, words: fr.untranslatedWords },
+      { missing: 1, words: 2 },
+    );
+  });
+
+  it('counts placeholder issues only for translated cells', () => {
+    const [de, en, fr] = summarize();
+    assert.equal(de.placeholderIssues, 1);
+    assert.equal(en.placeholderIssues, 0);
+    assert.equal(fr.placeholderIssues, 0);
+  });
+
+  it('writes a Summary worksheet that is skipped when reading all sheets', () => {
+    const wb = new ExcelJS.Workbook();
+    createTranslationWorksheet(wb, 'Translations', translations, languages);
+    const ws = createSummaryWorksheet(wb, summarize(), { de: 'German' });
+
+    assert.deepEqual(ws.getRow(2).values.slice(1), [
+      'German',
+      'de',
+      0.75,
+      3,
+      1,
+      1,
+      3,
+    ]);
+    assert.deepEqual(
+      readAllWorksheets(wb).map((sheet) => sheet.name),
+      ['Translations'],
+    );
+  });
+});
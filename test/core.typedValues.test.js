@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  flattenTranslations,
+  keyToPath,
+  setNestedValue,
+  validateJsonStructure,
+} from '../src/core/json/structure.js';
+import {
+  decodeTypedValue,
+  encodeTypedValue,
+  parseIndexedSegment,
+} from '../src/core/json/typedValues.js';
+
+describe('core/json/typedValues', () => {
+  it('encodes and decodes every JSON leaf type losslessly', () => {
+    for (const value of ['Hi', '', 3, -0.5, true, false, null, [], {}]) {
+      assert.deepEqual(decodeTypedValue(encodeTypedValue(value)), value);
+    }
+    assert.equal(encodeTypedValue(3), '[number] 3');
+    assert.equal(encodeTypedValue(null), '[null]');
+  });
+
+  it('escapes strings that look like tagged values', () => {
+    assert.equal(encodeTypedValue('[null]'), '[string] [null]');
+    assert.equal(decodeTypedValue('[string] [null]'), '[null]');
+    assert.equal(encodeTypedValue('[Draft] Title'), '[Draft] Title');
+  });
+
+  it('rejects unparsable literals with the key in the message', () => {
+    assert.throws(
+      () => decodeTypedValue('[number] three', 'limits.max'),
+      /Invalid number value "three" at "limits\.max"/,
+    );
+    assert.throws(() => decodeTypedValue('[boolean] yes'), /Invalid boolean/);
+  });
+
+  it('parses array indices in key paths', () => {
+    assert.deepEqual(keyToPath('onboarding.steps[0].title', { typed: true }), [
+      'onboarding',
+      'steps',
+      0,
+      'title',
+    ]);
+    assert.deepEqual(parseIndexedSegment('matrix[1][2]'), ['matrix', 1, 2]);
+    assert.deepEqual(keyToPath('a.b[0]'), ['a', 'b[0]']);
+  });
+
+  it('flattens and restores nested arrays and typed leaves', () => {
+    const data = {
+      steps: ['One', { title: 'Two', done: false }],
+      limits: { plural: 2, none: null },
+      empty: [],
+    };
+    assert.throws(() => validateJsonStructure(data), /typed mode/);
+    assert.doesNotThrow(() => validateJsonStructure(data, '', { typed: true }));
+
+    const entries = [];
+    flattenTranslations(data, '', (key, value) => entries.push([key, value]), {
+      typed: true,
+    });
+    assert.deepEqual(entries, [
+      ['steps[0]', 'One'],
+      ['steps[1].title', 'Two'],
+      ['steps[1].done', '[boolean] false'],
+      ['limits.plural', '[number] 2'],
+      ['limits.none', '[null]'],
+      ['empty', '[array] []'],
+    ]);
+
+    const restored = {};
+    for (const [key, value] of entries) {
+      setNestedValue(
+        restored,
+        keyToPath(key, { typed: true }),
+        decodeTypedValue(value),
+      );
+    }
+    assert.deepEqual(restored, data);
+  });
+});
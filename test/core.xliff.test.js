@@ -0,0 +1,164 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  buildTranslationTableFromXliff,
+  parseXliffDocument,
+} from '../src/core/xliff/xliffRead.js';
+import {
+  buildXliffUnits,
+  createXliffDocument,
+} from '../src/core/xliff/xliffWrite.js';
+
+const translations = new Map([
+  ['app.title', { en: 'Tom & <Jerry>', de: 'Tom & Jerry' }],
+  ['app.empty', { en: 'Optional', de: '' }],
+  ['app.new', { en: 'New "text"' }],
+  [String.raw`errors\.404`, { en: 'Not found', de: 'Nicht gefunden' }],
+]);
+const metadata = new Map([
+  ['app.title', { description: 'Page title', context: 'header', status: 'x' }],
+]);
+
+describe('core/xliff', () => {
+  it('builds units with states and description/context notes', () => {
+    const units = buildXliffUnits(translations, 'en', 'de', metadata);
+    assert.deepEqual(units[0], {
+      key: 'app.title',
+      source: 'Tom & <Jerry>',
+      target: 'Tom & Jerry',
+      state: 'translated',
+      notes: [
+        { category: 'description', text: 'Page title' },
+        { category: 'context', text: 'header' },
+      ],
+    });
+    assert.equal(units[1].target, '');
+    assert.equal(units[1].state, 'translated');
+    assert.equal(units[2].target, undefined);
+    assert.equal(units[2].state, 'needs-translation');
+  });
+
+  for (const version of ['1.2', '2.0']) {
+    it(`round-trips units through XLIFF ${version}`, () => {
+      const units = buildXliffUnits(translations, 'en', 'de', metadata);
+      const xml = createXliffDocument({
+        version,
+        sourceLang: 'en',
+        targetLang: 'de',
+        units,
+      });
+      const document = parseXliffDocument(xml);
+      assert.equal(document.version, version);
+      assert.equal(document.sourceLang, 'en');
+      assert.equal(document.targetLang, 'de');
+      assert.deepEqual(
+        document.units.map(({ key, source, notes }) => ({
+          key,
+          source,
+          notes,
+        })),
+        units.map(({ key, source, notes }) => ({ key, source, notes })),
+      );
+      assert.deepEqual(
+        document.units.map((u) => u.state),
+        ['translated', 'translated', 'needs-translation', 'translated'],
+      );
+      assert.equal(document.units[0].target, 'Tom & Jerry');
+    });
+  }
+
+  it('uses generated ids for XLIFF 2.0 keys that are not name tokens', () => {
+    const xml = createXliffDocument({
+      version: '2.0',
+      sourceLang: 'en',
+      targetLang: 'de',
+      units: buildXliffUnits(translations, 'en', 'de'),
+    });
+    assert.match(xml, /<unit id="u4" name="errors\\\.404">/);
+    assert.match(xml, /<unit id="app\.title">/);
+  });
+
+  it('rejects unsupported versions', () => {
+    assert.throws(
+      () =>
+        createXliffDocument({
+          version: '3.0',
+          sourceLang: 'en',
+          targetLang: 'de',
+          units: [],
+        }),
+      /Invalid XLIFF version "3\.0"/,
+    );
+  });
+
+  it('normalizes XLIFF 1.2 states and ignores alternative translations', () => {
+    const xml = `<?xml version="1.0"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file source-language="en" target-language="fr" datatype="plaintext" original="x">
+    <body>
+      <trans-unit id="1" resname="a"><source>A</source><target state="new">A?</target></trans-unit>
+      <trans-unit id="b"><source>B</source><target state="needs-review-translation">Bé</target></trans-unit>
+      <trans-unit id="c"><source>C</source><target state="final">Cé</target>
+        <alt-trans><source>C</source><target>Old</target></alt-trans>
+      </trans-unit>
+      <trans-unit id="d"><source>Hi <g id="1">there</g></source><target>Salut <g id="1">toi</g></target></trans-unit>
+      <trans-unit id="e"><source>E</source></trans-unit>
+    </body>
+  </file>
+</xliff>`;
+    const { units } = parseXliffDocument(xml);
+    assert.deepEqual(
+      units.map(({ key, target, state }) => [key, target, state]),
+      [
+        ['a', 'A?', 'needs-translation'],
+        ['b', 'Bé', 'translated'],
+        ['c', 'Cé', 'final'],
+        ['d', 'Salut toi', 'translated'],
+        ['e', undefined, 'needs-translation'],
+      ],
+    );
+    assert.equal(units[3].source, 'Hi there');
+  });
+
+  it('normalizes XLIFF 2.0 segment states', () => {
+    const xml = `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="de">
+  <file id="f">
+    <unit id="a"><segment state="reviewed"><source>A</source><target>Ä</target></segment></unit>
+    <unit id="b"><segment state="final"><source>B</source><target>B</target></segment>
+      <segment state="initial"><source> more</source></segment></unit>
+  </file>
+</xliff>`;
+    const { units } = parseXliffDocument(xml);
+    assert.equal(units[0].state, 'translated');
+    assert.equal(units[1].state, 'needs-translation');
+    assert.equal(units[1].source, 'B more');
+  });
+
+  it('rejects malformed documents and documents without languages', () => {
+    assert.throws(
+      () => parseXliffDocument('<xliff><file>'),
+      /Invalid XLIFF document/,
+    );
+    assert.throws(
+      () => parseXliffDocument('<xliff version="1.2"><file/></xliff>'),
+      /source or target language is missing/,
+    );
+  });
+
+  it('builds a translation table without untranslated targets', () => {
+    const table = buildTranslationTableFromXliff({
+      sourceLang: 'en',
+      targetLang: 'de',
+      units: [
+        { key: 'a', source: 'A', target: 'Ä', state: 'final', notes: [] },
+        { key: 'b', source: 'B', target: 'x', state: 'needs-translation' },
+        { key: 'a', source: 'A', target: 'Ä', state: 'translated', notes: [] },
+      ],
+    });
+    assert.deepEqual(table.languages, ['en', 'de']);
+    assert.deepEqual(table.duplicates, ['a']);
+    assert.deepEqual(table.translations.get('a'), { en: 'A', de: 'Ä' });
+    assert.deepEqual(table.translations.get('b'), { en: 'B' });
+  });
+});
@@ -0,0 +1,92 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  localeFileFormat,
+  localeFileLanguage,
+} from '../src/core/model/localeFiles.js';
+import {
+  parseLocaleYaml,
+  stringifyLocaleYaml,
+} from '../src/core/yaml/localeYaml.js';
+
+const railsFile = [
+  '# Managed by the translation team',
+  'en:',
+  '  # Shown on the start page',
+  '  hello: "Hello" # keep short',
+  '  nav:',
+  '    home: Home',
+  '',
+  '  removed: Old',
+  '',
+].join('\n');
+
+describe('core/yaml', () => {
+  it('derives language and format from locale file names', () => {
+    assert.equal(localeFileLanguage('en.json'), 'en');
+    assert.equal(localeFileLanguage('pt-BR.yml'), 'pt-BR');
+    assert.equal(localeFileLanguage('de.yaml'), 'de');
+    assert.equal(localeFileFormat('de.YML'), 'yaml');
+    assert.equal(localeFileFormat('de.json'), 'json');
+  });
+
+  it('unwraps a root key naming the language', () => {
+    assert.deepEqual(parseLocaleYaml(railsFile, 'en'), {
+      data: { hello: 'Hello', nav: { home: 'Home' }, removed: 'Old' },
+      rooted: true,
+    });
+    assert.deepEqual(parseLocaleYaml('de:\n  hello: Hallo\n', 'en'), {
+      data: { de: { hello: 'Hallo' } },
+      rooted: false,
+    });
+    assert.deepEqual(parseLocaleYaml('', 'en'), { data: {}, rooted: false });
+  });
+
+  it('rejects invalid YAML and documents without a mapping', () => {
+    assert.throws(() => parseLocaleYaml('a: [', 'en'), /Flow sequence/);
+    assert.throws(
+      () => parseLocaleYaml('- a\n- b\n', 'en'),
+      /Locale file must contain a mapping of keys/,
+    );
+  });
+
+  it('writes new files with or without a root key', () => {
+    const data = { greeting: 'Hallo: Welt', lines: 'a\nb' };
+    assert.equal(
+      stringifyLocaleYaml(data, { language: 'de', root: true }),
+      'de:\n  greeting: "Hallo: Welt"\n  lines: |-\n    a\n    b\n',
+    );
+    assert.equal(
+      stringifyLocaleYaml(
+        { long: 'word '.repeat(30).trim() },
+        { language: 'de' },
+      ),
+      `long: ${'word '.repeat(30).trim()}\n`,
+    );
+  });
+
+  it('keeps comments, quoting and the root key of an existing file', () => {
+    const text = stringifyLocaleYaml(
+      { hello: 'Hi', nav: { home: 'Home', about: 'About' } },
+      { language: 'en', previous: railsFile },
+    );
+    assert.equal(
+      text,
+      [
+        '# Managed by the translation team',
+        'en:',
+        '  # Shown on the start page',
+        '  hello: "Hi" # keep short',
+        '  nav:',
+        '    home: Home',
+        '    about: About',
+        '',
+      ].join('\n'),
+    );
+    assert.deepEqual(parseLocaleYaml(text, 'en').data, {
+      hello: 'Hi',
+      nav: { home: 'Home', about: 'About' },
+    });
+  });
+});
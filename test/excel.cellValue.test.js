@@ -0,0 +1,118 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import ExcelJS from 'exceljs';
+
+import {
+  decodeTranslationCell,
+  encodeTranslationCell,
+  normalizeCellValue,
+  resolveCellValue,
+} from '../src/core/excel/cellValue.js';
+import { readTranslationsFromWorksheet } from '../src/core/excel/sheetRead.js';
+import { compileKeyPatterns } from '../src/core/json/keyPatterns.js';
+
+const richText = {
+  richText: [
+    { text: 'Save ' },
+    { text: 'now', font: { bold: true } },
+    { text: '!', font: { bold: true, italic: true } },
+  ],
+};
+
+describe('Excel cell value normalization', () => {
+  it('converts every ExcelJS value type to a string', () => {
+    assert.equal(normalizeCellValue('text'), 'text');
+    assert.equal(normalizeCellValue(42), '42');
+    assert.equal(normalizeCellValue(false), 'false');
+    assert.equal(normalizeCellValue(richText), 'Save now!');
+    assert.equal(normalizeCellValue({ formula: 'A1&"x"', result: 'Hi' }), 'Hi');
+    assert.equal(normalizeCellValue({ sharedFormula: 'A2', result: 3 }), '3');
+    assert.equal(
+      normalizeCellValue({ text: 'Docs', hyperlink: 'https://example.com' }),
+      'Docs',
+    );
+    assert.equal(normalizeCellValue({ error: '#N/A' }), '#N/A');
+    assert.equal(
+      normalizeCellValue(new Date('2024-05-01T00:00:00Z')),
+      '2024-05-01',
+    );
+    assert.equal(
+      normalizeCellValue(new Date('2024-05-01T10:30:00Z')),
+      '2024-05-01T10:30:00.000Z',
+    );
+  });
+
+  it('returns undefined for empty cells and formulas without result', () => {
+    assert.equal(normalizeCellValue(null), undefined);
+    assert.equal(normalizeCellValue({ formula: 'A1' }), undefined);
+  });
+
+  it('converts rich text runs to inline HTML on request', () => {
+    assert.equal(
+      normalizeCellValue(richText, { html: true }),
+      'Save <b>now</b><b><i>!</i></b>',
+    );
+    assert.equal(
+      normalizeCellValue(
+        {
+          text: { richText: [{ text: 'u', font: { underline: true } }] },
+          hyperlink: 'x',
+        },
+        { html: true },
+      ),
+      '<u>u</u>',
+    );
+  });
+
+  it('keeps numbers as numbers when resolving metadata values', () => {
+    assert.equal(resolveCellValue({ formula: '10+2', result: 12 }), 12);
+  });
+
+  it('matches keys against wildcard patterns', () => {
+    const matches = compileKeyPatterns(['legal.*', '*.html', 'exact']);
+    assert.equal(matches('legal.terms.body'), true);
+    assert.equal(matches('page.intro.html'), true);
+    assert.equal(matches('exact'), true);
+    assert.equal(matches('exactly'), false);
+    assert.equal(matches('legalese'), false);
+  });
+
+  it('reads normalized strings from a worksheet', () => {
+    const ws = new ExcelJS.Workbook().addWorksheet('Translations');
+    ws.addRow(['Key', 'en', 'Max Length']);
+    ws.addRow(['app.save', richText, { formula: '5*2', result: 10 }]);
+    ws.addRow(['legal.terms', richText]);
+    ws.addRow([{ richText: [{ text: 'app.count' }] }, 7]);
+
+    const { translationsByLanguage, metadata } = readTranslationsFromWorksheet(
+      ws,
+      {},
+      { markupKeys: ['legal.*'] },
+    );
+    assert.deepEqual(translationsByLanguage.en, {
+      app: { save: 'Save now!', count: '7' },
+      legal: { terms: 'Save <b>now</b><b><i>!</i></b>' },
+    });
+    assert.deepEqual(metadata.get('app.save'), { maxLength: 10 });
+  });
+
+  it('keeps absent and empty translations apart', () => {
+    assert.equal(encodeTranslationCell(null), undefined);
+    assert.equal(encodeTranslationCell(''), '(empty)');
+    assert.equal(encodeTranslationCell('', '<blank>'), '<blank>');
+    assert.equal(encodeTranslationCell('Hi'), 'Hi');
+
+    assert.equal(decodeTranslationCell(null), undefined);
+    assert.equal(decodeTranslationCell(''), undefined);
+    assert.equal(decodeTranslationCell('(empty)'), '');
+    assert.equal(
+      decodeTranslationCell('<blank>', { emptyMarker: '<blank>' }),
+      '',
+    );
+    assert.equal(
+      decodeTranslationCell('(empty)', { emptyMarker: '-' }),
+      '(empty)',
+    );
+  });
+});
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import ExcelJS from 'exceljs';
+
+import { readAllWorksheets } from '../src/app/convert.helpers.js';
+import { LEGEND_SHEET_NAME } from '../src/core/excel/reservedSheets.js';
+import {
+  MISSING_FILL_COLOR,
+  PLACEHOLDER_FILL_COLOR,
+  createLegendWorksheet,
+  highlightTranslationIssues,
+} from '../src/core/excel/sheetHighlight.js';
+import { createTranslationWorksheet } from '../src/core/excel/sheetWrite.js';
+import { generateTranslationReport } from '../src/core/report/translationReport.js';
+
+const fillOf = (cell) => cell.fill?.fgColor?.argb;
+
+describe('Excel issue highlighting', () => {
+  const translations = new Map([
+    ['app.greet', { en: 'Hello {name}', de: 'Hallo' }],
+    ['app.save', { en: 'Save', de: '' }],
+    ['app.title', { en: 'Title', de: 'Titel' }],
+  ]);
+  const languages = ['en', 'de'];
+
+  const build = () => {
+    const wb = new ExcelJS.Workbook();
+    const ws = createTranslationWorksheet(
+      wb,
+      'Translations',
+      translations,
+      languages,
+      { languageMap: { en: 'English', de: 'German' } },
+    );
+    highlightTranslationIssues(
+      ws,
+      generateTranslationReport(translations, languages),
+      languages,
+    );
+    return ws;
+  };
+
+  it('fills missing cells with the missing color', () => {
+    const ws = build();
+    assert.equal(fillOf(ws.getCell('C3')), MISSING_FILL_COLOR);
+    assert.equal(fillOf(ws.getCell('B3')), undefined);
+  });
+
+  it('marks placeholder mismatches with a color and a note', () => {
+    const ws = build();
+    const cell = ws.getCell('C2');
+    assert.equal(fillOf(cell), PLACEHOLDER_FILL_COLOR);
+    assert.equal(cell.note, 'Missing placeholders: {name}');
+    assert.equal(fillOf(ws.getCell('B2')), undefined);
+  });
+
+  it('leaves complete rows untouched', () => {
+    const ws = build();
+    assert.equal(fillOf(ws.getCell('B4')), undefined);
+    assert.equal(fillOf(ws.getCell('C4')), undefined);
+  });
+
+  it('adds a legend sheet that is not read as translations', () => {
+    const wb = new ExcelJS.Workbook();
+    createTranslationWorksheet(wb, 'Translations', translations, languages);
+    createLegendWorksheet(wb);
+
+    const legend = wb.getWorksheet(LEGEND_SHEET_NAME);
+    assert.equal(fillOf(legend.getCell('A2')), MISSING_FILL_COLOR);
+    assert.equal(fillOf(legend.getCell('A3')), PLACEHOLDER_FILL_COLOR);
+    assert.deepEqual(
+      readAllWorksheets(wb).map((ws) => ws.name),
+      ['Translations'],
+    );
+  });
+});
@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import ExcelJS from 'exceljs';
+
+import { readTranslationsFromWorksheet } from '../src/core/excel/sheetRead.js';
+import { createTranslationWorksheet } from '../src/core/excel/sheetWrite.js';
+import {
+  metadataFieldFromHeader,
+  metadataToObject,
+} from '../src/core/model/metadata.js';
+
+describe('Excel metadata columns', () => {
+  it('derives camelCase field names from headers', () => {
+    assert.equal(metadataFieldFromHeader('Max Length'), 'maxLength');
+    assert.equal(metadataFieldFromHeader('Description'), 'description');
+    assert.equal(metadataFieldFromHeader(' char-limit '), 'charLimit');
+  });
+
+  it('writes metadata columns after the language columns', () => {
+    const wb = new ExcelJS.Workbook();
+    const ws = createTranslationWorksheet(
+      wb,
+      'Translations',
+      new Map([['app.save', { en: 'Save' }]]),
+      ['en'],
+      {
+        languageMap: { en: 'English' },
+        metadataColumns: ['Description', 'Max Length'],
+        metadata: new Map([['app.save', { maxLength: 12 }]]),
+      },
+    );
+
+    assert.deepEqual(ws.getRow(1).values.slice(1), [
+      'Key',
+      'English',
+      'Description',
+      'Max Length',
+    ]);
+    assert.deepEqual(ws.getRow(2).values.slice(1), [
+      'app.save',
+      'Save',
+      '',
+      12,
+    ]);
+  });
+
+  it('separates reserved and configured metadata columns from languages', () => {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet('Translations');
+    ws.addRow(['Key', 'English', 'Context', 'Ticket']);
+    ws.addRow(['app.save', 'Save', 'Toolbar button', 'UX-12']);
+    ws.addRow(['app.cancel', 'Cancel', null, null]);
+
+    const result = readTranslationsFromWorksheet(
+      ws,
+      { en: 'English' },
+      { metadataColumns: ['Ticket'] },
+    );
+
+    assert.deepEqual(result.languages, ['en']);
+    assert.deepEqual(result.translationsByLanguage.en, {
+      app: { save: 'Save', cancel: 'Cancel' },
+    });
+    assert.deepEqual(result.metadataFields, ['context', 'ticket']);
+    assert.deepEqual(metadataToObject(result.metadata), {
+      'app.save': { context: 'Toolbar button', ticket: 'UX-12' },
+    });
+  });
+});
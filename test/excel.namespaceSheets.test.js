@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  createNamespaceSheetNames,
+  splitTranslationsByNamespace,
+} from '../src/core/excel/namespaceSheets.js';
+
+describe('core/excel/namespaceSheets', () => {
+  it('groups keys by first segment and keeps root keys apart', () => {
+    const groups = splitTranslationsByNamespace(
+      new Map([
+        ['auth.login.title', { en: 'Login' }],
+        ['auth.logout', { en: 'Logout' }],
+        ['title', { en: 'App' }],
+      ]),
+    );
+    assert.deepEqual([...groups.keys()], ['auth', '']);
+    assert.deepEqual([...groups.get('auth').keys()], ['login.title', 'logout']);
+    assert.deepEqual([...groups.get('').keys()], ['title']);
+  });
+
+  it('sanitizes, truncates and de-duplicates sheet names', () => {
+    const names = createNamespaceSheetNames(
+      ['', 'translations', 'a/b', 'x'.repeat(40)],
+      'Translations',
+    );
+    assert.equal(names.get(''), 'Translations');
+    assert.equal(names.get('translations'), 'translations (2)');
+    assert.equal(names.get('a/b'), 'a_b');
+    assert.equal(names.get('x'.repeat(40)).length, 31);
+  });
+});
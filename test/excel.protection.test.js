@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import ExcelJS from 'exceljs';
+
+import { createTranslationWorksheet } from '../src/core/excel/sheetWrite.js';
+
+describe('Excel sheet protection', () => {
+  const translations = new Map([
+    ['app.save', { en: 'Save', de: 'Speichern' }],
+    ['app.quit', { en: 'Quit', de: '' }],
+  ]);
+
+  const build = (protection) =>
+    createTranslationWorksheet(
+      new ExcelJS.Workbook(),
+      'Translations',
+      translations,
+      ['de', 'en'],
+      { languageMap: { de: 'German', en: 'English' }, protection },
+    );
+
+  it('leaves worksheets unprotected by default', () => {
+    const ws = build();
+    assert.equal(ws.sheetProtection, null);
+  });
+
+  it('locks the key and source columns and unlocks target cells', () => {
+    const ws = build({ sourceLang: 'en' });
+    assert.equal(ws.sheetProtection.sheet, true);
+    assert.equal(ws.sheetProtection.hashValue, undefined);
+    assert.equal(ws.getCell('B2').protection.locked, false);
+    assert.equal(ws.getCell('B3').protection.locked, false);
+    assert.equal(ws.getCell('A2').protection?.locked ?? true, true);
+    assert.equal(ws.getCell('C2').protection?.locked ?? true, true);
+    assert.equal(ws.getCell('B1').protection?.locked ?? true, true);
+  });
+
+  it('hashes the optional password and survives a save/load cycle', async () => {
+    const ws = build({ sourceLang: 'en', password: 'secret' });
+    assert.equal(ws.sheetProtection.algorithmName, 'SHA-512');
+    assert.ok(ws.sheetProtection.hashValue);
+
+    const buffer = await ws.workbook.xlsx.writeBuffer();
+    const loaded = new ExcelJS.Workbook();
+    await loaded.xlsx.load(buffer);
+    const reloaded = loaded.getWorksheet('Translations');
+    assert.equal(reloaded.sheetProtection.sheet, true);
+    assert.equal(reloaded.getCell('B2').protection.locked, false);
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import ExcelJS from 'exceljs';
+
+import {
+  createSourceLabels,
+  readSourceIndex,
+  writeSourceIndex,
+} from '../src/core/excel/sourceSheets.js';
+
+describe('core/excel/sourceSheets', () => {
+  it('labels directories by the segments that differ', () => {
+    assert.deepEqual(
+      [
+        ...createSourceLabels([
+          'libs/auth/src/assets/i18n',
+          'libs/shop/cart/src/assets/i18n',
+          'apps/web/src/assets/i18n',
+        ]),
+      ],
+      [
+        ['libs/auth/src/assets/i18n', 'libs/auth'],
+        ['libs/shop/cart/src/assets/i18n', 'libs/shop/cart'],
+        ['apps/web/src/assets/i18n', 'apps/web'],
+      ],
+    );
+    assert.deepEqual(
+      [...createSourceLabels(['i18n', 'libs/i18n'])],
+      [
+        ['i18n', 'i18n'],
+        ['libs/i18n', 'libs/i18n'],
+      ],
+    );
+    assert.deepEqual(
+      [...createSourceLabels(['src/i18n'])],
+      [['src/i18n', 'src/i18n']],
+    );
+  });
+
+  it('writes a hidden source index and reads it back', () => {
+    const workbook = new ExcelJS.Workbook();
+    assert.equal(readSourceIndex(workbook), undefined);
+    const sources = new Map([
+      ['auth', 'libs/auth/i18n'],
+      ['shop', 'libs/shop/i18n'],
+    ]);
+    const sheet = writeSourceIndex(workbook, sources);
+    assert.equal(sheet.state, 'veryHidden');
+    assert.deepEqual(readSourceIndex(workbook), sources);
+  });
+});
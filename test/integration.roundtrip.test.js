@@ -4,7 +4,19 @@ import os from 'node:os';
 import path from 'node:path';
 import { afterEach, describe, it } from 'node:test';
 
-import { convertToExcel, convertToJson } from '../src/index.js';
+import ExcelJS from 'exceljs';
+
+import {
+  convertFromPlatform,
+  convertFromPo,
+  convertFromXliff,
+  convertToExcel,
+  convertToJson,
+  convertToPlatform,
+  convertToPo,
+  convertToXliff,
+} from '../src/index.js';
+import { readWorkbook, writeWorkbook } from '../src/io/excel.js';
 
 const tempDirs = [];
 
@@ -82,4 +94,850 @@ describe('integration roundtrip', () => {
     assert.equal(deRoundTrip.app.title, 'Instrumententafel');
     assert.equal(deRoundTrip.app.subtitle, 'Willkommen {{name}}');
   });
+
+  it('merge mode keeps keys added to JSON after export', async () => {
+    const { srcDir, excelFile } = await makeRoundtripFixture();
+
+    const languageMap = { en: 'English', de: 'German' };
+    await convertToExcel(srcDir, excelFile, { languageMap });
+
+    const enPath = path.join(srcDir, 'en.json');
+    const en = JSON.parse(await fs.readFile(enPath, 'utf8'));
+    en.app.footer = 'Added after export';
+    await fs.writeFile(enPath, JSON.stringify(en, null, 2), 'utf8');
+
+    await convertToJson(excelFile, srcDir, { languageMap, merge: true });
+
+    const merged = JSON.parse(await fs.readFile(enPath, 'utf8'));
+    assert.equal(merged.app.title, 'Dashboard');
+    assert.equal(merged.app.footer, 'Added after export');
+  });
+
+  it('round-trips metadata columns through the _meta.json sidecar', async () => {
+    const { srcDir, excelFile, outDir } = await makeRoundtripFixture();
+    await fs.writeFile(
+      path.join(srcDir, '_meta.json'),
+      JSON.stringify({ 'app.title': { description: 'Page heading' } }),
+      'utf8',
+    );
+    const languageMap = { en: 'English', de: 'German' };
+
+    await convertToExcel(srcDir, excelFile, {
+      languageMap,
+      metadataColumns: ['Description', 'Status'],
+    });
+    await convertToJson(excelFile, outDir, { languageMap });
+
+    const meta = JSON.parse(
+      await fs.readFile(path.join(outDir, '_meta.json'), 'utf8'),
+    );
+    const en = JSON.parse(
+      await fs.readFile(path.join(outDir, 'en.json'), 'utf8'),
+    );
+    assert.deepEqual(meta, { 'app.title': { description: 'Page heading' } });
+    assert.equal(en.app.title, 'Dashboard');
+    assert.equal('Description' in en, false);
+  });
+
+  it('keeps sidecar fields and keys that are not imported as columns', async () => {
+    const { srcDir, excelFile } = await makeRoundtripFixture();
+    const metaPath = path.join(srcDir, '_meta.json');
+    await fs.writeFile(
+      metaPath,
+      JSON.stringify({
+        'app.title': { description: 'Heading', maxLength: 40 },
+        'app.subtitle': { context: 'Under the heading' },
+      }),
+      'utf8',
+    );
+    const languageMap = { en: 'English', de: 'German' };
+    await convertToExcel(srcDir, excelFile, {
+      languageMap,
+      metadataColumns: ['Description'],
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(excelFile);
+    const ws = workbook.getWorksheet('Translations');
+    const column = ws.getRow(1).values.indexOf('Description');
+    const row = ws
+      .getSheetValues()
+      .findIndex((values) => values?.[1] === 'app.title');
+    ws.getCell(row, column).value = '';
+    await workbook.xlsx.writeFile(excelFile);
+    await convertToJson(excelFile, srcDir, { languageMap });
+
+    assert.deepEqual(JSON.parse(await fs.readFile(metaPath, 'utf8')), {
+      'app.subtitle': { context: 'Under the heading' },
+      'app.title': { maxLength: 40 },
+    });
+  });
+
+  it('splits by namespace and reassembles with --all-sheets', async () => {
+    const { srcDir, excelFile, outDir } = await makeRoundtripFixture();
+    await fs.writeFile(
+      path.join(srcDir, 'en.json'),
+      JSON.stringify({
+        title: 'Root',
+        app: { title: 'Dashboard' },
+        'auth:v2': { login: 'Sign in' },
+      }),
+      'utf8',
+    );
+    await fs.rm(path.join(srcDir, 'de.json'));
+    const languageMap = { en: 'English' };
+
+    await convertToExcel(srcDir, excelFile, {
+      languageMap,
+      splitBy: 'namespace',
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(excelFile);
+    const visible = workbook.worksheets
+      .filter((ws) => ws.state === 'visible')
+      .map((ws) => ws.name);
+    assert.deepEqual(visible, ['Translations', 'app', 'auth_v2']);
+
+    await convertToJson(excelFile, outDir, { languageMap, allSheets: true });
+
+    const en = JSON.parse(
+      await fs.readFile(path.join(outDir, 'en.json'), 'utf8'),
+    );
+    assert.deepEqual(en, {
+      title: 'Root',
+      app: { title: 'Dashboard' },
+      'auth:v2': { login: 'Sign in' },
+    });
+  });
+
+  it('reassembles a namespace split workbook without --all-sheets', async () => {
+    const { srcDir, excelFile, outDir } = await makeRoundtripFixture();
+    const en = { app: { title: 'Dashboard' }, auth: { login: 'Sign in' } };
+    await fs.writeFile(path.join(srcDir, 'en.json'), JSON.stringify(en));
+    await fs.rm(path.join(srcDir, 'de.json'));
+    const languageMap = { en: 'English' };
+
+    await convertToExcel(srcDir, excelFile, {
+      languageMap,
+      splitBy: 'namespace',
+    });
+    await convertToJson(excelFile, outDir, { languageMap });
+
+    assert.deepEqual(
+      JSON.parse(await fs.readFile(path.join(outDir, 'en.json'), 'utf8')),
+      en,
+    );
+  });
+
+  it('delta export with --only-missing merges back into the full JSON', async () => {
+    const { srcDir, excelFile } = await makeRoundtripFixture();
+    const dePath = path.join(srcDir, 'de.json');
+    await fs.writeFile(
+      dePath,
+      JSON.stringify({ app: { title: 'Instrumententafel', subtitle: '' } }),
+      'utf8',
+    );
+    const languageMap = { en: 'English', de: 'German' };
+
+    await convertToExcel(srcDir, excelFile, { languageMap, onlyMissing: true });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(excelFile);
+    const ws = workbook.getWorksheet('Translations');
+    assert.equal(ws.rowCount, 2);
+    assert.equal(ws.getCell('A2').value, 'app.subtitle');
+    ws.getCell('B2').value = 'Willkommen {{name}}';
+    await workbook.xlsx.writeFile(excelFile);
+
+    await convertToJson(excelFile, srcDir, { languageMap });
+
+    const de = JSON.parse(await fs.readFile(dePath, 'utf8'));
+    assert.deepEqual(de, {
+      app: { title: 'Instrumententafel', subtitle: 'Willkommen {{name}}' },
+    });
+  });
+
+  it('delta export with --since exports keys changed after an earlier workbook', async () => {
+    const { srcDir, excelFile, outDir } = await makeRoundtripFixture();
+    const languageMap = { en: 'English', de: 'German' };
+    await convertToExcel(srcDir, excelFile, { languageMap });
+
+    const enPath = path.join(srcDir, 'en.json');
+    await fs.writeFile(
+      enPath,
+      JSON.stringify({
+        app: { title: 'Home', subtitle: 'Welcome {{name}}', footer: 'Bye' },
+      }),
+      'utf8',
+    );
+    const deltaFile = path.join(outDir, 'delta.xlsx');
+    await convertToExcel(srcDir, deltaFile, { languageMap, since: excelFile });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(deltaFile);
+    const keys = workbook
+      .getWorksheet('Translations')
+      .getColumn(1)
+      .values.slice(2);
+    assert.deepEqual(keys, ['app.footer', 'app.title']);
+  });
+
+  it('delta export with --since an earlier delta workbook compares all keys', async () => {
+    const { srcDir, outDir } = await makeRoundtripFixture();
+    await fs.writeFile(
+      path.join(srcDir, 'de.json'),
+      JSON.stringify({ app: { title: 'Instrumententafel', subtitle: '' } }),
+      'utf8',
+    );
+    const languageMap = { en: 'English', de: 'German' };
+    const missingFile = path.join(outDir, 'missing.xlsx');
+    await convertToExcel(srcDir, missingFile, {
+      languageMap,
+      onlyMissing: true,
+    });
+
+    const deltaFile = path.join(outDir, 'delta.xlsx');
+    await convertToExcel(srcDir, deltaFile, {
+      languageMap,
+      since: missingFile,
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(deltaFile);
+    assert.equal(workbook.getWorksheet('Translations').rowCount, 1);
+  });
+
+  it('round-trips empty strings and absent keys without conflating them', async () => {
+    const { srcDir, excelFile, outDir } = await makeRoundtripFixture();
+    const languageMap = { en: 'English', de: 'German' };
+    await fs.writeFile(
+      path.join(srcDir, 'en.json'),
+      JSON.stringify({ app: { title: 'Dashboard', suffix: '' } }),
+      'utf8',
+    );
+    await fs.writeFile(
+      path.join(srcDir, 'de.json'),
+      JSON.stringify({ app: { title: 'Instrumententafel' } }),
+      'utf8',
+    );
+
+    await convertToExcel(srcDir, excelFile, { languageMap });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(excelFile);
+    const row = workbook.getWorksheet('Translations').getRow(2);
+    assert.equal(row.getCell(1).value, 'app.suffix');
+    assert.equal(row.getCell(2).value, null);
+    assert.equal(row.getCell(3).value, '(empty)');
+
+    await convertToJson(excelFile, outDir, { languageMap });
+    const en = JSON.parse(
+      await fs.readFile(path.join(outDir, 'en.json'), 'utf8'),
+    );
+    const de = JSON.parse(
+      await fs.readFile(path.join(outDir, 'de.json'), 'utf8'),
+    );
+    assert.deepEqual(en, { app: { title: 'Dashboard', suffix: '' } });
+    assert.deepEqual(de, { app: { title: 'Instrumententafel' } });
+  });
+
+  it('round-trips arrays and non-string values in typed mode', async () => {
+    const { srcDir, excelFile, outDir } = await makeRoundtripFixture();
+    const languageMap = { en: 'English', de: 'German' };
+    const en = {
+      app: { title: 'Dashboard' },
+      onboarding: { steps: ['Sign up', 'Verify'] },
+      plural: { threshold: 5, enabled: true, fallback: null },
+    };
+    await fs.writeFile(
+      path.join(srcDir, 'en.json'),
+      JSON.stringify(en),
+      'utf8',
+    );
+
+    await assert.rejects(
+      convertToExcel(srcDir, excelFile, { languageMap }),
+      /Invalid value at "onboarding\.steps"/,
+    );
+    await convertToExcel(srcDir, excelFile, { languageMap, typed: true });
+    await convertToJson(excelFile, outDir, { languageMap, typed: true });
+
+    const roundTrip = JSON.parse(
+      await fs.readFile(path.join(outDir, 'en.json'), 'utf8'),
+    );
+    assert.deepEqual(roundTrip, en);
+
+    await convertToJson(excelFile, srcDir, {
+      languageMap,
+      typed: true,
+      merge: true,
+    });
+    const merged = JSON.parse(
+      await fs.readFile(path.join(srcDir, 'en.json'), 'utf8'),
+    );
+    assert.deepEqual(merged, en);
+  });
+
+  it('round-trips keys containing the separator and flat JSON files', async () => {
+    const { srcDir, excelFile, outDir } = await makeRoundtripFixture();
+    const languageMap = { en: 'English', de: 'German' };
+    const en = { 'errors.404': 'Not found', errors: { 500: 'Server error' } };
+    await fs.writeFile(path.join(srcDir, 'en.json'), JSON.stringify(en));
+    await fs.rm(path.join(srcDir, 'de.json'));
+
+    await convertToExcel(srcDir, excelFile, { languageMap });
+    await convertToJson(excelFile, outDir, { languageMap });
+    assert.deepEqual(
+      JSON.parse(await fs.readFile(path.join(outDir, 'en.json'), 'utf8')),
+      en,
+    );
+
+    const flat = { 'auth.login': 'Log in', 'auth.logout': 'Log out' };
+    await fs.writeFile(path.join(srcDir, 'en.json'), JSON.stringify(flat));
+    await convertToExcel(srcDir, excelFile, {
+      languageMap,
+      flatJson: true,
+      splitBy: 'namespace',
+    });
+    await convertToJson(excelFile, outDir, {
+      languageMap,
+      flatJson: true,
+      allSheets: true,
+    });
+    assert.deepEqual(
+      JSON.parse(await fs.readFile(path.join(outDir, 'en.json'), 'utf8')),
+      flat,
+    );
+  });
+
+  it('round-trips per-language namespace directories with a path template', async () => {
+    const { srcDir, excelFile, outDir } = await makeRoundtripFixture();
+    const languageMap = { en: 'English', de: 'German' };
+    const pathTemplate = '{lang}/{ns}.json';
+    const files = {
+      'en/auth.json': { login: 'Log in', form: { user: 'User' } },
+      'en/common.json': { ok: 'OK' },
+      'de/auth.json': { login: 'Anmelden', form: { user: 'Benutzer' } },
+    };
+    await fs.rm(path.join(srcDir, 'en.json'));
+    await fs.rm(path.join(srcDir, 'de.json'));
+    for (const [name, data] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(srcDir, name)), {
+        recursive: true,
+      });
+      await fs.writeFile(path.join(srcDir, name), JSON.stringify(data));
+    }
+
+    await convertToExcel(srcDir, excelFile, { languageMap, pathTemplate });
+    const workbook = new ExcelJS.Workbook();
+    await readWorkbook(excelFile, workbook);
+    const keys = [];
+    workbook.getWorksheet('Translations').eachRow((row, n) => {
+      if (n > 1) keys.push(row.getCell(1).value);
+    });
+    assert.deepEqual(keys, ['auth.form.user', 'auth.login', 'common.ok']);
+
+    await convertToJson(excelFile, outDir, { languageMap, pathTemplate });
+    for (const [name, data] of Object.entries(files)) {
+      assert.deepEqual(
+        JSON.parse(await fs.readFile(path.join(outDir, name), 'utf8')),
+        data,
+      );
+    }
+    assert.deepEqual(await fs.readdir(path.join(outDir, 'de')), ['auth.json']);
+    await assert.rejects(
+      convertToJson(excelFile, outDir, {
+        languageMap,
+        pathTemplate: '{ns}.json',
+      }),
+      /Invalid path template/,
+    );
+  });
+
+  it('exports a glob of locale directories and writes each sheet back to its directory', async () => {
+    const { srcDir, excelFile, outDir } = await makeRoundtripFixture();
+    const languageMap = { en: 'English', de: 'German' };
+    const files = {
+      'libs/auth/src/assets/i18n/en.json': { login: 'Log in' },
+      'libs/auth/src/assets/i18n/de.json': { login: 'Anmelden' },
+      'libs/shop/src/assets/i18n/en.json': { cart: { total: 'Total' } },
+      'libs/shop/src/assets/i18n/de.json': { cart: { total: 'Summe' } },
+    };
+    for (const [name, data] of Object.entries(files)) {
+      await fs.mkdir(path.dirname(path.join(srcDir, name)), {
+        recursive: true,
+      });
+      await fs.writeFile(path.join(srcDir, name), JSON.stringify(data));
+    }
+    await fs.mkdir(path.join(srcDir, 'libs/empty/src/assets/i18n'), {
+      recursive: true,
+    });
+
+    const origCwd = process.cwd();
+    try {
+      process.chdir(srcDir);
+      await assert.rejects(
+        convertToExcel('libs/*/src/assets/i18n', excelFile, {
+          glob: true,
+          splitBy: 'namespace',
+        }),
+        /splitBy cannot be combined with glob/,
+      );
+      await convertToExcel('libs/*/src/assets/i18n', excelFile, {
+        glob: true,
+        languageMap,
+        report: false,
+      });
+    } finally {
+      process.chdir(origCwd);
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await readWorkbook(excelFile, workbook);
+    const visible = workbook.worksheets.filter((ws) => ws.state === 'visible');
+    assert.deepEqual(
+      visible.map((ws) => ws.name),
+      ['auth', 'shop'],
+    );
+    const shop = workbook.getWorksheet('shop');
+    assert.equal(shop.getCell('A2').value, 'cart.total');
+    shop.getCell('B2').value = 'Gesamt';
+    await writeWorkbook(excelFile, workbook);
+
+    await convertToJson(excelFile, outDir, { languageMap });
+    for (const [name, data] of Object.entries(files)) {
+      const expected = name.endsWith('shop/src/assets/i18n/de.json')
+        ? { cart: { total: 'Gesamt' } }
+        : data;
+      assert.deepEqual(
+        JSON.parse(await fs.readFile(path.join(outDir, name), 'utf8')),
+        expected,
+      );
+    }
+    assert.deepEqual(await fs.readdir(path.join(outDir, 'libs')), [
+      'auth',
+      'shop',
+    ]);
+  });
+
+  it('round-trips translations through XLIFF with notes and states', async () => {
+    const { srcDir, outDir } = await makeRoundtripFixture();
+    await fs.writeFile(
+      path.join(srcDir, '_meta.json'),
+      JSON.stringify({ 'app.title': { description: 'Main heading' } }),
+    );
+
+    for (const xliffVersion of ['1.2', '2.0']) {
+      await convertToXliff(srcDir, outDir, { xliffVersion, report: false });
+      const xml = await fs.readFile(path.join(outDir, 'de.xlf'), 'utf8');
+      assert.match(xml, /Main heading<\/note>/);
+      await assert.rejects(fs.access(path.join(outDir, 'en.xlf')));
+    }
+
+    const xml = await fs.readFile(path.join(outDir, 'de.xlf'), 'utf8');
+    await fs.writeFile(
+      path.join(outDir, 'de.xlf'),
+      xml
+        .replace('Instrumententafel', 'Übersicht')
+        .replace(
+          '<segment state="translated">\n        <source>Welcome',
+          '<segment state="initial">\n        <source>Welcome',
+        ),
+    );
+    await convertFromXliff(path.join(outDir, 'de.xlf'), srcDir, {
+      report: false,
+    });
+
+    const de = JSON.parse(
+      await fs.readFile(path.join(srcDir, 'de.json'), 'utf8'),
+    );
+    assert.deepEqual(de, {
+      app: { title: 'Übersicht', subtitle: 'Willkommen {{name}}' },
+    });
+  });
+
+  it('rejects duplicate XLIFF units with failOnDuplicates', async () => {
+    const { srcDir, outDir } = await makeRoundtripFixture();
+    await convertToXliff(srcDir, outDir, { report: false });
+    const xml = await fs.readFile(path.join(outDir, 'de.xlf'), 'utf8');
+    const unit = xml.slice(
+      xml.indexOf('      <trans-unit'),
+      xml.indexOf('</trans-unit>') + '</trans-unit>'.length,
+    );
+    await fs.writeFile(
+      path.join(outDir, 'de.xlf'),
+      xml.replace('    </body>', `${unit}\n    </body>`),
+    );
+    await assert.rejects(
+      convertFromXliff(outDir, srcDir, {
+        report: false,
+        failOnDuplicates: true,
+      }),
+      /Duplicate keys detected in XLIFF: app\.title/,
+    );
+  });
+
+  it('keeps JSONC comments of the locale files on XLIFF imports', async () => {
+    const { srcDir, outDir } = await makeRoundtripFixture();
+    await fs.rm(path.join(srcDir, 'de.json'));
+    await fs.writeFile(
+      path.join(srcDir, 'de.jsonc'),
+      '{\n  "app": {\n    // Main heading\n    "title": "Instrumententafel",\n    "subtitle": "Willkommen {{name}}"\n  }\n}\n',
+    );
+    await convertToXliff(srcDir, outDir, { report: false });
+    const xml = await fs.readFile(path.join(outDir, 'de.xlf'), 'utf8');
+    await fs.writeFile(
+      path.join(outDir, 'de.xlf'),
+      xml.replace('Instrumententafel', 'Übersicht'),
+    );
+
+    await convertFromXliff(path.join(outDir, 'de.xlf'), srcDir, {
+      report: false,
+    });
+    const german = await fs.readFile(path.join(srcDir, 'de.jsonc'), 'utf8');
+    assert.match(german, /\/\/ Main heading\n {4}"title": "Übersicht"/);
+    const english = await fs.readFile(path.join(srcDir, 'en.json'), 'utf8');
+    assert.doesNotMatch(english, /\/\//);
+  });
+
+  it('round-trips translations through gettext PO files', async () => {
+    const { srcDir, outDir } = await makeRoundtripFixture();
+    await fs.writeFile(
+      path.join(srcDir, '_meta.json'),
+      JSON.stringify({
+        'app.title': { description: 'Main heading' },
+        'app.subtitle': { status: 'fuzzy' },
+      }),
+    );
+
+    await convertToPo(srcDir, outDir, { report: false });
+    const pot = await fs.readFile(path.join(outDir, 'messages.pot'), 'utf8');
+    assert.match(
+      pot,
+      /#\. Main heading\nmsgctxt "app\.title"\nmsgid "Dashboard"\nmsgstr ""/,
+    );
+    await assert.rejects(fs.access(path.join(outDir, 'en.po')));
+
+    const po = await fs.readFile(path.join(outDir, 'de.po'), 'utf8');
+    assert.match(po, /"Language: de\\n"/);
+    assert.match(po, /#, fuzzy\nmsgctxt "app\.subtitle"/);
+    await fs.writeFile(
+      path.join(outDir, 'de.po'),
+      po
+        .replace('Instrumententafel', 'Übersicht')
+        .replace('Willkommen', 'Hallo'),
+    );
+    await convertFromPo(outDir, srcDir, { report: false });
+
+    const de = JSON.parse(
+      await fs.readFile(path.join(srcDir, 'de.json'), 'utf8'),
+    );
+    assert.deepEqual(de, {
+      app: { title: 'Übersicht', subtitle: 'Willkommen {{name}}' },
+    });
+  });
+
+  for (const extension of ['csv', 'tsv']) {
+    it(`round-trips translations through a ${extension.toUpperCase()} file`, async () => {
+      const { srcDir, outDir } = await makeRoundtripFixture();
+      const file = path.join(outDir, `translations.${extension}`);
+      const en = {
+        app: { title: 'Dashboard, "main"', body: 'Line 1\nLine 2', none: '' },
+      };
+      await fs.writeFile(path.join(srcDir, 'en.json'), JSON.stringify(en));
+      await fs.writeFile(
+        path.join(srcDir, '_meta.json'),
+        JSON.stringify({ 'app.title': { description: 'Heading' } }),
+      );
+
+      const languageMap = { en: 'English', de: 'German' };
+      await convertToExcel(srcDir, file, {
+        languageMap,
+        metadataColumns: ['Description'],
+        report: false,
+      });
+      const text = await fs.readFile(file, 'utf8');
+      const delimiter = extension === 'csv' ? ',' : '\t';
+      assert.ok(
+        text.startsWith(`\uFEFFKey${delimiter}German${delimiter}English`),
+      );
+
+      const importDir = path.join(outDir, 'i18n');
+      await convertToJson(file, importDir, { languageMap });
+      assert.deepEqual(
+        JSON.parse(await fs.readFile(path.join(importDir, 'en.json'), 'utf8')),
+        en,
+      );
+      assert.deepEqual(
+        JSON.parse(
+          await fs.readFile(path.join(importDir, '_meta.json'), 'utf8'),
+        ),
+        { 'app.title': { description: 'Heading' } },
+      );
+    });
+  }
+
+  it('round-trips and merges translations through an ODS workbook', async () => {
+    const { srcDir, outDir } = await makeRoundtripFixture();
+    const file = path.join(outDir, 'translations.ods');
+    const languageMap = { en: 'English', de: 'German' };
+    await convertToExcel(srcDir, file, {
+      languageMap,
+      highlight: true,
+      protect: true,
+      report: false,
+    });
+
+    const workbook = new ExcelJS.Workbook();
+    await readWorkbook(file, workbook);
+    const worksheet = workbook.getWorksheet('Translations');
+    const deColumn = worksheet.getRow(1).values.indexOf('German');
+    worksheet.eachRow((row, rowNumber) => {
+      if (row.getCell(1).value === 'app.title') {
+        worksheet.getCell(rowNumber, deColumn).value = 'Geänderter Titel';
+      }
+    });
+    await writeWorkbook(file, workbook);
+
+    await fs.writeFile(
+      path.join(outDir, 'de.json'),
+      JSON.stringify({ app: { title: 'Alt', local: 'Nur lokal' } }),
+    );
+    await convertToJson(file, outDir, { languageMap, merge: true });
+    const de = JSON.parse(
+      await fs.readFile(path.join(outDir, 'de.json'), 'utf8'),
+    );
+    assert.equal(de.app.title, 'Geänderter Titel');
+    assert.equal(de.app.local, 'Nur lokal');
+  });
+
+  it('round-trips Rails-style YAML files and keeps their comments', async () => {
+    const { outDir } = await makeRoundtripFixture();
+    const localesDir = path.join(outDir, 'locales');
+    await fs.mkdir(localesDir);
+    await fs.writeFile(
+      path.join(localesDir, 'en.yml'),
+      'en:\n  # Page heading\n  title: Dashboard\n  greeting: "Hi %{name}"\n',
+    );
+    await fs.writeFile(
+      path.join(localesDir, 'de.yml'),
+      '# German\nde:\n  title: Übersicht\n',
+    );
+    const file = path.join(outDir, 'translations.xlsx');
+    const languageMap = { en: 'English', de: 'German', fr: 'French' };
+    await convertToExcel(localesDir, file, { languageMap, report: false });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file);
+    const worksheet = workbook.getWorksheet('Translations');
+    worksheet.getCell('D1').value = 'French';
+    worksheet.getCell('B2').value = 'Hallo %{name}';
+    worksheet.getCell('D2').value = 'Salut %{name}';
+    await workbook.xlsx.writeFile(file);
+
+    await convertToJson(file, localesDir, {
+      languageMap,
+      localeFormat: 'yaml',
+      yamlRoot: true,
+    });
+    assert.equal(
+      await fs.readFile(path.join(localesDir, 'de.yml'), 'utf8'),
+      '# German\nde:\n  greeting: Hallo %{name}\n  title: Übersicht\n',
+    );
+    assert.equal(
+      await fs.readFile(path.join(localesDir, 'en.yml'), 'utf8'),
+      'en:\n  greeting: "Hi %{name}"\n  # Page heading\n  title: Dashboard\n',
+    );
+    assert.equal(
+      await fs.readFile(path.join(localesDir, 'fr.yml'), 'utf8'),
+      'fr:\n  greeting: Salut %{name}\n',
+    );
+  });
+
+  it('exports JSONC comments as descriptions and writes them back', async () => {
+    const { outDir } = await makeRoundtripFixture();
+    const localesDir = path.join(outDir, 'locales');
+    await fs.mkdir(localesDir);
+    await fs.writeFile(
+      path.join(localesDir, 'en.jsonc'),
+      '{\n  // Page heading\n  "title": "Dashboard",\n  nav: {\n    home: "Home", // start page\n  },\n}\n',
+    );
+    await fs.writeFile(
+      path.join(localesDir, 'de.json'),
+      '{ "title": "Übersicht", "nav": { "home": "Start", }, }',
+    );
+    const file = path.join(outDir, 'translations.xlsx');
+    const languageMap = { en: 'English', de: 'German' };
+    await convertToExcel(localesDir, file, { languageMap, report: false });
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file);
+    const worksheet = workbook.getWorksheet('Translations');
+    assert.deepEqual(worksheet.getColumn(4).values.slice(1), [
+      'Description',
+      'start page',
+      'Page heading',
+    ]);
+    worksheet.getCell('D2').value = 'Landing page';
+    await workbook.xlsx.writeFile(file);
+
+    await convertToJson(file, localesDir, { languageMap, jsonComments: true });
+    assert.equal(
+      await fs.readFile(path.join(localesDir, 'en.jsonc'), 'utf8'),
+      '{\n  "nav": {\n    // Landing page\n    "home": "Home"\n  },\n  // Page heading\n  "title": "Dashboard"\n}',
+    );
+    const german = await fs.readFile(path.join(localesDir, 'de.json'), 'utf8');
+    assert.match(german, /\/\/ Landing page\n {4}"home": "Start"/);
+
+    await convertToJson(file, localesDir, { languageMap });
+    assert.deepEqual(
+      JSON.parse(await fs.readFile(path.join(localesDir, 'en.jsonc'), 'utf8')),
+      { nav: { home: 'Home' }, title: 'Dashboard' },
+    );
+  });
+
+  it('writes language and metadata files in the configured JSON format', async () => {
+    const { srcDir, excelFile, outDir } = await makeRoundtripFixture();
+    await fs.writeFile(
+      path.join(srcDir, '_meta.json'),
+      JSON.stringify({ 'app.title': { description: 'Überschrift' } }),
+    );
+    const languageMap = { en: 'English', de: 'German' };
+    await convertToExcel(srcDir, excelFile, {
+      languageMap,
+      metadataColumns: ['Description'],
+    });
+
+    const formatted = [];
+    await convertToJson(excelFile, outDir, {
+      languageMap,
+      jsonFormat: {
+        indent: 'tab',
+        finalNewline: true,
+        lineEnding: 'crlf',
+        escapeNonAscii: true,
+        sortKeys: true,
+        formatter: (text, { filePath }) => {
+          formatted.push(path.basename(filePath));
+          return text;
+        },
+      },
+    });
+    assert.equal(
+      await fs.readFile(path.join(outDir, 'en.json'), 'utf8'),
+      '{\r\n\t"app": {\r\n\t\t"subtitle": "Welcome {{name}}",\r\n\t\t"title": "Dashboard"\r\n\t}\r\n}\r\n',
+    );
+    assert.equal(
+      await fs.readFile(path.join(outDir, '_meta.json'), 'utf8'),
+      '{\r\n\t"app.title": {\r\n\t\t"description": "\\u00dcberschrift"\r\n\t}\r\n}\r\n',
+    );
+    assert.deepEqual(formatted.toSorted(), [
+      '_meta.json',
+      'de.json',
+      'en.json',
+    ]);
+  });
+
+  it('round-trips translations through Android string resources', async (t) => {
+    const { srcDir, outDir } = await makeRoundtripFixture();
+    const warn = t.mock.method(console, 'warn', () => {});
+    await fs.writeFile(
+      path.join(srcDir, 'en.json'),
+      JSON.stringify({
+        app: { title: 'Dashboard', subtitle: 'Welcome {{name}}' },
+        app_title: 'Clash',
+      }),
+    );
+
+    await convertToPlatform(srcDir, outDir, {
+      platform: 'android',
+      report: false,
+    });
+    assert.deepEqual(
+      warn.mock.calls.map((call) => call.arguments[0]),
+      [
+        'Keys that could not be mapped to Android names: app_title (name "app_title" already used by app.title)',
+      ],
+    );
+    const english = await fs.readFile(
+      path.join(outDir, 'values', 'strings.xml'),
+      'utf8',
+    );
+    assert.match(english, /<string name="app_title">Dashboard<\/string>/);
+    const deFile = path.join(outDir, 'values-de', 'strings.xml');
+    const de = await fs.readFile(deFile, 'utf8');
+    assert.match(de, /<string name="app_subtitle">Willkommen \{\{name\}\}/);
+    await fs.writeFile(
+      deFile,
+      de.replace(
+        '</resources>',
+        '    <string name="app_footer">Fußzeile</string>\n</resources>',
+      ),
+    );
+
+    await convertFromPlatform(outDir, srcDir, {
+      platform: 'android',
+      report: false,
+    });
+    const json = JSON.parse(
+      await fs.readFile(path.join(srcDir, 'de.json'), 'utf8'),
+    );
+    assert.deepEqual(json, {
+      app: { title: 'Instrumententafel', subtitle: 'Willkommen {{name}}' },
+      app_footer: 'Fußzeile',
+    });
+  });
+
+  for (const platform of ['ios', 'properties']) {
+    it(`round-trips translations through ${platform} files`, async () => {
+      const { srcDir, outDir } = await makeRoundtripFixture();
+
+      await convertToPlatform(srcDir, outDir, { platform, report: false });
+      const deFile = path.join(
+        outDir,
+        platform === 'ios'
+          ? path.join('de.lproj', 'Localizable.strings')
+          : 'messages_de.properties',
+      );
+      const de = await fs.readFile(deFile, 'utf8');
+      await fs.writeFile(deFile, de.replace('Instrumententafel', 'Übersicht'));
+      await convertFromPlatform(outDir, srcDir, { platform, report: false });
+
+      const json = JSON.parse(
+        await fs.readFile(path.join(srcDir, 'de.json'), 'utf8'),
+      );
+      assert.equal(json.app.title, 'Übersicht');
+    });
+  }
+
+  for (const [platform, file] of [
+    ['android', path.join('values-de', 'strings.xml')],
+    ['ios', path.join('de.lproj', 'Localizable.strings')],
+  ]) {
+    it(`imports a single ${platform} file with the language of its directory`, async () => {
+      const { srcDir, outDir } = await makeRoundtripFixture();
+
+      await convertToPlatform(srcDir, outDir, { platform, report: false });
+      const deFile = path.join(outDir, file);
+      const de = await fs.readFile(deFile, 'utf8');
+      await fs.writeFile(deFile, de.replace('Instrumententafel', 'Übersicht'));
+      await convertFromPlatform(deFile, srcDir, { platform, report: false });
+
+      const json = JSON.parse(
+        await fs.readFile(path.join(srcDir, 'de.json'), 'utf8'),
+      );
+      assert.equal(json.app.title, 'Übersicht');
+    });
+  }
+
+  it('rejects workbook-only options for CSV files', async () => {
+    const { srcDir, outDir } = await makeRoundtripFixture();
+    await assert.rejects(
+      convertToExcel(srcDir, path.join(outDir, 'out.csv'), {
+        splitBy: 'namespace',
+        onlyMissing: true,
+      }),
+      /Options not supported for .*out\.csv, use an \.xlsx file instead: splitBy, onlyMissing/,
+    );
+  });
 });
@@ -4,6 +4,7 @@ import path from 'node:path';
 import { describe, it } from 'node:test';
 import { fileURLToPath } from 'node:url';
 
+import { loadJsonFormat } from '../src/cli/configLoader.js';
 import { loadValidatedConfig, validateConfigObject } from '../src/io/config.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -15,6 +16,17 @@ async function write(file, content) {
   await fs.writeFile(file, content, 'utf8');
 }
 
+function withFormat(jsonFormat) {
+  return {
+    defaults: {
+      sourcePath: 'in',
+      targetFile: 'out.xlsx',
+      targetPath: 'out',
+      jsonFormat,
+    },
+  };
+}
+
 describe('io/config', () => {
   it('validateConfigObject: accepts valid config and rejects unknowns', () => {
     const valid = {
@@ -82,4 +94,61 @@ describe('io/config', () => {
     const result = validateConfigObject(valid);
     assert.deepEqual(result.languages, {});
   });
+
+  it('validateConfigObject: validates the JSON output format', () => {
+    const jsonFormat = {
+      indent: 'tab',
+      finalNewline: true,
+      lineEnding: 'crlf',
+      escapeNonAscii: true,
+      sortKeys: true,
+      formatter: './format-json.js',
+    };
+    assert.deepEqual(
+      validateConfigObject(withFormat(jsonFormat)).defaults.jsonFormat,
+      jsonFormat,
+    );
+    for (const invalid of [{ indent: 0 }, { lineEnding: 'cr' }, { tabs: 1 }]) {
+      assert.throws(
+        () => validateConfigObject(withFormat(invalid)),
+        /Invalid configuration/,
+      );
+    }
+  });
+
+  it('loadJsonFormat: loads the formatter hook within the working directory', async () => {
+    const hookPath = path.join(tmpDir, 'format-json.mjs');
+    const invalidPath = path.join(tmpDir, 'no-default.mjs');
+    await write(hookPath, 'export default (text) => `${text}\\n`;\n');
+    try {
+      const relative = path.relative(process.cwd(), hookPath);
+      const jsonFormat = await loadJsonFormat({
+        indent: 4,
+        formatter: relative,
+      });
+      assert.equal(jsonFormat.indent, 4);
+      assert.equal(
+        await jsonFormat.formatter('{}', { filePath: 'en.json' }),
+        '{}\n',
+      );
+      assert.deepEqual(await loadJsonFormat({ indent: 4 }), { indent: 4 });
+      assert.equal(await loadJsonFormat(), undefined);
+
+      await write(invalidPath, 'export const format = 1;\n');
+      await assert.rejects(
+        () =>
+          loadJsonFormat({
+            formatter: path.relative(process.cwd(), invalidPath),
+          }),
+        /JSON formatter module must export a default function/,
+      );
+    } finally {
+      await fs.rm(hookPath, { force: true });
+      await fs.rm(invalidPath, { force: true });
+    }
+    await assert.rejects(
+      () => loadJsonFormat({ formatter: '../outside.mjs' }),
+      /JSON formatter path must resolve within the current working directory/,
+    );
+  });
 });
@@ -5,6 +5,7 @@ import { afterEach, beforeEach, describe, it } from 'node:test';
 import { fileURLToPath } from 'node:url';
 
 import ExcelJS from 'exceljs';
+import JSZip from 'jszip';
 
 import { readWorkbook, writeWorkbook } from '../src/io/excel.js';
 
@@ -36,4 +37,36 @@ describe('io/excel wrappers', () => {
     const row2 = wsRead.getRow(2).values.slice(1);
     assert.deepEqual(row2, ['hello', 'Hello']);
   });
+
+  it('writes and reads ODS packages for .ods paths', async () => {
+    const file = path.join(TMP, 'roundtrip.ods');
+    const wbWrite = new ExcelJS.Workbook();
+    const ws = wbWrite.addWorksheet('Translations');
+    ws.addRow(['Key', 'en']);
+    ws.addRow(['hello', 'Hello']);
+    await writeWorkbook(file, wbWrite);
+
+    const zip = await JSZip.loadAsync(await fs.readFile(file));
+    assert.equal(Object.keys(zip.files)[0], 'mimetype');
+    assert.equal(
+      await zip.file('mimetype').async('string'),
+      'application/vnd.oasis.opendocument.spreadsheet',
+    );
+
+    const wbRead = new ExcelJS.Workbook();
+    await readWorkbook(file, wbRead);
+    const row2 = wbRead.getWorksheet('Translations').getRow(2).values.slice(1);
+    assert.deepEqual(row2, ['hello', 'Hello']);
+  });
+
+  it('rejects .ods files without content.xml', async () => {
+    const file = path.join(TMP, 'broken.ods');
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/vnd.oasis.opendocument.spreadsheet');
+    await fs.writeFile(file, await zip.generateAsync({ type: 'nodebuffer' }));
+    await assert.rejects(
+      readWorkbook(file, new ExcelJS.Workbook()),
+      /Invalid ODS file, content\.xml is missing/,
+    );
+  });
 });
@@ -4,7 +4,11 @@ import path from 'node:path';
 import { afterEach, beforeEach, describe, it } from 'node:test';
 import { fileURLToPath } from 'node:url';
 
-import { readDirJsonFiles } from '../src/io/fs.js';
+import {
+  findDirectories,
+  readDirJsonFiles,
+  readTextFiles,
+} from '../src/io/fs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -39,6 +43,47 @@ describe('io/fs readDirJsonFiles', () => {
     assert.equal(fileA?.data?.x, 1);
   });
 
+  it('skips underscore-prefixed sidecar files', async () => {
+    await fs.writeFile(path.join(TMP, 'en.json'), '{}', 'utf8');
+    await fs.writeFile(path.join(TMP, '_meta.json'), '{}', 'utf8');
+
+    const files = await readDirJsonFiles(TMP);
+    assert.deepEqual(
+      files.map((f) => f.name),
+      ['en.json'],
+    );
+  });
+
+  it('reads namespace subdirectories with relative names when recursive', async () => {
+    await fs.mkdir(path.join(TMP, 'en'), { recursive: true });
+    await fs.writeFile(path.join(TMP, 'en', 'auth.json'), '{"a":1}', 'utf8');
+    await fs.writeFile(path.join(TMP, 'en', '_meta.json'), '{}', 'utf8');
+    await fs.writeFile(path.join(TMP, 'top.json'), '{}', 'utf8');
+
+    assert.deepEqual(await readDirJsonFiles(TMP, { recursive: true }), [
+      { name: 'en/auth.json', data: { a: 1 } },
+      { name: 'top.json', data: {} },
+    ]);
+  });
+
+  it('reads JSONC and JSON5 files with their comments', async () => {
+    await fs.writeFile(
+      path.join(TMP, 'en.jsonc'),
+      '{\n  // Greeting\n  "hello": "Hi",\n}',
+      'utf8',
+    );
+    await fs.writeFile(path.join(TMP, 'de.json5'), "{hello: 'Hallo'}", 'utf8');
+
+    assert.deepEqual(await readDirJsonFiles(TMP), [
+      { name: 'de.json5', data: { hello: 'Hallo' } },
+      {
+        name: 'en.jsonc',
+        data: { hello: 'Hi' },
+        comments: [{ path: ['hello'], text: 'Greeting' }],
+      },
+    ]);
+  });
+
   it('throws on invalid JSON file', async () => {
     await fs.writeFile(path.join(TMP, 'bad.json'), '{bad', 'utf8');
     let threw = false;
@@ -51,3 +96,50 @@ describe('io/fs readDirJsonFiles', () => {
     assert.equal(threw, true);
   });
 });
+
+describe('io/fs readTextFiles', () => {
+  beforeEach(async () => {
+    await fs.rm(TMP, { recursive: true, force: true });
+    await fs.mkdir(path.join(TMP, 'values-de'), { recursive: true });
+  });
+  afterEach(async () => {
+    await fs.rm(TMP, { recursive: true, force: true });
+  });
+
+  it('reads subdirectories with relative names when recursive', async () => {
+    await fs.writeFile(path.join(TMP, 'top.xml'), 'a', 'utf8');
+    await fs.writeFile(path.join(TMP, 'values-de', 'strings.xml'), 'b', 'utf8');
+    await fs.writeFile(path.join(TMP, 'values-de', 'notes.txt'), 'c', 'utf8');
+
+    assert.deepEqual(await readTextFiles(TMP, ['.xml']), [
+      { name: 'top.xml', content: 'a' },
+    ]);
+    assert.deepEqual(await readTextFiles(TMP, ['.xml'], { recursive: true }), [
+      { name: 'top.xml', content: 'a' },
+      { name: 'values-de/strings.xml', content: 'b' },
+    ]);
+  });
+});
+
+describe('io/fs findDirectories', () => {
+  beforeEach(async () => {
+    await fs.rm(TMP, { recursive: true, force: true });
+  });
+  afterEach(async () => {
+    await fs.rm(TMP, { recursive: true, force: true });
+  });
+
+  it('lists matching directories without node_modules and files', async () => {
+    for (const dir of ['shop/i18n', 'auth/i18n', 'node_modules/x/i18n']) {
+      await fs.mkdir(path.join(TMP, dir), { recursive: true });
+    }
+    await fs.mkdir(path.join(TMP, 'docs'), { recursive: true });
+    await fs.writeFile(path.join(TMP, 'docs', 'i18n'), '', 'utf8');
+
+    const root = TMP.split(path.sep).join('/');
+    assert.deepEqual(await findDirectories(`${root}/**/i18n`), [
+      `${root}/auth/i18n`,
+      `${root}/shop/i18n`,
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+
+import { loadJsonFileAtRef } from '../src/io/git.js';
+
+describe('io/git loadJsonFileAtRef', () => {
+  let repo;
+  const git = (...args) =>
+    execFileSync(
+      'git',
+      ['-C', repo, '-c', 'user.name=t', '-c', 'user.email=t@t', ...args],
+      { stdio: 'ignore' },
+    );
+
+  before(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'iem-git-'));
+    await fs.mkdir(path.join(repo, 'i18n'));
+    git('init', '-q');
+    await fs.writeFile(
+      path.join(repo, 'i18n', 'en.json'),
+      JSON.stringify({ title: 'Old' }),
+    );
+    git('add', '.');
+    git('commit', '-q', '-m', 'init');
+    await fs.writeFile(
+      path.join(repo, 'i18n', 'en.json'),
+      JSON.stringify({ title: 'New' }),
+    );
+  });
+
+  after(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  it('reads the committed version of a file', async () => {
+    const data = await loadJsonFileAtRef(
+      'HEAD',
+      path.join(repo, 'i18n', 'en.json'),
+    );
+    assert.deepEqual(data, { title: 'Old' });
+  });
+
+  it('rejects refs that look like options', async () => {
+    await assert.rejects(
+      loadJsonFileAtRef('--output=x', path.join(repo, 'i18n', 'en.json')),
+      /Invalid git ref/,
+    );
+  });
+
+  it('fails with a descriptive error for unknown refs', async () => {
+    await assert.rejects(
+      loadJsonFileAtRef('no-such-ref', path.join(repo, 'i18n', 'en.json')),
+      /Cannot read .*en\.json at git ref "no-such-ref"/,
+    );
+  });
+});